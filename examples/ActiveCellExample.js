@@ -0,0 +1,94 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+
+'use strict';
+
+import FakeObjectDataListStore from './helpers/FakeObjectDataListStore';
+import { TextCell } from './helpers/cells';
+import { Table, Column, DataCell } from 'fixed-data-table-2';
+import React from 'react';
+
+class ActiveCellExample extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      activeCell: null,
+      dataList: new FakeObjectDataListStore(1000000),
+    };
+  }
+
+  onActiveCellChange = (activeCell) => {
+    this.setState({ activeCell });
+  };
+
+  render() {
+    const { activeCell, dataList } = this.state;
+
+    return (
+      <div>
+        <p>
+          Click on a cell, then use the arrow keys, Home/End, PageUp/PageDown
+          and Tab to move around.
+        </p>
+        <Table
+          rowHeight={50}
+          headerHeight={50}
+          rowsCount={dataList.getSize()}
+          activeCellEnabled={true}
+          onActiveCellChange={this.onActiveCellChange}
+          {...this.props}
+          height={this.props.height - 70}
+        >
+          <Column
+            columnKey="firstName"
+            header={<DataCell>First Name</DataCell>}
+            cell={<TextCell data={dataList} />}
+            fixed={true}
+            width={150}
+          />
+          <Column
+            columnKey="lastName"
+            header={<DataCell>Last Name</DataCell>}
+            cell={<TextCell data={dataList} />}
+            width={150}
+          />
+          <Column
+            columnKey="city"
+            header={<DataCell>City</DataCell>}
+            cell={<TextCell data={dataList} />}
+            width={200}
+          />
+          <Column
+            columnKey="street"
+            header={<DataCell>Street</DataCell>}
+            cell={<TextCell data={dataList} />}
+            width={200}
+          />
+          <Column
+            columnKey="zipCode"
+            header={<DataCell>Zip Code</DataCell>}
+            cell={<TextCell data={dataList} />}
+            width={200}
+          />
+          <Column
+            columnKey="email"
+            header={<DataCell>Email</DataCell>}
+            cell={<TextCell data={dataList} />}
+            width={200}
+          />
+          <Column
+            columnKey="companyName"
+            header={<DataCell>Company Name</DataCell>}
+            cell={<TextCell data={dataList} />}
+            width={250}
+          />
+        </Table>
+        <pre>{JSON.stringify(activeCell)}</pre>
+      </div>
+    );
+  }
+}
+
+export default ActiveCellExample;
@@ -0,0 +1,105 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+
+'use strict';
+
+import FakeObjectDataListStore from './helpers/FakeObjectDataListStore';
+import { TextCell } from './helpers/cells';
+import { Table, Column, DataCell } from 'fixed-data-table-2';
+import React from 'react';
+
+class NotesCell extends React.PureComponent {
+  render() {
+    const { data, rowIndex, columnKey, ...props } = this.props;
+    const row = data.getObjectAt(rowIndex);
+    // some rows get longer notes than others
+    const notes = [row.catchPhrase, row.sentence, row.buzzPhrase].slice(
+      0,
+      (rowIndex % 3) + 1
+    );
+    return <DataCell {...props}>{notes.join('. ')}</DataCell>;
+  }
+}
+
+class AutoRowHeightExample extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      dataList: new FakeObjectDataListStore(10000),
+      notesWidth: 300,
+    };
+  }
+
+  render() {
+    return (
+      <div>
+        {this.renderControls()}
+        {this.renderTable()}
+      </div>
+    );
+  }
+
+  renderControls() {
+    return (
+      <label>
+        Notes width:
+        <input
+          type="range"
+          min={150}
+          max={600}
+          value={this.state.notesWidth}
+          onChange={this.onNotesWidthChange}
+        />
+      </label>
+    );
+  }
+
+  renderTable() {
+    const { dataList, notesWidth } = this.state;
+    return (
+      <Table
+        rowHeight={50}
+        autoRowHeight={true}
+        headerHeight={50}
+        rowsCount={dataList.getSize()}
+        width={1000}
+        height={500}
+        {...this.props}
+      >
+        <Column
+          columnKey="id"
+          header={<DataCell>Id</DataCell>}
+          cell={<TextCell data={dataList} />}
+          fixed={true}
+          width={100}
+        />
+        <Column
+          columnKey="firstName"
+          header={<DataCell>First Name</DataCell>}
+          cell={<TextCell data={dataList} />}
+          width={150}
+        />
+        <Column
+          columnKey="notes"
+          header={<DataCell>Notes</DataCell>}
+          cell={<NotesCell data={dataList} />}
+          width={notesWidth}
+        />
+        <Column
+          columnKey="city"
+          header={<DataCell>City</DataCell>}
+          cell={<TextCell data={dataList} />}
+          width={200}
+        />
+      </Table>
+    );
+  }
+
+  onNotesWidthChange = (event) => {
+    this.setState({ notesWidth: Number(event.target.value) });
+  };
+}
+
+export default AutoRowHeightExample;
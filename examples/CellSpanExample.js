@@ -0,0 +1,102 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+
+'use strict';
+
+import { Table, Column, DataCell } from 'fixed-data-table-2';
+import React from 'react';
+
+const REGIONS = ['North', 'South', 'East', 'West'];
+const PRODUCTS = ['Apples', 'Oranges', 'Pears', 'Plums', 'Total'];
+const QUARTERS = ['Q1', 'Q2', 'Q3', 'Q4'];
+
+// one row per region and product, with the region merged across its products
+const rows = [];
+REGIONS.forEach((region) => {
+  PRODUCTS.forEach((product, productIndex) => {
+    rows.push({
+      region,
+      product,
+      isFirstProduct: productIndex === 0,
+      isTotal: product === 'Total',
+    });
+  });
+});
+
+const getSales = (rowIndex, quarter) =>
+  ((rowIndex * 37 + quarter.charCodeAt(1) * 11) % 90) + 10;
+
+class CellSpanExample extends React.Component {
+  cellSpanGetter = (rowIndex, columnKey) => {
+    const row = rows[rowIndex];
+    if (columnKey === 'region' && row.isFirstProduct) {
+      return { rowSpan: PRODUCTS.length };
+    }
+    if (columnKey === 'Q1' && row.isTotal) {
+      return { colSpan: QUARTERS.length };
+    }
+    return null;
+  };
+
+  renderSalesCell =
+    (quarter) =>
+    ({ rowIndex, ...props }) => {
+      const row = rows[rowIndex];
+      if (row.isTotal) {
+        let total = 0;
+        for (let i = rowIndex - PRODUCTS.length + 1; i < rowIndex; i++) {
+          QUARTERS.forEach((q) => (total += getSales(i, q)));
+        }
+        return (
+          <DataCell {...props}>
+            <b>Yearly total: {total}</b>
+          </DataCell>
+        );
+      }
+      return <DataCell {...props}>{getSales(rowIndex, quarter)}</DataCell>;
+    };
+
+  render() {
+    return (
+      <Table
+        rowHeight={40}
+        headerHeight={50}
+        rowsCount={rows.length}
+        cellSpanGetter={this.cellSpanGetter}
+        maxRowSpan={PRODUCTS.length}
+        {...this.props}
+      >
+        <Column
+          columnKey="region"
+          header={<DataCell>Region</DataCell>}
+          cell={({ rowIndex, ...props }) => (
+            <DataCell {...props}>{rows[rowIndex].region}</DataCell>
+          )}
+          fixed={true}
+          width={120}
+        />
+        <Column
+          columnKey="product"
+          header={<DataCell>Product</DataCell>}
+          cell={({ rowIndex, ...props }) => (
+            <DataCell {...props}>{rows[rowIndex].product}</DataCell>
+          )}
+          fixed={true}
+          width={120}
+        />
+        {QUARTERS.map((quarter) => (
+          <Column
+            key={quarter}
+            columnKey={quarter}
+            header={<DataCell>{quarter}</DataCell>}
+            cell={this.renderSalesCell(quarter)}
+            width={200}
+          />
+        ))}
+      </Table>
+    );
+  }
+}
+
+export default CellSpanExample;
@@ -0,0 +1,132 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+
+'use strict';
+
+import { Table, Column, DataCell, Plugins } from 'fixed-data-table-2';
+import React from 'react';
+
+const SYMBOLS = ['ACME', 'BOLT', 'CORE', 'DYNA', 'ECHO', 'FLUX', 'GRID'];
+
+function makeQuotes(count) {
+  const quotes = [];
+  for (let i = 0; i < count; i++) {
+    quotes.push({
+      id: i,
+      symbol: `${SYMBOLS[i % SYMBOLS.length]}.${Math.floor(
+        i / SYMBOLS.length
+      )}`,
+      price: 50 + ((i * 7919) % 500),
+      change: 0,
+    });
+  }
+  return quotes;
+}
+
+function getComparator(sortState) {
+  if (!sortState.length) {
+    return undefined;
+  }
+  return (quoteA, quoteB) => {
+    for (const { columnKey, direction } of sortState) {
+      const valueA = quoteA[columnKey];
+      const valueB = quoteB[columnKey];
+      if (valueA !== valueB) {
+        const order = valueA < valueB ? -1 : 1;
+        return direction === 'ASC' ? order : -order;
+      }
+    }
+    return 0;
+  };
+}
+
+const renderCell =
+  (format) =>
+  ({ row, columnKey, ...props }) =>
+    <DataCell {...props}>{format(row[columnKey])}</DataCell>;
+
+class DataSourceExample extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.quotes = new Plugins.ArrayDataSource(
+      makeQuotes(1000),
+      (quote) => quote.id
+    );
+    this.sortedQuotes = new Plugins.DataSourceView(this.quotes);
+
+    this.state = {
+      sortState: [],
+    };
+
+    this._onSortChange = this._onSortChange.bind(this);
+  }
+
+  componentDidMount() {
+    // only the table renders again when the quotes change
+    this.interval = setInterval(() => {
+      const rowIndex = Math.floor(Math.random() * this.quotes.getRowCount());
+      const quote = this.quotes.getRow(rowIndex);
+      const change = Math.round((Math.random() - 0.5) * 200) / 100;
+      this.quotes.updateRow(rowIndex, {
+        ...quote,
+        price: Math.max(quote.price + change, 0),
+        change,
+      });
+    }, 100);
+  }
+
+  componentWillUnmount() {
+    clearInterval(this.interval);
+    this.sortedQuotes.destroy();
+  }
+
+  _onSortChange(sortState) {
+    this.sortedQuotes.setCompare(getComparator(sortState));
+    this.setState({ sortState });
+  }
+
+  render() {
+    return (
+      <Table
+        dataSource={this.sortedQuotes}
+        sortState={this.state.sortState}
+        onSortChange={this._onSortChange}
+        rowHeight={40}
+        headerHeight={50}
+        width={1000}
+        height={500}
+        {...this.props}
+      >
+        <Column
+          columnKey="symbol"
+          header={<DataCell>Symbol</DataCell>}
+          cell={renderCell((symbol) => symbol)}
+          sortable={true}
+          fixed={true}
+          width={200}
+        />
+        <Column
+          columnKey="price"
+          header={<DataCell>Price ($)</DataCell>}
+          cell={renderCell((price) => price.toFixed(2))}
+          sortable={true}
+          width={200}
+        />
+        <Column
+          columnKey="change"
+          header={<DataCell>Last change ($)</DataCell>}
+          cell={renderCell((change) =>
+            change > 0 ? `+${change.toFixed(2)}` : change.toFixed(2)
+          )}
+          sortable={true}
+          flexGrow={1}
+          width={200}
+        />
+      </Table>
+    );
+  }
+}
+
+export default DataSourceExample;
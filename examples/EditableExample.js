@@ -0,0 +1,154 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+
+'use strict';
+
+import FakeObjectDataListStore from './helpers/FakeObjectDataListStore';
+import { Table, Column, DataCell } from 'fixed-data-table-2';
+import React from 'react';
+
+class TextEditor extends React.Component {
+  render() {
+    const { value, onChange, autoFocus } = this.props;
+    return (
+      <input
+        type="text"
+        style={{ boxSizing: 'border-box', height: '100%', width: '100%' }}
+        value={value === undefined ? '' : value}
+        onChange={(event) => onChange(event.target.value)}
+        autoFocus={autoFocus}
+      />
+    );
+  }
+}
+
+const COLUMN_KEYS = ['firstName', 'lastName', 'city', 'zipCode', 'email'];
+const READ_ONLY_COLUMN_KEYS = ['zipCode'];
+
+class EditedTextCell extends React.PureComponent {
+  render() {
+    const { data, edits, rowIndex, columnKey, ...props } = this.props;
+    const key = `${rowIndex}.${columnKey}`;
+    return (
+      <DataCell {...props}>
+        {key in edits ? edits[key] : data.getObjectAt(rowIndex)[columnKey]}
+      </DataCell>
+    );
+  }
+}
+
+class EditableExample extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      dataList: new FakeObjectDataListStore(2000),
+      edits: {},
+    };
+  }
+
+  getValue = (columnKey) => (rowIndex) => {
+    const key = `${rowIndex}.${columnKey}`;
+    const { dataList, edits } = this.state;
+    return key in edits
+      ? edits[key]
+      : dataList.getObjectAt(rowIndex)[columnKey];
+  };
+
+  onCellEditCommit = ({ rowIndex, columnKey, value }) => {
+    this.setState(({ edits }) => ({
+      edits: { ...edits, [`${rowIndex}.${columnKey}`]: value },
+    }));
+  };
+
+  onPaste = ({ startRow, startColumnKey, rows }) => {
+    const startColumn = COLUMN_KEYS.indexOf(startColumnKey);
+    this.setState(({ dataList, edits }) => {
+      const nextEdits = { ...edits };
+      rows.forEach((values, rowOffset) => {
+        values.forEach((value, columnOffset) => {
+          const rowIndex = startRow + rowOffset;
+          const columnKey = COLUMN_KEYS[startColumn + columnOffset];
+          if (
+            rowIndex < dataList.getSize() &&
+            columnKey &&
+            !READ_ONLY_COLUMN_KEYS.includes(columnKey)
+          ) {
+            nextEdits[`${rowIndex}.${columnKey}`] = value;
+          }
+        });
+      });
+      return { edits: nextEdits };
+    });
+  };
+
+  render() {
+    const { dataList, edits } = this.state;
+    const editor = <TextEditor />;
+
+    return (
+      <div>
+        <p>
+          Double click on a cell, or press Enter or start typing on the active
+          cell to edit it. Enter commits the edit, Escape cancels it and Tab
+          moves to the next editable cell. Ctrl/Cmd + C copies the rows in view,
+          and Ctrl/Cmd + V pastes cells copied from a spreadsheet.
+        </p>
+        <Table
+          rowHeight={50}
+          headerHeight={50}
+          rowsCount={dataList.getSize()}
+          activeCellEnabled={true}
+          onCellEditCommit={this.onCellEditCommit}
+          onPaste={this.onPaste}
+          {...this.props}
+          height={this.props.height - 60}
+        >
+          <Column
+            columnKey="firstName"
+            header={<DataCell>First Name</DataCell>}
+            cell={<EditedTextCell data={dataList} edits={edits} />}
+            editor={editor}
+            valueGetter={this.getValue('firstName')}
+            fixed={true}
+            width={150}
+          />
+          <Column
+            columnKey="lastName"
+            header={<DataCell>Last Name</DataCell>}
+            cell={<EditedTextCell data={dataList} edits={edits} />}
+            editor={editor}
+            valueGetter={this.getValue('lastName')}
+            width={150}
+          />
+          <Column
+            columnKey="city"
+            header={<DataCell>City</DataCell>}
+            cell={<EditedTextCell data={dataList} edits={edits} />}
+            editor={editor}
+            valueGetter={this.getValue('city')}
+            width={200}
+          />
+          <Column
+            columnKey="zipCode"
+            header={<DataCell>Zip Code (read only)</DataCell>}
+            cell={<EditedTextCell data={dataList} edits={edits} />}
+            valueGetter={this.getValue('zipCode')}
+            width={200}
+          />
+          <Column
+            columnKey="email"
+            header={<DataCell>Email</DataCell>}
+            cell={<EditedTextCell data={dataList} edits={edits} />}
+            editor={editor}
+            valueGetter={this.getValue('email')}
+            width={250}
+          />
+        </Table>
+      </div>
+    );
+  }
+}
+
+export default EditableExample;
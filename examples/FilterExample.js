@@ -4,24 +4,23 @@
 
 'use strict';
 
-import ExampleImage from './helpers/ExampleImage';
 import FakeObjectDataListStore from './helpers/FakeObjectDataListStore';
-import { ImageCell, TextCell } from './helpers/cells';
-import { Table, Column, DataCell } from 'fixed-data-table-2';
+import { DateCell, ImageCell, TextCell } from './helpers/cells';
+import { Table, Column, DataCell, Plugins } from 'fixed-data-table-2';
 import React from 'react';
 
 class DataListWrapper {
-  constructor(indexMap, data) {
-    this._indexMap = indexMap;
+  constructor(filteredData, data) {
+    this._filteredData = filteredData;
     this._data = data;
   }
 
   getSize() {
-    return this._indexMap.length;
+    return this._filteredData.getSize();
   }
 
   getObjectAt(index) {
-    return this._data.getObjectAt(this._indexMap[index]);
+    return this._data.getObjectAt(this._filteredData.getDataIndex(index));
   }
 }
 
@@ -30,92 +29,96 @@ class FilterExample extends React.Component {
     super(props);
 
     this._dataList = new FakeObjectDataListStore(2000);
+    this._filteredData = new Plugins.FilteredDataAdapter({
+      rowsCount: this._dataList.getSize(),
+      getValue: (dataIndex, columnKey) =>
+        this._dataList.getObjectAt(dataIndex)[columnKey],
+      getRowKey: (dataIndex) => this._dataList.getObjectAt(dataIndex).id,
+    });
+    this._cityOptions = Array.from(
+      new Set(this._dataList.getAll().map(({ city }) => city))
+    ).sort();
+
     this.state = {
-      filteredDataList: this._dataList,
+      filteredDataList: new DataListWrapper(this._filteredData, this._dataList),
     };
 
     this._onFilterChange = this._onFilterChange.bind(this);
   }
 
-  _onFilterChange(e) {
-    if (!e.target.value) {
-      this.setState({
-        filteredDataList: this._dataList,
-      });
-    }
-
-    const filterBy = e.target.value.toLowerCase();
-    const size = this._dataList.getSize();
-    const filteredIndexes = [];
-    for (let index = 0; index < size; index++) {
-      const { firstName } = this._dataList.getObjectAt(index);
-      if (firstName.toLowerCase().indexOf(filterBy) !== -1) {
-        filteredIndexes.push(index);
-      }
-    }
-
+  _onFilterChange(filterModel) {
+    this._filteredData.setFilterModel(filterModel);
     this.setState({
-      filteredDataList: new DataListWrapper(filteredIndexes, this._dataList),
+      filteredDataList: new DataListWrapper(this._filteredData, this._dataList),
     });
   }
 
   render() {
     const { filteredDataList } = this.state;
     return (
-      <div>
-        <input
-          onChange={this._onFilterChange}
-          placeholder="Filter by First Name"
+      <Table
+        rowHeight={50}
+        rowsCount={filteredDataList.getSize()}
+        rowKeyGetter={(rowIndex) => this._filteredData.getRowKey(rowIndex)}
+        headerHeight={50}
+        filterHeight={40}
+        onFilterChange={this._onFilterChange}
+        width={1000}
+        height={500}
+        {...this.props}
+      >
+        <Column
+          columnKey="avatar"
+          cell={<ImageCell data={filteredDataList} />}
+          fixed={true}
+          width={50}
+        />
+        <Column
+          columnKey="firstName"
+          header={<DataCell>First Name</DataCell>}
+          filter={<Plugins.TextFilterCell />}
+          cell={<TextCell data={filteredDataList} />}
+          fixed={true}
+          width={120}
+        />
+        <Column
+          columnKey="lastName"
+          header={<DataCell>Last Name</DataCell>}
+          filter={<Plugins.TextFilterCell />}
+          cell={<TextCell data={filteredDataList} />}
+          fixed={true}
+          width={120}
+        />
+        <Column
+          columnKey="city"
+          header={<DataCell>City</DataCell>}
+          filter={
+            <Plugins.SetFilterCell options={this._cityOptions} multiple />
+          }
+          cell={<TextCell data={filteredDataList} />}
+          width={150}
+        />
+        <Column
+          columnKey="id"
+          header={<DataCell>Id</DataCell>}
+          filter={<Plugins.RangeFilterCell />}
+          cell={<TextCell data={filteredDataList} />}
+          width={180}
+        />
+        <Column
+          columnKey="date"
+          header={<DataCell>Date</DataCell>}
+          filter={<Plugins.DateRangeFilterCell />}
+          cell={<DateCell data={filteredDataList} />}
+          width={300}
+        />
+        <Column
+          columnKey="street"
+          header={<DataCell>Street</DataCell>}
+          cell={<TextCell data={filteredDataList} />}
+          width={200}
         />
-        <br />
-        <Table
-          rowHeight={50}
-          rowsCount={filteredDataList.getSize()}
-          headerHeight={50}
-          width={1000}
-          height={500}
-          {...this.props}
-        >
-          <Column
-            columnKey="avatar"
-            cell={<ImageCell data={filteredDataList} />}
-            fixed={true}
-            width={50}
-          />
-          <Column
-            columnKey="firstName"
-            header={<DataCell>First Name</DataCell>}
-            cell={<TextCell data={filteredDataList} />}
-            fixed={true}
-            width={100}
-          />
-          <Column
-            columnKey="lastName"
-            header={<DataCell>Last Name</DataCell>}
-            cell={<TextCell data={filteredDataList} />}
-            fixed={true}
-            width={100}
-          />
-          <Column
-            columnKey="city"
-            header={<DataCell>City</DataCell>}
-            cell={<TextCell data={filteredDataList} />}
-            width={100}
-          />
-          <Column
-            columnKey="street"
-            header={<DataCell>Street</DataCell>}
-            cell={<TextCell data={filteredDataList} />}
-            width={200}
-          />
-          <Column
-            columnKey="zipCode"
-            header={<DataCell>Zip Code</DataCell>}
-            cell={<TextCell data={filteredDataList} />}
-            width={200}
-          />
-        </Table>
-      </div>
+      </Table>
     );
   }
 }
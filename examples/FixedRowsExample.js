@@ -9,111 +9,26 @@ import { DateCell, ImageCell, LinkCell, TextCell } from './helpers/cells';
 import { Table, Column, DataCell } from 'fixed-data-table-2';
 import React from 'react';
 
-// wrapper over a DataList that allows you to specify custom index mapping
-class DataListWrapper {
-  constructor(indexMap, data) {
-    this._indexMap = indexMap;
-    this._data = data;
-  }
-
-  getSize() {
-    return this._indexMap.length;
-  }
-
-  getObjectAt(index) {
-    return this._data.getObjectAt(this._indexMap[index]);
-  }
-}
-
 class FixedRowsExample extends React.Component {
   constructor(props) {
     super(props);
 
-    const dataList = new FakeObjectDataListStore(100000);
-    const fixedRowsCount = 3;
-    const topIndexMap = [];
-    const bottomIndexMap = [];
-    const middleIndexMap = [];
-
-    let i = 0;
-    while (i < fixedRowsCount) {
-      topIndexMap.push(++i);
-    }
-    while (i < dataList.size - fixedRowsCount) {
-      middleIndexMap.push(++i);
-    }
-    while (i < dataList.size) {
-      bottomIndexMap.push(++i);
-    }
-
     this.state = {
-      headerDataList: new DataListWrapper([], dataList),
-      topDataList: new DataListWrapper(topIndexMap, dataList),
-      middleDataList: new DataListWrapper(middleIndexMap, dataList),
-      bottomDataList: new DataListWrapper(bottomIndexMap, dataList),
-      scrollLeft: 0,
+      dataList: new FakeObjectDataListStore(100000),
     };
   }
 
   render() {
-    const {
-      headerDataList,
-      topDataList,
-      middleDataList,
-      bottomDataList,
-      scrollLeft,
-    } = this.state;
-
-    const totalTableHeight = this.props.height;
-    const headerHeight = 50;
-    const topTableHeight = topDataList.getSize() * 50;
-    const bottomTableHeight = bottomDataList.getSize() * 50;
-    const middleTableHeight =
-      totalTableHeight - topTableHeight - bottomTableHeight - headerHeight;
-    return (
-      <div>
-        {this.renderTable(headerDataList, {
-          height: headerHeight,
-          showScrollbarY: false,
-          showScrollbarX: false,
-          headerHeight,
-          onHorizontalScroll: this.onHorizontalScroll,
-          scrollLeft,
-        })}
-        {this.renderTable(topDataList, {
-          height: topTableHeight,
-          showScrollbarY: false,
-          showScrollbarX: false,
-          headerHeight: 0,
-          onHorizontalScroll: this.onHorizontalScroll,
-          scrollLeft,
-        })}
-        {this.renderTable(middleDataList, {
-          height: middleTableHeight,
-          showScrollbarX: false,
-          headerHeight: 0,
-          onHorizontalScroll: this.onHorizontalScroll,
-          scrollLeft,
-        })}
-        {this.renderTable(bottomDataList, {
-          height: bottomTableHeight,
-          showScrollbarY: false,
-          headerHeight: 0,
-          onHorizontalScroll: this.onHorizontalScroll,
-          scrollLeft,
-        })}
-      </div>
-    );
-  }
-
-  renderTable(dataList, additionalProps = {}) {
+    const { dataList } = this.state;
     return (
       <Table
         rowHeight={50}
+        headerHeight={50}
         rowsCount={dataList.getSize()}
+        fixedRowsCount={3}
+        fixedBottomRowsCount={3}
         width={500}
         {...this.props}
-        {...additionalProps}
       >
         <Column
           columnKey="id"
@@ -197,11 +112,6 @@ class FixedRowsExample extends React.Component {
       </Table>
     );
   }
-
-  onHorizontalScroll = (scrollLeft) => {
-    this.setState({ scrollLeft });
-    return false;
-  };
 }
 
 export default FixedRowsExample;
@@ -5,12 +5,8 @@
 'use strict';
 
 import FakeObjectDataListStore from './helpers/FakeObjectDataListStore';
-import {
-  ColoredTextCell,
-  RemovableHeaderCell,
-  TextCell,
-} from './helpers/cells';
-import { Table, Column, DataCell } from 'fixed-data-table-2';
+import { RemovableHeaderCell, TextCell } from './helpers/cells';
+import { Table, Column, Plugins } from 'fixed-data-table-2';
 import React from 'react';
 
 let columnTitles = {
@@ -39,61 +35,69 @@ class HideColumnExample extends React.Component {
 
     this.state = {
       dataList: new FakeObjectDataListStore(10000),
-      columnOrder: Object.keys(columnTitles),
+      tableApi: null,
     };
 
+    this._tableRef = React.createRef();
     this._handleColumnHide = this._handleColumnHide.bind(this);
-    this._resetColumns = this._resetColumns.bind(this);
+    this._showAllColumns = this._showAllColumns.bind(this);
+  }
+
+  componentDidMount() {
+    // the column chooser lives outside of the table, so it's given the API of the table
+    this.setState({ tableApi: this._tableRef.current.getApi() });
   }
 
   _handleColumnHide(columnKey) {
-    let newColumnOrder = this.state.columnOrder.filter(
-      (column) => column !== columnKey
-    );
-    this.setState({
-      columnOrder: newColumnOrder,
-    });
+    this._tableRef.current.getApi().setColumnVisibility(columnKey, false);
   }
 
-  _resetColumns() {
-    this.setState({
-      columnOrder: Object.keys(columnTitles),
-    });
+  _showAllColumns() {
+    const api = this._tableRef.current.getApi();
+    api
+      .getHiddenColumns()
+      .forEach((columnKey) => api.setColumnVisibility(columnKey, true));
   }
 
   render() {
-    let { dataList } = this.state;
-    let handleColumnHide = this._handleColumnHide;
+    let { dataList, tableApi } = this.state;
 
     return (
       <div>
-        <button onClick={this._resetColumns}>Reset</button>
+        <button onClick={this._showAllColumns}>Show all columns</button>
         <br />
-        <Table
-          rowHeight={30}
-          headerHeight={50}
-          rowsCount={dataList.getSize()}
-          width={1000}
-          height={500}
-          {...this.props}
-        >
-          {this.state.columnOrder.map(function (columnKey, i) {
-            return (
+        <div style={{ display: 'flex' }}>
+          <div style={{ width: 180, height: 500, marginRight: 20 }}>
+            {tableApi && (
+              <Plugins.ColumnChooser api={tableApi} labels={columnTitles} />
+            )}
+          </div>
+          <Table
+            ref={this._tableRef}
+            rowHeight={30}
+            headerHeight={50}
+            rowsCount={dataList.getSize()}
+            width={800}
+            height={500}
+            {...this.props}
+          >
+            {Object.keys(columnTitles).map((columnKey, i) => (
               <Column
                 columnKey={columnKey}
-                key={i}
+                key={columnKey}
                 header={
-                  <RemovableHeaderCell callback={handleColumnHide}>
+                  <RemovableHeaderCell callback={this._handleColumnHide}>
                     {columnTitles[columnKey]}
                   </RemovableHeaderCell>
                 }
                 cell={<TextCell data={dataList} />}
                 fixed={i === 0}
+                hidden={columnKey === 'sentence'}
                 width={columnWidths[columnKey]}
               />
-            );
-          })}
-        </Table>
+            ))}
+          </Table>
+        </div>
       </div>
     );
   }
@@ -9,50 +9,96 @@ import { TextCell } from './helpers/cells';
 import { Table, Column, DataCell } from 'fixed-data-table-2';
 import React from 'react';
 
+const ROWS_COUNT = 10000000;
+
+/**
+ * Pretends to fetch the given rows from a server.
+ */
+function fetchRows(dataList, startIndex, stopIndex, signal) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      const rows = [];
+      for (let index = startIndex; index <= stopIndex; index++) {
+        rows.push(dataList.getObjectAt(index));
+      }
+      resolve(rows);
+    }, 500 + Math.random() * 500);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timeout);
+      reject(new Error('aborted'));
+    });
+  });
+}
+
+class LoadedRows {
+  constructor() {
+    this._rows = new Map();
+  }
+
+  getSize() {
+    return ROWS_COUNT;
+  }
+
+  getObjectAt(index) {
+    return this._rows.get(index);
+  }
+
+  setRows(startIndex, rows) {
+    rows.forEach((row, idx) => this._rows.set(startIndex + idx, row));
+  }
+}
+
 class InfiniteScrollExample extends React.Component {
   constructor(props) {
     super(props);
 
-    this.dataList = new FakeObjectDataListStore(50);
+    this.server = new FakeObjectDataListStore(ROWS_COUNT);
+    this.loadedRows = new LoadedRows();
     this.state = {
-      rowsCount: this.dataList.getSize(),
+      requestsCount: 0,
+      abortedCount: 0,
     };
   }
 
-  onScrollEnd = (scrollX, scrollY, firstRowIndex, lastRowIndex) => {
-    // check if user scrolled near the end of the table
-    if (lastRowIndex + 10 >= this.state.rowsCount) {
-      this.fetchData();
-    }
-  };
-
-  // Fetch data for 50 more rows
-  fetchData = () => {
-    this.dataList.setSize(this.state.rowsCount + 50);
-    this.setState(({ rowsCount }) => ({
-      rowsCount: rowsCount + 50,
+  // the table requests the rows it's about to render, and aborts the requests of rows scrolled past
+  loadMoreRows = ({ startIndex, stopIndex, signal }) => {
+    this.setState(({ requestsCount }) => ({
+      requestsCount: requestsCount + 1,
     }));
+    signal.addEventListener('abort', () =>
+      this.setState(({ abortedCount }) => ({ abortedCount: abortedCount + 1 }))
+    );
+    return fetchRows(this.server, startIndex, stopIndex, signal).then((rows) =>
+      this.loadedRows.setRows(startIndex, rows)
+    );
   };
 
   render() {
-    const data = this.dataList;
+    const data = this.loadedRows;
 
     return (
       <div>
+        <p>
+          {this.state.requestsCount} requests sent, {this.state.abortedCount}{' '}
+          aborted
+        </p>
         <Table
           rowHeight={50}
-          rowsCount={this.state.rowsCount}
+          rowsCount={ROWS_COUNT}
+          sparseRowHeights={true}
+          loadMoreRows={this.loadMoreRows}
+          loadMoreRowsThreshold={20}
+          loadMoreRowsBatchSize={50}
           headerHeight={50}
           width={1000}
           height={500}
-          onScrollEnd={this.onScrollEnd}
           {...this.props}
         >
           <Column
             header={<DataCell></DataCell>}
             cell={(props) => <DataCell {...props}>{props.rowIndex}</DataCell>}
             fixed={true}
-            width={50}
+            width={70}
           />
           <Column
             columnKey="firstName"
@@ -0,0 +1,102 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+
+'use strict';
+
+import FakeObjectDataListStore from './helpers/FakeObjectDataListStore';
+import { TextCell } from './helpers/cells';
+import { Table, Column, ColumnGroup, DataCell } from 'fixed-data-table-2';
+import React from 'react';
+
+class NestedColumnGroupsExample extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      dataList: new FakeObjectDataListStore(1000000),
+    };
+  }
+
+  render() {
+    const { dataList } = this.state;
+
+    return (
+      <Table
+        rowHeight={30}
+        groupHeaderHeight={30}
+        groupHeaderHeights={[40]}
+        headerHeight={30}
+        rowsCount={dataList.getSize()}
+        width={1000}
+        height={500}
+        {...this.props}
+      >
+        <ColumnGroup fixed={true} header={<DataCell>Person</DataCell>}>
+          <ColumnGroup header={<DataCell>Name</DataCell>}>
+            <Column
+              columnKey="firstName"
+              header={<DataCell>First Name</DataCell>}
+              cell={<TextCell data={dataList} />}
+              width={150}
+            />
+            <Column
+              columnKey="lastName"
+              header={<DataCell>Last Name</DataCell>}
+              cell={<TextCell data={dataList} />}
+              width={150}
+            />
+          </ColumnGroup>
+        </ColumnGroup>
+        <ColumnGroup header={<DataCell>Contact</DataCell>}>
+          <ColumnGroup header={<DataCell>Address</DataCell>}>
+            <Column
+              columnKey="street"
+              header={<DataCell>Street</DataCell>}
+              cell={<TextCell data={dataList} />}
+              width={200}
+            />
+            <Column
+              columnKey="city"
+              header={<DataCell>City</DataCell>}
+              cell={<TextCell data={dataList} />}
+              width={150}
+            />
+            <Column
+              columnKey="zipCode"
+              header={<DataCell>Zip Code</DataCell>}
+              cell={<TextCell data={dataList} />}
+              width={100}
+            />
+          </ColumnGroup>
+          <Column
+            columnKey="email"
+            header={<DataCell>Email</DataCell>}
+            cell={<TextCell data={dataList} />}
+            width={250}
+          />
+        </ColumnGroup>
+        <ColumnGroup header={<DataCell>Work</DataCell>}>
+          <ColumnGroup header={<DataCell>Company</DataCell>}>
+            <Column
+              columnKey="companyName"
+              header={<DataCell>Name</DataCell>}
+              cell={<TextCell data={dataList} />}
+              flexGrow={1}
+              width={200}
+            />
+            <Column
+              columnKey="catchPhrase"
+              header={<DataCell>Catch Phrase</DataCell>}
+              cell={<TextCell data={dataList} />}
+              flexGrow={1}
+              width={250}
+            />
+          </ColumnGroup>
+        </ColumnGroup>
+      </Table>
+    );
+  }
+}
+
+export default NestedColumnGroupsExample;
@@ -29,8 +29,6 @@ let columnWidths = {
   zipCode: 240,
 };
 
-let fixedColumns = ['firstName', 'lastName'];
-
 class ReorderExample extends React.Component {
   constructor(props) {
     super(props);
@@ -46,11 +44,26 @@ class ReorderExample extends React.Component {
         'sentence',
         'companyName',
       ],
+      fixedColumns: ['firstName', 'lastName'],
+      fixedRightColumns: [],
       isReordering: {},
     };
   }
 
+  _onColumnPinCallback = (columnKey, side) => {
+    const unpin = (columnKeys) => columnKeys.filter((key) => key !== columnKey);
+    const fixedColumns = unpin(this.state.fixedColumns);
+    const fixedRightColumns = unpin(this.state.fixedRightColumns);
+    if (side === 'left') {
+      fixedColumns.push(columnKey);
+    } else if (side === 'right') {
+      fixedRightColumns.push(columnKey);
+    }
+    this.setState({ fixedColumns, fixedRightColumns });
+  };
+
   _onColumnReorderEndCallback = (event) => {
+    const { fixedColumns } = this.state;
     let columnOrder = this.state.columnOrder.filter((columnKey) => {
       return columnKey !== event.reorderColumn;
     });
@@ -80,7 +93,9 @@ class ReorderExample extends React.Component {
   };
 
   render() {
-    const { dataList, isReordering } = this.state;
+    const { dataList, fixedColumns, fixedRightColumns, isReordering } =
+      this.state;
+    const onColumnPinCallback = this._onColumnPinCallback;
     const onColumnReorderEndCallback = this._onColumnReorderEndCallback;
     const onColumnReorderStart = this.onColumnReorderStart;
     return (
@@ -101,6 +116,8 @@ class ReorderExample extends React.Component {
               key={i}
               header={
                 <Plugins.ReorderCell
+                  allowPinning={true}
+                  onColumnPin={onColumnPinCallback}
                   onColumnReorderStart={onColumnReorderStart}
                   onColumnReorderEnd={onColumnReorderEndCallback}
                 >
@@ -109,6 +126,7 @@ class ReorderExample extends React.Component {
               }
               cell={<TextCell data={dataList} />}
               fixed={fixedColumns.indexOf(columnKey) !== -1}
+              fixedRight={fixedRightColumns.indexOf(columnKey) !== -1}
               width={columnWidths[columnKey]}
             />
           );
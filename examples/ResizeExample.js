@@ -15,88 +15,64 @@ class ResizeExample extends React.Component {
 
     this.state = {
       dataList: new FakeObjectDataListStore(1000000),
-      columnWidths: {
-        firstName: 240,
-        lastName: 150,
-        sentence: 140,
-        companyName: 60,
-      },
     };
+
+    this._tableRef = React.createRef();
   }
 
-  _onColumnResizeEndCallback = (newColumnWidth, columnKey) => {
-    this.setState(({ columnWidths }) => ({
-      columnWidths: {
-        ...columnWidths,
-        [columnKey]: newColumnWidth,
-      },
-    }));
+  _resetColumnWidths = () => {
+    this._tableRef.current.getApi().resetColumnWidths();
   };
 
   render() {
-    const { dataList, columnWidths } = this.state;
+    const { dataList } = this.state;
+    // the table keeps the resized widths by itself with uncontrolledColumnLayout
     return (
-      <Table
-        rowHeight={30}
-        headerHeight={50}
-        rowsCount={dataList.getSize()}
-        touchScrollEnabled={true}
-        width={1000}
-        height={500}
-        {...this.props}
-      >
-        <Column
-          columnKey="firstName"
-          header={
-            <Plugins.ResizeCell
-              onColumnResizeEnd={this._onColumnResizeEndCallback}
-            >
-              First Name{' '}
-            </Plugins.ResizeCell>
-          }
-          cell={<TextCell data={dataList} />}
-          fixed={true}
-          width={columnWidths.firstName}
-        />
-        <Column
-          columnKey="lastName"
-          header={
-            <Plugins.ResizeCell
-              minWidth={70}
-              maxWidth={170}
-              onColumnResizeEnd={this._onColumnResizeEndCallback}
-            >
-              Last Name (min/max constrained)
-            </Plugins.ResizeCell>
-          }
-          cell={<TextCell data={dataList} />}
-          width={columnWidths.lastName}
-        />
-        <Column
-          columnKey="companyName"
-          header={
-            <Plugins.ResizeCell
-              onColumnResizeEnd={this._onColumnResizeEndCallback}
-            >
-              Company{' '}
-            </Plugins.ResizeCell>
-          }
-          cell={<TextCell data={dataList} />}
-          width={columnWidths.companyName}
-        />
-        <Column
-          columnKey="sentence"
-          header={
-            <Plugins.ResizeCell
-              onColumnResizeEnd={this._onColumnResizeEndCallback}
-            >
-              Sentence{' '}
-            </Plugins.ResizeCell>
-          }
-          cell={<TextCell data={dataList} />}
-          width={columnWidths.sentence}
-        />
-      </Table>
+      <div>
+        <button onClick={this._resetColumnWidths}>Reset column widths</button>
+        <br />
+        <Table
+          ref={this._tableRef}
+          rowHeight={30}
+          headerHeight={50}
+          rowsCount={dataList.getSize()}
+          touchScrollEnabled={true}
+          uncontrolledColumnLayout={true}
+          width={1000}
+          height={500}
+          {...this.props}
+        >
+          <Column
+            columnKey="firstName"
+            header={<Plugins.ResizeCell>First Name </Plugins.ResizeCell>}
+            cell={<TextCell data={dataList} />}
+            fixed={true}
+            width={240}
+          />
+          <Column
+            columnKey="lastName"
+            header={
+              <Plugins.ResizeCell minWidth={70} maxWidth={170}>
+                Last Name (min/max constrained)
+              </Plugins.ResizeCell>
+            }
+            cell={<TextCell data={dataList} />}
+            width={150}
+          />
+          <Column
+            columnKey="companyName"
+            header={<Plugins.ResizeCell>Company </Plugins.ResizeCell>}
+            cell={<TextCell data={dataList} />}
+            width={60}
+          />
+          <Column
+            columnKey="sentence"
+            header={<Plugins.ResizeCell>Sentence </Plugins.ResizeCell>}
+            cell={<TextCell data={dataList} />}
+            width={140}
+          />
+        </Table>
+      </div>
     );
   }
 }
@@ -0,0 +1,142 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+
+'use strict';
+
+import { Table, Column, DataCell, Plugins } from 'fixed-data-table-2';
+import React from 'react';
+
+const REGIONS = {
+  Americas: ['Brazil', 'Canada', 'Mexico', 'United States'],
+  Asia: ['India', 'Japan', 'Singapore'],
+  Europe: ['France', 'Germany', 'Italy', 'Spain'],
+};
+const PRODUCTS = ['Laptop', 'Monitor', 'Keyboard', 'Mouse', 'Headset'];
+
+function makeSales(count) {
+  const regions = Object.keys(REGIONS);
+  const sales = [];
+  for (let i = 0; i < count; i++) {
+    const region = regions[(i * 7) % regions.length];
+    const countries = REGIONS[region];
+    sales.push({
+      region,
+      country: countries[(i * 13) % countries.length],
+      product: PRODUCTS[(i * 3) % PRODUCTS.length],
+      quantity: (i % 9) + 1,
+      amount: ((i * 7919) % 2000) + 50,
+    });
+  }
+  return sales;
+}
+
+class RowGroupingExample extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.sales = makeSales(5000);
+    this.groupData = new Plugins.RowGroupingAdapter({
+      rowsCount: this.sales.length,
+      getValue: (dataIndex, columnKey) => this.sales[dataIndex][columnKey],
+      groupBy: ['region', 'country'],
+      aggregates: {
+        quantity: 'sum',
+        amount: ['sum', 'avg', 'max'],
+      },
+    });
+    this.tableRef = React.createRef();
+
+    this.state = {
+      rowsCount: this.groupData.getSize(),
+    };
+  }
+
+  componentDidMount() {
+    this.unsubscribe = this.groupData.subscribe(
+      ({ startIndex, removeCount, insertCount }) => {
+        this.tableRef.current
+          .getApi()
+          .spliceRows(startIndex, removeCount, insertCount);
+        this.setState({ rowsCount: this.groupData.getSize() });
+      }
+    );
+  }
+
+  componentWillUnmount() {
+    this.unsubscribe();
+  }
+
+  renderCell(columnKey) {
+    return ({ rowIndex, ...props }) => {
+      const dataIndex = this.groupData.getDataIndex(rowIndex);
+      return (
+        <DataCell {...props}>
+          {dataIndex === null ? null : this.sales[dataIndex][columnKey]}
+        </DataCell>
+      );
+    };
+  }
+
+  render() {
+    const { groupData } = this;
+
+    return (
+      <Table
+        ref={this.tableRef}
+        rowHeight={36}
+        rowsCount={this.state.rowsCount}
+        rowGroupPathGetter={(rowIndex) => groupData.getGroupPath(rowIndex)}
+        rowGroupHeader={(props) => (
+          <Plugins.RowGroupHeaderCell
+            {...props}
+            groupData={groupData}
+            aggregateFormatter={(value, columnKey, name) =>
+              `${name} ${columnKey}: ${Math.round(value)}`
+            }
+          />
+        )}
+        onRowToggle={(rowIndex) => groupData.toggle(rowIndex)}
+        headerHeight={40}
+        width={1000}
+        height={500}
+        {...this.props}
+      >
+        <Column
+          columnKey="product"
+          header={<DataCell>Product</DataCell>}
+          cell={this.renderCell('product')}
+          fixed={true}
+          width={200}
+        />
+        <Column
+          columnKey="region"
+          header={<DataCell>Region</DataCell>}
+          cell={this.renderCell('region')}
+          width={200}
+        />
+        <Column
+          columnKey="country"
+          header={<DataCell>Country</DataCell>}
+          cell={this.renderCell('country')}
+          width={200}
+        />
+        <Column
+          columnKey="quantity"
+          header={<DataCell>Quantity</DataCell>}
+          cell={this.renderCell('quantity')}
+          width={150}
+        />
+        <Column
+          columnKey="amount"
+          header={<DataCell>Amount ($)</DataCell>}
+          cell={this.renderCell('amount')}
+          flexGrow={1}
+          width={150}
+        />
+      </Table>
+    );
+  }
+}
+
+export default RowGroupingExample;
@@ -26,6 +26,20 @@ class ScrollToRowExample extends React.Component {
     this._rowClassNameGetter = this._rowClassNameGetter.bind(this);
     this._prevSearch = this._prevSearch.bind(this);
     this._nextSearch = this._nextSearch.bind(this);
+    this._tableRef = React.createRef();
+  }
+
+  componentDidUpdate(prevProps, prevState) {
+    const { currentIndex, matchedRows } = this.state;
+    const rowIndex = matchedRows[currentIndex];
+    if (
+      rowIndex !== undefined &&
+      rowIndex !== prevState.matchedRows[prevState.currentIndex]
+    ) {
+      this._tableRef.current
+        .getApi()
+        .scrollToRow(rowIndex, { align: 'center', behavior: 'smooth' });
+    }
   }
 
   _onFilterChange(e) {
@@ -101,10 +115,10 @@ class ScrollToRowExample extends React.Component {
         <br />
         {search}
         <Table
+          ref={this._tableRef}
           rowHeight={50}
           rowsCount={filteredDataList.getSize()}
           rowClassNameGetter={this._rowClassNameGetter}
-          scrollToRow={matchedRows[currentIndex]}
           rowClass
           headerHeight={50}
           width={1000}
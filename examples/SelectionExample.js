@@ -0,0 +1,93 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+
+'use strict';
+
+import FakeObjectDataListStore from './helpers/FakeObjectDataListStore';
+import { TextCell } from './helpers/cells';
+import { Table, Column, DataCell } from 'fixed-data-table-2';
+import React from 'react';
+
+class SelectionExample extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      dataList: new FakeObjectDataListStore(1000000),
+      selection: [],
+      selectionMode: 'multiple',
+    };
+  }
+
+  onSelectionChange = (selection) => {
+    this.setState({ selection });
+  };
+
+  onSelectionModeChange = (event) => {
+    this.setState({
+      selection: [],
+      selectionMode: event.target.value,
+    });
+  };
+
+  render() {
+    const { dataList, selection, selectionMode } = this.state;
+
+    return (
+      <div>
+        <label>
+          Selection mode:{' '}
+          <select value={selectionMode} onChange={this.onSelectionModeChange}>
+            <option value="single">Single row</option>
+            <option value="multiple">Multiple rows</option>
+            <option value="cell">Cell ranges</option>
+          </select>
+        </label>
+        <p>
+          Use Ctrl/Cmd + click to toggle, Shift + click or Shift + arrow keys to
+          select ranges, and Ctrl/Cmd + A to select everything.
+        </p>
+        <Table
+          rowHeight={50}
+          headerHeight={50}
+          rowsCount={dataList.getSize()}
+          selectionMode={selectionMode}
+          selection={selection}
+          onSelectionChange={this.onSelectionChange}
+          {...this.props}
+          height={this.props.height - 70}
+        >
+          <Column
+            columnKey="firstName"
+            header={<DataCell>First Name</DataCell>}
+            cell={<TextCell data={dataList} />}
+            fixed={true}
+            width={150}
+          />
+          <Column
+            columnKey="lastName"
+            header={<DataCell>Last Name</DataCell>}
+            cell={<TextCell data={dataList} />}
+            width={150}
+          />
+          <Column
+            columnKey="city"
+            header={<DataCell>City</DataCell>}
+            cell={<TextCell data={dataList} />}
+            width={200}
+          />
+          <Column
+            columnKey="companyName"
+            header={<DataCell>Company Name</DataCell>}
+            cell={<TextCell data={dataList} />}
+            width={250}
+          />
+        </Table>
+        <pre>{JSON.stringify(selection)}</pre>
+      </div>
+    );
+  }
+}
+
+export default SelectionExample;
@@ -9,47 +9,6 @@ import { TextCell } from './helpers/cells';
 import { Table, Column, DataCell } from 'fixed-data-table-2';
 import React from 'react';
 
-const SortTypes = {
-  ASC: 'ASC',
-  DESC: 'DESC',
-};
-
-function reverseSortDirection(sortDir) {
-  return sortDir === SortTypes.DESC ? SortTypes.ASC : SortTypes.DESC;
-}
-
-class SortHeaderCell extends React.Component {
-  constructor(props) {
-    super(props);
-
-    this._onSortChange = this._onSortChange.bind(this);
-  }
-
-  render() {
-    const { onSortChange, sortDir, children, ...props } = this.props;
-    return (
-      <DataCell {...props}>
-        <a onClick={this._onSortChange}>
-          {children} {sortDir ? (sortDir === SortTypes.DESC ? '↓' : '↑') : ''}
-        </a>
-      </DataCell>
-    );
-  }
-
-  _onSortChange(e) {
-    e.preventDefault();
-
-    if (this.props.onSortChange) {
-      this.props.onSortChange(
-        this.props.columnKey,
-        this.props.sortDir
-          ? reverseSortDirection(this.props.sortDir)
-          : SortTypes.DESC
-      );
-    }
-  }
-}
-
 class DataListWrapper {
   constructor(indexMap, data) {
     this._indexMap = indexMap;
@@ -79,41 +38,41 @@ class SortExample extends React.Component {
 
     this.state = {
       sortedDataList: this._dataList,
-      colSortDirs: {},
+      sortState: [],
     };
 
     this._onSortChange = this._onSortChange.bind(this);
   }
 
-  _onSortChange(columnKey, sortDir) {
+  // sortState lists the sorted columns by priority (Shift + click a header to sort by several columns)
+  _onSortChange(sortState) {
     const sortIndexes = this._defaultSortIndexes.slice();
     sortIndexes.sort((indexA, indexB) => {
-      const valueA = this._dataList.getObjectAt(indexA)[columnKey];
-      const valueB = this._dataList.getObjectAt(indexB)[columnKey];
-      let sortVal = 0;
-      if (valueA > valueB) {
-        sortVal = 1;
-      }
-      if (valueA < valueB) {
-        sortVal = -1;
+      const rowA = this._dataList.getObjectAt(indexA);
+      const rowB = this._dataList.getObjectAt(indexB);
+      for (const { columnKey, direction } of sortState) {
+        let sortVal = 0;
+        if (rowA[columnKey] > rowB[columnKey]) {
+          sortVal = 1;
+        }
+        if (rowA[columnKey] < rowB[columnKey]) {
+          sortVal = -1;
+        }
+        if (sortVal !== 0) {
+          return direction === 'DESC' ? -sortVal : sortVal;
+        }
       }
-      if (sortVal !== 0 && sortDir === SortTypes.DESC) {
-        sortVal = sortVal * -1;
-      }
-
-      return sortVal;
+      return indexA - indexB;
     });
 
     this.setState({
       sortedDataList: new DataListWrapper(sortIndexes, this._dataList),
-      colSortDirs: {
-        [columnKey]: sortDir,
-      },
+      sortState,
     });
   }
 
   render() {
-    const { sortedDataList, colSortDirs } = this.state;
+    const { sortedDataList, sortState } = this.state;
     return (
       <Table
         rowHeight={50}
@@ -121,71 +80,43 @@ class SortExample extends React.Component {
         headerHeight={50}
         width={1000}
         height={500}
+        sortState={sortState}
+        onSortChange={this._onSortChange}
         {...this.props}
       >
         <Column
           columnKey="id"
-          header={
-            <SortHeaderCell
-              onSortChange={this._onSortChange}
-              sortDir={colSortDirs.id}
-            >
-              id
-            </SortHeaderCell>
-          }
+          header={<DataCell>id</DataCell>}
           cell={<TextCell data={sortedDataList} />}
+          sortable={true}
           width={100}
         />
         <Column
           columnKey="firstName"
-          header={
-            <SortHeaderCell
-              onSortChange={this._onSortChange}
-              sortDir={colSortDirs.firstName}
-            >
-              First Name
-            </SortHeaderCell>
-          }
+          header={<DataCell>First Name</DataCell>}
           cell={<TextCell data={sortedDataList} />}
+          sortable={true}
           width={200}
         />
         <Column
           columnKey="lastName"
-          header={
-            <SortHeaderCell
-              onSortChange={this._onSortChange}
-              sortDir={colSortDirs.lastName}
-            >
-              Last Name
-            </SortHeaderCell>
-          }
+          header={<DataCell>Last Name</DataCell>}
           cell={<TextCell data={sortedDataList} />}
+          sortable={true}
           width={200}
         />
         <Column
           columnKey="city"
-          header={
-            <SortHeaderCell
-              onSortChange={this._onSortChange}
-              sortDir={colSortDirs.city}
-            >
-              City
-            </SortHeaderCell>
-          }
+          header={<DataCell>City</DataCell>}
           cell={<TextCell data={sortedDataList} />}
+          sortable={true}
           width={200}
         />
         <Column
           columnKey="companyName"
-          header={
-            <SortHeaderCell
-              onSortChange={this._onSortChange}
-              sortDir={colSortDirs.companyName}
-            >
-              Company Name
-            </SortHeaderCell>
-          }
+          header={<DataCell>Company Name</DataCell>}
           cell={<TextCell data={sortedDataList} />}
+          sortable={true}
           width={200}
         />
       </Table>
@@ -5,11 +5,20 @@
 'use strict';
 
 import FakeObjectDataListStore from './helpers/FakeObjectDataListStore';
-import { ImageCell, TooltipCell } from './helpers/cells';
+import { ImageCell, TextCell } from './helpers/cells';
 import { Table, Column, DataCell } from 'fixed-data-table-2';
 import React from 'react';
-import ReactTooltip from 'react-tooltip';
-import { findDOMNode } from 'react-dom';
+
+const tooltipStyle = {
+  position: 'fixed',
+  padding: '4px 8px',
+  background: '#222',
+  color: '#fff',
+  borderRadius: 3,
+  pointerEvents: 'none',
+  transform: 'translateY(-100%)',
+  zIndex: 10,
+};
 
 class TooltipExample extends React.Component {
   constructor(props) {
@@ -17,17 +26,62 @@ class TooltipExample extends React.Component {
 
     this.state = {
       dataList: new FakeObjectDataListStore(1000000),
+      tooltip: null,
     };
+
+    this._tableRef = React.createRef();
+    this._onMouseMove = this._onMouseMove.bind(this);
+    this._onMouseLeave = this._onMouseLeave.bind(this);
+  }
+
+  _onMouseMove(e) {
+    const cell = this._tableRef.current
+      .getApi()
+      .getCellAtPoint(e.clientX, e.clientY);
+    if (!cell || cell.rowIndex === null || cell.columnKey === 'avatar') {
+      this._onMouseLeave();
+      return;
+    }
+    if (this._isShowingCell(cell)) {
+      return;
+    }
+
+    this.setState({
+      tooltip: {
+        rowIndex: cell.rowIndex,
+        columnKey: cell.columnKey,
+        text: this.state.dataList.getObjectAt(cell.rowIndex)[cell.columnKey],
+        top: cell.rect.clientTop,
+        left: cell.rect.clientLeft,
+      },
+    });
+  }
+
+  _onMouseLeave() {
+    if (this.state.tooltip) {
+      this.setState({ tooltip: null });
+    }
+  }
+
+  _isShowingCell(cell) {
+    const { tooltip } = this.state;
+    return (
+      tooltip !== null &&
+      tooltip.rowIndex === cell.rowIndex &&
+      tooltip.columnKey === cell.columnKey
+    );
   }
 
   render() {
-    const { dataList } = this.state;
+    const { dataList, tooltip } = this.state;
     return (
-      <div>
+      <div onMouseMove={this._onMouseMove} onMouseLeave={this._onMouseLeave}>
         <Table
+          ref={this._tableRef}
           rowHeight={50}
           headerHeight={50}
           rowsCount={dataList.getSize()}
+          onVerticalScroll={this._onMouseLeave}
           width={1000}
           height={500}
           {...this.props}
@@ -41,24 +95,30 @@ class TooltipExample extends React.Component {
           <Column
             columnKey="firstName"
             header={<DataCell>First Name</DataCell>}
-            cell={<TooltipCell data={dataList} />}
+            cell={<TextCell data={dataList} />}
             fixed={true}
             width={150}
           />
           <Column
             columnKey="lastName"
             header={<DataCell>Last Name</DataCell>}
-            cell={<TooltipCell data={dataList} />}
+            cell={<TextCell data={dataList} />}
             width={150}
           />
           <Column
             columnKey="companyName"
             header={<DataCell>Company</DataCell>}
-            cell={<TooltipCell data={dataList} />}
+            cell={<TextCell data={dataList} />}
             width={200}
           />
         </Table>
-        <ReactTooltip />
+        {tooltip && (
+          <div
+            style={{ ...tooltipStyle, top: tooltip.top, left: tooltip.left }}
+          >
+            {tooltip.text}
+          </div>
+        )}
       </div>
     );
   }
@@ -0,0 +1,129 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+
+'use strict';
+
+import { Table, Column, DataCell, Plugins } from 'fixed-data-table-2';
+import React from 'react';
+
+const FOLDERS_PER_FOLDER = 5;
+const FILES_PER_FOLDER = 200;
+const MAX_DEPTH = 4;
+
+function makeFolder(path, depth) {
+  return { path, name: path.split('/').pop(), depth, isFolder: true };
+}
+
+function makeChildren(folder) {
+  const children = [];
+  if (folder.depth < MAX_DEPTH) {
+    for (let i = 0; i < FOLDERS_PER_FOLDER; i++) {
+      children.push(makeFolder(`${folder.path}/folder ${i}`, folder.depth + 1));
+    }
+  }
+  for (let i = 0; i < FILES_PER_FOLDER; i++) {
+    children.push({
+      path: `${folder.path}/file ${i}.txt`,
+      name: `file ${i}.txt`,
+      size: ((i * 7919) % 10000) + 1,
+    });
+  }
+  return children;
+}
+
+// deeper folders are fetched lazily, as if from a server
+function loadChildren(folder) {
+  if (folder.depth < 2) {
+    return makeChildren(folder);
+  }
+  return new Promise((resolve) =>
+    setTimeout(() => resolve(makeChildren(folder)), 500)
+  );
+}
+
+class TreeExample extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.treeData = new Plugins.TreeDataAdapter({
+      roots: [makeFolder('root', 0)],
+      getChildren: (node) => (node.isFolder ? loadChildren(node) : null),
+      hasChildren: (node) => !!node.isFolder,
+      getKey: (node) => node.path,
+    });
+    this.tableRef = React.createRef();
+
+    this.state = {
+      rowsCount: this.treeData.getSize(),
+    };
+  }
+
+  componentDidMount() {
+    this.unsubscribe = this.treeData.subscribe(
+      ({ startIndex, removeCount, insertCount }) => {
+        // only the rows of the subtree get their heights initialized
+        this.tableRef.current
+          .getApi()
+          .spliceRows(startIndex, removeCount, insertCount);
+        this.setState({ rowsCount: this.treeData.getSize() });
+      }
+    );
+  }
+
+  componentWillUnmount() {
+    this.unsubscribe();
+  }
+
+  render() {
+    const { treeData } = this;
+
+    return (
+      <Table
+        ref={this.tableRef}
+        rowHeight={30}
+        rowsCount={this.state.rowsCount}
+        onRowToggle={(rowIndex) => treeData.toggle(rowIndex)}
+        headerHeight={40}
+        width={1000}
+        height={500}
+        {...this.props}
+      >
+        <Column
+          columnKey="name"
+          header={<DataCell>Name</DataCell>}
+          cell={({ rowIndex, ...props }) => (
+            <Plugins.TreeCell
+              {...props}
+              rowIndex={rowIndex}
+              treeData={treeData}
+            >
+              {treeData.getNode(rowIndex).name}
+            </Plugins.TreeCell>
+          )}
+          fixed={true}
+          width={400}
+        />
+        <Column
+          columnKey="size"
+          header={<DataCell>Size (bytes)</DataCell>}
+          cell={({ rowIndex, ...props }) => (
+            <DataCell {...props}>{treeData.getNode(rowIndex).size}</DataCell>
+          )}
+          width={150}
+        />
+        <Column
+          columnKey="path"
+          header={<DataCell>Path</DataCell>}
+          cell={({ rowIndex, ...props }) => (
+            <DataCell {...props}>{treeData.getNode(rowIndex).path}</DataCell>
+          )}
+          flexGrow={1}
+          width={300}
+        />
+      </Table>
+    );
+  }
+}
+
+export default TreeExample;
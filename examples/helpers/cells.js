@@ -7,7 +7,6 @@
 import ExampleImage from './ExampleImage';
 import { DataCell } from 'fixed-data-table-2';
 import React from 'react';
-import ReactTooltip from 'react-tooltip';
 
 class CollapseCell extends React.PureComponent {
   render() {
@@ -119,25 +118,6 @@ class TextCell extends React.PureComponent {
   }
 }
 
-class TooltipCell extends React.PureComponent {
-  render() {
-    const { data, rowIndex, columnKey, ...props } = this.props;
-    const value = data.getObjectAt(rowIndex)[columnKey];
-    return (
-      <DataCell
-        {...props}
-        onMouseEnter={() => {
-          ReactTooltip.show();
-        }}
-        onMouseLeave={() => {
-          ReactTooltip.hide();
-        }}
-      >
-        <div data-tip={value}>{value}</div>
-      </DataCell>
-    );
-  }
-}
 export {
   CollapseCell,
   ColoredTextCell,
@@ -147,5 +127,4 @@ export {
   PagedCell,
   RemovableHeaderCell,
   TextCell,
-  TooltipCell,
 };
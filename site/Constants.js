@@ -64,6 +64,13 @@ exports.ExamplePages = {
     title: 'Dynamic Row Heights',
     description: 'A table example where each row has a different height.',
   },
+  AUTO_ROW_HEIGHT_EXAMPLE: {
+    location: 'auto-row-height.html',
+    fileName: 'AutoRowHeightExample.js',
+    title: 'Auto Row Height',
+    description:
+      'A table example where rows measure their wrapping text, and size themselves to fit it. Changing the width of the notes re-measures the rows.',
+  },
   FIXED_RIGHT_COLUMNS_EXAMPLE: {
     location: 'fixed-right-columns.html',
     fileName: 'FixedRightColumnsExample.js',
@@ -83,14 +90,14 @@ exports.ExamplePages = {
     fileName: 'ResizeExample.js',
     title: 'Resizable columns',
     description:
-      'Table with drag and drop column resizing and a dummy "store" for persistence. The Last Name column demonstrates the ability to constrain to both a min- and max-width.',
+      'Table with drag and drop column resizing, where the table keeps the column widths by itself through uncontrolledColumnLayout. The Last Name column demonstrates the ability to constrain to both a min- and max-width. Double clicking a resize handle fits the column to its content.',
   },
   REORDER_EXAMPLE: {
     location: 'example-reorder.html',
     fileName: 'ReorderExample.js',
     title: 'Reorderable columns',
     description:
-      'Table with drag and drop column reordering and a dummy "store" for persistence.',
+      'Table with drag and drop column reordering and a dummy "store" for persistence. Columns can be dragged across the fixed columns to pin or unpin them.',
   },
   COLUMN_GROUPS_RESIZE_REORDER_EXAMPLE: {
     location: 'example-column-groups-resize-reorder.html',
@@ -104,7 +111,7 @@ exports.ExamplePages = {
     fileName: 'ScrollToRowExample.js',
     title: 'Jump to row',
     description:
-      'A table example that will list search matches and jump to specified row',
+      'A table example that will list search matches and smoothly scroll to them through the table API',
   },
   SCROLL_TO_COLUMN_EXAMPLE: {
     location: 'example-scroll-to-column.html',
@@ -126,11 +133,26 @@ exports.ExamplePages = {
     description:
       'A table example that will let the user expand individual rows',
   },
+  TREE_EXAMPLE: {
+    location: 'example-tree.html',
+    fileName: 'TreeExample.js',
+    title: 'Tree rows',
+    description:
+      'A table example with hierarchical rows which can be expanded and collapsed, loading children lazily.',
+  },
+  ROW_GROUPING_EXAMPLE: {
+    location: 'example-row-grouping.html',
+    fileName: 'RowGroupingExample.js',
+    title: 'Row grouping',
+    description:
+      'A table example with rows grouped by column values, showing sticky and collapsible group headers with aggregates.',
+  },
   HIDE_COLUMN_EXAMPLE: {
     location: 'example-collapse.html',
     fileName: 'HideColumnExample.js',
     title: 'Hide Columns',
-    description: 'A table example that is able to hide/show columns',
+    description:
+      'A table example that hides, shows and reorders columns through a searchable column chooser.',
   },
   COLUMN_GROUPS_EXAMPLE: {
     location: 'example-column-groups.html',
@@ -138,6 +160,13 @@ exports.ExamplePages = {
     title: 'Column Groups',
     description: 'Table with column groupings.',
   },
+  NESTED_COLUMN_GROUPS_EXAMPLE: {
+    location: 'example-nested-column-groups.html',
+    fileName: 'NestedColumnGroupsExample.js',
+    title: 'Nested Column Groups',
+    description:
+      'Table with column groups nested into several tiers of headers.',
+  },
   PAGINATION_EXAMPLE: {
     location: 'example-pagination.html',
     fileName: 'PaginationExample.js',
@@ -150,20 +179,28 @@ exports.ExamplePages = {
     fileName: 'InfiniteScrollExample.js',
     title: 'Infinite Scroll',
     description:
-      'A table example where we add more data as the user scrolls near the end of the table, thus simulating an Infinite Scroll.',
+      'A table example where rows get loaded from a simulated server as the user scrolls, showing placeholders while they load. Requests for rows the user scrolled past get aborted. With sparse row heights, the table only keeps track of the rows it rendered, out of 10 million rows.',
   },
   FILTER_EXAMPLE: {
     location: 'example-filter.html',
     fileName: 'FilterExample.js',
     title: 'Client-side Filter',
     description:
-      'A table example that is filterable by column. In this example, by first name.',
+      'A table example with a filter row, which filters the rows by text, value, numeric range or date range. FilteredDataAdapter maps the filtered rows to the data.',
+  },
+  DATA_SOURCE_EXAMPLE: {
+    location: 'example-data-source.html',
+    fileName: 'DataSourceExample.js',
+    title: 'Data source',
+    description:
+      'A table example with rows coming from a data source, which updates the table by itself as quotes change. A sorted view of the data source remaps the rows.',
   },
   SORT_EXAMPLE: {
     location: 'example-sort.html',
     fileName: 'SortExample.js',
     title: 'Client-side Sort',
-    description: 'A table example that is sortable by column.',
+    description:
+      'A table example that is sortable by column. Shift + click the headers to sort by several columns.',
   },
   RESPONSIVE_EXAMPLE: {
     location: 'example-responsive.html',
@@ -182,7 +219,7 @@ exports.ExamplePages = {
     fileName: 'TooltipExample.js',
     title: 'Tooltips',
     description:
-      'A table example that displays additional information in a tooltip.',
+      'A table example that displays additional information in a tooltip, positioned by hit testing the cells through the table API.',
   },
   FOOTER_EXAMPLE: {
     location: 'example-footer.html',
@@ -222,7 +259,36 @@ exports.ExamplePages = {
     location: 'example-fixed-rows.html',
     fileName: 'FixedRowsExample.js',
     title: 'Fixed Rows',
-    description: 'An example using multiple tables to mimic fixed rows.',
+    description:
+      'An example with rows pinned to the top and bottom of the table.',
+  },
+  SELECTION_EXAMPLE: {
+    location: 'example-selection.html',
+    fileName: 'SelectionExample.js',
+    title: 'Selection',
+    description:
+      'An example with a controlled selection of rows or cell ranges.',
+  },
+  ACTIVE_CELL_EXAMPLE: {
+    location: 'example-active-cell.html',
+    fileName: 'ActiveCellExample.js',
+    title: 'Keyboard Navigation',
+    description:
+      'An example with spreadsheet-like keyboard navigation through an active cell.',
+  },
+  EDITABLE_EXAMPLE: {
+    location: 'example-editable.html',
+    fileName: 'EditableExample.js',
+    title: 'Inline Editing',
+    description:
+      'An example with cells edited in place, and copied or pasted through the clipboard.',
+  },
+  CELL_SPAN_EXAMPLE: {
+    location: 'example-cell-span.html',
+    fileName: 'CellSpanExample.js',
+    title: 'Merged Cells',
+    description:
+      'An example of a report with cells spanning multiple rows and columns.',
   },
   AUTO_SCROLL_EXAMPLE: {
     location: 'example-auto-scroll.html',
@@ -30,6 +30,8 @@ const EXAMPLE_COMPONENTS = {
     .location]: require('../../examples/ObjectDataExample'),
   [ExamplePages.DYNAMIC_ROW_HEIGHTS_EXAMPLE
     .location]: require('../../examples/DynamicRowHeightExample'),
+  [ExamplePages.AUTO_ROW_HEIGHT_EXAMPLE
+    .location]: require('../../examples/AutoRowHeightExample'),
   [ExamplePages.RESIZE_EXAMPLE
     .location]: require('../../examples/ResizeExample'),
   [ExamplePages.REORDER_EXAMPLE
@@ -46,16 +48,23 @@ const EXAMPLE_COMPONENTS = {
     .location]: require('../../examples/TouchScrollExample'),
   [ExamplePages.EXPANDED_EXAMPLE
     .location]: require('../../examples/ExpandedExample'),
+  [ExamplePages.TREE_EXAMPLE.location]: require('../../examples/TreeExample'),
+  [ExamplePages.ROW_GROUPING_EXAMPLE
+    .location]: require('../../examples/RowGroupingExample'),
   [ExamplePages.FLEXGROW_EXAMPLE
     .location]: require('../../examples/FlexGrowExample'),
   [ExamplePages.COLUMN_GROUPS_EXAMPLE
     .location]: require('../../examples/ColumnGroupsExample'),
+  [ExamplePages.NESTED_COLUMN_GROUPS_EXAMPLE
+    .location]: require('../../examples/NestedColumnGroupsExample'),
   [ExamplePages.PAGINATION_EXAMPLE
     .location]: require('../../examples/PaginationExample'),
   [ExamplePages.INFINITE_SCROLL_EXAMPLE
     .location]: require('../../examples/InfiniteScrollExample'),
   [ExamplePages.FILTER_EXAMPLE
     .location]: require('../../examples/FilterExample'),
+  [ExamplePages.DATA_SOURCE_EXAMPLE
+    .location]: require('../../examples/DataSourceExample'),
   [ExamplePages.SORT_EXAMPLE.location]: require('../../examples/SortExample'),
   [ExamplePages.RESPONSIVE_EXAMPLE
     .location]: require('../../examples/ResponsiveExample'),
@@ -77,6 +86,14 @@ const EXAMPLE_COMPONENTS = {
     .location]: require('../../examples/FixedRightColumnsExample'),
   [ExamplePages.FIXED_ROWS_EXAMPLE
     .location]: require('../../examples/FixedRowsExample'),
+  [ExamplePages.SELECTION_EXAMPLE
+    .location]: require('../../examples/SelectionExample'),
+  [ExamplePages.ACTIVE_CELL_EXAMPLE
+    .location]: require('../../examples/ActiveCellExample'),
+  [ExamplePages.EDITABLE_EXAMPLE
+    .location]: require('../../examples/EditableExample'),
+  [ExamplePages.CELL_SPAN_EXAMPLE
+    .location]: require('../../examples/CellSpanExample'),
   [ExamplePages.AUTO_SCROLL_EXAMPLE
     .location]: require('../../examples/AutoScrollExample'),
 };
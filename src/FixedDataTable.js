@@ -16,6 +16,7 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import isNaN from 'lodash/isNaN';
+import uniqueId from 'lodash/uniqueId';
 
 import cx from './vendor_upstream/stubs/cx';
 import debounceCore from './vendor_upstream/core/debounceCore';
@@ -26,13 +27,26 @@ import ReactWheelHandler from './vendor_upstream/dom/ReactWheelHandler';
 import ariaAttributesSelector from './selectors/ariaAttributes';
 import columnTemplatesSelector from './selectors/columnTemplates';
 import scrollbarsVisible from './selectors/scrollbarsVisible';
+import stickyRowGroupHeadersSelector from './selectors/stickyRowGroupHeaders';
 import tableHeightsSelector from './selectors/tableHeights';
 import FixedDataTableBufferedRows from './FixedDataTableBufferedRows';
 import FixedDataTableRow from './FixedDataTableRow';
 import ReactTouchHandler from './ReactTouchHandler';
+import { SelectionMode } from './enums/SelectionMode';
 
 const ARROW_SCROLL_SPEED = 25;
 
+/**
+ * @param {!Element} element
+ * @return {boolean} whether the element takes text input, in which case it handles the keys itself
+ */
+function isEditableElement(element) {
+  return (
+    ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName) ||
+    element.closest('[contenteditable]:not([contenteditable="false"])') !== null
+  );
+}
+
 /**
  * Data grid component with fixed or scrollable header and columns.
  *
@@ -143,6 +157,73 @@ class FixedDataTable extends React.Component {
     keyboardScrollEnabled: PropTypes.bool,
     keyboardPageEnabled: PropTypes.bool,
 
+    /**
+     * Enables spreadsheet-like keyboard navigation through an active cell.
+     *
+     * When the table has focus, the arrow keys, Home/End, Ctrl/Cmd + Home/End,
+     * Tab/Shift + Tab and PageUp/PageDown move the active cell instead of scrolling.
+     * Clicking on a cell also makes it active.
+     * The table scrolls as needed so that the active cell is always visible.
+     *
+     * The active cell is exposed to screen readers through `aria-activedescendant`,
+     * and cell renderers receive an `isActive` prop.
+     */
+    activeCellEnabled: PropTypes.bool,
+
+    /**
+     * Callback that is called when the active cell changes.
+     *
+     * ```
+     * function(activeCell: {
+     *   rowIndex: number,
+     *   columnIndex: number,
+     * })
+     * ```
+     */
+    onActiveCellChange: PropTypes.func,
+
+    /**
+     * Callback that is called when the edit of a cell is committed.
+     * Cells of columns with an `editor` (see <FixedDataTableColumn />) are edited
+     * on double click, or by pressing Enter, F2 or a printable key on the active cell.
+     *
+     * The edit is committed with Enter, Tab/Shift + Tab (which also move the editor to the
+     * next/previous editable cell) or when the editor loses focus, and is cancelled with Escape.
+     *
+     * ```
+     * function(edit: {
+     *   rowIndex: number,
+     *   columnIndex: number,
+     *   columnKey: string|number,
+     *   value: any,
+     * })
+     * ```
+     */
+    onCellEditCommit: PropTypes.func,
+
+    /**
+     * Callback that is called when tab-separated text (e.g. cells copied from a spreadsheet)
+     * is pasted with Ctrl/Cmd + V while the table has focus.
+     *
+     * The text is pasted at the active cell, or else at the start of the selection.
+     * It's up to the callback to update the data of the table.
+     *
+     * ```
+     * function(paste: {
+     *   startRow: number,
+     *   startColumnKey: string|number,
+     *   rows: Array<Array<string>>,
+     * })
+     * ```
+     *
+     * Copying with Ctrl/Cmd + C is always enabled, and puts the selected cells
+     * (or the rows in the viewport if nothing is selected) on the clipboard
+     * as tab-separated text and HTML table markup.
+     * Only columns with a `valueGetter` or `formatter` are copied (see <FixedDataTableColumn />).
+     * At most 10000 rows are copied, and only the loaded ones when rows are loaded through `loadMoreRows`.
+     */
+    onPaste: PropTypes.func,
+
     /**
      * Scrollbar X to be rendered
      */
@@ -193,8 +274,72 @@ class FixedDataTable extends React.Component {
     // TODO (jordan) Remove propType of rowsCount without losing documentation (moved to rowSettings)
     /**
      * Number of rows in the table.
+     * Required, unless the rows come from a `dataSource`.
+     */
+    rowsCount: PropTypes.number,
+
+    /**
+     * The rows of the table, as an alternative to `rowsCount`.
+     *
+     * ```
+     * dataSource: {
+     *   getRowCount: function(): number,
+     *   getRow: function(rowIndex: number): any,
+     *   getRowKey?: function(rowIndex: number): any, // used unless `rowKeyGetter` is specified
+     *   subscribe: function(listener: function(splice?: {
+     *     startIndex: number,
+     *     removeCount: number,
+     *     insertCount: number,
+     *   })): function(), // returns a function which unsubscribes the listener
+     * }
+     * ```
+     *
+     * The body cells receive the object of their row through the `row` prop.
+     * The table listens to the changes published by the data source, and updates itself
+     * without its parent having to render it again.
+     * A change can come with the rows it inserted or removed, so that the heights of the other rows are kept.
+     *
+     * See `Plugins.ArrayDataSource` for data sources backed by an array,
+     * and `Plugins.DataSourceView` to sort or filter the rows of another data source.
+     */
+    dataSource: PropTypes.shape({
+      getRowCount: PropTypes.func.isRequired,
+      getRow: PropTypes.func.isRequired,
+      getRowKey: PropTypes.func,
+      subscribe: PropTypes.func.isRequired,
+    }),
+
+    /**
+     * Loads rows on demand, e.g, from a server.
+     * The table requests the rows it renders (see `loadMoreRowsThreshold`) which aren't loaded yet,
+     * and renders placeholder cells for them until the returned promise resolves.
+     *
+     * ```
+     * function({
+     *   startIndex: number,
+     *   stopIndex: number, // (inclusive)
+     *   signal: AbortSignal, // (aborted once the user scrolled past the rows)
+     * }): Promise
+     * ```
+     *
+     * Rows which failed to load, i.e, whose promise rejected, get requested again once the rendered rows change.
+     * Loaded rows move along with the rows spliced through the `spliceRows` API or the `dataSource`,
+     * while the requests of rows moved or removed by a splice get aborted and made again.
+     * Call the `resetLoadedRows` API to load the rows again, e.g, when their data changed.
      */
-    rowsCount: PropTypes.number.isRequired,
+    loadMoreRows: PropTypes.func,
+
+    /**
+     * Number of rows around the rendered rows to load ahead of time through `loadMoreRows`.
+     * Defaults to 10.
+     */
+    loadMoreRowsThreshold: PropTypes.number,
+
+    /**
+     * Rows get requested through `loadMoreRows` in batches of this size, aligned on multiples of it.
+     * Defaults to 50.
+     */
+    loadMoreRowsBatchSize: PropTypes.number,
 
     // TODO (jordan) Remove propType of rowHeight without losing documentation (moved to rowSettings)
     /**
@@ -224,6 +369,21 @@ class FixedDataTable extends React.Component {
      */
     subRowHeightGetter: PropTypes.func,
 
+    /**
+     * Number of rows, starting from the first one, which are pinned to the top of the body.
+     * Fixed rows stay put while the body scrolls vertically, but they still scroll
+     * horizontally along with the rest of the rows.
+     */
+    fixedRowsCount: PropTypes.number,
+
+    /**
+     * Number of rows, counting back from the last one, which are pinned to the bottom of the body,
+     * right above the footer.
+     * Fixed rows stay put while the body scrolls vertically, but they still scroll
+     * horizontally along with the rest of the rows.
+     */
+    fixedBottomRowsCount: PropTypes.number,
+
     /**
      * The row expanded for table row.
      * This can either be a React element, or a function that generates
@@ -246,6 +406,54 @@ class FixedDataTable extends React.Component {
      */
     rowExpanded: PropTypes.oneOfType([PropTypes.element, PropTypes.func]),
 
+    /**
+     * Callback when the expand/collapse toggle of a tree row is used
+     * (see `Plugins.TreeCell` and `Plugins.TreeDataAdapter`).
+     *
+     * ```
+     * function(rowIndex: number)
+     * ```
+     *
+     * Expanding or collapsing a tree row inserts or removes the rows of its subtree.
+     * Let the table know through the `spliceRows` API before rendering it with the new `rowsCount`,
+     * so that the heights of the other rows don't get reinitialized.
+     */
+    onRowToggle: PropTypes.func,
+
+    /**
+     * Groups the rows of the table, to render group header rows
+     * (see `Plugins.RowGroupingAdapter`).
+     * `rowGroupPathGetter(rowIndex)` is called for the rendered rows, and returns the indexes of the
+     * group header rows enclosing the row, starting from the outermost group.
+     * Group header rows list themselves last.
+     *
+     * ```
+     * function(rowIndex: number): ?Array<number>
+     * ```
+     *
+     * The group header rows of the groups being scrolled stick to the top of the body,
+     * until the last rows of their group scroll past them.
+     */
+    rowGroupPathGetter: PropTypes.func,
+
+    /**
+     * Renders the group header rows (see `rowGroupPathGetter`), which span all the columns.
+     * This can either be a React element, or a function that generates
+     * a React Element. The React element receives the following props:
+     *
+     * ```
+     * props: {
+     *   rowIndex: number // (the index of the group header row)
+     *   depth: number // (the depth of the group, from 0 for the outermost groups)
+     *   height: number // (supplied from rowHeight or rowHeightGetter)
+     *   width: number // (supplied from the Table)
+     * }
+     * ```
+     *
+     * See `Plugins.RowGroupHeaderCell` for a default rendering, with the aggregates of the group.
+     */
+    rowGroupHeader: PropTypes.oneOfType([PropTypes.element, PropTypes.func]),
+
     /**
      * To get any additional CSS classes that should be added to a row,
      * `rowClassNameGetter(index)` is called.
@@ -258,12 +466,55 @@ class FixedDataTable extends React.Component {
      */
     rowKeyGetter: PropTypes.func,
 
+    /**
+     * Merges body cells across rows and columns.
+     * `cellSpanGetter(rowIndex, columnKey)` is called for the first (top left) cell
+     * of each merged cell, and returns how many rows and columns it spans:
+     *
+     * ```
+     * function(rowIndex: number, columnKey: string): ?{
+     *   rowSpan?: number, // defaults to 1
+     *   colSpan?: number, // defaults to 1
+     * }
+     * ```
+     *
+     * Cells covered by a merged cell are hidden, and the merged cell is rendered
+     * with the `rowIndex` of its first row.
+     * Merged cells don't span across fixed, scrollable and fixedRight columns, and are
+     * clipped at the last column of their group instead.
+     * Merged cells stay visible while their first row is scrolled out of view.
+     */
+    cellSpanGetter: PropTypes.func,
+
+    /**
+     * The largest `rowSpan` returned by `cellSpanGetter`. Larger row spans are clipped.
+     * Merged cells are looked up this many rows above the rendered rows,
+     * so keep this as small as possible.
+     */
+    maxRowSpan: PropTypes.number,
+
+    /**
+     * The largest `colSpan` returned by `cellSpanGetter`. Larger column spans are clipped.
+     * With column virtualization (see `isColumnVirtualized`), merged cells are looked up
+     * this many columns before the rendered columns, so keep this as small as possible.
+     */
+    maxColSpan: PropTypes.number,
+
     // TODO (jordan) Remove propType of groupHeaderHeight without losing documentation (moved to elementHeights)
     /**
      * Pixel height of the column group header.
+     * With nested column groups, this is the height of each tier of group headers,
+     * unless specified through `groupHeaderHeights`.
      */
     groupHeaderHeight: PropTypes.number,
 
+    /**
+     * Pixel heights of the tiers of group headers of nested column groups,
+     * from the outermost to the innermost tier.
+     * Tiers without a height here use `groupHeaderHeight`.
+     */
+    groupHeaderHeights: PropTypes.arrayOf(PropTypes.number),
+
     // TODO (jordan) Remove propType of headerHeight without losing documentation (moved to elementHeights)
     /**
      * Pixel height of header.
@@ -296,6 +547,12 @@ class FixedDataTable extends React.Component {
      */
     footerHeight: PropTypes.number,
 
+    /**
+     * Pixel height of the filter row, which is rendered right beneath the header.
+     * The filter row renders the `filter` of each column, and is hidden when unspecified.
+     */
+    filterHeight: PropTypes.number,
+
     /**
      * Value of horizontal scroll.
      */
@@ -331,6 +588,32 @@ class FixedDataTable extends React.Component {
      */
     isVerticalScrollExact: PropTypes.bool,
 
+    /**
+     * By default, the table stores the height of every row, which takes memory & time proportional to `rowsCount`
+     * whenever the rows get initialized, e.g, when `rowsCount` changes.
+     *
+     * By setting `sparseRowHeights` to true, the table only stores the heights of the rows
+     * which differ from `rowHeight` + `subRowHeight`, i.e, the rows which got rendered or scrolled to.
+     * This keeps tables with millions of rows responsive, while `scrollToRow` and the scrollbar stay exact
+     * for the rows whose heights are known.
+     *
+     * NOTE: `isVerticalScrollExact` is ignored with sparse row heights, since it requests the height of every row.
+     * Setting both logs an error in development.
+     */
+    sparseRowHeights: PropTypes.bool,
+
+    /**
+     * By setting `autoRowHeight` to true, the rows measure the height of their content once rendered,
+     * e.g, for wrapping text, and take that height instead of the one given by `rowHeight` or `rowHeightGetter`.
+     * The given heights serve as estimates for the rows which weren't rendered yet.
+     *
+     * Cells size themselves to their content, so they're given no `height`.
+     * The rows in the viewport stay in place when rows above them get measured.
+     * The measured heights are forgotten when `rowsCount` changes without a splice,
+     * or when the `dataSource` changes without a splice, e.g, when it got sorted.
+     */
+    autoRowHeight: PropTypes.bool,
+
     /**
      * Index of row to scroll to.
      */
@@ -423,6 +706,176 @@ class FixedDataTable extends React.Component {
      */
     onRowTouchMove: PropTypes.func,
 
+    /**
+     * Enables selecting rows (or cells) by clicking on them.
+     *
+     * - 'single': only one row can be selected at a time.
+     * - 'multiple': Ctrl/Cmd + click toggles rows, while Shift + click selects the range of rows
+     *   between the last clicked row and the current one.
+     * - 'cell': same as 'multiple', but selects rectangular ranges of cells instead of full rows.
+     *
+     * When the table has focus, Shift + arrow keys extend the selection,
+     * Ctrl/Cmd + A selects everything, and Escape clears the selection.
+     *
+     * Selection is disabled by default.
+     */
+    selectionMode: PropTypes.oneOf(['single', 'multiple', 'cell']),
+
+    /**
+     * The selected ranges of rows (or cells).
+     * Specifying this makes the selection controlled, so it has to be updated through `onSelectionChange`.
+     *
+     * Row and column indexes are inclusive. Column indexes are omitted for ranges covering full rows.
+     *
+     * ```
+     * [{
+     *   startRowIndex: number,
+     *   endRowIndex: number,
+     *   startColumnIndex?: number,
+     *   endColumnIndex?: number,
+     * }]
+     * ```
+     *
+     * Cell renderers receive an `isSelected` prop when selection is enabled.
+     */
+    selection: PropTypes.arrayOf(
+      PropTypes.shape({
+        startRowIndex: PropTypes.number.isRequired,
+        endRowIndex: PropTypes.number.isRequired,
+        startColumnIndex: PropTypes.number,
+        endColumnIndex: PropTypes.number,
+      })
+    ),
+
+    /**
+     * The initially selected ranges when the selection isn't controlled through `selection`.
+     */
+    defaultSelection: PropTypes.arrayOf(
+      PropTypes.shape({
+        startRowIndex: PropTypes.number.isRequired,
+        endRowIndex: PropTypes.number.isRequired,
+        startColumnIndex: PropTypes.number,
+        endColumnIndex: PropTypes.number,
+      })
+    ),
+
+    /**
+     * Callback that is called with the new selected ranges whenever the selection changes.
+     *
+     * ```
+     * function(selection: Array<Object>)
+     * ```
+     */
+    onSelectionChange: PropTypes.func,
+
+    /**
+     * The sorted columns, ordered by priority: the first column is the primary sort key,
+     * the next one breaks its ties, and so on.
+     * Specifying this makes the sort state controlled, so it has to be updated through `onSortChange`.
+     *
+     * ```
+     * [{
+     *   columnKey: string | number,
+     *   direction: 'ASC' | 'DESC',
+     * }]
+     * ```
+     *
+     * The table doesn't sort the rows itself, since it doesn't own the data.
+     * Headers of columns with the `sortable` prop show how the column is sorted.
+     */
+    sortState: PropTypes.arrayOf(
+      PropTypes.shape({
+        columnKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+          .isRequired,
+        direction: PropTypes.oneOf(['ASC', 'DESC']).isRequired,
+      })
+    ),
+
+    /**
+     * The initially sorted columns when the sort state isn't controlled through `sortState`.
+     */
+    defaultSortState: PropTypes.arrayOf(
+      PropTypes.shape({
+        columnKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+          .isRequired,
+        direction: PropTypes.oneOf(['ASC', 'DESC']).isRequired,
+      })
+    ),
+
+    /**
+     * Callback that is called with the new sorted columns whenever the sort state changes,
+     * e.g, when the header of a sortable column is clicked.
+     * Shift + click adds the column to the sorted columns instead of replacing them.
+     *
+     * ```
+     * function(sortState: Array<Object>)
+     * ```
+     */
+    onSortChange: PropTypes.func,
+
+    /**
+     * The filters of the columns, keyed by column key.
+     * Specifying this makes the filter model controlled, so it has to be updated through `onFilterChange`.
+     *
+     * ```
+     * {
+     *   [columnKey]: { type: 'text', value: string }
+     *     | { type: 'range', min?: number, max?: number }
+     *     | { type: 'set', values: Array<any> }
+     *     | { type: 'dateRange', from?: string, to?: string }, // ISO dates like '2020-01-31'
+     * }
+     * ```
+     *
+     * The table doesn't filter the rows itself, since it doesn't own the data.
+     * `Plugins.FilteredDataAdapter` maps the rows matching the filters to the indexes of the data.
+     */
+    filterModel: PropTypes.objectOf(
+      PropTypes.shape({
+        type: PropTypes.oneOf(['text', 'range', 'set', 'dateRange']).isRequired,
+      })
+    ),
+
+    /**
+     * The initial filters of the columns when the filter model isn't controlled through `filterModel`.
+     */
+    defaultFilterModel: PropTypes.objectOf(
+      PropTypes.shape({
+        type: PropTypes.oneOf(['text', 'range', 'set', 'dateRange']).isRequired,
+      })
+    ),
+
+    /**
+     * Callback that is called with the new filters whenever the filter model changes,
+     * e.g, when a filter of the filter row is edited.
+     *
+     * ```
+     * function(filterModel: Object)
+     * ```
+     */
+    onFilterChange: PropTypes.func,
+
+    /**
+     * Callback that is called with the new view state whenever it changes, once the table stops scrolling.
+     * The view state holds the order, widths, visibility and fixed side of the columns, the sort state,
+     * the filters and the scroll position. It can be serialized as JSON, and restored later on
+     * through the `restoreViewState` method of the API.
+     *
+     * ```
+     * function(viewState: ViewState)
+     * ```
+     */
+    onViewStateChange: PropTypes.func,
+
+    /**
+     * Makes the table keep the widths and the order of the columns resized through `Plugins.ResizeCell`
+     * and reordered through `Plugins.ReorderCell` by itself, so that the parent doesn't need to update the columns.
+     * `onColumnResizeEnd` and `onColumnReorderEnd` still get called.
+     *
+     * The kept widths and order take precedence over the `width` props and the order of the columns,
+     * until these change. They can be reset through the `resetColumnWidths` and `resetColumnOrder` methods of the API.
+     */
+    uncontrolledColumnLayout: PropTypes.bool,
+
     /**
      * @deprecated This prop is deprecated in favor of the ResizeCell plugin
      * component. Please refer to the "Resizable columns" example for usage.
@@ -472,17 +925,37 @@ class FixedDataTable extends React.Component {
      */
     bufferRowCount: PropTypes.number,
 
+    /**
+     * If enabled, only the scrollable columns intersecting the viewport (plus
+     * `bufferColumnCount` columns on either side) get rendered.
+     * Cells are recycled while scrolling horizontally, so that tables with
+     * hundreds of columns don't need to mount a cell for each of them.
+     *
+     * Fixed and fixed right columns are always rendered.
+     */
+    isColumnVirtualized: PropTypes.bool,
+
+    /**
+     * The number of scrollable columns outside the viewport to prerender when
+     * `isColumnVirtualized` is enabled. Defaults to 2.
+     */
+    bufferColumnCount: PropTypes.number,
+
     // TODO (pradeep): Move elementHeights to a selector instead of passing it through redux as state variables
     /**
-     * Row heights of the header, groupheader, footer, and cell group wrapper
+     * Row heights of the header, groupheader, footer, fixed rows, and cell group wrapper
      * grouped into a single object.
      *
      * @ignore
      */
     elementHeights: PropTypes.shape({
       cellGroupWrapperHeight: PropTypes.number,
+      filterHeight: PropTypes.number,
+      fixedBottomRowsHeight: PropTypes.number,
+      fixedRowsHeight: PropTypes.number,
       footerHeight: PropTypes.number,
       groupHeaderHeight: PropTypes.number,
+      groupHeaderHeights: PropTypes.arrayOf(PropTypes.number),
       headerHeight: PropTypes.number,
     }),
 
@@ -505,8 +978,10 @@ class FixedDataTable extends React.Component {
   static defaultProps = /*object*/ {
     elementHeights: {
       cellGroupWrapperHeight: undefined,
+      filterHeight: 0,
       footerHeight: 0,
       groupHeaderHeight: 0,
+      groupHeaderHeights: [],
       headerHeight: 0,
     },
     keyboardScrollEnabled: false,
@@ -520,6 +995,13 @@ class FixedDataTable extends React.Component {
 
     this._didScrollStop = debounceCore(this._didScrollStopSync, 200, this);
     this._onKeyDown = this._onKeyDown.bind(this);
+    this._activeCellId = uniqueId('fixedDataTable_activeCell_');
+    this._cellEditorHandlers = {
+      onChange: this._onEditValueChange,
+      onCommit: this._onEditCommit,
+      onCancel: this._onEditCancel,
+      onMove: this._onEditMove,
+    };
 
     this._setupHandlers();
   }
@@ -633,6 +1115,27 @@ class FixedDataTable extends React.Component {
   };
 
   _onKeyDown(event) {
+    // NOTE: The cell editor handles its own commit and cancel keys, and stops their propagation
+    if (isEditableElement(event.target)) {
+      return;
+    }
+
+    if (this._onClipboardKeyDown(event)) {
+      return;
+    }
+
+    if (this.props.activeCellEnabled && this._onEditKeyDown(event)) {
+      return;
+    }
+
+    if (this.props.selectionMode && this._onSelectionKeyDown(event)) {
+      return;
+    }
+
+    if (this.props.activeCellEnabled && this._onActiveCellKeyDown(event)) {
+      return;
+    }
+
     const { scrollbarYHeight } = tableHeightsSelector(this.props);
     if (this.props.keyboardPageEnabled) {
       switch (event.key) {
@@ -678,6 +1181,293 @@ class FixedDataTable extends React.Component {
     }
   }
 
+  /**
+   * Handles the keyboard shortcuts for selection.
+   *
+   * @param {!Object} event
+   * @return {boolean} true if the event was handled
+   * @private
+   */
+  _onSelectionKeyDown(event) {
+    const { selectionActions } = this.props;
+    const isCellSelection = this.props.selectionMode === SelectionMode.CELL;
+
+    if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'a') {
+      selectionActions.selectAll();
+      event.preventDefault();
+      return true;
+    }
+
+    if (event.key === 'Escape') {
+      selectionActions.clearSelection();
+      return true;
+    }
+
+    if (!event.shiftKey) {
+      return false;
+    }
+
+    switch (event.key) {
+      case 'ArrowDown':
+        selectionActions.extendSelection(1, 0);
+        break;
+
+      case 'ArrowUp':
+        selectionActions.extendSelection(-1, 0);
+        break;
+
+      case 'ArrowRight':
+        if (!isCellSelection) {
+          return false;
+        }
+        selectionActions.extendSelection(0, this.props.isRTL ? -1 : 1);
+        break;
+
+      case 'ArrowLeft':
+        if (!isCellSelection) {
+          return false;
+        }
+        selectionActions.extendSelection(0, this.props.isRTL ? 1 : -1);
+        break;
+
+      default:
+        return false;
+    }
+
+    event.preventDefault();
+    return true;
+  }
+
+  /**
+   * Handles the keyboard navigation of the active cell.
+   *
+   * @param {!Object} event
+   * @return {boolean} true if the event was handled
+   * @private
+   */
+  _onActiveCellKeyDown(event) {
+    const { activeCellActions, isRTL } = this.props;
+    const isCtrlPressed = event.ctrlKey || event.metaKey;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        activeCellActions.moveActiveCell(1, 0);
+        break;
+
+      case 'ArrowUp':
+        activeCellActions.moveActiveCell(-1, 0);
+        break;
+
+      case 'ArrowRight':
+        activeCellActions.moveActiveCell(0, isRTL ? -1 : 1);
+        break;
+
+      case 'ArrowLeft':
+        activeCellActions.moveActiveCell(0, isRTL ? 1 : -1);
+        break;
+
+      case 'Home':
+        activeCellActions.moveActiveCellToStart(isCtrlPressed);
+        break;
+
+      case 'End':
+        activeCellActions.moveActiveCellToEnd(isCtrlPressed);
+        break;
+
+      case 'PageDown':
+        activeCellActions.moveActiveCellByPage(1);
+        break;
+
+      case 'PageUp':
+        activeCellActions.moveActiveCellByPage(-1);
+        break;
+
+      case 'Tab':
+        // Tab isn't handled at the edges of the table, so that the focus can move out of it
+        if (
+          !activeCellActions.moveActiveCell(0, event.shiftKey ? -1 : 1, true)
+        ) {
+          return false;
+        }
+        break;
+
+      default:
+        return false;
+    }
+
+    event.preventDefault();
+    return true;
+  }
+
+  /**
+   * Handles copying and pasting with Ctrl/Cmd + C and Ctrl/Cmd + V.
+   * The clipboard can only be accessed from the copy and paste events,
+   * which are fired by the default action of those keys.
+   *
+   * @param {!Object} event
+   * @return {boolean} true if the event was handled
+   * @private
+   */
+  _onClipboardKeyDown(event) {
+    const { clipboardActions, onPaste } = this.props;
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+      return false;
+    }
+
+    switch (event.key.toLowerCase()) {
+      case 'c': {
+        // let the browser copy text selected by the user
+        const textSelection = window.getSelection && window.getSelection();
+        if (textSelection && !textSelection.isCollapsed) {
+          return false;
+        }
+
+        const content = clipboardActions.getClipboardContent();
+        if (!content) {
+          return false;
+        }
+        this._handleNextClipboardEvent('copy', (clipboardEvent) => {
+          clipboardEvent.clipboardData.setData('text/plain', content.text);
+          clipboardEvent.clipboardData.setData('text/html', content.html);
+          clipboardEvent.preventDefault();
+        });
+        return true;
+      }
+
+      case 'v':
+        if (!onPaste) {
+          return false;
+        }
+        this._handleNextClipboardEvent('paste', (clipboardEvent) => {
+          clipboardActions.pasteText(
+            clipboardEvent.clipboardData.getData('text/plain')
+          );
+          clipboardEvent.preventDefault();
+        });
+        return true;
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Calls the handler on the next clipboard event of the given type,
+   * if it's fired while handling the current key press.
+   *
+   * @param {string} type
+   * @param {function} handler
+   * @private
+   */
+  _handleNextClipboardEvent(type, handler) {
+    const listener = (event) => {
+      document.removeEventListener(type, listener, true);
+      handler(event);
+    };
+    document.addEventListener(type, listener, true);
+    setTimeout(() => document.removeEventListener(type, listener, true), 0);
+  }
+
+  /**
+   * Opens the editor of the active cell with Enter, F2 or a printable key.
+   * A printable key replaces the value of the cell.
+   *
+   * @param {!Object} event
+   * @return {boolean} true if the event was handled
+   * @private
+   */
+  _onEditKeyDown(event) {
+    const { activeCell, editingActions } = this.props;
+    if (!activeCell) {
+      return false;
+    }
+
+    const { rowIndex, columnIndex } = activeCell;
+    let started = false;
+    if (event.key === 'Enter' || event.key === 'F2') {
+      started = editingActions.startEdit(rowIndex, columnIndex);
+    } else if (
+      event.key.length === 1 &&
+      !event.ctrlKey &&
+      !event.metaKey &&
+      !event.altKey
+    ) {
+      started = editingActions.startEdit(rowIndex, columnIndex, event.key);
+    }
+
+    if (started) {
+      event.preventDefault();
+    }
+    return started;
+  }
+
+  _onEditValueChange = (/*any*/ value) => {
+    this.props.editingActions.changeEditValue(value);
+  };
+
+  _onEditCommit = (/*boolean*/ keepFocus) => {
+    this.props.editingActions.commitEdit();
+    if (keepFocus) {
+      this._focusTable();
+    }
+  };
+
+  _onEditCancel = () => {
+    this.props.editingActions.cancelEdit();
+    this._focusTable();
+  };
+
+  _onEditMove = (/*number*/ direction) => {
+    const editingCell = this.props.editingActions.moveEdit(direction);
+    if (!editingCell) {
+      this._focusTable();
+      return;
+    }
+
+    if (this.props.activeCellEnabled) {
+      this.props.activeCellActions.setActiveCell(
+        editingCell.rowIndex,
+        editingCell.columnIndex
+      );
+    }
+  };
+
+  /**
+   * Gives the focus back to the table once the editor closes,
+   * so that keyboard navigation can continue.
+   *
+   * @private
+   */
+  _focusTable() {
+    if (this.props.activeCellEnabled && this._divRef) {
+      this._divRef.focus();
+    }
+  }
+
+  _onCellDoubleClick = (
+    /*object*/ event,
+    /*number*/ rowIndex,
+    /*number*/ columnIndex
+  ) => {
+    this.props.editingActions.startEdit(rowIndex, columnIndex);
+  };
+
+  _onCellClick = (
+    /*object*/ event,
+    /*number*/ rowIndex,
+    /*number*/ columnIndex
+  ) => {
+    if (this.props.activeCellEnabled) {
+      this.props.activeCellActions.setActiveCell(rowIndex, columnIndex);
+    }
+    if (this.props.selectionMode) {
+      this.props.selectionActions.selectCell(rowIndex, columnIndex, {
+        extend: event.shiftKey,
+        toggle: event.ctrlKey || event.metaKey,
+      });
+    }
+  };
+
   _reportContentHeight = () => {
     const { contentHeight } = tableHeightsSelector(this.props);
     const { onContentHeightChange } = this.props;
@@ -696,12 +1486,34 @@ class FixedDataTable extends React.Component {
     this._setupHandlers();
     this._reportContentHeight();
     this._reportScrollBarsUpdates();
+    this._warnAboutIgnoredProps(null);
   }
 
   componentDidUpdate(/*object*/ prevProps) {
     this._didScroll(prevProps);
     this._reportContentHeight();
     this._reportScrollBarsUpdates();
+    this._warnAboutIgnoredProps(prevProps);
+  }
+
+  /**
+   * Warns once props start being ignored due to other props.
+   *
+   * @param {?Object} prevProps
+   * @private
+   */
+  _warnAboutIgnoredProps(prevProps) {
+    if (!__DEV__) {
+      return;
+    }
+    const isScrollExactIgnored = (props) =>
+      !!props && !!props.isVerticalScrollExact && !!props.sparseRowHeights;
+    if (isScrollExactIgnored(this.props) && !isScrollExactIgnored(prevProps)) {
+      console.error(
+        '`isVerticalScrollExact` is ignored along with `sparseRowHeights`, ' +
+          'since it requests the height of every row.'
+      );
+    }
   }
 
   /**
@@ -740,6 +1552,7 @@ class FixedDataTable extends React.Component {
     const {
       ariaGroupHeaderIndex,
       ariaHeaderIndex,
+      ariaFilterIndex,
       ariaFooterIndex,
       ariaRowCount,
       ariaRowIndexOffset,
@@ -750,6 +1563,7 @@ class FixedDataTable extends React.Component {
       fixedColumns,
       fixedRightColumnGroups,
       fixedRightColumns,
+      outerColumnGroups,
       scrollableColumnGroups,
       scrollableColumns,
     } = columnTemplatesSelector(this.props);
@@ -783,19 +1597,32 @@ class FixedDataTable extends React.Component {
     const { ownerHeight, width } = tableSize;
     const {
       cellGroupWrapperHeight,
+      filterHeight,
       footerHeight,
       groupHeaderHeight,
+      groupHeaderHeights,
       headerHeight,
     } = elementHeights;
     const { scrollEnabledX, scrollEnabledY } = scrollbarsVisible(this.props);
     const attributes = gridAttributesGetter && gridAttributesGetter();
 
-    let groupHeader;
-    if (groupHeaderHeight > 0) {
-      groupHeader = (
+    // render a group header row for each tier of column groups, from the outermost to the innermost
+    const groupHeaderTiers = outerColumnGroups.concat({
+      fixed: fixedColumnGroups,
+      fixedRight: fixedRightColumnGroups,
+      scrollable: scrollableColumnGroups,
+    });
+    const groupHeaders = [];
+    let groupHeaderOffsetTop = 0;
+    groupHeaderTiers.forEach((columnGroups, tier) => {
+      const tierHeight = groupHeaderHeights[tier];
+      if (!tierHeight) {
+        return;
+      }
+      groupHeaders.push(
         <FixedDataTableRow
-          key="group_header"
-          ariaRowIndex={ariaGroupHeaderIndex}
+          key={`group_header_${tier}`}
+          ariaRowIndex={ariaGroupHeaderIndex + groupHeaders.length}
           isHeaderOrFooter={true}
           isScrolling={scrolling}
           className={joinClasses(
@@ -803,15 +1630,15 @@ class FixedDataTable extends React.Component {
             cx('public/fixedDataTable/header')
           )}
           width={width}
-          height={groupHeaderHeight}
+          height={tierHeight}
           cellGroupWrapperHeight={cellGroupWrapperHeight}
           index={0}
           zIndex={1}
-          offsetTop={0}
+          offsetTop={groupHeaderOffsetTop}
           scrollLeft={scrollX}
-          fixedColumns={fixedColumnGroups}
-          fixedRightColumns={fixedRightColumnGroups}
-          scrollableColumns={scrollableColumnGroups}
+          fixedColumns={columnGroups.fixed}
+          fixedRightColumns={columnGroups.fixedRight}
+          scrollableColumns={columnGroups.scrollable}
           visible={true}
           touchEnabled={touchScrollEnabled}
           onColumnResizeEndCallback={onColumnResizeEndCallback}
@@ -821,9 +1648,11 @@ class FixedDataTable extends React.Component {
           isRTL={this.props.isRTL}
           isHeader={true}
           isGroupHeader={true}
+          groupHeaderTier={tier}
         />
       );
-    }
+      groupHeaderOffsetTop += tierHeight;
+    });
 
     let scrollbarY;
     if (scrollEnabledY) {
@@ -856,6 +1685,7 @@ class FixedDataTable extends React.Component {
           fixedColumns={fixedColumns.footer}
           fixedRightColumns={fixedRightColumns.footer}
           scrollableColumns={scrollableColumns.footer}
+          columnsToRender={this.props.columnsToRender}
           scrollLeft={scrollX}
           showScrollbarY={scrollEnabledY}
           scrollbarYWidth={scrollbarYWidth}
@@ -873,6 +1703,43 @@ class FixedDataTable extends React.Component {
       ariaRowIndexOffset
     );
 
+    const { fixedBottomRowsHeight, fixedRowsHeight } = elementHeights;
+    let fixedRows = null;
+    if (this.props.fixedRows.length) {
+      fixedRows = this._renderFixedRows(
+        'fixed_rows',
+        this.props.fixedRows,
+        bodyOffsetTop - fixedRowsHeight,
+        fixedRowsHeight,
+        fixedColumns.cell,
+        fixedRightColumns.cell,
+        scrollableColumns.cell,
+        ariaRowIndexOffset
+      );
+    }
+
+    let fixedBottomRows = null;
+    if (this.props.fixedBottomRows.length) {
+      fixedBottomRows = this._renderFixedRows(
+        'fixed_bottom_rows',
+        this.props.fixedBottomRows,
+        footOffsetTop - fixedBottomRowsHeight,
+        fixedBottomRowsHeight,
+        fixedColumns.cell,
+        fixedRightColumns.cell,
+        scrollableColumns.cell,
+        ariaRowIndexOffset
+      );
+    }
+
+    const stickyRowGroupHeaders = this._renderStickyRowGroupHeaders(
+      bodyOffsetTop,
+      fixedColumns.cell,
+      fixedRightColumns.cell,
+      scrollableColumns.cell,
+      ariaRowIndexOffset
+    );
+
     const header = (
       <FixedDataTableRow
         key="header"
@@ -894,6 +1761,7 @@ class FixedDataTable extends React.Component {
         fixedColumns={fixedColumns.header}
         fixedRightColumns={fixedRightColumns.header}
         scrollableColumns={scrollableColumns.header}
+        columnsToRender={this.props.columnsToRender}
         touchEnabled={touchScrollEnabled}
         onColumnResizeEndCallback={onColumnResizeEndCallback}
         onColumnReorderEndCallback={onColumnReorderEndCallback}
@@ -901,9 +1769,43 @@ class FixedDataTable extends React.Component {
         scrollbarYWidth={scrollbarYWidth}
         isRTL={this.props.isRTL}
         isHeader={true}
+        sortState={this.props.sortState}
       />
     );
 
+    let filterRow = null;
+    if (filterHeight) {
+      filterRow = (
+        <FixedDataTableRow
+          key="filter"
+          ariaRowIndex={ariaFilterIndex}
+          isHeaderOrFooter={true}
+          isScrolling={scrolling}
+          className={joinClasses(
+            cx('fixedDataTableLayout/header'),
+            cx('public/fixedDataTable/header'),
+            cx('public/fixedDataTable/filterRow')
+          )}
+          width={width}
+          height={filterHeight}
+          index={-1}
+          zIndex={1}
+          offsetTop={groupHeaderHeight + headerHeight}
+          scrollLeft={scrollX}
+          visible={true}
+          fixedColumns={fixedColumns.filter}
+          fixedRightColumns={fixedRightColumns.filter}
+          scrollableColumns={scrollableColumns.filter}
+          columnsToRender={this.props.columnsToRender}
+          touchEnabled={touchScrollEnabled}
+          showScrollbarY={scrollEnabledY}
+          scrollbarYWidth={scrollbarYWidth}
+          isRTL={this.props.isRTL}
+          filterModel={this.props.filterModel}
+        />
+      );
+    }
+
     let topShadow;
     if (scrollY) {
       topShadow = (
@@ -931,12 +1833,18 @@ class FixedDataTable extends React.Component {
             cx('fixedDataTableLayout/bottomShadow'),
             cx('public/fixedDataTable/bottomShadow')
           )}
-          style={{ top: footOffsetTop }}
+          style={{ top: footOffsetTop - fixedBottomRowsHeight }}
         />
       );
     }
     let tabIndex = null;
-    if (this.props.keyboardPageEnabled || this.props.keyboardScrollEnabled) {
+    if (
+      this.props.keyboardPageEnabled ||
+      this.props.keyboardScrollEnabled ||
+      this.props.selectionMode ||
+      this.props.activeCellEnabled ||
+      this.props.onPaste
+    ) {
       tabIndex = 0;
     }
 
@@ -954,6 +1862,11 @@ class FixedDataTable extends React.Component {
         )}
         role="grid"
         aria-rowcount={ariaRowCount}
+        aria-activedescendant={
+          this.props.activeCellEnabled && this.props.activeCell
+            ? this._activeCellId
+            : undefined
+        }
         {...attributes}
         tabIndex={tabIndex}
         onKeyDown={this._onKeyDown}
@@ -977,15 +1890,26 @@ class FixedDataTable extends React.Component {
             width,
           }}
         >
-          {groupHeader}
+          {groupHeaders}
           {header}
+          {filterRow}
+          {fixedRows}
           {rows}
+          {stickyRowGroupHeaders}
+          {fixedBottomRows}
           {footer}
           {topShadow}
           {bottomShadow}
         </div>
         {scrollbarY}
         {scrollbarX}
+        <div
+          className={cx('fixedDataTableLayout/liveRegion')}
+          role="status"
+          aria-live="polite"
+          aria-atomic="true"
+          ref={this._onLiveRegionRef}
+        />
       </div>
     );
   }
@@ -996,7 +1920,8 @@ class FixedDataTable extends React.Component {
     fixedRightCellTemplates,
     scrollableCellTemplates,
     bodyHeight,
-    /*number*/ ariaRowIndexOffset
+    /*number*/ ariaRowIndexOffset,
+    /*?object*/ bufferedRowsProps
   ) /*object*/ => {
     const { scrollEnabledY } = scrollbarsVisible(this.props);
     const props = this.props;
@@ -1024,11 +1949,18 @@ class FixedDataTable extends React.Component {
         onRowTouchMove={props.touchScrollEnabled ? props.onRowTouchMove : null}
         rowClassNameGetter={props.rowClassNameGetter}
         rowExpanded={props.rowExpanded}
+        rowGroupHeader={props.rowGroupHeader}
         rowKeyGetter={props.rowKeyGetter}
+        onRowHeightMeasure={
+          props.autoRowHeight ? props.rowActions.setMeasuredRowHeight : null
+        }
+        dataSource={props.dataSource}
+        loadedRowRanges={props.loadMoreRows ? props.loadedRowRanges : null}
         rowSettings={props.rowSettings}
         scrollLeft={props.scrollX}
         scrollTop={props.scrollY}
         scrollableColumns={scrollableCellTemplates}
+        columnsToRender={props.columnsToRender}
         showLastRowBorder={true}
         width={props.tableSize.width}
         rowsToRender={props.rows}
@@ -1036,10 +1968,129 @@ class FixedDataTable extends React.Component {
         showScrollbarY={scrollEnabledY}
         scrollbarYWidth={props.scrollbarYWidth}
         isRTL={props.isRTL}
+        onCellClick={
+          props.selectionMode || props.activeCellEnabled
+            ? this._onCellClick
+            : null
+        }
+        activeCell={props.activeCellEnabled ? props.activeCell : null}
+        activeCellId={this._activeCellId}
+        onCellDoubleClick={this._onCellDoubleClick}
+        editingCell={props.editingCell}
+        cellEditorHandlers={this._cellEditorHandlers}
+        cellSpanGetter={props.cellSpanGetter}
+        maxRowSpan={props.maxRowSpan}
+        maxColSpan={props.maxColSpan}
+        selection={props.selectionMode ? props.selection : null}
+        isCellSelection={props.selectionMode === SelectionMode.CELL}
+        {...bufferedRowsProps}
       />
     );
   };
 
+  /**
+   * Fixed rows are rendered through their own set of buffered rows,
+   * which is placed above the scrollable rows and never scrolls vertically.
+   */
+  _renderFixedRows = (
+    /*string*/ key,
+    /*array*/ rowsToRender,
+    /*number*/ offsetTop,
+    /*number*/ height,
+    fixedCellTemplates,
+    fixedRightCellTemplates,
+    scrollableCellTemplates,
+    /*number*/ ariaRowIndexOffset
+  ) /*object*/ => {
+    return this._renderRows(
+      offsetTop,
+      fixedCellTemplates,
+      fixedRightCellTemplates,
+      scrollableCellTemplates,
+      height,
+      ariaRowIndexOffset,
+      {
+        key,
+        firstViewportRowIndex: rowsToRender[0],
+        endViewportRowIndex: rowsToRender[rowsToRender.length - 1] + 1,
+        rowOffsets: this.props.fixedRowOffsets,
+        rowsToRender,
+        scrollTop: 0,
+        zIndex: 1,
+      }
+    );
+  };
+
+  /**
+   * Sticky group header rows are copies of group header rows scrolled away, rendered through their own
+   * set of buffered rows at the top of the body (see `rowGroupPathGetter`).
+   */
+  _renderStickyRowGroupHeaders = (
+    /*number*/ offsetTop,
+    fixedCellTemplates,
+    fixedRightCellTemplates,
+    scrollableCellTemplates,
+    /*number*/ ariaRowIndexOffset
+  ) /*?object*/ => {
+    const { rowIndexes, offsets, height } = stickyRowGroupHeadersSelector(
+      this.props
+    );
+    if (!rowIndexes.length || !this.props.rowGroupHeader) {
+      return null;
+    }
+
+    // clip the headers pushed up by the end of their group
+    return (
+      <div
+        key="sticky_row_group_headers"
+        className={cx('fixedDataTableLayout/stickyRows')}
+        style={{ top: offsetTop, height, width: this.props.tableSize.width }}
+      >
+        {this._renderRows(
+          0,
+          fixedCellTemplates,
+          fixedRightCellTemplates,
+          scrollableCellTemplates,
+          height,
+          ariaRowIndexOffset,
+          {
+            ariaHidden: true,
+            firstViewportRowIndex: rowIndexes[0],
+            endViewportRowIndex: rowIndexes[rowIndexes.length - 1] + 1,
+            // the sticky rows change while scrolling, so don't keep the previous ones around
+            isScrolling: false,
+            rowOffsets: offsets,
+            rowsToRender: rowIndexes,
+            scrollTop: 0,
+            zIndex: 1,
+          }
+        )}
+      </div>
+    );
+  };
+
+  /**
+   * @return {?HTMLElement} the root element of the table
+   */
+  getTableNode() {
+    return this._divRef;
+  }
+
+  /**
+   * Announces the given message to screen readers through the live region of the table.
+   *
+   * @param {string} message
+   */
+  announce(message) {
+    if (this._liveRegionRef) {
+      this._liveRegionRef.textContent = message;
+    }
+  }
+
+  _onLiveRegionRef = (div) => {
+    this._liveRegionRef = div;
+  };
+
   _onRef = (div) => {
     this._divRef = div;
     if (this._wheelHandler) {
@@ -14,17 +14,23 @@ import PropTypes from 'prop-types';
 import React from 'react';
 import defaultTo from 'lodash/defaultTo';
 import inRange from 'lodash/inRange';
+import isEqual from 'lodash/isEqual';
 import isNil from 'lodash/isNil';
 
 import cx from './vendor_upstream/stubs/cx';
+import shallowEqual from './vendor_upstream/core/shallowEqual';
 import emptyFunction from './vendor_upstream/core/emptyFunction';
 import joinClasses from './vendor_upstream/core/joinClasses';
 
 import FixedDataTableRow from './FixedDataTableRow';
 import FixedDataTableTranslateDOMPosition from './FixedDataTableTranslateDOMPosition';
+import { isRowSelected } from './helper/selectionHelper';
+import { getCellSpans } from './helper/cellSpanHelper';
+import { isRowInRanges } from './helper/rowRangeHelper';
 
 class FixedDataTableBufferedRows extends React.Component {
   static propTypes = {
+    ariaHidden: PropTypes.bool,
     ariaRowIndexOffset: PropTypes.number,
     isScrolling: PropTypes.bool,
     firstViewportRowIndex: PropTypes.number.isRequired,
@@ -43,12 +49,15 @@ class FixedDataTableBufferedRows extends React.Component {
     onRowTouchStart: PropTypes.func,
     onRowTouchEnd: PropTypes.func,
     onRowTouchMove: PropTypes.func,
+    onRowHeightMeasure: PropTypes.func,
     rowClassNameGetter: PropTypes.func,
     rowExpanded: PropTypes.oneOfType([PropTypes.element, PropTypes.func]),
+    rowGroupHeader: PropTypes.oneOfType([PropTypes.element, PropTypes.func]),
     rowOffsets: PropTypes.object.isRequired,
     rowKeyGetter: PropTypes.func,
     rowSettings: PropTypes.shape({
       rowAttributesGetter: PropTypes.func,
+      rowGroupPathGetter: PropTypes.func,
       rowHeightGetter: PropTypes.func,
       rowsCount: PropTypes.number.isRequired,
       subRowHeightGetter: PropTypes.func,
@@ -57,16 +66,43 @@ class FixedDataTableBufferedRows extends React.Component {
     scrollLeft: PropTypes.number.isRequired,
     scrollTop: PropTypes.number.isRequired,
     scrollableColumns: PropTypes.array.isRequired,
+    columnsToRender: PropTypes.array,
     showLastRowBorder: PropTypes.bool,
     showScrollbarY: PropTypes.bool,
     width: PropTypes.number.isRequired,
     isRTL: PropTypes.bool,
+    zIndex: PropTypes.number,
+    isCellSelection: PropTypes.bool,
+    onCellClick: PropTypes.func,
+    selection: PropTypes.array,
+    activeCell: PropTypes.shape({
+      rowIndex: PropTypes.number.isRequired,
+      columnIndex: PropTypes.number.isRequired,
+    }),
+    activeCellId: PropTypes.string,
+    onCellDoubleClick: PropTypes.func,
+    editingCell: PropTypes.shape({
+      rowIndex: PropTypes.number.isRequired,
+      columnIndex: PropTypes.number.isRequired,
+      value: PropTypes.any,
+    }),
+    cellEditorHandlers: PropTypes.object,
+    cellSpanGetter: PropTypes.func,
+    maxRowSpan: PropTypes.number,
+    maxColSpan: PropTypes.number,
+    loadedRowRanges: PropTypes.array,
+    dataSource: PropTypes.shape({
+      getRow: PropTypes.func.isRequired,
+      getRowKey: PropTypes.func,
+    }),
   };
 
   constructor(props) {
     super(props);
     this._staticRowArray = [];
     this._initialRender = true;
+    this._cellSpans = {};
+    this._cellSpansInputs = null;
   }
 
   componentDidMount() {
@@ -119,17 +155,26 @@ class FixedDataTableBufferedRows extends React.Component {
     const bufferHeight = 1000000;
     const containerOffsetTop = offsetTop - (scrollTop % bufferHeight);
 
-    // render each row from the buffer into the static row array
+    // if a row doesn't exist in the buffer set, then take the previous one
+    const rowIndexes = new Array(this._staticRowArray.length);
     for (let i = 0; i < this._staticRowArray.length; i++) {
-      // if the row doesn't exist in the buffer set, then take the previous one
       const rowIndex = defaultTo(
         rowsToRender[i],
         this._staticRowArray[i]?.props.index
       );
       if (
-        isNil(rowIndex) ||
-        !inRange(rowIndex, 0, this.props.rowSettings.rowsCount)
+        !isNil(rowIndex) &&
+        inRange(rowIndex, 0, this.props.rowSettings.rowsCount)
       ) {
+        rowIndexes[i] = rowIndex;
+      }
+    }
+    this._updateCellSpans(rowIndexes);
+
+    // render each row from the buffer into the static row array
+    for (let i = 0; i < this._staticRowArray.length; i++) {
+      const rowIndex = rowIndexes[i];
+      if (rowIndex === undefined) {
         this._staticRowArray[i] = null;
         continue;
       }
@@ -145,7 +190,7 @@ class FixedDataTableBufferedRows extends React.Component {
     }
 
     // We translate all the rows together with a parent div. This saves a lot of renders.
-    const style = { position: 'relative' };
+    const style = { position: 'relative', zIndex: this.props.zIndex };
     FixedDataTableTranslateDOMPosition(style, 0, containerOffsetTop, false);
 
     // NOTE (pradeep): Sort the rows by row index so that they appear with the right order in the DOM (see #221)
@@ -156,6 +201,121 @@ class FixedDataTableBufferedRows extends React.Component {
     return <div style={style}>{sortedRows}</div>;
   }
 
+  /**
+   * Returns the keys, indexes and widths of the fixed, scrollable and fixed right columns.
+   * The column templates are stable while scrolling, but get rebuilt whenever the table receives new props,
+   * so the previous column groups are kept as long as they're unchanged.
+   *
+   * @return {!Array.<!Array.<{columnKey: string, index: number, width: number}>>}
+   * @private
+   */
+  _getCellSpanColumnGroups() {
+    const { fixedColumns, fixedRightColumns, scrollableColumns } = this.props;
+    const columns = [fixedColumns, scrollableColumns, fixedRightColumns];
+    const previous = this._cellSpanColumns;
+    if (previous && shallowEqual(columns, previous.columns)) {
+      return previous.columnGroups;
+    }
+
+    let columnGroups = columns.map((columnGroup) =>
+      columnGroup.map(({ props: { columnKey, index, width } }) => ({
+        columnKey,
+        index,
+        width,
+      }))
+    );
+    if (previous && isEqual(columnGroups, previous.columnGroups)) {
+      columnGroups = previous.columnGroups;
+    }
+    this._cellSpanColumns = { columns, columnGroups };
+    return columnGroups;
+  }
+
+  /**
+   * Computes the merged cells of the rendered rows.
+   * The spans are only computed again when the rendered rows, their offsets and heights or the columns change,
+   * and the spans of a row are only replaced if they changed, so that rows don't rerender needlessly while scrolling.
+   * NOTE: The inputs are compared by reference, or item by item for the rendered rows, since this runs on every
+   * scroll frame. See _getCellSpanColumnGroups for the columns.
+   *
+   * @param {!Array.<number>} rowIndexes
+   * @private
+   */
+  _updateCellSpans(rowIndexes) {
+    const {
+      cellSpanGetter,
+      columnsToRender,
+      maxColSpan,
+      maxRowSpan,
+      rowOffsets,
+      rowSettings,
+    } = this.props;
+    if (!cellSpanGetter) {
+      this._cellSpans = {};
+      this._cellSpansInputs = null;
+      return;
+    }
+
+    const renderedRowIndexes = rowIndexes.filter(
+      (rowIndex) => rowIndex !== undefined
+    );
+    const columnGroups = this._getCellSpanColumnGroups();
+    const inputs = {
+      cellSpanGetter,
+      columnGroups,
+      columnsToRender,
+      maxColSpan,
+      maxRowSpan,
+      rowsCount: rowSettings.rowsCount,
+    };
+    // the heights of the rows above the rendered ones are reflected by the offsets of the rendered rows
+    const renderedRows = renderedRowIndexes.map((rowIndex) => [
+      rowIndex,
+      rowOffsets[rowIndex],
+      rowSettings.rowHeightGetter(rowIndex),
+      rowSettings.subRowHeightGetter(rowIndex),
+    ]);
+    const previousInputs = this._cellSpansInputs;
+    if (
+      previousInputs &&
+      shallowEqual(inputs, previousInputs.inputs) &&
+      renderedRows.length === previousInputs.renderedRows.length &&
+      renderedRows.every((row, idx) =>
+        shallowEqual(row, previousInputs.renderedRows[idx])
+      )
+    ) {
+      return;
+    }
+    this._cellSpansInputs = { inputs, renderedRows };
+
+    const params = {
+      cellSpanGetter,
+      columnGroups,
+      // only the scrollable columns get virtualized
+      renderedColumns: [
+        null,
+        columnsToRender
+          ? columnsToRender.filter((position) => position !== undefined)
+          : null,
+        null,
+      ],
+      rowIndexes: renderedRowIndexes,
+      rowsCount: rowSettings.rowsCount,
+      maxRowSpan,
+      maxColSpan,
+      rowHeightGetter: rowSettings.rowHeightGetter,
+      subRowHeightGetter: rowSettings.subRowHeightGetter,
+    };
+    const cellSpans = getCellSpans(params);
+
+    for (const rowIndex in cellSpans) {
+      if (isEqual(cellSpans[rowIndex], this._cellSpans[rowIndex])) {
+        cellSpans[rowIndex] = this._cellSpans[rowIndex];
+      }
+    }
+    this._cellSpans = cellSpans;
+  }
+
   /**
    * @typedef RowProps
    * @prop {number} rowIndex
@@ -172,10 +332,42 @@ class FixedDataTableBufferedRows extends React.Component {
     rowProps.height = this.props.rowSettings.rowHeightGetter(rowIndex);
     rowProps.subRowHeight = this.props.rowSettings.subRowHeightGetter(rowIndex);
     rowProps.offsetTop = rowOffsetTop;
-    rowProps.key = props.rowKeyGetter ? props.rowKeyGetter(rowIndex) : key;
+    rowProps.key = key;
+    if (props.rowKeyGetter) {
+      rowProps.key = props.rowKeyGetter(rowIndex);
+    } else if (props.dataSource && props.dataSource.getRowKey) {
+      // rows without keys get recycled, so the keys of the data source are kept apart from the positions of the buffer
+      const rowKey = props.dataSource.getRowKey(rowIndex);
+      if (!isNil(rowKey)) {
+        rowProps.key = `row_${rowKey}`;
+      }
+    }
+    if (props.dataSource) {
+      rowProps.row = props.dataSource.getRow(rowIndex);
+    }
+    if (props.loadedRowRanges) {
+      rowProps.isPlaceholder = !isRowInRanges(props.loadedRowRanges, rowIndex);
+    }
     rowProps.attributes =
       props.rowSettings.rowAttributesGetter &&
       props.rowSettings.rowAttributesGetter(rowIndex);
+    if (props.ariaHidden) {
+      // the rows are copies of rows already rendered in the body
+      rowProps.attributes = { ...rowProps.attributes, 'aria-hidden': true };
+    }
+
+    // group header rows list themselves last in their path
+    const rowGroupPath =
+      props.rowSettings.rowGroupPathGetter &&
+      props.rowSettings.rowGroupPathGetter(rowIndex);
+    if (
+      rowGroupPath &&
+      rowGroupPath.length &&
+      rowGroupPath[rowGroupPath.length - 1] === rowIndex
+    ) {
+      rowProps.rowGroupHeader = props.rowGroupHeader;
+      rowProps.rowGroupDepth = rowGroupPath.length - 1;
+    }
 
     const hasBottomBorder =
       rowIndex === props.rowSettings.rowsCount - 1 && props.showLastRowBorder;
@@ -188,6 +380,24 @@ class FixedDataTableBufferedRows extends React.Component {
       })
     );
 
+    // cell selections don't select the row itself
+    const isSelected =
+      props.selection && !props.isCellSelection
+        ? isRowSelected(props.selection, rowIndex)
+        : undefined;
+
+    // only the row of the active cell needs to know about it
+    const activeColumnIndex =
+      props.activeCell && props.activeCell.rowIndex === rowIndex
+        ? props.activeCell.columnIndex
+        : undefined;
+
+    // only the row of the edited cell needs to know about it
+    const editingCell =
+      props.editingCell && props.editingCell.rowIndex === rowIndex
+        ? props.editingCell
+        : undefined;
+
     const visible = inRange(
       rowIndex,
       this.props.firstViewportRowIndex,
@@ -206,6 +416,7 @@ class FixedDataTableBufferedRows extends React.Component {
         fixedColumns={props.fixedColumns}
         fixedRightColumns={props.fixedRightColumns}
         scrollableColumns={props.scrollableColumns}
+        columnsToRender={props.columnsToRender}
         onClick={props.onRowClick}
         onContextMenu={props.onRowContextMenu}
         onDoubleClick={props.onRowDoubleClick}
@@ -220,6 +431,16 @@ class FixedDataTableBufferedRows extends React.Component {
         scrollbarYWidth={props.scrollbarYWidth}
         isRTL={props.isRTL}
         visible={visible}
+        isSelected={isSelected}
+        onCellClick={props.onCellClick}
+        selection={props.selection}
+        activeColumnIndex={activeColumnIndex}
+        activeCellId={props.activeCellId}
+        onCellDoubleClick={props.onCellDoubleClick}
+        editingCell={editingCell}
+        cellEditorHandlers={props.cellEditorHandlers}
+        cellSpans={this._cellSpans[rowIndex]}
+        onHeightMeasure={props.onRowHeightMeasure}
         {...rowProps}
       />
     );
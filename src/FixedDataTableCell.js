@@ -19,7 +19,17 @@ import FixedDataTableCellDefaultDeprecated from './FixedDataTableCellDefaultDepr
 import { polyfill as lifecycleCompatibilityPolyfill } from 'react-lifecycles-compat';
 import ReorderCell from './plugins/ResizeReorder/ReorderCell';
 import ResizeCell from './plugins/ResizeReorder/ResizeCell';
+import SortHeaderCell from './plugins/Sort/SortHeaderCell';
 import { CellGroupType } from './enums/CellGroup';
+import { SortDirection } from './enums/SortDirection';
+import { isCellSelected } from './helper/selectionHelper';
+import { getColumnSort } from './helper/sortHelper';
+import FixedDataTableCellEditor from './FixedDataTableCellEditor';
+
+const ARIA_SORT_BY_DIRECTION = {
+  [SortDirection.ASC]: 'ascending',
+  [SortDirection.DESC]: 'descending',
+};
 
 class FixedDataTableCell extends React.Component {
   /**
@@ -55,6 +65,12 @@ class FixedDataTableCell extends React.Component {
      */
     left: PropTypes.number,
 
+    /**
+     * The top offset in pixels of the cell.
+     * Only specified for merged cells, which are shifted up to their first row.
+     */
+    top: PropTypes.number,
+
     /**
      * Flag for enhanced performance check
      */
@@ -130,13 +146,99 @@ class FixedDataTableCell extends React.Component {
       CellGroupType.FIXED_RIGHT,
       CellGroupType.SCROLLABLE,
     ]),
+
+    /**
+     * The selected ranges of the table. Only specified when selection is enabled.
+     */
+    selection: PropTypes.array,
+
+    /**
+     * Whether the column can be sorted by clicking its header.
+     */
+    sortable: PropTypes.bool,
+
+    /**
+     * The sorted columns of the table. Only specified for the header.
+     */
+    sortState: PropTypes.array,
+
+    /**
+     * The filters of the table, keyed by column key. Only specified for the filter row.
+     */
+    filterModel: PropTypes.object,
+
+    /**
+     * The row object given by the `dataSource` of the table, if any.
+     */
+    row: PropTypes.any,
+
+    /**
+     * Whether the row of the cell is still to be loaded through `loadMoreRows`, in which case placeholders are rendered instead of the cell.
+     */
+    isPlaceholder: PropTypes.bool,
+
+    /**
+     * Whether the content of the cell sizes itself instead of getting the height of the row,
+     * so that the row can measure its height (see `autoRowHeight`).
+     */
+    autoHeight: PropTypes.bool,
+
+    /**
+     * Callback that is called when the cell is clicked.
+     *
+     * ```
+     * function(event: Object, rowIndex: number, columnIndex: number)
+     * ```
+     */
+    onCellClick: PropTypes.func,
+
+    /**
+     * DOM id of the cell. Only specified for the active cell.
+     */
+    activeCellId: PropTypes.string,
+
+    /**
+     * Callback that is called when the cell is double clicked.
+     *
+     * ```
+     * function(event: Object, rowIndex: number, columnIndex: number)
+     * ```
+     */
+    onCellDoubleClick: PropTypes.func,
+
+    /**
+     * The cell being edited. Only specified when this cell is edited.
+     */
+    editingCell: PropTypes.shape({
+      rowIndex: PropTypes.number.isRequired,
+      columnIndex: PropTypes.number.isRequired,
+      columnKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+      value: PropTypes.any,
+    }),
+
+    /**
+     * The editor of the column, rendered instead of the cell while it's edited.
+     */
+    editor: PropTypes.oneOfType([PropTypes.element, PropTypes.func]),
+
+    /**
+     * Callbacks given to the editor, see <FixedDataTableCellEditor />.
+     */
+    cellEditorHandlers: PropTypes.object,
   };
 
   shouldComponentUpdate(nextProps) {
     if (
       nextProps.isScrolling &&
       this.props.rowIndex === nextProps.rowIndex &&
-      this.props.isVisible === nextProps.isVisible
+      this.props.row === nextProps.row &&
+      this.props.isPlaceholder === nextProps.isPlaceholder &&
+      this.props.columnIndex === nextProps.columnIndex &&
+      this.props.isVisible === nextProps.isVisible &&
+      this.props.top === nextProps.top &&
+      this.props.width === nextProps.width &&
+      this.props.activeCellId === nextProps.activeCellId &&
+      this.props.editingCell === nextProps.editingCell
     ) {
       return false;
     }
@@ -164,6 +266,18 @@ class FixedDataTableCell extends React.Component {
     return false;
   }
 
+  _onClick = (/*object*/ event) => {
+    this.props.onCellClick(event, this.props.rowIndex, this.props.columnIndex);
+  };
+
+  _onDoubleClick = (/*object*/ event) => {
+    this.props.onCellDoubleClick(
+      event,
+      this.props.rowIndex,
+      this.props.columnIndex
+    );
+  };
+
   static defaultProps = /*object*/ {
     align: 'left',
     highlighted: false,
@@ -178,9 +292,26 @@ class FixedDataTableCell extends React.Component {
       columnKey,
       isHeaderOrFooter,
       touchEnabled,
+      selection,
+      sortable,
+      sortState,
+      filterModel,
+      row,
+      isPlaceholder,
+      autoHeight,
+      onCellClick,
+      activeCellId,
+      onCellDoubleClick,
+      editingCell,
+      editor,
+      cellEditorHandlers,
       ...props
     } = this.props;
 
+    const isSelected = selection
+      ? isCellSelected(selection, props.rowIndex, columnIndex)
+      : undefined;
+
     const style = {
       height,
       width,
@@ -192,6 +323,10 @@ class FixedDataTableCell extends React.Component {
       style.left = props.left;
     }
 
+    if (props.top !== undefined) {
+      style.top = props.top;
+    }
+
     const className = joinClasses(
       cx({
         'fixedDataTableCellLayout/main': true,
@@ -201,6 +336,8 @@ class FixedDataTableCell extends React.Component {
         'public/fixedDataTableCell/alignRight': props.align === 'right',
         'public/fixedDataTableCell/highlighted': props.highlighted,
         'public/fixedDataTableCell/main': true,
+        'public/fixedDataTableCell/selected': isSelected,
+        'public/fixedDataTableCell/active': !!activeCellId,
       }),
       props.className
     );
@@ -213,7 +350,7 @@ class FixedDataTableCell extends React.Component {
       cellGroupType: this.props.cellGroupType,
       columnIndex: this.props.columnIndex,
       columnKey: this.props.columnKey,
-      height: this.props.height,
+      height: autoHeight ? undefined : this.props.height,
       width: this.props.width,
       left: this.props.left,
     };
@@ -222,8 +359,70 @@ class FixedDataTableCell extends React.Component {
       cellProps.rowIndex = props.rowIndex;
     }
 
+    if (row !== undefined) {
+      cellProps.row = row;
+    }
+
+    if (this.props.isGroupHeader) {
+      cellProps.groupHeaderTier = this.props.groupHeaderTier;
+    }
+
+    if (selection) {
+      cellProps.isSelected = isSelected;
+    }
+
+    if (filterModel) {
+      cellProps.filter = filterModel[columnKey] || null;
+    }
+
+    if (activeCellId) {
+      cellProps.isActive = true;
+    }
+
+    let cell = props.cell;
+    let ariaSort;
+    const isColumnHeader = this.props.isHeader && !this.props.isGroupHeader;
+    const columnSort =
+      isColumnHeader && sortState ? getColumnSort(sortState, columnKey) : null;
+    // NOTE: Custom headers might render a SortHeaderCell by themselves, so sorted columns are announced either way
+    if (columnSort) {
+      ariaSort = ARIA_SORT_BY_DIRECTION[columnSort.direction];
+    } else if (sortable && isColumnHeader) {
+      ariaSort = 'none';
+    }
+    if (sortable && isColumnHeader) {
+      cell = (
+        <SortHeaderCell
+          sortDirection={columnSort ? columnSort.direction : null}
+          sortPriority={
+            columnSort && sortState.length > 1 ? columnSort.priority + 1 : null
+          }
+        >
+          {props.cell}
+        </SortHeaderCell>
+      );
+    }
+
     let content;
-    if (
+    if (isPlaceholder) {
+      content = (
+        <FixedDataTableCellDefaultDeprecated {...cellProps}>
+          <div className={cx('public/fixedDataTableCell/placeholder')} />
+        </FixedDataTableCellDefaultDeprecated>
+      );
+    } else if (editingCell && editor) {
+      content = (
+        <FixedDataTableCellEditor
+          editor={editor}
+          value={editingCell.value}
+          rowIndex={props.rowIndex}
+          columnKey={columnKey}
+          height={height}
+          width={width}
+          editorHandlers={cellEditorHandlers}
+        />
+      );
+    } else if (
       this.props.isHeader &&
       (this.props.onColumnResizeEnd || this.props.onColumnReorderEnd)
     ) {
@@ -240,7 +439,7 @@ class FixedDataTableCell extends React.Component {
             onColumnReorderEnd={this.props.onColumnReorderEnd}
           >
             <ResizeCell onColumnResizeEnd={this.props.onColumnResizeEnd}>
-              {props.cell}
+              {cell}
             </ResizeCell>
           </ReorderCell>
         );
@@ -250,7 +449,7 @@ class FixedDataTableCell extends React.Component {
             {...cellProps}
             onColumnReorderEnd={this.props.onColumnReorderEnd}
           >
-            {props.cell}
+            {cell}
           </ReorderCell>
         );
       } else {
@@ -264,18 +463,18 @@ class FixedDataTableCell extends React.Component {
             {...cellProps}
             onColumnResizeEnd={this.props.onColumnResizeEnd}
           >
-            {props.cell}
+            {cell}
           </ResizeCell>
         );
       }
-    } else if (React.isValidElement(props.cell)) {
-      content = React.cloneElement(props.cell, cellProps);
-    } else if (typeof props.cell === 'function') {
-      content = props.cell(cellProps);
+    } else if (React.isValidElement(cell)) {
+      content = React.cloneElement(cell, cellProps);
+    } else if (typeof cell === 'function') {
+      content = cell(cellProps);
     } else {
       content = (
         <FixedDataTableCellDefaultDeprecated {...cellProps}>
-          {props.cell}
+          {cell}
         </FixedDataTableCellDefaultDeprecated>
       );
     }
@@ -283,7 +482,18 @@ class FixedDataTableCell extends React.Component {
     const role = isHeaderOrFooter ? 'columnheader' : 'gridcell';
 
     return (
-      <div className={className} style={style} role={role}>
+      <div
+        className={className}
+        style={style}
+        role={role}
+        aria-colindex={this.props.isGroupHeader ? undefined : columnIndex + 1}
+        id={activeCellId}
+        aria-selected={isSelected}
+        aria-sort={ariaSort}
+        aria-busy={isPlaceholder || undefined}
+        onClick={onCellClick ? this._onClick : null}
+        onDoubleClick={onCellDoubleClick ? this._onDoubleClick : null}
+      >
         {content}
       </div>
     );
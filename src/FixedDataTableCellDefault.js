@@ -71,6 +71,18 @@ class FixedDataTableCellDefault extends React.Component {
      * Whether this cell is currently within the viewport.
      */
     isVisible: PropTypes.bool,
+
+    /**
+     * Whether this cell is part of the table's selection.
+     * This is only passed when the table has a `selectionMode`.
+     */
+    isSelected: PropTypes.bool,
+
+    /**
+     * Whether this cell is the table's active cell.
+     * This is only passed to the active cell when `activeCellEnabled` is set on the table.
+     */
+    isActive: PropTypes.bool,
   };
 
   render() {
@@ -79,6 +91,8 @@ class FixedDataTableCellDefault extends React.Component {
       height,
       width,
       isVisible,
+      isSelected,
+      isActive,
       style,
       className,
       children,
@@ -89,6 +103,9 @@ class FixedDataTableCellDefault extends React.Component {
       cellGroupType,
       isHeader,
       isGroupHeader,
+      groupHeaderTier,
+      filter,
+      row,
       maxWidth,
       minWidth,
       touchEnabled,
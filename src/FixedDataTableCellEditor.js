@@ -0,0 +1,147 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule FixedDataTableCellEditor
+ * @typechecks
+ */
+
+'use strict';
+
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import cx from './vendor_upstream/stubs/cx';
+
+/**
+ * Wraps the editor of a column (see `editor` on <FixedDataTableColumn />) while one of its cells is edited.
+ * This component should not be used directly by developer. Instead,
+ * only <FixedDataTableCell /> should use the component internally.
+ *
+ * Keys pressed within the editor don't reach the table, so that they don't move the active cell or selection.
+ */
+class FixedDataTableCellEditor extends React.Component {
+  static propTypes = {
+    /**
+     * The editor template of the column.
+     */
+    editor: PropTypes.oneOfType([PropTypes.element, PropTypes.func]).isRequired,
+
+    /**
+     * The value being edited.
+     */
+    value: PropTypes.any,
+
+    rowIndex: PropTypes.number.isRequired,
+
+    columnKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+
+    height: PropTypes.number.isRequired,
+
+    width: PropTypes.number.isRequired,
+
+    /**
+     * Callbacks to update, commit or cancel the edit, or to move the editor to another cell.
+     *
+     * ```
+     * {
+     *   onChange: function(value: any),
+     *   onCommit: function(keepFocus: boolean),
+     *   onCancel: function(),
+     *   onMove: function(direction: number),
+     * }
+     * ```
+     */
+    editorHandlers: PropTypes.shape({
+      onChange: PropTypes.func.isRequired,
+      onCommit: PropTypes.func.isRequired,
+      onCancel: PropTypes.func.isRequired,
+      onMove: PropTypes.func.isRequired,
+    }).isRequired,
+  };
+
+  componentWillUnmount() {
+    this._isUnmounted = true;
+  }
+
+  render() {
+    const { editor, value, rowIndex, columnKey, height, width } = this.props;
+    const editorProps = {
+      rowIndex,
+      columnKey,
+      height,
+      width,
+      value,
+      onChange: this.props.editorHandlers.onChange,
+      onCommit: this._onCommit,
+      onCancel: this.props.editorHandlers.onCancel,
+      autoFocus: true,
+    };
+
+    let content;
+    if (React.isValidElement(editor)) {
+      content = React.cloneElement(editor, editorProps);
+    } else {
+      content = editor(editorProps);
+    }
+
+    return (
+      <div
+        className={cx('public/fixedDataTableCell/editor')}
+        onKeyDown={this._onKeyDown}
+        onBlur={this._onBlur}
+      >
+        {content}
+      </div>
+    );
+  }
+
+  _onCommit = () => {
+    this.props.editorHandlers.onCommit(true);
+  };
+
+  _onKeyDown = (/*object*/ event) => {
+    const { editorHandlers } = this.props;
+    switch (event.key) {
+      case 'Enter':
+        editorHandlers.onCommit(true);
+        event.preventDefault();
+        break;
+
+      case 'Escape':
+        editorHandlers.onCancel();
+        event.preventDefault();
+        break;
+
+      case 'Tab':
+        editorHandlers.onMove(event.shiftKey ? -1 : 1);
+        event.preventDefault();
+        break;
+
+      default:
+        break;
+    }
+
+    event.stopPropagation();
+  };
+
+  _onBlur = (/*object*/ event) => {
+    // NOTE: Unmounted editors have already been committed, cancelled or moved away from
+    if (this._isUnmounted) {
+      return;
+    }
+
+    // focus moving between elements of the editor doesn't end the edit
+    if (event.currentTarget.contains(event.relatedTarget)) {
+      return;
+    }
+
+    this.props.editorHandlers.onCommit(false);
+  };
+}
+
+export default FixedDataTableCellEditor;
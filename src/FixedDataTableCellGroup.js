@@ -99,6 +99,77 @@ class FixedDataTableCellGroupImpl extends React.Component {
      * Whether this cell group is visible (i.e, vertically within the viewport) or not.
      */
     isVisible: PropTypes.bool.isRequired,
+
+    /**
+     * Indexes of the columns to render, keyed by their position in the column buffer.
+     * If unspecified, all columns will be rendered.
+     */
+    columnsToRender: PropTypes.array,
+
+    /**
+     * The selected ranges of the table. Only specified when selection is enabled.
+     */
+    selection: PropTypes.array,
+
+    /**
+     * The sorted columns of the table. Only specified for the header.
+     */
+    sortState: PropTypes.array,
+
+    /**
+     * The filters of the table, keyed by column key. Only specified for the filter row.
+     */
+    filterModel: PropTypes.object,
+
+    /**
+     * The row object given by the `dataSource` of the table, if any.
+     */
+    row: PropTypes.any,
+
+    /**
+     * Whether the row is still to be loaded through `loadMoreRows`, in which case placeholders are rendered instead of the cells.
+     */
+    isPlaceholder: PropTypes.bool,
+
+    /**
+     * Whether the cells size themselves to their content, so that the row can measure its height.
+     */
+    autoHeight: PropTypes.bool,
+
+    /**
+     * Callback that is called when a cell is clicked.
+     */
+    onCellClick: PropTypes.func,
+
+    /**
+     * Index of the active cell's column, if the active cell is within this row.
+     */
+    activeColumnIndex: PropTypes.number,
+
+    /**
+     * DOM id given to the active cell.
+     */
+    activeCellId: PropTypes.string,
+
+    /**
+     * Callback that is called when a cell is double clicked.
+     */
+    onCellDoubleClick: PropTypes.func,
+
+    /**
+     * The cell being edited, if it's within this row.
+     */
+    editingCell: PropTypes.object,
+
+    /**
+     * Callbacks given to the editor of the edited cell.
+     */
+    cellEditorHandlers: PropTypes.object,
+
+    /**
+     * The merged cells affecting this row, by column index (see cellSpanHelper).
+     */
+    cellSpans: PropTypes.object,
   };
 
   constructor(props) {
@@ -113,32 +184,12 @@ class FixedDataTableCellGroupImpl extends React.Component {
   render() /*object*/ {
     const props = this.props;
     const columns = props.columns;
-    const cells = new Array(columns.length);
     const contentWidth = sumPropWidths(columns);
 
-    let currentPosition = 0;
-    for (let i = 0, j = columns.length; i < j; i++) {
-      const columnProps = columns[i].props;
-      const cellTemplate = columns[i].template;
+    const cells = props.columnsToRender
+      ? this._renderVirtualizedCells()
+      : this._renderAllCells();
 
-      const recyclable = columnProps.allowCellsRecycling;
-      const isHorizontallyVisible =
-        currentPosition - props.left <= props.width &&
-        currentPosition - props.left + columnProps.width >= 0;
-      if (!recyclable || isHorizontallyVisible) {
-        const key = columnProps.columnKey || 'cell_' + i;
-        cells[i] = this._renderCell(
-          props.rowIndex,
-          props.rowHeight,
-          columnProps,
-          cellTemplate,
-          currentPosition,
-          key,
-          isHorizontallyVisible
-        );
-      }
-      currentPosition += columnProps.width;
-    }
     const style = {
       height: props.height,
       position: 'absolute',
@@ -163,6 +214,115 @@ class FixedDataTableCellGroupImpl extends React.Component {
     );
   }
 
+  /**
+   * Renders a cell for every column, except for recyclable columns outside the viewport.
+   *
+   * @return {!Array.<?Object>}
+   * @private
+   */
+  _renderAllCells() {
+    const props = this.props;
+    const columns = props.columns;
+    const cells = new Array(columns.length);
+
+    let currentPosition = 0;
+    for (let i = 0, j = columns.length; i < j; i++) {
+      const columnProps = columns[i].props;
+      const cellTemplate = columns[i].template;
+      const cellSpan = this._getCellSpan(columnProps.index);
+
+      const recyclable = columnProps.allowCellsRecycling;
+      const isHorizontallyVisible = this._isHorizontallyVisible(
+        currentPosition,
+        cellSpan ? cellSpan.width : columnProps.width
+      );
+      // cells covered by a merged cell are hidden
+      const isCovered = !!cellSpan && cellSpan.hidden;
+      if (!isCovered && (!recyclable || isHorizontallyVisible)) {
+        const key = columnProps.columnKey || 'cell_' + i;
+        cells[i] = this._renderCell(
+          props.rowIndex,
+          props.rowHeight,
+          columnProps,
+          cellTemplate,
+          currentPosition,
+          key,
+          isHorizontallyVisible,
+          cellSpan
+        );
+      }
+      currentPosition += columnProps.width;
+    }
+    return cells;
+  }
+
+  /**
+   * Renders cells only for the columns in the column buffer.
+   * Cells are keyed by their buffer position, so that they get recycled across horizontal scrolls.
+   *
+   * @return {!Array.<?Object>}
+   * @private
+   */
+  _renderVirtualizedCells() {
+    const props = this.props;
+    const { columns, columnsToRender } = props;
+    const cells = new Array(columnsToRender.length);
+    const renderedColumns = new Set(columnsToRender);
+
+    for (let position = 0; position < columnsToRender.length; position++) {
+      let columnIndex = columnsToRender[position];
+      if (columnIndex === undefined || columnIndex >= columns.length) {
+        continue;
+      }
+
+      let cellSpan = this._getCellSpan(columns[columnIndex].props.index);
+      if (cellSpan && cellSpan.hidden) {
+        // The first column of a merged cell might be outside of the column buffer,
+        // in which case the merged cell is rendered in place of one of its hidden columns.
+        const anchorColumnIndex = columns.findIndex(
+          (column) => column.props.index === cellSpan.anchorColumnIndex
+        );
+        if (renderedColumns.has(anchorColumnIndex)) {
+          continue;
+        }
+        renderedColumns.add(anchorColumnIndex);
+        columnIndex = anchorColumnIndex;
+        cellSpan = this._getCellSpan(cellSpan.anchorColumnIndex);
+      }
+
+      const columnProps = columns[columnIndex].props;
+      const cellTemplate = columns[columnIndex].template;
+      const isHorizontallyVisible = this._isHorizontallyVisible(
+        columnProps.offset,
+        cellSpan ? cellSpan.width : columnProps.width
+      );
+      cells[position] = this._renderCell(
+        props.rowIndex,
+        props.rowHeight,
+        columnProps,
+        cellTemplate,
+        columnProps.offset,
+        'cell_' + position,
+        isHorizontallyVisible,
+        cellSpan
+      );
+    }
+    return cells;
+  }
+
+  /**
+   * @param {number} columnIndex
+   * @return {?Object} how the cell is affected by a merged cell, if it is
+   * @private
+   */
+  _getCellSpan(columnIndex) {
+    return this.props.cellSpans && this.props.cellSpans[columnIndex];
+  }
+
+  _isHorizontallyVisible = (/*number*/ left, /*number*/ width) /*boolean*/ =>
+    left - this.props.left <= this.props.width &&
+    left - this.props.left + width >= 0;
+
   _renderCell = (
     /*number*/ rowIndex,
     /*number*/ height,
@@ -170,9 +330,22 @@ class FixedDataTableCellGroupImpl extends React.Component {
     /*object*/ cellTemplate,
     /*number*/ left,
     /*string*/ key,
-    /*boolean*/ isHorizontallyVisible
+    /*boolean*/ isHorizontallyVisible,
+    /*?object*/ cellSpan
   ) /*object*/ => {
     const className = columnProps.cellClassName;
+    let width = columnProps.width;
+    let top;
+    if (cellSpan) {
+      // the cell is rendered as large as the merged cell, and shifted up to the merged cell's first row
+      rowIndex = cellSpan.rowIndex;
+      height = cellSpan.height;
+      width = cellSpan.width;
+      top = cellSpan.top;
+    }
+    const isEditing =
+      !!this.props.editingCell &&
+      this.props.editingCell.columnIndex === columnProps.index;
     const pureRendering = columnProps.pureRendering || false;
 
     const onColumnReorderEndCallback = columnProps.isReorderable
@@ -189,6 +362,7 @@ class FixedDataTableCellGroupImpl extends React.Component {
         isHeaderOrFooter={this.props.isHeaderOrFooter}
         isHeader={this.props.isHeader}
         isGroupHeader={this.props.isGroupHeader}
+        groupHeaderTier={this.props.groupHeaderTier}
         align={columnProps.align}
         className={className}
         height={height}
@@ -200,13 +374,33 @@ class FixedDataTableCellGroupImpl extends React.Component {
         onColumnReorderEnd={onColumnReorderEndCallback}
         rowIndex={rowIndex}
         columnKey={columnProps.columnKey}
-        width={columnProps.width}
+        width={width}
         left={left}
+        top={top}
         cell={cellTemplate}
         pureRendering={pureRendering}
         isRTL={this.props.isRTL}
         cellGroupType={this.props.cellGroupType}
         isVisible={this.props.isVisible && isHorizontallyVisible}
+        selection={this.props.selection}
+        sortable={columnProps.sortable}
+        sortState={this.props.sortState}
+        filterModel={this.props.filterModel}
+        row={this.props.row}
+        isPlaceholder={this.props.isPlaceholder}
+        autoHeight={this.props.autoHeight}
+        onCellClick={this.props.onCellClick}
+        activeCellId={
+          columnProps.index === this.props.activeColumnIndex
+            ? this.props.activeCellId
+            : undefined
+        }
+        onCellDoubleClick={this.props.onCellDoubleClick}
+        editingCell={isEditing ? this.props.editingCell : undefined}
+        editor={isEditing ? columnProps.editor : undefined}
+        cellEditorHandlers={
+          isEditing ? this.props.cellEditorHandlers : undefined
+        }
       />
     );
   };
@@ -240,9 +434,15 @@ class FixedDataTableCellGroup extends React.Component {
     return !(
       nextProps.isScrolling &&
       this.props.rowIndex === nextProps.rowIndex &&
+      this.props.row === nextProps.row &&
+      this.props.isPlaceholder === nextProps.isPlaceholder &&
       this.props.left === nextProps.left &&
       this.props.offsetLeft === nextProps.offsetLeft &&
-      this.props.isVisible === nextProps.isVisible
+      this.props.isVisible === nextProps.isVisible &&
+      this.props.columnsToRender === nextProps.columnsToRender &&
+      this.props.activeColumnIndex === nextProps.activeColumnIndex &&
+      this.props.editingCell === nextProps.editingCell &&
+      this.props.cellSpans === nextProps.cellSpans
     );
   }
 
@@ -35,6 +35,13 @@ class FixedDataTableColumn extends React.Component {
      */
     fixedRight: PropTypes.bool,
 
+    /**
+     * Whether the column is hidden.
+     * The `setColumnVisibility` method of the API overrides it, until this prop changes.
+     * Column groups whose columns are all hidden get hidden as well.
+     */
+    hidden: PropTypes.bool,
+
     /**
      * The header cell for this column.
      * This can either be a string a React element, or a function that generates
@@ -68,6 +75,7 @@ class FixedDataTableColumn extends React.Component {
      * ```
      * props: {
      *   rowIndex; number // (the row index of the cell)
+     *   row: any // (the object of the row, if the table has a dataSource)
      *   columnKey: string // (of the column, if given)
      *   height: number // (supplied from the Table or rowHeightGetter)
      *   width: number // (supplied from the Column)
@@ -105,6 +113,79 @@ class FixedDataTableColumn extends React.Component {
      */
     footer: PropTypes.oneOfType([PropTypes.node, PropTypes.func]),
 
+    /**
+     * The cell of this column within the filter row (see the `filterHeight` prop of the table).
+     * This can either be a React element, or a function that generates a React element,
+     * like `Plugins.TextFilterCell` or `Plugins.SetFilterCell`. On top of the props
+     * of header cells, it receives the current filter of the column:
+     *
+     * ```
+     * props: {
+     *   columnKey: string // (of the column, if given)
+     *   height: number // (supplied from the Table)
+     *   width: number // (supplied from the Column)
+     *   filter: ?Object // (the filter of the column within the filter model, if any)
+     * }
+     * ```
+     *
+     * Filter cells update the filter of their column through the `setColumnFilter` API.
+     */
+    filter: PropTypes.oneOfType([PropTypes.node, PropTypes.func]),
+
+    /**
+     * Makes the body cells of this column editable.
+     * This can either be a React element, or a function that generates a React element.
+     *
+     * The editor replaces the cell when the user double clicks on it,
+     * or presses Enter (or starts typing) while the cell is the table's active cell.
+     * Enter, Tab and clicking outside of the editor commit the edit, while Escape cancels it.
+     * Committed edits are reported through the table's `onCellEditCommit` callback.
+     *
+     * The editor receives the following props:
+     *
+     * ```
+     * props: {
+     *   rowIndex: number,
+     *   columnKey: string, // (of the column, if given)
+     *   height: number,
+     *   width: number,
+     *   value: any, // the value being edited
+     *   onChange: function(value: any), // updates the value being edited
+     *   onCommit: function(), // commits the edit
+     *   onCancel: function(), // cancels the edit
+     *   autoFocus: boolean,
+     * }
+     * ```
+     *
+     * The value being edited is kept by the table, so the edit isn't lost
+     * when the cell gets unmounted while scrolling.
+     */
+    editor: PropTypes.oneOfType([PropTypes.element, PropTypes.func]),
+
+    /**
+     * Returns the value of the cell at the given row.
+     * This is used as the initial value of the `editor`,
+     * and as the value copied to the clipboard.
+     *
+     * ```
+     * function(rowIndex: number): any
+     * ```
+     */
+    valueGetter: PropTypes.func,
+
+    /**
+     * Converts the value of a cell (as returned by `valueGetter`) into the text
+     * copied to the clipboard. By default the value is converted with `String()`.
+     *
+     * Since cells can render arbitrary content, only columns with a `valueGetter`
+     * or a `formatter` are copied.
+     *
+     * ```
+     * function(value: any, rowIndex: number): string
+     * ```
+     */
+    formatter: PropTypes.func,
+
     /**
      * This is used to uniquely identify the column, and is not required unless
      * you a resizing columns. This will be the key given in the
@@ -173,6 +254,16 @@ class FixedDataTableColumn extends React.Component {
      */
     allowCellsRecycling: PropTypes.bool,
 
+    /**
+     * Whether the column can be sorted by clicking its header.
+     * The header then shows whether the column is ascending, descending or unsorted,
+     * along with its priority when sorting by several columns (Shift + click).
+     *
+     * The table only keeps track of the sorted columns (see the `sortState` and `onSortChange`
+     * props of the table); sorting the rows is up to the data.
+     */
+    sortable: PropTypes.bool,
+
     /**
      * Flag to enable performance check when rendering. Stops the component from
      * rendering if none of it's passed in props have changed
@@ -189,6 +280,7 @@ class FixedDataTableColumn extends React.Component {
     allowCellsRecycling: false,
     fixed: false,
     fixedRight: false,
+    hidden: false,
   };
 
   render() {
@@ -38,7 +38,7 @@ class FixedDataTableColumnGroup extends React.Component {
      *
      * ```
      * props: {
-     *   height: number // (supplied from the groupHeaderHeight)
+     *   height: number // (supplied from the groupHeaderHeight, or groupHeaderHeights for nested column groups)
      *   width: number // (supplied from the Column)
      * }
      * ```
@@ -50,6 +50,16 @@ class FixedDataTableColumnGroup extends React.Component {
      * props object above passed in as the first parameter.
      */
     header: PropTypes.oneOfType([PropTypes.node, PropTypes.func]),
+
+    /**
+     * The columns of this column group.
+     *
+     * Column groups can also be nested, in which case each level of nesting is rendered as a separate tier of
+     * group headers. Columns placed directly within a column group alongside nested column groups are
+     * rendered below an empty group header in the tiers underneath.
+     * Nested column groups are always fixed, or not, as per their outermost column group.
+     */
+    children: PropTypes.node,
   };
 
   static defaultProps = {
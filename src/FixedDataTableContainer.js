@@ -13,14 +13,29 @@
 
 import React from 'react';
 import invariant from './stubs/invariant';
+import isEqual from 'lodash/isEqual';
 import pick from 'lodash/pick';
 
+import { getActiveCellActions } from './actions/activeCellActions';
+import { getCellGeometryActions } from './actions/cellGeometryActions';
+import { getClipboardActions } from './actions/clipboardActions';
+import { getColumnLayoutActions } from './actions/columnLayoutActions';
+import { getEditingActions } from './actions/editingActions';
+import { getFilterActions } from './actions/filterActions';
+import { getRowActions } from './actions/rowActions';
+import { getRowLoadingActions } from './actions/rowLoadingActions';
 import { getScrollActions } from './actions/scrollActions';
+import { getSelectionActions } from './actions/selectionActions';
+import { getSortActions } from './actions/sortActions';
+import { getViewStateActions } from './actions/viewStateActions';
 import FixedDataTable from './FixedDataTable';
 import FixedDataTableStore from './FixedDataTableStore';
 import Scrollbar from './plugins/Scrollbar';
 import ScrollContainer from './plugins/ScrollContainer';
-import { FixedDataTableContext } from './FixedDataTableContext';
+import {
+  FixedDataTableContext,
+  FixedDataTableInternalContext,
+} from './FixedDataTableContext';
 import { createApi } from './api';
 import { initialize, propChange, updateRowHeights } from './reducers';
 import { polyfill as lifecycleCompatibilityPolyfill } from 'react-lifecycles-compat';
@@ -29,6 +44,10 @@ import { bindActionCreators } from 'redux';
 class FixedDataTableContainer extends React.Component {
   static defaultProps = {
     defaultScrollbars: true,
+    loadMoreRowsBatchSize: 50,
+    loadMoreRowsThreshold: 10,
+    maxColSpan: 20,
+    maxRowSpan: 20,
     scrollbarXHeight: Scrollbar.SIZE,
     scrollbarYWidth: Scrollbar.SIZE,
   };
@@ -39,6 +58,41 @@ class FixedDataTableContainer extends React.Component {
     this.reduxStore = FixedDataTableStore.get();
 
     this.scrollActions = getScrollActions(this.reduxStore, () => this.props);
+    this.selectionActions = getSelectionActions(
+      this.reduxStore,
+      () => this.props
+    );
+    this.activeCellActions = getActiveCellActions(
+      this.reduxStore,
+      () => this.props
+    );
+    this.editingActions = getEditingActions(this.reduxStore, () => this.props);
+    this.clipboardActions = getClipboardActions(
+      this.reduxStore,
+      () => this.props
+    );
+    this.rowActions = getRowActions(this.reduxStore, () => this.props);
+    this.sortActions = getSortActions(this.reduxStore, () => this.props);
+    this.filterActions = getFilterActions(this.reduxStore, () => this.props);
+    this.rowLoadingActions = getRowLoadingActions(
+      this.reduxStore,
+      () => this.props
+    );
+    this.cellGeometryActions = getCellGeometryActions(
+      this.reduxStore,
+      () => this.props,
+      () => this._fixedDataTable && this._fixedDataTable.getTableNode()
+    );
+    this.columnLayoutActions = getColumnLayoutActions(
+      this.reduxStore,
+      () => this.props,
+      () => this._fixedDataTable && this._fixedDataTable.getTableNode(),
+      () => this.getApi()
+    );
+    this.viewStateActions = getViewStateActions(
+      this.reduxStore,
+      () => this.props
+    );
 
     this.reduxStore.dispatch(initialize(props));
 
@@ -51,6 +105,10 @@ class FixedDataTableContainer extends React.Component {
 
     this.fixedDataTableApi = createApi();
     this.previousApiValue = null;
+    this.internalContextValue = {
+      getKeyboardMovedColumn: this.columnLayoutActions.getKeyboardMovedColumn,
+      setKeyboardMovedColumn: this.columnLayoutActions.setKeyboardMovedColumn,
+    };
   }
 
   static getDerivedStateFromProps(nextProps, currentState) {
@@ -58,6 +116,10 @@ class FixedDataTableContainer extends React.Component {
       nextProps.height !== undefined || nextProps.maxHeight !== undefined,
       'You must set either a height or a maxHeight'
     );
+    invariant(
+      nextProps.rowsCount !== undefined || nextProps.dataSource !== undefined,
+      'You must set either a rowsCount or a dataSource'
+    );
 
     // getDerivedStateFromProps is called for both prop and state updates.
     // If props are unchanged here, then there's no need to recalculate derived state.
@@ -83,18 +145,88 @@ class FixedDataTableContainer extends React.Component {
     };
   }
 
+  componentDidMount() {
+    this.subscribeToDataSource();
+    this.rowLoadingActions.loadRenderedRows();
+    this.previousViewState = this.viewStateActions.getViewState();
+  }
+
   componentWillUnmount() {
     if (this.unsubscribe) {
       this.unsubscribe();
       this.unsubscribe = null;
     }
+    this.unsubscribeFromDataSource();
+    this.rowLoadingActions.abortRowLoading();
+    this.scrollActions.stopScrollAnimation();
     this.reduxStore = null;
   }
 
-  componentDidUpdate() {
+  componentDidUpdate(prevProps) {
+    if (prevProps.dataSource !== this.props.dataSource) {
+      this.subscribeToDataSource();
+    }
+    this.rowLoadingActions.loadRenderedRows();
     this.notifyApiValueChanges();
+    this.notifyViewStateChanges();
   }
 
+  /**
+   * Listens to the changes published by the data source of the table, if any.
+   */
+  subscribeToDataSource() {
+    this.unsubscribeFromDataSource();
+    const { dataSource } = this.props;
+    if (dataSource) {
+      this.unsubscribeDataSource = dataSource.subscribe(
+        this.onDataSourceChange
+      );
+    }
+  }
+
+  unsubscribeFromDataSource() {
+    if (this.unsubscribeDataSource) {
+      this.unsubscribeDataSource();
+      this.unsubscribeDataSource = null;
+    }
+  }
+
+  /**
+   * Updates the table with the current rows of the data source, just like a prop change would,
+   * but without the parent having to render the table and its columns again.
+   *
+   * @param {{
+   *   startIndex: number,
+   *   removeCount: number,
+   *   insertCount: number,
+   * }=} splice the rows which got inserted or removed, if the data source knows them
+   */
+  onDataSourceChange = (splice) => {
+    if (!this.reduxStore) {
+      return;
+    }
+
+    // only the inserted rows need their heights to be initialized
+    if (splice) {
+      this.rowActions.spliceRows(
+        splice.startIndex,
+        splice.removeCount,
+        splice.insertCount
+      );
+    }
+    this.reduxStore.dispatch(
+      propChange({
+        newProps: this.props,
+        oldProps: this.props,
+        // without a splice, the rows might have been reordered or replaced, e.g, when sorted
+        rowsReplaced: !splice,
+      })
+    );
+    this.setState({
+      boundState: FixedDataTableContainer.getBoundState(this.reduxStore),
+    });
+  };
+
   /**
    * Returns FDT's public API.
    *
@@ -109,11 +241,24 @@ class FixedDataTableContainer extends React.Component {
       },
       {
         ...this.scrollActions,
+        ...this.selectionActions,
+        ...this.activeCellActions,
+        ...this.editingActions,
+        ...this.clipboardActions,
+        ...this.rowActions,
+        ...this.sortActions,
+        ...this.filterActions,
+        ...this.rowLoadingActions,
+        ...this.cellGeometryActions,
+        ...this.columnLayoutActions,
+        ...this.viewStateActions,
         updateRowHeights: (firstUpdatedRowIndex) =>
           bindActionCreators(
             { updateRowHeights },
             this.reduxStore.dispatch
           ).updateRowHeights(firstUpdatedRowIndex),
+        announce: (message) =>
+          this._fixedDataTable && this._fixedDataTable.announce(message),
       }
     );
   }
@@ -130,27 +275,61 @@ class FixedDataTableContainer extends React.Component {
     }
   }
 
+  /**
+   * Calls `onViewStateChange` if the view state changed, skipping the intermediate states while scrolling.
+   */
+  notifyViewStateChanges() {
+    const { onViewStateChange } = this.props;
+    if (!onViewStateChange || this.reduxStore.getState().scrolling) {
+      return;
+    }
+
+    const viewState = this.viewStateActions.getViewState();
+    if (!isEqual(this.previousViewState, viewState)) {
+      this.previousViewState = viewState;
+      onViewStateChange(viewState);
+    }
+  }
+
+  _onFixedDataTableRef = (fixedDataTable) => {
+    this._fixedDataTable = fixedDataTable;
+  };
+
   render() {
     const fixedDataTableContextValue = this.getApi();
 
     const fdt = (
       <FixedDataTable
+        ref={this._onFixedDataTableRef}
         {...this.props}
         {...this.state.boundState}
         scrollActions={this.scrollActions}
+        selectionActions={this.selectionActions}
+        activeCellActions={this.activeCellActions}
+        editingActions={this.editingActions}
+        clipboardActions={this.clipboardActions}
+        rowActions={this.rowActions}
       />
     );
     // For backward compatibility, by default we render FDT-2 scrollbars
     if (this.props.defaultScrollbars) {
       return (
         <FixedDataTableContext.Provider value={fixedDataTableContextValue}>
-          <ScrollContainer {...this.props}>{fdt}</ScrollContainer>
+          <FixedDataTableInternalContext.Provider
+            value={this.internalContextValue}
+          >
+            <ScrollContainer {...this.props}>{fdt}</ScrollContainer>
+          </FixedDataTableInternalContext.Provider>
         </FixedDataTableContext.Provider>
       );
     }
     return (
       <FixedDataTableContext.Provider value={fixedDataTableContextValue}>
-        {fdt}
+        <FixedDataTableInternalContext.Provider
+          value={this.internalContextValue}
+        >
+          {fdt}
+        </FixedDataTableInternalContext.Provider>
       </FixedDataTableContext.Provider>
     );
   }
@@ -158,14 +337,23 @@ class FixedDataTableContainer extends React.Component {
   static getBoundState(reduxStore) {
     const state = reduxStore.getState();
     const boundState = pick(state, [
+      'activeCell',
       'columnGroupElements',
       'columnElements',
+      'columnsToRender',
+      'editingCell',
       'elementHeights',
       'elementTemplates',
       'firstRowIndex',
       'endRowIndex',
+      'filterModel',
+      'fixedBottomRows',
+      'fixedRowOffsets',
+      'fixedRows',
+      'loadedRowRanges',
       'maxScrollX',
       'maxScrollY',
+      'outerColumnGroupElements',
       'propsRevision',
       'rows',
       'rowOffsets',
@@ -177,6 +365,8 @@ class FixedDataTableContainer extends React.Component {
       'scrolling',
       'scrollJumpedX',
       'scrollJumpedY',
+      'selection',
+      'sortState',
       'tableSize',
     ]);
     return boundState;
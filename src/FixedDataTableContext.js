@@ -11,4 +11,9 @@ import React from 'react';
 
 const FixedDataTableContext = React.createContext({});
 
-export { FixedDataTableContext };
+/**
+ * Bookkeeping of the table shared with its plugins, which is kept out of the public API.
+ */
+const FixedDataTableInternalContext = React.createContext(null);
+
+export { FixedDataTableContext, FixedDataTableInternalContext };
@@ -80,6 +80,12 @@ class FixedDataTableRowImpl extends React.Component {
      */
     scrollableColumns: PropTypes.array.isRequired,
 
+    /**
+     * Indexes of the scrollable columns to render, keyed by their position in the column buffer.
+     * Only specified when column virtualization is enabled.
+     */
+    columnsToRender: PropTypes.array,
+
     /**
      * The distance between the left edge of the table and the leftmost portion
      * of the row currently visible in the table.
@@ -171,10 +177,108 @@ class FixedDataTableRowImpl extends React.Component {
      */
     isGroupHeader: PropTypes.bool,
 
+    /**
+     * The tier of column groups of the group-header, starting from 0 for the outermost tier
+     */
+    groupHeaderTier: PropTypes.number,
+
     /**
      * Function to change the scroll position by interacting with the store.
      */
     scrollToX: PropTypes.func,
+
+    /**
+     * Whether the entire row is selected.
+     */
+    isSelected: PropTypes.bool,
+
+    /**
+     * The selected ranges of the table. Only specified when selection is enabled.
+     */
+    selection: PropTypes.array,
+
+    /**
+     * The sorted columns of the table. Only specified for the header.
+     */
+    sortState: PropTypes.array,
+
+    /**
+     * The filters of the table, keyed by column key. Only specified for the filter row.
+     */
+    filterModel: PropTypes.object,
+
+    /**
+     * The row object given by the `dataSource` of the table, if any.
+     */
+    row: PropTypes.any,
+
+    /**
+     * Whether the row is still to be loaded through `loadMoreRows`, in which case placeholders are rendered instead of the cells.
+     */
+    isPlaceholder: PropTypes.bool,
+
+    /**
+     * Callback that is called with the height of the row's content, once it differs from the height of the row.
+     * Only specified with `autoRowHeight`, in which case the cells size themselves to their content.
+     *
+     * ```
+     * function(rowIndex: number, height: number)
+     * ```
+     */
+    onHeightMeasure: PropTypes.func,
+
+    /**
+     * Fire when a cell of the row is clicked.
+     *
+     * ```
+     * function(event: Object, rowIndex: number, columnIndex: number)
+     * ```
+     */
+    onCellClick: PropTypes.func,
+
+    /**
+     * Index of the active cell's column, if the active cell is within this row.
+     */
+    activeColumnIndex: PropTypes.number,
+
+    /**
+     * DOM id given to the active cell.
+     */
+    activeCellId: PropTypes.string,
+
+    /**
+     * Fire when a cell of the row is double clicked.
+     *
+     * ```
+     * function(event: Object, rowIndex: number, columnIndex: number)
+     * ```
+     */
+    onCellDoubleClick: PropTypes.func,
+
+    /**
+     * The cell being edited, if it's within this row.
+     */
+    editingCell: PropTypes.object,
+
+    /**
+     * Callbacks given to the editor of the edited cell.
+     */
+    cellEditorHandlers: PropTypes.object,
+
+    /**
+     * The merged cells affecting this row, by column index (see cellSpanHelper).
+     */
+    cellSpans: PropTypes.object,
+
+    /**
+     * Renders the row as a group header row spanning all the columns, in place of its cells.
+     */
+    rowGroupHeader: PropTypes.oneOfType([PropTypes.element, PropTypes.func]),
+
+    /**
+     * The depth of the group of the group header row, starting from 0 for the outermost groups.
+     */
+    rowGroupDepth: PropTypes.number,
   };
 
   shouldComponentUpdate(nextProps) {
@@ -194,14 +298,138 @@ class FixedDataTableRowImpl extends React.Component {
       return true;
     }
 
-    // Only update the row if scrolling leads to a change in horizontal offsets.
+    // Only update the row if scrolling leads to a change in horizontal offsets,
+    // or if the active, edited or merged cells changed (which can scroll the table).
     // The vertical offset is taken care of by the wrapper
     return !(
       this.props.index === nextProps.index &&
-      this.props.scrollLeft === nextProps.scrollLeft
+      this.props.row === nextProps.row &&
+      this.props.isPlaceholder === nextProps.isPlaceholder &&
+      this.props.scrollLeft === nextProps.scrollLeft &&
+      this.props.activeColumnIndex === nextProps.activeColumnIndex &&
+      this.props.editingCell === nextProps.editingCell &&
+      this.props.cellSpans === nextProps.cellSpans
     );
   }
 
+  componentDidMount() {
+    this._observeHeight();
+  }
+
+  componentDidUpdate(prevProps) {
+    // the height only needs to be measured again for other rows or other contents,
+    // or when the table forgot about the measured height, e.g, when the rows got sorted
+    if (
+      this.props.index !== prevProps.index ||
+      this.props.height !== prevProps.height ||
+      this.props.isPlaceholder !== prevProps.isPlaceholder ||
+      this.props.rowGroupHeader !== prevProps.rowGroupHeader ||
+      this.props.onHeightMeasure !== prevProps.onHeightMeasure ||
+      this._didCellContentsChange()
+    ) {
+      this._observeHeight();
+    }
+  }
+
+  componentWillUnmount() {
+    if (this._resizeObserver) {
+      this._resizeObserver.disconnect();
+      this._resizeObserver = null;
+    }
+  }
+
+  /**
+   * With `autoRowHeight`, watches the content of the cells for size changes, e.g, when text wraps differently,
+   * and measures the height of the row.
+   * The resize observer reports the initial sizes of the contents too, so that the layout doesn't get forced
+   * by the rendering. Browsers without resize observers measure the contents right away instead.
+   *
+   * @private
+   */
+  _observeHeight() {
+    if (this._resizeObserver) {
+      this._resizeObserver.disconnect();
+    }
+    this._observedContents = [];
+    if (
+      !this.props.onHeightMeasure ||
+      this.props.isPlaceholder ||
+      this.props.rowGroupHeader
+    ) {
+      return;
+    }
+
+    this._observedContents = this._getCellContents();
+    if (typeof ResizeObserver === 'undefined') {
+      this._measureHeight();
+      return;
+    }
+    if (!this._resizeObserver) {
+      this._resizeObserver = new ResizeObserver(this._measureHeight);
+    }
+    this._observedContents.forEach((content) =>
+      this._resizeObserver.observe(content)
+    );
+  }
+
+  /**
+   * @return {boolean} whether other cell contents got rendered since they got observed
+   * @private
+   */
+  _didCellContentsChange() {
+    const cellContents = this._getCellContents();
+    return (
+      cellContents.length !== this._observedContents.length ||
+      cellContents.some(
+        (content, idx) => content !== this._observedContents[idx]
+      )
+    );
+  }
+
+  /**
+   * @return {!Array.<!Element>} the root elements of the rendered cells
+   * @private
+   */
+  _getCellContents() {
+    if (!this._rowRef) {
+      return [];
+    }
+    const cells = this._rowRef.querySelectorAll(
+      '.' + cx('fixedDataTableCellLayout/main')
+    );
+    return Array.from(cells)
+      .map((cell) => cell.firstElementChild)
+      .filter(Boolean);
+  }
+
+  /**
+   * Reports the height of the tallest cell content, unless it's the height of the row already.
+   *
+   * @private
+   */
+  _measureHeight = () => {
+    // the row might have been recycled for a placeholder or group header meanwhile
+    if (
+      !this.props.onHeightMeasure ||
+      this.props.isPlaceholder ||
+      this.props.rowGroupHeader
+    ) {
+      return;
+    }
+
+    const height = this._getCellContents().reduce(
+      (maxHeight, content) => Math.max(maxHeight, content.offsetHeight),
+      0
+    );
+    if (height > 0 && height !== this.props.height) {
+      this.props.onHeightMeasure(this.props.index, height);
+    }
+  };
+
+  _onRef = (/*?object*/ ref) => {
+    this._rowRef = ref;
+  };
+
   render() /*object*/ {
     const subRowHeight = this.props.subRowHeight || 0;
     const style = {
@@ -214,6 +442,8 @@ class FixedDataTableRowImpl extends React.Component {
       'public/fixedDataTableRow/highlighted': this.props.index % 2 === 1,
       'public/fixedDataTableRow/odd': this.props.index % 2 === 1,
       'public/fixedDataTableRow/even': this.props.index % 2 === 0,
+      'public/fixedDataTableRow/selected': this.props.isSelected,
+      'public/fixedDataTableRow/rowGroupHeader': !!this.props.rowGroupHeader,
     });
     const fixedColumnsWidth = sumPropWidths(this.props.fixedColumns);
     let fixedColumns = (
@@ -234,9 +464,23 @@ class FixedDataTableRowImpl extends React.Component {
         isHeaderOrFooter={this.props.isHeaderOrFooter}
         isHeader={this.props.isHeader}
         isGroupHeader={this.props.isGroupHeader}
+        groupHeaderTier={this.props.groupHeaderTier}
         isRTL={this.props.isRTL}
         cellGroupType={CellGroupType.FIXED}
         isVisible={this.props.visible}
+        selection={this.props.selection}
+        sortState={this.props.sortState}
+        filterModel={this.props.filterModel}
+        row={this.props.row}
+        isPlaceholder={this.props.isPlaceholder}
+        autoHeight={!!this.props.onHeightMeasure}
+        onCellClick={this.props.onCellClick}
+        activeColumnIndex={this.props.activeColumnIndex}
+        activeCellId={this.props.activeCellId}
+        onCellDoubleClick={this.props.onCellDoubleClick}
+        editingCell={this.props.editingCell}
+        cellEditorHandlers={this.props.cellEditorHandlers}
+        cellSpans={this.props.cellSpans}
       />
     );
     const columnsLeftShadow = this._renderColumnsLeftShadow(fixedColumnsWidth);
@@ -262,9 +506,23 @@ class FixedDataTableRowImpl extends React.Component {
         isHeaderOrFooter={this.props.isHeaderOrFooter}
         isHeader={this.props.isHeader}
         isGroupHeader={this.props.isGroupHeader}
+        groupHeaderTier={this.props.groupHeaderTier}
         isRTL={this.props.isRTL}
         cellGroupType={CellGroupType.FIXED_RIGHT}
         isVisible={this.props.visible}
+        selection={this.props.selection}
+        sortState={this.props.sortState}
+        filterModel={this.props.filterModel}
+        row={this.props.row}
+        isPlaceholder={this.props.isPlaceholder}
+        autoHeight={!!this.props.onHeightMeasure}
+        onCellClick={this.props.onCellClick}
+        activeColumnIndex={this.props.activeColumnIndex}
+        activeCellId={this.props.activeCellId}
+        onCellDoubleClick={this.props.onCellDoubleClick}
+        editingCell={this.props.editingCell}
+        cellEditorHandlers={this.props.cellEditorHandlers}
+        cellSpans={this.props.cellSpans}
       />
     );
     const fixedRightColumnsShadow = fixedRightColumnsWidth
@@ -289,6 +547,7 @@ class FixedDataTableRowImpl extends React.Component {
         }
         zIndex={0}
         columns={this.props.scrollableColumns}
+        columnsToRender={this.props.columnsToRender}
         touchEnabled={this.props.touchEnabled}
         onColumnResizeEndCallback={this.props.onColumnResizeEndCallback}
         onColumnReorderEndCallback={this.props.onColumnReorderEndCallback}
@@ -297,9 +556,23 @@ class FixedDataTableRowImpl extends React.Component {
         isHeaderOrFooter={this.props.isHeaderOrFooter}
         isHeader={this.props.isHeader}
         isGroupHeader={this.props.isGroupHeader}
+        groupHeaderTier={this.props.groupHeaderTier}
         isRTL={this.props.isRTL}
         cellGroupType={CellGroupType.SCROLLABLE}
         isVisible={this.props.visible}
+        selection={this.props.selection}
+        sortState={this.props.sortState}
+        filterModel={this.props.filterModel}
+        row={this.props.row}
+        isPlaceholder={this.props.isPlaceholder}
+        autoHeight={!!this.props.onHeightMeasure}
+        onCellClick={this.props.onCellClick}
+        activeColumnIndex={this.props.activeColumnIndex}
+        activeCellId={this.props.activeCellId}
+        onCellDoubleClick={this.props.onCellDoubleClick}
+        editingCell={this.props.editingCell}
+        cellEditorHandlers={this.props.cellEditorHandlers}
+        cellSpans={this.props.cellSpans}
       />
     );
     const scrollableColumnsWidth = sumPropWidths(this.props.scrollableColumns);
@@ -333,8 +606,10 @@ class FixedDataTableRowImpl extends React.Component {
     return (
       <div
         className={joinClasses(className, this.props.className)}
+        ref={this._onRef}
         role={'row'}
         aria-rowindex={this.props.ariaRowIndex}
+        aria-selected={this.props.isSelected}
         {...this.props.attributes}
         onClick={this.props.onClick ? this._onClick : null}
         onContextMenu={this.props.onContextMenu ? this._onContextMenu : null}
@@ -353,11 +628,17 @@ class FixedDataTableRowImpl extends React.Component {
         style={style}
       >
         <div className={cx('fixedDataTableRowLayout/body')}>
-          {fixedColumns}
-          {scrollableColumns}
-          {columnsLeftShadow}
-          {fixedRightColumns}
-          {fixedRightColumnsShadow}
+          {this.props.rowGroupHeader ? (
+            this._renderRowGroupHeader(scrollbarOffset)
+          ) : (
+            <>
+              {fixedColumns}
+              {scrollableColumns}
+              {columnsLeftShadow}
+              {fixedRightColumns}
+              {fixedRightColumnsShadow}
+            </>
+          )}
           {scrollbarSpacer}
         </div>
         {rowExpanded && (
@@ -368,7 +649,7 @@ class FixedDataTableRowImpl extends React.Component {
             {rowExpanded}
           </div>
         )}
-        {columnsRightShadow}
+        {!this.props.rowGroupHeader && columnsRightShadow}
       </div>
     );
   }
@@ -395,6 +676,45 @@ class FixedDataTableRowImpl extends React.Component {
     }
   };
 
+  _renderRowGroupHeader = (/*number*/ scrollbarOffset) => /*object*/ {
+    const { rowGroupHeader } = this.props;
+    const rowGroupHeaderProps = {
+      rowIndex: this.props.index,
+      depth: this.props.rowGroupDepth,
+      height: this.props.height,
+      width: this.props.width - scrollbarOffset,
+    };
+
+    let content;
+    if (React.isValidElement(rowGroupHeader)) {
+      content = React.cloneElement(rowGroupHeader, rowGroupHeaderProps);
+    } else {
+      content = rowGroupHeader(rowGroupHeaderProps);
+    }
+
+    // the group header spans all the columns, and doesn't scroll horizontally
+    const columnsCount =
+      this.props.fixedColumns.length +
+      this.props.scrollableColumns.length +
+      this.props.fixedRightColumns.length;
+    return (
+      <div
+        className={cx(
+          'fixedDataTableRowLayout/rowGroupHeader',
+          'public/fixedDataTableRow/rowGroupHeaderCell'
+        )}
+        role="gridcell"
+        aria-colspan={columnsCount}
+        style={{
+          height: this.props.height,
+          width: rowGroupHeaderProps.width,
+        }}
+      >
+        {content}
+      </div>
+    );
+  };
+
   _renderColumnsLeftShadow = (/*number*/ left) => /*?object*/ {
     const className = cx({
       'fixedDataTableRowLayout/fixedColumnsDivider': left > 0,
@@ -567,8 +887,13 @@ class FixedDataTableRow extends React.Component {
     return !(
       nextProps.isScrolling &&
       this.props.index === nextProps.index &&
+      this.props.row === nextProps.row &&
+      this.props.isPlaceholder === nextProps.isPlaceholder &&
       this.props.offsetTop === nextProps.offsetTop &&
-      this.props.scrollLeft === nextProps.scrollLeft
+      this.props.scrollLeft === nextProps.scrollLeft &&
+      this.props.activeColumnIndex === nextProps.activeColumnIndex &&
+      this.props.editingCell === nextProps.editingCell &&
+      this.props.cellSpans === nextProps.cellSpans
     );
   }
 
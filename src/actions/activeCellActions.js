@@ -0,0 +1,163 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * @providesModule activeCellActions
+ */
+
+'use strict';
+
+import clamp from 'lodash/clamp';
+import { bindActionCreators } from 'redux';
+
+import { activateCell, getColumnsCount } from '../reducers';
+
+const getActiveCellActions = (store, getProps) => {
+  const activeCellActions = bindActionCreators(
+    {
+      activateCell,
+    },
+    store.dispatch
+  );
+
+  const getTableSize = () => {
+    const { columnElements, rowSettings } = store.getState();
+    return {
+      columnsCount: getColumnsCount(columnElements),
+      rowsCount: rowSettings.rowsCount,
+    };
+  };
+
+  /**
+   * Makes the given cell active, and scrolls it into view
+   *
+   * @param {number} rowIndex
+   * @param {number} columnIndex
+   * @return {boolean} whether the active cell changed
+   */
+  const setActiveCell = (rowIndex, columnIndex) => {
+    const { columnsCount, rowsCount } = getTableSize();
+    if (rowsCount === 0 || columnsCount === 0) {
+      return false;
+    }
+
+    const activeCell = {
+      rowIndex: clamp(rowIndex, 0, rowsCount - 1),
+      columnIndex: clamp(columnIndex, 0, columnsCount - 1),
+    };
+    const previousActiveCell = store.getState().activeCell;
+    if (
+      previousActiveCell &&
+      previousActiveCell.rowIndex === activeCell.rowIndex &&
+      previousActiveCell.columnIndex === activeCell.columnIndex
+    ) {
+      return false;
+    }
+
+    activeCellActions.activateCell(activeCell);
+
+    const { onActiveCellChange } = getProps();
+    if (onActiveCellChange) {
+      onActiveCellChange(activeCell);
+    }
+    return true;
+  };
+
+  /**
+   * Moves the active cell by the given amount of rows and columns.
+   * If no cell is active yet, then the first cell becomes active.
+   *
+   * With `wrap`, moving past the first or last column continues on the previous or next row.
+   *
+   * @param {number} rowDelta
+   * @param {number} columnDelta
+   * @param {boolean} [wrap]
+   * @return {boolean} whether the active cell changed
+   */
+  const moveActiveCell = (rowDelta, columnDelta, wrap = false) => {
+    const { activeCell } = store.getState();
+    if (!activeCell) {
+      return setActiveCell(0, 0);
+    }
+
+    let { rowIndex, columnIndex } = activeCell;
+    rowIndex += rowDelta;
+    columnIndex += columnDelta;
+
+    const { columnsCount, rowsCount } = getTableSize();
+    if (wrap && (columnIndex < 0 || columnIndex >= columnsCount)) {
+      rowIndex += Math.floor(columnIndex / columnsCount);
+      columnIndex =
+        ((columnIndex % columnsCount) + columnsCount) % columnsCount;
+      if (rowIndex < 0 || rowIndex >= rowsCount) {
+        return false;
+      }
+    }
+
+    return setActiveCell(rowIndex, columnIndex);
+  };
+
+  /**
+   * Moves the active cell to the first column of its row,
+   * or to the first cell of the table with `toFirstRow`
+   *
+   * @param {boolean} toFirstRow
+   * @return {boolean} whether the active cell changed
+   */
+  const moveActiveCellToStart = (toFirstRow) => {
+    const { activeCell } = store.getState();
+    let rowIndex = activeCell ? activeCell.rowIndex : 0;
+    if (toFirstRow) {
+      rowIndex = 0;
+    }
+    return setActiveCell(rowIndex, 0);
+  };
+
+  /**
+   * Moves the active cell to the last column of its row,
+   * or to the last cell of the table with `toLastRow`
+   *
+   * @param {boolean} toLastRow
+   * @return {boolean} whether the active cell changed
+   */
+  const moveActiveCellToEnd = (toLastRow) => {
+    const { activeCell } = store.getState();
+    const { columnsCount, rowsCount } = getTableSize();
+    let rowIndex = activeCell ? activeCell.rowIndex : 0;
+    if (toLastRow) {
+      rowIndex = rowsCount - 1;
+    }
+    return setActiveCell(rowIndex, columnsCount - 1);
+  };
+
+  /**
+   * Moves the active cell by the amount of rows visible in the viewport
+   *
+   * @param {number} direction 1 to move down, -1 to move up
+   * @return {boolean} whether the active cell changed
+   */
+  const moveActiveCellByPage = (direction) => {
+    const { endRowIndex, firstRowIndex } = store.getState();
+    const pageSize = Math.max(endRowIndex - firstRowIndex - 1, 1);
+    return moveActiveCell(direction * pageSize, 0);
+  };
+
+  /**
+   * @return {?{
+   *   rowIndex: number,
+   *   columnIndex: number,
+   * }} the active cell, or null if no cell is active
+   */
+  const getActiveCell = () => store.getState().activeCell;
+
+  return {
+    getActiveCell,
+    moveActiveCell,
+    moveActiveCellByPage,
+    moveActiveCellToEnd,
+    moveActiveCellToStart,
+    setActiveCell,
+  };
+};
+
+export { getActiveCellActions };
@@ -0,0 +1,526 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * @providesModule cellGeometryActions
+ */
+
+'use strict';
+
+import { CellGroupType } from '../enums/CellGroup';
+import { getCellSpans } from '../helper/cellSpanHelper';
+import { isFixedRow } from '../reducers/computeFixedRows';
+import columnWidths from '../selectors/columnWidths';
+import scrollbarsVisible from '../selectors/scrollbarsVisible';
+import stickyRowGroupHeaders from '../selectors/stickyRowGroupHeaders';
+import tableHeights from '../selectors/tableHeights';
+
+/**
+ * The position and size of a cell, both relative to the table and to the browser's viewport.
+ *
+ * @typedef {{
+ *   top: number,
+ *   left: number,
+ *   clientTop: number,
+ *   clientLeft: number,
+ *   width: number,
+ *   height: number,
+ * }}
+ */
+const CellRect = {};
+
+/**
+ * The cell found under a point, see `getCellAtPoint`.
+ *
+ * @typedef {{
+ *   rowIndex: ?number,
+ *   columnIndex: number,
+ *   columnKey: (string|number|undefined),
+ *   cellGroupType: string,
+ *   isHeader: boolean,
+ *   isFilter: boolean,
+ *   isFooter: boolean,
+ *   groupHeaderTier: ?number,
+ *   rect: CellRect,
+ * }}
+ */
+const CellHit = {};
+
+const getCellGeometryActions = (store, getProps, getTableNode) => {
+  /**
+   * @return {{top: number, left: number}} the position of the table's content within the browser's viewport
+   * @private
+   */
+  const _getClientOrigin = () => {
+    const node = getTableNode();
+    if (!node) {
+      return { top: 0, left: 0 };
+    }
+    // the table's content is laid out within its borders
+    const { top, left } = node.getBoundingClientRect();
+    return { top: top + node.clientTop, left: left + node.clientLeft };
+  };
+
+  /**
+   * Lists the horizontal layout of the given cell groups, as laid out in a left to right table.
+   * Scrollable cells slide under the fixed ones, and fixed right cells stick to the vertical scrollbar.
+   *
+   * @param {{
+   *   fixed: !Array.<Object>,
+   *   scrollable: !Array.<Object>,
+   *   fixedRight: !Array.<Object>,
+   * }} container columns or column groups, with their widths and offsets
+   * @return {!Array.<{
+   *   cellGroupType: string,
+   *   elements: !Array.<Object>,
+   *   firstIndex: number,
+   *   left: number,
+   *   right: number,
+   *   scrollLeft: number,
+   * }>} bounds of each cell group within the table
+   * @private
+   */
+  const _getCellGroupLayouts = (container) => {
+    const state = store.getState();
+    const { width } = state.tableSize;
+    const scrollbarOffset = scrollbarsVisible(state).scrollEnabledY
+      ? state.scrollbarYWidth
+      : 0;
+    const getGroupWidth = (elements) =>
+      elements.reduce((sum, element) => sum + element.width, 0);
+    const fixedWidth = getGroupWidth(container.fixed);
+    const fixedRightWidth = getGroupWidth(container.fixedRight);
+    const fixedRightLeft = width - fixedRightWidth - scrollbarOffset;
+
+    return [
+      {
+        cellGroupType: CellGroupType.FIXED,
+        elements: container.fixed,
+        firstIndex: 0,
+        left: 0,
+        right: fixedWidth,
+        scrollLeft: 0,
+      },
+      {
+        cellGroupType: CellGroupType.SCROLLABLE,
+        elements: container.scrollable,
+        firstIndex: container.fixed.length,
+        left: fixedWidth,
+        right: fixedRightLeft,
+        scrollLeft: state.scrollX,
+      },
+      {
+        cellGroupType: CellGroupType.FIXED_RIGHT,
+        elements: container.fixedRight,
+        firstIndex: container.fixed.length + container.scrollable.length,
+        left: fixedRightLeft,
+        right: fixedRightLeft + fixedRightWidth,
+        scrollLeft: 0,
+      },
+    ];
+  };
+
+  /**
+   * @param {!Object} layout layout of the cell group, see `_getCellGroupLayouts`
+   * @param {!Object} element the column or column group
+   * @return {{left: number, width: number}} the horizontal bounds of the element within the table
+   * @private
+   */
+  const _getHorizontalBounds = (layout, element) => {
+    const ltrLeft = layout.left + element.offset - layout.scrollLeft;
+    // right to left tables mirror the whole layout
+    const left = getProps().isRTL
+      ? store.getState().tableSize.width - ltrLeft - element.width
+      : ltrLeft;
+    return { left, width: element.width };
+  };
+
+  /**
+   * @param {{top: number, left: number, width: number, height: number}} bounds relative to the table
+   * @return {CellRect}
+   * @private
+   */
+  const _toCellRect = (bounds) => {
+    const clientOrigin = _getClientOrigin();
+    return {
+      ...bounds,
+      clientTop: bounds.top + clientOrigin.top,
+      clientLeft: bounds.left + clientOrigin.left,
+    };
+  };
+
+  /**
+   * @param {number} rowIndex
+   * @return {number} the height of the cells of the given row, i.e, of the row without its sub row
+   * @private
+   */
+  const _getCellHeight = (rowIndex) =>
+    store.getState().rowSettings.rowHeightGetter(rowIndex);
+
+  /**
+   * @param {number} rowIndex
+   * @return {number} the top of the given row within the table, which may be outside of the body if scrolled out
+   * @private
+   */
+  const _getRowTop = (rowIndex) => {
+    const state = store.getState();
+    const { fixedRowsCount } = state.rowSettings;
+    const { bodyOffsetTop, footOffsetTop } = tableHeights(state);
+    const { fixedBottomRowsHeight, fixedRowsHeight } = state.elementHeights;
+    if (isFixedRow(state.rowSettings, rowIndex)) {
+      const regionTop =
+        rowIndex < fixedRowsCount
+          ? bodyOffsetTop - fixedRowsHeight
+          : footOffsetTop - fixedBottomRowsHeight;
+      return regionTop + state.fixedRowOffsets[rowIndex];
+    }
+    return (
+      bodyOffsetTop +
+      state.getInternal().rowOffsetIntervalTree.sumUntil(rowIndex) -
+      state.scrollY
+    );
+  };
+
+  /**
+   * Finds the sticky group header row (see `rowGroupPathGetter`) under the given vertical position.
+   * Rows rendered last are on top, so they're looked up first.
+   *
+   * @param {number} y relative to the table
+   * @return {?{rowIndex: number, top: number}} the row and its top, or null if there's no sticky row under the position
+   * @private
+   */
+  const _getStickyRowAtPosition = (y) => {
+    if (!getProps().rowGroupHeader) {
+      return null;
+    }
+    const state = store.getState();
+    const { bodyOffsetTop } = tableHeights(state);
+    const { rowIndexes, offsets, height } = stickyRowGroupHeaders(state);
+    const bodyY = y - bodyOffsetTop;
+    if (bodyY < 0 || bodyY >= height) {
+      return null;
+    }
+    const rowIndex = rowIndexes
+      .slice()
+      .reverse()
+      .find(
+        (stickyRowIndex) =>
+          bodyY >= offsets[stickyRowIndex] &&
+          bodyY < offsets[stickyRowIndex] + _getCellHeight(stickyRowIndex)
+      );
+    if (rowIndex === undefined) {
+      return null;
+    }
+    return { rowIndex, top: bodyOffsetTop + offsets[rowIndex] };
+  };
+
+  /**
+   * Finds the row under the given vertical position, within the body or its fixed rows.
+   * Sticky group header rows cover the top of the body, so they're looked up before the scrollable rows.
+   *
+   * @param {number} y relative to the table
+   * @return {?{rowIndex: number, top: number, isSticky: boolean}} the row and its top,
+   *   or null if there's no row under the position
+   * @private
+   */
+  const _getRowAtPosition = (y) => {
+    const state = store.getState();
+    const { fixedRowsCount, rowsCount } = state.rowSettings;
+    const { bodyOffsetTop, footOffsetTop } = tableHeights(state);
+    const { fixedBottomRowsHeight, fixedRowsHeight } = state.elementHeights;
+
+    // fixed rows are few, so they're simply walked through
+    const findFixedRow = (rowIndexes) =>
+      rowIndexes.find((rowIndex) => {
+        const top = _getRowTop(rowIndex);
+        return y >= top && y < top + _getCellHeight(rowIndex);
+      });
+
+    let rowIndex;
+    if (y >= bodyOffsetTop - fixedRowsHeight && y < bodyOffsetTop) {
+      rowIndex = findFixedRow(state.fixedRows);
+    } else if (
+      y >= footOffsetTop - fixedBottomRowsHeight &&
+      y < footOffsetTop
+    ) {
+      rowIndex = findFixedRow(state.fixedBottomRows);
+    } else if (y >= bodyOffsetTop && y < footOffsetTop) {
+      const stickyRow = _getStickyRowAtPosition(y);
+      if (stickyRow) {
+        return { ...stickyRow, isSticky: true };
+      }
+      const contentOffset = y - bodyOffsetTop + state.scrollY;
+      if (contentOffset >= state.scrollContentHeight) {
+        return null;
+      }
+      rowIndex = Math.max(
+        state
+          .getInternal()
+          .rowOffsetIntervalTree.greatestLowerBound(contentOffset),
+        fixedRowsCount
+      );
+      // sub rows aren't cells
+      if (
+        rowIndex >= rowsCount ||
+        y >= _getRowTop(rowIndex) + _getCellHeight(rowIndex)
+      ) {
+        return null;
+      }
+    }
+
+    if (rowIndex === undefined) {
+      return null;
+    }
+    return { rowIndex, top: _getRowTop(rowIndex), isSticky: false };
+  };
+
+  /**
+   * Finds the merged cell (see `cellSpanGetter`) covering the given cell, if any.
+   *
+   * @param {number} rowIndex
+   * @param {!Object} layout layout of the cell group of the column, see `_getCellGroupLayouts`
+   * @param {number} localIndex position of the column within its cell group
+   * @return {?{rowIndex: number, localIndex: number, width: number, height: number}} the first (top left) cell
+   *   of the merged cell along with its size, or null if the cell isn't merged
+   * @private
+   */
+  const _getMergedCell = (rowIndex, layout, localIndex) => {
+    const { cellSpanGetter, maxColSpan, maxRowSpan } = getProps();
+    if (!cellSpanGetter) {
+      return null;
+    }
+    const { rowsCount, rowHeightGetter, subRowHeightGetter } =
+      store.getState().rowSettings;
+    const cellSpans = getCellSpans({
+      cellSpanGetter,
+      columnGroups: [
+        layout.elements.map(({ columnKey, width }, idx) => ({
+          columnKey,
+          index: layout.firstIndex + idx,
+          width,
+        })),
+      ],
+      renderedColumns: [[localIndex]],
+      rowIndexes: [rowIndex],
+      rowsCount,
+      maxRowSpan,
+      maxColSpan,
+      rowHeightGetter,
+      subRowHeightGetter,
+    })[rowIndex];
+    if (!cellSpans) {
+      return null;
+    }
+
+    // the other columns of a merged cell refer to its first column
+    let columnIndex = layout.firstIndex + localIndex;
+    if (cellSpans[columnIndex] && cellSpans[columnIndex].hidden) {
+      columnIndex = cellSpans[columnIndex].anchorColumnIndex;
+    }
+    const cellSpan = cellSpans[columnIndex];
+    if (!cellSpan) {
+      return null;
+    }
+    return {
+      rowIndex: cellSpan.rowIndex,
+      localIndex: columnIndex - layout.firstIndex,
+      width: cellSpan.width,
+      height: cellSpan.height,
+    };
+  };
+
+  /**
+   * Gets the position and size of the cell at the given row and column.
+   * Cells scrolled out of the viewport are still positioned, outside of the table's body.
+   *
+   * @param {number} rowIndex
+   * @param {number} columnIndex global index of the column
+   * @return {CellRect}
+   */
+  const getCellRect = (rowIndex, columnIndex) => {
+    const state = store.getState();
+    const { rowsCount } = state.rowSettings;
+    if (rowIndex < 0 || rowIndex >= rowsCount || !Number.isInteger(rowIndex)) {
+      throw `rowIndex must be an integer between 0 and ${
+        rowsCount - 1
+      } inclusive`;
+    }
+
+    const { fixedColumns, fixedRightColumns, scrollableColumns } =
+      columnWidths(state);
+    const layouts = _getCellGroupLayouts({
+      fixed: fixedColumns,
+      scrollable: scrollableColumns,
+      fixedRight: fixedRightColumns,
+    });
+    const layout = layouts.find(
+      ({ elements, firstIndex }) =>
+        columnIndex >= firstIndex && columnIndex < firstIndex + elements.length
+    );
+    if (!layout || !Number.isInteger(columnIndex)) {
+      const columnsCount = layouts.reduce(
+        (count, { elements }) => count + elements.length,
+        0
+      );
+      throw `columnIndex must be an integer between 0 and ${
+        columnsCount - 1
+      } inclusive`;
+    }
+
+    const column = layout.elements[columnIndex - layout.firstIndex];
+    return _toCellRect({
+      top: _getRowTop(rowIndex),
+      height: _getCellHeight(rowIndex),
+      ..._getHorizontalBounds(layout, column),
+    });
+  };
+
+  /**
+   * Finds the cell under the given point, e.g, the position of a mouse event.
+   * Cells of the header, group header, filter and footer rows are found as well, and their `rowIndex` is null.
+   * For group header rows, `columnIndex` and `columnKey` refer to the column group.
+   * For merged cells (see `cellSpanGetter`), the first (top left) cell of the merged cell is found.
+   *
+   * @param {number} clientX relative to the browser's viewport
+   * @param {number} clientY relative to the browser's viewport
+   * @return {?CellHit} the cell, or null if there's no cell under the point
+   */
+  const getCellAtPoint = (clientX, clientY) => {
+    const state = store.getState();
+    const clientOrigin = _getClientOrigin();
+    const x = clientX - clientOrigin.left;
+    const y = clientY - clientOrigin.top;
+    const { width } = state.tableSize;
+    if (x < 0 || x >= width || y < 0) {
+      return null;
+    }
+
+    const {
+      filterHeight = 0,
+      footerHeight,
+      groupHeaderHeight,
+      groupHeaderHeights,
+      headerHeight,
+    } = state.elementHeights;
+    const { footOffsetTop } = tableHeights(state);
+    const columns = columnWidths(state);
+
+    const hit = {
+      rowIndex: null,
+      isHeader: false,
+      isFilter: false,
+      isFooter: false,
+      groupHeaderTier: null,
+    };
+    let container = {
+      fixed: columns.fixedColumns,
+      scrollable: columns.scrollableColumns,
+      fixedRight: columns.fixedRightColumns,
+    };
+    let top;
+    let height;
+    let isBodyRow = false;
+    if (y < groupHeaderHeight) {
+      // tiers of column groups are laid out from the outermost to the innermost
+      const tiersCount = columns.outerColumnGroups.length + 1;
+      top = 0;
+      for (let tier = 0; tier < tiersCount; tier++) {
+        height = groupHeaderHeights[tier] || 0;
+        if (y < top + height) {
+          hit.isHeader = true;
+          hit.groupHeaderTier = tier;
+          container =
+            tier < columns.outerColumnGroups.length
+              ? columns.outerColumnGroups[tier]
+              : {
+                  fixed: columns.fixedColumnGroups,
+                  scrollable: columns.scrollableColumnGroups,
+                  fixedRight: columns.fixedRightColumnGroups,
+                };
+          break;
+        }
+        top += height;
+      }
+    } else if (y < groupHeaderHeight + headerHeight) {
+      hit.isHeader = true;
+      top = groupHeaderHeight;
+      height = headerHeight;
+    } else if (y < groupHeaderHeight + headerHeight + filterHeight) {
+      hit.isFilter = true;
+      top = groupHeaderHeight + headerHeight;
+      height = filterHeight;
+    } else if (y >= footOffsetTop) {
+      if (y >= footOffsetTop + footerHeight) {
+        return null;
+      }
+      hit.isFooter = true;
+      top = footOffsetTop;
+      height = footerHeight;
+    } else {
+      const row = _getRowAtPosition(y);
+      if (!row) {
+        return null;
+      }
+      hit.rowIndex = row.rowIndex;
+      top = row.top;
+      height = _getCellHeight(row.rowIndex);
+      isBodyRow = !row.isSticky;
+    }
+
+    // right to left tables mirror the whole layout, so the left edges of the cells,
+    // which are included in their bounds, become their right edges once mirrored
+    const isRTL = !!getProps().isRTL;
+    const ltrX = isRTL ? width - x : x;
+    const isWithin = (start, end) =>
+      isRTL ? ltrX > start && ltrX <= end : ltrX >= start && ltrX < end;
+    const layout = _getCellGroupLayouts(container).find(({ left, right }) =>
+      isWithin(left, right)
+    );
+    if (!layout) {
+      return null;
+    }
+    const layoutStart = layout.left - layout.scrollLeft;
+    let localIndex = layout.elements.findIndex((element) =>
+      isWithin(
+        layoutStart + element.offset,
+        layoutStart + element.offset + element.width
+      )
+    );
+    if (localIndex === -1) {
+      return null;
+    }
+
+    let element = layout.elements[localIndex];
+    let elementWidth = element.width;
+    const mergedCell = isBodyRow
+      ? _getMergedCell(hit.rowIndex, layout, localIndex)
+      : null;
+    if (mergedCell) {
+      hit.rowIndex = mergedCell.rowIndex;
+      top = _getRowTop(mergedCell.rowIndex);
+      height = mergedCell.height;
+      localIndex = mergedCell.localIndex;
+      element = layout.elements[localIndex];
+      elementWidth = mergedCell.width;
+    }
+
+    return {
+      ...hit,
+      columnIndex: layout.firstIndex + localIndex,
+      columnKey: element.columnKey,
+      cellGroupType: layout.cellGroupType,
+      rect: _toCellRect({
+        top,
+        height,
+        ..._getHorizontalBounds(layout, { ...element, width: elementWidth }),
+      }),
+    };
+  };
+
+  return {
+    getCellRect,
+    getCellAtPoint,
+  };
+};
+
+export { getCellGeometryActions };
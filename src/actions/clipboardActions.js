@@ -0,0 +1,192 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * @providesModule clipboardActions
+ */
+
+'use strict';
+
+import { isCellSelected } from '../helper/selectionHelper';
+import { parseTSV, toHTML, toTSV } from '../helper/clipboardHelper';
+
+/**
+ * Copying stops after this many rows, so that copying a large selection (e.g. after selecting all)
+ * doesn't walk through every row of the table.
+ */
+const MAX_COPIED_ROWS_COUNT = 10000;
+
+const getClipboardActions = (store, getProps) => {
+  /**
+   * @return {!Array.<Object>} props of all the columns, ordered by index
+   */
+  const getColumns = () => {
+    const { columnElements } = store.getState();
+    return columnElements.fixed.concat(
+      columnElements.scrollable,
+      columnElements.fixedRight
+    );
+  };
+
+  /**
+   * @param {!Object} column
+   * @param {number} rowIndex
+   * @return {string} text value of the cell, as given by the column's `valueGetter` and `formatter`
+   */
+  const getCellText = (column, rowIndex) => {
+    const value = column.valueGetter ? column.valueGetter(rowIndex) : undefined;
+    if (column.formatter) {
+      return String(column.formatter(value, rowIndex));
+    }
+    return value === undefined || value === null ? '' : String(value);
+  };
+
+  /**
+   * When rows are loaded through `loadMoreRows`, only the loaded rows can be copied.
+   *
+   * @param {number} startIndex
+   * @param {number} stopIndex inclusive
+   * @return {!Array.<{
+   *   startIndex: number,
+   *   stopIndex: number,
+   * }>} the ranges of rows which can be copied within the given range
+   */
+  const getCopyableRowRanges = (startIndex, stopIndex) => {
+    if (!getProps().loadMoreRows) {
+      return [{ startIndex, stopIndex }];
+    }
+    return store
+      .getState()
+      .loadedRowRanges.map((range) => ({
+        startIndex: Math.max(range.startIndex, startIndex),
+        stopIndex: Math.min(range.stopIndex, stopIndex),
+      }))
+      .filter((range) => range.startIndex <= range.stopIndex);
+  };
+
+  /**
+   * Collects the text values of the selected cells, or of the rows in the viewport if nothing is selected.
+   * Only columns with a `valueGetter` or `formatter` are included, along with
+   * the first `MAX_COPIED_ROWS_COUNT` copyable rows.
+   * Cells within the copied rows and columns which aren't selected are left empty.
+   *
+   * @return {!Array.<!Array.<string>>}
+   */
+  const getCopiedRows = () => {
+    const { endRowIndex, firstRowIndex, selection } = store.getState();
+    const columns = getColumns().filter(
+      (column) => column.valueGetter || column.formatter
+    );
+
+    const rowIndexes = new Set();
+    const addRowIndexes = (startIndex, stopIndex) =>
+      getCopyableRowRanges(startIndex, stopIndex).forEach((range) => {
+        for (
+          let rowIndex = range.startIndex;
+          rowIndex <= range.stopIndex &&
+          rowIndexes.size < MAX_COPIED_ROWS_COUNT;
+          rowIndex++
+        ) {
+          rowIndexes.add(rowIndex);
+        }
+      });
+
+    if (!getProps().selectionMode || selection.length === 0) {
+      addRowIndexes(firstRowIndex, endRowIndex - 1);
+      return Array.from(rowIndexes).map((rowIndex) =>
+        columns.map((column) => getCellText(column, rowIndex))
+      );
+    }
+
+    const columnIndexes = new Set();
+    selection.forEach((range) => {
+      addRowIndexes(range.startRowIndex, range.endRowIndex);
+      columns.forEach((column) => {
+        if (
+          range.startColumnIndex === undefined ||
+          (column.index >= range.startColumnIndex &&
+            column.index <= range.endColumnIndex)
+        ) {
+          columnIndexes.add(column.index);
+        }
+      });
+    });
+
+    const copiedColumns = columns.filter((column) =>
+      columnIndexes.has(column.index)
+    );
+    return Array.from(rowIndexes)
+      .sort((a, b) => a - b)
+      .map((rowIndex) =>
+        copiedColumns.map((column) =>
+          isCellSelected(selection, rowIndex, column.index)
+            ? getCellText(column, rowIndex)
+            : ''
+        )
+      );
+  };
+
+  /**
+   * Returns the content to put on the clipboard when copying from the table,
+   * both as tab-separated text and as HTML table markup.
+   *
+   * @return {?{
+   *   text: string,
+   *   html: string,
+   * }} the clipboard content, or null if no column can be copied
+   */
+  const getClipboardContent = () => {
+    const rows = getCopiedRows();
+    if (rows.length === 0 || rows[0].length === 0) {
+      return null;
+    }
+    return {
+      text: toTSV(rows),
+      html: toHTML(rows),
+    };
+  };
+
+  /**
+   * Parses the given tab-separated text, and reports it through `onPaste`.
+   * Values are pasted at the active cell, or else at the start of the selection.
+   *
+   * @param {string} text
+   * @return {boolean} whether the text was pasted
+   */
+  const pasteText = (text) => {
+    const { onPaste } = getProps();
+    const { activeCell, selection } = store.getState();
+    if (!onPaste) {
+      return false;
+    }
+
+    let start = activeCell;
+    if (!start && selection.length > 0) {
+      start = {
+        rowIndex: selection[0].startRowIndex,
+        columnIndex: selection[0].startColumnIndex || 0,
+      };
+    }
+    const rows = parseTSV(text);
+    if (!start || rows.length === 0) {
+      return false;
+    }
+
+    const column = getColumns().find(
+      (column) => column.index === start.columnIndex
+    );
+    onPaste({
+      startRow: start.rowIndex,
+      startColumnKey: column && column.columnKey,
+      rows,
+    });
+    return true;
+  };
+
+  return {
+    getClipboardContent,
+    pasteText,
+  };
+};
+
+export { getClipboardActions };
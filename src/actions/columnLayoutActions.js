@@ -0,0 +1,410 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * @providesModule columnLayoutActions
+ */
+
+'use strict';
+
+import React from 'react';
+import { bindActionCreators } from 'redux';
+
+import { CellGroupType } from '../enums/CellGroup';
+import { setColumnLayout, updateKeyboardMovedColumn } from '../reducers';
+import { isFixedRow } from '../reducers/computeFixedRows';
+import {
+  getColumnLayoutEntries,
+  getMovedColumnOrder,
+  getOutermostColumnElement,
+} from '../helper/columnLayoutHelper';
+import { measureColumnWidth as measureCellsWidth } from '../helper/columnMeasureHelper';
+import { isRowInRanges } from '../helper/rowRangeHelper';
+import columnWidths from '../selectors/columnWidths';
+import ResizeCell from '../plugins/ResizeReorder/ResizeCell';
+import clamp from '../vendor_upstream/core/clamp';
+
+const FIXED_SIDES = ['left', 'right', null];
+
+/**
+ * @param {*} element header template of a column
+ * @return {?Object} the `Plugins.ResizeCell` element within the template, if any
+ */
+const findResizeCellElement = (element) => {
+  if (!React.isValidElement(element)) {
+    return null;
+  }
+  if (element.type === ResizeCell) {
+    return element;
+  }
+  let resizeCell = null;
+  React.Children.forEach(element.props.children, (child) => {
+    resizeCell = resizeCell || findResizeCellElement(child);
+  });
+  return resizeCell;
+};
+
+/**
+ * Options for measuring the content of a column.
+ * `sampleRowsCount` is the number of rows, spread across the table, whose cells get rendered and measured
+ * along with the rendered cells, which only cover the rows around the viewport. Defaults to 0.
+ *
+ * @typedef {{
+ *   sampleRowsCount: (number|undefined),
+ * }}
+ */
+const MeasureOptions = {};
+
+const getColumnLayoutActions = (store, getProps, getTableNode, getApi) => {
+  const columnLayoutActions = bindActionCreators(
+    {
+      setColumnLayout,
+      updateKeyboardMovedColumn,
+    },
+    store.dispatch
+  );
+
+  /**
+   * @param {function(!Object): !Object} getColumnLayout gives the new layout overrides from the current ones
+   * @private
+   */
+  const _updateColumnLayout = (getColumnLayout) => {
+    const { columnLayout } = store.getState();
+    columnLayoutActions.setColumnLayout({
+      columnLayout: getColumnLayout(columnLayout),
+      props: getProps(),
+    });
+  };
+
+  /**
+   * Shows or hides the given column, overriding its `hidden` prop until that prop changes.
+   *
+   * @param {string|number} columnKey
+   * @param {boolean} visible
+   */
+  const setColumnVisibility = (columnKey, visible) => {
+    _updateColumnLayout((columnLayout) => ({
+      ...columnLayout,
+      hidden: { ...columnLayout.hidden, [columnKey]: !visible },
+    }));
+  };
+
+  /**
+   * @return {!Array.<string|number>} the keys of the hidden columns, in the order they would be displayed
+   */
+  const getHiddenColumns = () =>
+    getColumnLayoutEntries(getProps().children, store.getState().columnLayout)
+      .filter(({ hidden }) => hidden)
+      .map(({ columnKey }) => columnKey);
+
+  /**
+   * Reorders the columns, overriding the order of their elements until the columns get reordered through props.
+   * Columns are only reordered among their siblings, and columns missing from the given keys keep their order,
+   * after the listed ones.
+   *
+   * @param {!Array.<string|number>} columnKeys
+   */
+  const setColumnOrder = (columnKeys) => {
+    _updateColumnLayout((columnLayout) => ({
+      ...columnLayout,
+      order: columnKeys,
+    }));
+  };
+
+  /**
+   * Moves a column (or a column group) between the given columns, like `onColumnReorderEnd` reports them.
+   * The column is moved before `columnAfter` if given, or else after `columnBefore`.
+   *
+   * @param {string|number} columnKey
+   * @param {?(string|number)} columnBefore
+   * @param {?(string|number)} columnAfter
+   */
+  const moveColumn = (columnKey, columnBefore, columnAfter) => {
+    _updateColumnLayout((columnLayout) => ({
+      ...columnLayout,
+      order: getMovedColumnOrder(
+        getProps().children,
+        columnLayout,
+        columnKey,
+        columnBefore,
+        columnAfter
+      ),
+    }));
+  };
+
+  /**
+   * Brings the columns back to the order of their elements.
+   */
+  const resetColumnOrder = () => {
+    _updateColumnLayout((columnLayout) => ({
+      ...columnLayout,
+      order: null,
+    }));
+  };
+
+  /**
+   * Resizes the given column, overriding its `width` prop until that prop changes.
+   *
+   * @param {string|number} columnKey
+   * @param {number} width
+   */
+  const setColumnWidth = (columnKey, width) => {
+    _updateColumnLayout((columnLayout) => ({
+      ...columnLayout,
+      widths: { ...columnLayout.widths, [columnKey]: width },
+    }));
+  };
+
+  /**
+   * Brings the columns back to the widths given by their `width` props.
+   */
+  const resetColumnWidths = () => {
+    _updateColumnLayout((columnLayout) => ({
+      ...columnLayout,
+      widths: {},
+    }));
+  };
+
+  /**
+   * Fixes the given column to the left or to the right side of the table, or makes it scrollable,
+   * overriding its `fixed` and `fixedRight` props until these props change.
+   * Columns nested within column groups get pinned along with their outermost column group.
+   *
+   * @param {string|number} columnKey
+   * @param {?string} side 'left', 'right', or null for scrollable columns
+   */
+  const pinColumn = (columnKey, side) => {
+    if (FIXED_SIDES.indexOf(side) === -1) {
+      throw `side must be one of 'left', 'right' or null`;
+    }
+    const element = getOutermostColumnElement(getProps().children, columnKey);
+    const pinnedColumnKey = element ? element.props.columnKey : columnKey;
+    if (pinnedColumnKey === undefined || pinnedColumnKey === null) {
+      throw `column ${columnKey} can't be pinned since its outermost column group has no columnKey`;
+    }
+
+    _updateColumnLayout((columnLayout) => ({
+      ...columnLayout,
+      fixed: { ...columnLayout.fixed, [pinnedColumnKey]: side },
+    }));
+  };
+
+  /**
+   * @return {?(string|number)} the column just moved through the keyboard, whose header gets focused again
+   */
+  const getKeyboardMovedColumn = () => store.getState().keyboardMovedColumnKey;
+
+  /**
+   * Marks the given column as moved through the keyboard, for its header to get focused once rendered
+   * at its new position, or clears the mark with null.
+   * This is internal to `Plugins.ReorderCell`, and isn't part of the API.
+   *
+   * @param {?(string|number)} columnKey
+   */
+  const setKeyboardMovedColumn = (columnKey) => {
+    if (getKeyboardMovedColumn() !== columnKey) {
+      columnLayoutActions.updateKeyboardMovedColumn(columnKey);
+    }
+  };
+
+  /**
+   * @param {string|number} columnKey
+   * @return {?{column: !Object, cellGroupType: string}} the displayed column with the given key, if any
+   * @private
+   */
+  const _findColumn = (columnKey) => {
+    const { fixedColumns, scrollableColumns, fixedRightColumns } = columnWidths(
+      store.getState()
+    );
+    const cellGroups = [
+      { cellGroupType: CellGroupType.FIXED, columns: fixedColumns },
+      { cellGroupType: CellGroupType.SCROLLABLE, columns: scrollableColumns },
+      { cellGroupType: CellGroupType.FIXED_RIGHT, columns: fixedRightColumns },
+    ];
+    for (const { cellGroupType, columns } of cellGroups) {
+      const column = columns.find((column) => column.columnKey === columnKey);
+      if (column) {
+        return { column, cellGroupType };
+      }
+    }
+    return null;
+  };
+
+  /**
+   * @param {number} sampleRowsCount
+   * @return {!Array.<number>} rows spread evenly across the table which aren't rendered, and are loaded if rows
+   *   get loaded through `loadMoreRows`
+   * @private
+   */
+  const _getSampledRowIndexes = (sampleRowsCount) => {
+    const { loadedRowRanges, rows, rowSettings } = store.getState();
+    const { rowsCount } = rowSettings;
+    const { loadMoreRows } = getProps();
+    const count = Math.min(sampleRowsCount, rowsCount);
+    const rowIndexes = [];
+    for (let i = 0; i < count; i++) {
+      const rowIndex = Math.floor((i * rowsCount) / count);
+      const isRendered =
+        rows.indexOf(rowIndex) !== -1 || isFixedRow(rowSettings, rowIndex);
+      const isLoaded =
+        !loadMoreRows || isRowInRanges(loadedRowRanges, rowIndex);
+      if (!isRendered && isLoaded) {
+        rowIndexes.push(rowIndex);
+      }
+    }
+    return rowIndexes;
+  };
+
+  /**
+   * Measures the width fitting the content of the given column, i.e, of its header, footer and rendered cells.
+   * Cells of rows which aren't rendered can be sampled as well.
+   *
+   * @param {string|number} columnKey
+   * @param {MeasureOptions=} options
+   * @return {?number} the width, or null if the column isn't displayed or none of its cells are rendered
+   */
+  const measureColumnWidth = (columnKey, { sampleRowsCount = 0 } = {}) => {
+    const tableNode = getTableNode();
+    const found = _findColumn(columnKey);
+    if (!tableNode || !found) {
+      return null;
+    }
+
+    const { column, cellGroupType } = found;
+    const { elementTemplates, rowSettings } = store.getState();
+    const { dataSource, isRTL } = getProps();
+    const sampledCellProps = _getSampledRowIndexes(sampleRowsCount).map(
+      (rowIndex) => ({
+        align: column.align,
+        cell: elementTemplates.cell[column.index],
+        cellGroupType,
+        className: column.cellClassName,
+        columnIndex: column.index,
+        columnKey,
+        height: rowSettings.rowHeightGetter(rowIndex),
+        isRTL,
+        isVisible: true,
+        left: 0,
+        row: dataSource ? dataSource.getRow(rowIndex) : undefined,
+        rowIndex,
+        width: column.width,
+      })
+    );
+    return measureCellsWidth(
+      tableNode,
+      column.index,
+      sampledCellProps,
+      getApi()
+    );
+  };
+
+  /**
+   * @param {string|number} columnKey
+   * @param {MeasureOptions=} options
+   * @return {?number} the measured width of the column, within its minWidth and maxWidth
+   * @private
+   */
+  const _getAutoSizedWidth = (columnKey, options) => {
+    const width = measureColumnWidth(columnKey, options);
+    if (width === null) {
+      return null;
+    }
+    const { minWidth, maxWidth } = _findColumn(columnKey).column;
+    return clamp(width, minWidth || 0, maxWidth || Number.MAX_SAFE_INTEGER);
+  };
+
+  /**
+   * Reports the new width of an auto-sized column like double-clicking its resizer does, to the `onColumnResizeEnd`
+   * of the `Plugins.ResizeCell` in its header. Columns without one report to the deprecated `onColumnResizeEndCallback`.
+   *
+   * @param {string|number} columnKey
+   * @param {number} width
+   * @private
+   */
+  const _reportColumnWidth = (columnKey, width) => {
+    const { column } = _findColumn(columnKey);
+    const resizeCell = findResizeCellElement(
+      store.getState().elementTemplates.header[column.index]
+    );
+    const onColumnResizeEnd = resizeCell
+      ? resizeCell.props.onColumnResizeEnd
+      : getProps().onColumnResizeEndCallback;
+    if (onColumnResizeEnd) {
+      onColumnResizeEnd(width, columnKey);
+    }
+  };
+
+  /**
+   * Resizes the given column to fit its content, within its `minWidth` and `maxWidth`, see `measureColumnWidth`.
+   * The new width is reported like double-clicking the column's resizer does, and kept by the table itself
+   * with `uncontrolledColumnLayout`.
+   *
+   * @param {string|number} columnKey
+   * @param {MeasureOptions=} options
+   * @return {?number} the new width, or null if the column couldn't be measured
+   */
+  const autoSizeColumn = (columnKey, options) => {
+    const width = _getAutoSizedWidth(columnKey, options);
+    if (width === null) {
+      return null;
+    }
+    if (getProps().uncontrolledColumnLayout) {
+      setColumnWidth(columnKey, width);
+    }
+    _reportColumnWidth(columnKey, width);
+    return width;
+  };
+
+  /**
+   * Resizes all the displayed columns to fit their content, like `autoSizeColumn` does.
+   *
+   * @param {MeasureOptions=} options
+   * @return {!Object.<string, number>} the new widths, keyed by column key
+   */
+  const autoSizeAllColumns = (options) => {
+    const autoSizedColumns = getColumnLayoutEntries(
+      getProps().children,
+      store.getState().columnLayout
+    )
+      .filter(({ hidden }) => !hidden)
+      .map(({ columnKey }) => ({
+        columnKey,
+        width: _getAutoSizedWidth(columnKey, options),
+      }))
+      .filter(({ width }) => width !== null);
+    const widths = {};
+    autoSizedColumns.forEach(({ columnKey, width }) => {
+      widths[columnKey] = width;
+    });
+
+    // all the columns get laid out at once
+    if (getProps().uncontrolledColumnLayout) {
+      _updateColumnLayout((columnLayout) => ({
+        ...columnLayout,
+        widths: { ...columnLayout.widths, ...widths },
+      }));
+    }
+    autoSizedColumns.forEach(({ columnKey, width }) =>
+      _reportColumnWidth(columnKey, width)
+    );
+    return widths;
+  };
+
+  return {
+    autoSizeAllColumns,
+    autoSizeColumn,
+    getHiddenColumns,
+    getKeyboardMovedColumn,
+    measureColumnWidth,
+    moveColumn,
+    pinColumn,
+    resetColumnOrder,
+    resetColumnWidths,
+    setColumnOrder,
+    setColumnVisibility,
+    setColumnWidth,
+    setKeyboardMovedColumn,
+  };
+};
+
+export { getColumnLayoutActions };
@@ -0,0 +1,182 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * @providesModule editingActions
+ */
+
+'use strict';
+
+import { bindActionCreators } from 'redux';
+
+import {
+  getColumnsCount,
+  isEditedColumnInTable,
+  updateEditingCell,
+} from '../reducers';
+
+const getEditingActions = (store, getProps) => {
+  const editingActions = bindActionCreators(
+    {
+      updateEditingCell,
+    },
+    store.dispatch
+  );
+
+  /**
+   * @param {number} columnIndex
+   * @return {?Object} props of the column at the given index
+   */
+  const getColumn = (columnIndex) => {
+    const { columnElements } = store.getState();
+    return columnElements.fixed
+      .concat(columnElements.scrollable, columnElements.fixedRight)
+      .find((column) => column.index === columnIndex);
+  };
+
+  /**
+   * @param {number} columnIndex
+   * @return {boolean} whether cells of the given column can be edited
+   */
+  const isColumnEditable = (columnIndex) => {
+    const column = getColumn(columnIndex);
+    return !!(column && column.editor);
+  };
+
+  /**
+   * Commits the value being edited through `onCellEditCommit`.
+   * The edit gets discarded instead if the edited column isn't in the table anymore.
+   */
+  const commitEdit = () => {
+    const state = store.getState();
+    const { editingCell } = state;
+    if (!editingCell) {
+      return;
+    }
+
+    editingActions.updateEditingCell(null);
+
+    const { onCellEditCommit } = getProps();
+    if (onCellEditCommit && isEditedColumnInTable(state, editingCell)) {
+      const { rowIndex, columnIndex, columnKey, value } = editingCell;
+      onCellEditCommit({ rowIndex, columnIndex, columnKey, value });
+    }
+  };
+
+  /**
+   * Discards the value being edited
+   */
+  const cancelEdit = () => {
+    if (store.getState().editingCell) {
+      editingActions.updateEditingCell(null);
+    }
+  };
+
+  /**
+   * Opens the editor of the given cell, after committing any ongoing edit.
+   * The initial value comes from the column's `valueGetter`, unless specified.
+   *
+   * @param {number} rowIndex
+   * @param {number} columnIndex
+   * @param {*} [value]
+   * @return {boolean} whether the cell is editable
+   */
+  const startEdit = (rowIndex, columnIndex, value) => {
+    const column = getColumn(columnIndex);
+    const { rowsCount } = store.getState().rowSettings;
+    if (!column || !column.editor || rowIndex < 0 || rowIndex >= rowsCount) {
+      return false;
+    }
+
+    commitEdit();
+
+    if (value === undefined && column.valueGetter) {
+      value = column.valueGetter(rowIndex);
+    }
+    editingActions.updateEditingCell({
+      rowIndex,
+      columnIndex,
+      columnKey: column.columnKey,
+      value,
+    });
+    return true;
+  };
+
+  /**
+   * Updates the value being edited
+   *
+   * @param {*} value
+   */
+  const changeEditValue = (value) => {
+    const { editingCell } = store.getState();
+    if (editingCell) {
+      editingActions.updateEditingCell({ ...editingCell, value });
+    }
+  };
+
+  /**
+   * Commits the ongoing edit, and opens the editor of the next (or previous) editable cell.
+   * The search continues on the following (or preceding) rows.
+   *
+   * @param {number} direction 1 to move forward, -1 to move backward
+   * @return {?{
+   *   rowIndex: number,
+   *   columnIndex: number,
+   * }} the newly edited cell, or null if there's no other editable cell in that direction
+   */
+  const moveEdit = (direction) => {
+    const { columnElements, editingCell, rowSettings } = store.getState();
+    if (!editingCell) {
+      return null;
+    }
+
+    const columnsCount = getColumnsCount(columnElements);
+    const editableColumns = [];
+    for (let columnIndex = 0; columnIndex < columnsCount; columnIndex++) {
+      if (isColumnEditable(columnIndex)) {
+        editableColumns.push(columnIndex);
+      }
+    }
+
+    let { rowIndex } = editingCell;
+    let position = editableColumns.indexOf(editingCell.columnIndex) + direction;
+    if (position < 0) {
+      rowIndex--;
+      position = editableColumns.length - 1;
+    } else if (position >= editableColumns.length) {
+      rowIndex++;
+      position = 0;
+    }
+
+    commitEdit();
+    if (rowIndex < 0 || rowIndex >= rowSettings.rowsCount) {
+      return null;
+    }
+
+    const columnIndex = editableColumns[position];
+    startEdit(rowIndex, columnIndex);
+    return { rowIndex, columnIndex };
+  };
+
+  /**
+   * @return {?{
+   *   rowIndex: number,
+   *   columnIndex: number,
+   *   columnKey: (string|number|undefined),
+   *   value: *,
+   * }} the cell being edited, or null if no cell is being edited
+   */
+  const getEditingCell = () => store.getState().editingCell;
+
+  return {
+    cancelEdit,
+    changeEditValue,
+    commitEdit,
+    getEditingCell,
+    isColumnEditable,
+    moveEdit,
+    startEdit,
+  };
+};
+
+export { getEditingActions };
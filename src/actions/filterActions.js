@@ -0,0 +1,69 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * @providesModule filterActions
+ */
+
+'use strict';
+
+import isEqual from 'lodash/isEqual';
+import { bindActionCreators } from 'redux';
+
+import { updateFilterModel } from '../reducers';
+import { getNextFilterModel } from '../helper/filterHelper';
+
+const getFilterActions = (store, getProps) => {
+  const filterActions = bindActionCreators(
+    {
+      updateFilterModel,
+    },
+    store.dispatch
+  );
+
+  /**
+   * Replaces the filters of the columns, and reports them through `onFilterChange`.
+   * The store only keeps the new filter model if it isn't controlled through the `filterModel` prop.
+   *
+   * @param {!Object.<string, Object>} filterModel
+   */
+  const setFilterModel = (filterModel) => {
+    const { onFilterChange, filterModel: controlledFilterModel } = getProps();
+    if (isEqual(filterModel, store.getState().filterModel)) {
+      return;
+    }
+
+    if (controlledFilterModel === undefined) {
+      filterActions.updateFilterModel(filterModel);
+    }
+    if (onFilterChange) {
+      onFilterChange(filterModel);
+    }
+  };
+
+  /**
+   * Replaces the filter of the given column.
+   * This is what the filter cells of the filter row do.
+   *
+   * @param {string|number} columnKey
+   * @param {?Object} filter the new filter of the column, or null to stop filtering it
+   */
+  const setColumnFilter = (columnKey, filter) => {
+    setFilterModel(
+      getNextFilterModel(store.getState().filterModel, columnKey, filter)
+    );
+  };
+
+  /**
+   * @return {!Object.<string, Object>} the filters of the columns, keyed by column key
+   */
+  const getFilterModel = () => store.getState().filterModel;
+
+  return {
+    getFilterModel,
+    setColumnFilter,
+    setFilterModel,
+  };
+};
+
+export { getFilterActions };
@@ -0,0 +1,274 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * @providesModule rowActions
+ */
+
+'use strict';
+
+import clamp from 'lodash/clamp';
+import { bindActionCreators } from 'redux';
+
+import { spliceRows, updateMeasuredRowHeight } from '../reducers';
+import { isFixedRow } from '../reducers/computeFixedRows';
+import { getStoredHeight } from '../reducers/updateRowHeight';
+import scrollbarsVisible from '../selectors/scrollbarsVisible';
+import stickyRowGroupHeaders from '../selectors/stickyRowGroupHeaders';
+
+/**
+ * A range of rows. Bounds are inclusive.
+ *
+ * @typedef {{
+ *   startIndex: number,
+ *   stopIndex: number,
+ * }}
+ */
+const RowRange = {};
+
+const getRowActions = (store, getProps) => {
+  const rowActions = bindActionCreators(
+    {
+      spliceRows,
+      updateMeasuredRowHeight,
+    },
+    store.dispatch
+  );
+
+  /**
+   * Lets the table know that rows got inserted or removed at the given index, e.g, when a subtree of
+   * tree rows expands or collapses.
+   * Only the inserted rows get their heights initialized, and the rows in the viewport stay in place.
+   *
+   * This should be called right before rendering the table with the new `rowsCount`.
+   *
+   * @param {number} startIndex index of the first removed or inserted row
+   * @param {number} removeCount number of rows removed at startIndex
+   * @param {number} insertCount number of rows inserted at startIndex
+   */
+  const spliceRowsAt = (startIndex, removeCount = 0, insertCount = 0) => {
+    const { rowsCount } = store.getState().rowSettings;
+    const start = clamp(startIndex, 0, rowsCount);
+    const removed = clamp(removeCount, 0, rowsCount - start);
+    if (removed === 0 && insertCount <= 0) {
+      return;
+    }
+    rowActions.spliceRows({
+      startIndex: start,
+      removeCount: removed,
+      insertCount: Math.max(insertCount, 0),
+    });
+  };
+
+  /**
+   * Lets the table know about the height of a row's content, as measured by the rendered row with `autoRowHeight`.
+   * The measured height replaces the one given by `rowHeight` or `rowHeightGetter`.
+   *
+   * @param {number} rowIndex
+   * @param {number} height
+   */
+  const setMeasuredRowHeight = (rowIndex, height) => {
+    const { rowSettings } = store.getState();
+    if (
+      rowIndex >= rowSettings.rowsCount ||
+      rowSettings.rowHeightGetter(rowIndex) === height
+    ) {
+      return;
+    }
+    rowActions.updateMeasuredRowHeight({ rowIndex, height });
+  };
+
+  /**
+   * Expands or collapses the given tree row, through `onRowToggle`.
+   *
+   * @param {number} rowIndex
+   * @return {boolean} whether the row could be toggled
+   */
+  const toggleRow = (rowIndex) => {
+    const { onRowToggle } = getProps();
+    if (!onRowToggle) {
+      return false;
+    }
+    onRowToggle(rowIndex);
+    return true;
+  };
+
+  /**
+   * Lists the group header rows enclosing the given row, through `rowGroupPathGetter`.
+   *
+   * @param {number} rowIndex
+   * @return {!Array.<number>} the group header rows, starting from the outermost group
+   */
+  const getRowGroupPath = (rowIndex) => {
+    const { rowGroupPathGetter } = store.getState().rowSettings;
+    return (rowGroupPathGetter && rowGroupPathGetter(rowIndex)) || [];
+  };
+
+  /**
+   * @param {number} rowIndex
+   * @return {boolean} whether the given row is a group header row
+   */
+  const isRowGroupHeader = (rowIndex) => {
+    const rowGroupPath = getRowGroupPath(rowIndex);
+    return rowGroupPath[rowGroupPath.length - 1] === rowIndex;
+  };
+
+  /**
+   * @return {!Array.<number>} the group header rows sticking to the top of the body,
+   *   starting from the outermost group
+   */
+  const getStickyRowGroupHeaders = () =>
+    getProps().rowGroupHeader
+      ? stickyRowGroupHeaders(store.getState()).rowIndexes
+      : [];
+
+  /**
+   * @return {?RowRange} the rows which scroll with the body, or null if all the rows are fixed
+   * @private
+   */
+  const _getScrollableRowRange = () => {
+    const { fixedBottomRowsCount, fixedRowsCount, rowsCount } =
+      store.getState().rowSettings;
+    const stopIndex = rowsCount - fixedBottomRowsCount - 1;
+    if (fixedRowsCount > stopIndex) {
+      return null;
+    }
+    return { startIndex: fixedRowsCount, stopIndex };
+  };
+
+  /**
+   * @param {number} rowIndex
+   * @private
+   */
+  const _validateRowIndex = (rowIndex) => {
+    const { rowsCount } = store.getState().rowSettings;
+    if (rowIndex < 0 || rowIndex >= rowsCount || !Number.isInteger(rowIndex)) {
+      throw `rowIndex must be an integer between 0 and ${
+        rowsCount - 1
+      } inclusive`;
+    }
+  };
+
+  /**
+   * Gets the offset of the given row from the top of the scrollable content.
+   * Fixed rows don't scroll, so their offset is from the top of their own region instead.
+   *
+   * @param {number} rowIndex
+   * @return {number}
+   */
+  const getRowOffset = (rowIndex) => {
+    _validateRowIndex(rowIndex);
+    const state = store.getState();
+    if (isFixedRow(state.rowSettings, rowIndex)) {
+      return state.fixedRowOffsets[rowIndex];
+    }
+    return state.getInternal().rowOffsetIntervalTree.sumUntil(rowIndex);
+  };
+
+  /**
+   * @param {number} rowIndex
+   * @return {number} the height of the given row, including its sub row
+   */
+  const getRowHeight = (rowIndex) => {
+    _validateRowIndex(rowIndex);
+    const state = store.getState();
+    const { rowHeightGetter, subRowHeightGetter } = state.rowSettings;
+    // fixed rows don't store their heights, since they don't scroll
+    if (isFixedRow(state.rowSettings, rowIndex)) {
+      return rowHeightGetter(rowIndex) + subRowHeightGetter(rowIndex);
+    }
+    return getStoredHeight(state, rowIndex);
+  };
+
+  /**
+   * Gets the scrollable row at the given offset from the top of the scrollable content.
+   *
+   * @param {number} offset
+   * @return {{
+   *   rowIndex: ?number,
+   *   distanceFromOffset: ?number,
+   * }} the row, along with the distance from its top to the offset
+   */
+  const getRowAtOffset = (offset) => {
+    const scrollableRange = _getScrollableRowRange();
+    if (!scrollableRange) {
+      return {
+        rowIndex: null,
+        distanceFromOffset: null,
+      };
+    }
+
+    const { rowOffsetIntervalTree } = store.getState().getInternal();
+    const rowIndex = clamp(
+      rowOffsetIntervalTree.greatestLowerBound(offset),
+      scrollableRange.startIndex,
+      scrollableRange.stopIndex
+    );
+    return {
+      rowIndex,
+      distanceFromOffset: offset - rowOffsetIntervalTree.sumUntil(rowIndex),
+    };
+  };
+
+  /**
+   * Gets the scrollable rows within the viewport, even partially.
+   * Fixed rows are always visible, so they aren't part of the range.
+   *
+   * @return {?RowRange} the visible rows, or null if there are none
+   */
+  const getVisibleRowRange = () => {
+    const scrollableRange = _getScrollableRowRange();
+    const state = store.getState();
+    if (!scrollableRange || state.scrollContentHeight === 0) {
+      return null;
+    }
+
+    const { rowOffsetIntervalTree } = state.getInternal();
+    const { availableHeight } = scrollbarsVisible(state);
+    const viewportEnd = state.scrollY + availableHeight;
+    const startIndex = getRowAtOffset(state.scrollY).rowIndex;
+    let stopIndex = getRowAtOffset(viewportEnd).rowIndex;
+    // a row starting right at the end of the viewport isn't visible
+    while (
+      stopIndex > startIndex &&
+      rowOffsetIntervalTree.sumUntil(stopIndex) >= viewportEnd
+    ) {
+      stopIndex--;
+    }
+    return { startIndex, stopIndex };
+  };
+
+  /**
+   * Gets the scrollable rows rendered by the table, i.e, the visible rows along with the buffered rows around them.
+   * Fixed rows are always rendered, so they aren't part of the range.
+   *
+   * @return {?RowRange} the rendered rows, or null if there are none
+   */
+  const getRenderedRowRange = () => {
+    // rows are listed by their position in the row buffer, which can leave holes
+    const rows = store.getState().rows.filter((rowIndex) => rowIndex >= 0);
+    if (rows.length === 0) {
+      return null;
+    }
+    return {
+      startIndex: Math.min(...rows),
+      stopIndex: Math.max(...rows),
+    };
+  };
+
+  return {
+    spliceRows: spliceRowsAt,
+    setMeasuredRowHeight,
+    toggleRow,
+    getRowGroupPath,
+    isRowGroupHeader,
+    getStickyRowGroupHeaders,
+    getRowOffset,
+    getRowHeight,
+    getRowAtOffset,
+    getVisibleRowRange,
+    getRenderedRowRange,
+  };
+};
+
+export { getRowActions };
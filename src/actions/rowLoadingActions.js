@@ -0,0 +1,283 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * @providesModule rowLoadingActions
+ */
+
+'use strict';
+
+import isEqual from 'lodash/isEqual';
+import { bindActionCreators } from 'redux';
+
+import { updateRowLoading } from '../reducers';
+import {
+  addRowRange,
+  getMissingRowRanges,
+  isRowInRanges,
+  removeRowRange,
+} from '../helper/rowRangeHelper';
+
+const getRowLoadingActions = (store, getProps) => {
+  const rowLoadingActions = bindActionCreators(
+    {
+      updateRowLoading,
+    },
+    store.dispatch
+  );
+
+  // requests which are still pending, along with the controller which aborts them
+  const pendingRequests = new Set();
+
+  // rows which failed to load are only requested again once the wanted rows change, or once reset,
+  // so that a failing `loadMoreRows` doesn't get called over and over as the table renders
+  let lastWantedRanges = null;
+
+  /**
+   * @return {!Array.<{startIndex: number, stopIndex: number}>} ranges of rows which need to be loaded:
+   *   the rendered rows, along with a threshold of rows around them, and the fixed rows
+   */
+  const _getWantedRowRanges = () => {
+    const { loadMoreRowsThreshold } = getProps();
+    const { firstRowIndex, endRowIndex, rowSettings } = store.getState();
+    const { fixedBottomRowsCount, fixedRowsCount, rowsCount } = rowSettings;
+    if (rowsCount === 0) {
+      return [];
+    }
+
+    const wantedRanges = [
+      {
+        startIndex: Math.max(firstRowIndex - loadMoreRowsThreshold, 0),
+        stopIndex: Math.min(
+          endRowIndex - 1 + loadMoreRowsThreshold,
+          rowsCount - 1
+        ),
+      },
+    ];
+    if (fixedRowsCount > 0) {
+      wantedRanges.push({ startIndex: 0, stopIndex: fixedRowsCount - 1 });
+    }
+    if (fixedBottomRowsCount > 0) {
+      wantedRanges.push({
+        startIndex: rowsCount - fixedBottomRowsCount,
+        stopIndex: rowsCount - 1,
+      });
+    }
+    return wantedRanges;
+  };
+
+  /**
+   * @param {!Object} request
+   * @return {boolean} whether rows of the given request got spliced, and so its rows aren't pending anymore
+   * @private
+   */
+  const _isRequestSpliced = (request) =>
+    getMissingRowRanges(
+      store.getState().pendingRowRanges,
+      request.startIndex,
+      request.stopIndex
+    ).length > 0;
+
+  /**
+   * Aborts the given request, so that its rows get requested again once they're needed.
+   *
+   * @param {!Object} request
+   * @private
+   */
+  const _abortRequest = (request) => {
+    pendingRequests.delete(request);
+    request.abortController.abort();
+    const { failedRowRanges, loadedRowRanges, pendingRowRanges } =
+      store.getState();
+    rowLoadingActions.updateRowLoading({
+      failedRowRanges,
+      loadedRowRanges,
+      pendingRowRanges: removeRowRange(
+        pendingRowRanges,
+        request.startIndex,
+        request.stopIndex
+      ),
+    });
+  };
+
+  /**
+   * Stops tracking the given request once it settled.
+   * The rows of a successful request become loaded, while the rows of a failed request are marked as failed.
+   * Requests whose rows got spliced or dropped meanwhile are ignored, as their indexes are out of date.
+   *
+   * @param {!Object} request
+   * @param {boolean} loaded
+   * @private
+   */
+  const _settleRequest = (request, loaded) => {
+    // the rows of an aborted request aren't pending anymore
+    if (!pendingRequests.delete(request)) {
+      return;
+    }
+    const { startIndex, stopIndex } = request;
+    const isValid = !_isRequestSpliced(request);
+    const { failedRowRanges, loadedRowRanges, pendingRowRanges } =
+      store.getState();
+    rowLoadingActions.updateRowLoading({
+      failedRowRanges:
+        isValid && !loaded
+          ? addRowRange(failedRowRanges, startIndex, stopIndex)
+          : failedRowRanges,
+      loadedRowRanges:
+        isValid && loaded
+          ? addRowRange(loadedRowRanges, startIndex, stopIndex)
+          : loadedRowRanges,
+      pendingRowRanges: removeRowRange(pendingRowRanges, startIndex, stopIndex),
+    });
+  };
+
+  /**
+   * Requests the rows which need to be loaded through `loadMoreRows`, and aborts the pending requests
+   * for rows which aren't needed anymore, e.g, when the user scrolled past them or when they got spliced.
+   * Rows are requested in batches aligned on `loadMoreRowsBatchSize`.
+   * Rows which failed to load are skipped until the wanted rows change.
+   *
+   * This gets called by the table whenever it renders.
+   */
+  const loadRenderedRows = () => {
+    const { loadMoreRows, loadMoreRowsBatchSize } = getProps();
+    if (!loadMoreRows) {
+      return;
+    }
+
+    const wantedRanges = _getWantedRowRanges();
+    pendingRequests.forEach((request) => {
+      const isWanted = wantedRanges.some(({ startIndex, stopIndex }) => {
+        // requests cover whole batches, which can extend past the wanted rows
+        const batchStartIndex =
+          Math.floor(startIndex / loadMoreRowsBatchSize) *
+          loadMoreRowsBatchSize;
+        const batchStopIndex =
+          (Math.floor(stopIndex / loadMoreRowsBatchSize) + 1) *
+            loadMoreRowsBatchSize -
+          1;
+        return (
+          request.stopIndex >= batchStartIndex &&
+          request.startIndex <= batchStopIndex
+        );
+      });
+      if (!isWanted || _isRequestSpliced(request)) {
+        _abortRequest(request);
+      }
+    });
+
+    const { loadedRowRanges, rowSettings } = store.getState();
+    let { failedRowRanges, pendingRowRanges } = store.getState();
+    if (!isEqual(wantedRanges, lastWantedRanges)) {
+      lastWantedRanges = wantedRanges;
+      failedRowRanges = [];
+    }
+    // rows which are either pending or failed
+    let skippedRowRanges = failedRowRanges.reduce(
+      (ranges, range) => addRowRange(ranges, range.startIndex, range.stopIndex),
+      pendingRowRanges
+    );
+
+    const requests = [];
+    wantedRanges.forEach(({ startIndex, stopIndex }) => {
+      const firstBatch = Math.floor(startIndex / loadMoreRowsBatchSize);
+      const lastBatch = Math.floor(stopIndex / loadMoreRowsBatchSize);
+      for (let batch = firstBatch; batch <= lastBatch; batch++) {
+        const batchStartIndex = batch * loadMoreRowsBatchSize;
+        const batchStopIndex = Math.min(
+          batchStartIndex + loadMoreRowsBatchSize - 1,
+          rowSettings.rowsCount - 1
+        );
+        getMissingRowRanges(
+          loadedRowRanges,
+          batchStartIndex,
+          batchStopIndex
+        ).forEach((unloadedRange) => {
+          getMissingRowRanges(
+            skippedRowRanges,
+            unloadedRange.startIndex,
+            unloadedRange.stopIndex
+          ).forEach((range) => {
+            pendingRowRanges = addRowRange(
+              pendingRowRanges,
+              range.startIndex,
+              range.stopIndex
+            );
+            skippedRowRanges = addRowRange(
+              skippedRowRanges,
+              range.startIndex,
+              range.stopIndex
+            );
+            requests.push({
+              ...range,
+              abortController: new AbortController(),
+            });
+          });
+        });
+      }
+    });
+    if (
+      requests.length === 0 &&
+      failedRowRanges === store.getState().failedRowRanges
+    ) {
+      return;
+    }
+
+    rowLoadingActions.updateRowLoading({
+      failedRowRanges,
+      loadedRowRanges,
+      pendingRowRanges,
+    });
+    requests.forEach((request) => {
+      pendingRequests.add(request);
+      Promise.resolve(
+        loadMoreRows({
+          startIndex: request.startIndex,
+          stopIndex: request.stopIndex,
+          signal: request.abortController.signal,
+        })
+      ).then(
+        () => _settleRequest(request, true),
+        () => _settleRequest(request, false)
+      );
+    });
+  };
+
+  /**
+   * Aborts the pending requests.
+   */
+  const abortRowLoading = () => {
+    pendingRequests.forEach(_abortRequest);
+  };
+
+  /**
+   * Forgets about the loaded and failed rows, e.g, when the data got sorted on the server,
+   * and loads the rendered rows again.
+   */
+  const resetLoadedRows = () => {
+    abortRowLoading();
+    lastWantedRanges = null;
+    rowLoadingActions.updateRowLoading({
+      failedRowRanges: [],
+      loadedRowRanges: [],
+      pendingRowRanges: [],
+    });
+    loadRenderedRows();
+  };
+
+  /**
+   * @param {number} rowIndex
+   * @return {boolean} whether the given row got loaded through `loadMoreRows`
+   */
+  const isRowLoaded = (rowIndex) =>
+    isRowInRanges(store.getState().loadedRowRanges, rowIndex);
+
+  return {
+    abortRowLoading,
+    isRowLoaded,
+    loadRenderedRows,
+    resetLoadedRows,
+  };
+};
+
+export { getRowLoadingActions };
@@ -7,8 +7,32 @@
 
 'use strict';
 
+import clamp from 'lodash/clamp';
 import { bindActionCreators } from 'redux';
+
 import { scrollToX, scrollToY, scrollEnd } from '../reducers';
+import { isFixedRow } from '../reducers/computeFixedRows';
+import columnWidths from '../selectors/columnWidths';
+import scrollbarsVisible from '../selectors/scrollbarsVisible';
+import {
+  easeInOutCubic,
+  getAlignedScrollPosition,
+} from '../helper/scrollHelper';
+import cancelAnimationFramePolyfill from '../vendor_upstream/core/cancelAnimationFramePolyfill';
+import requestAnimationFramePolyfill from '../vendor_upstream/core/requestAnimationFramePolyfill';
+
+// duration of smooth scrolls, in milliseconds
+const SMOOTH_SCROLL_DURATION = 300;
+
+/**
+ * Options for scrolling the table through the API.
+ *
+ * @typedef {{
+ *   align: (string|undefined),
+ *   behavior: (string|undefined),
+ * }}
+ */
+const ScrollOptions = {};
 
 const getScrollActions = (store, getProps) => {
   const scrollActions = bindActionCreators(
@@ -60,10 +84,214 @@ const getScrollActions = (store, getProps) => {
     }
   };
 
+  // the smooth scroll in progress, if any
+  let scrollAnimation = null;
+
+  /**
+   * Stops the smooth scroll in progress, if any.
+   * Its promise resolves with false.
+   */
+  const stopScrollAnimation = () => {
+    if (!scrollAnimation) {
+      return;
+    }
+    cancelAnimationFramePolyfill(scrollAnimation.frameId);
+    scrollAnimation.resolve(false);
+    scrollAnimation = null;
+  };
+
+  /**
+   * Scrolls to the position given by `getTarget`, either right away or through an eased animation.
+   * The target is computed again on each frame, since rows can change height while scrolling.
+   *
+   * @param {function(): {x: (number|undefined), y: (number|undefined)}} getTarget
+   *   an undefined position leaves its axis as is
+   * @param {string=} behavior `smooth` or `instant`, defaults to `instant`
+   * @return {!Promise.<boolean>} resolves with true once the scroll is done, or with false if it got interrupted
+   * @private
+   */
+  const _scrollTo = (getTarget, behavior) => {
+    stopScrollAnimation();
+
+    if (behavior !== 'smooth') {
+      const { x, y } = getTarget();
+      if (x !== undefined) {
+        smartScrollToX(x);
+      }
+      if (y !== undefined) {
+        smartScrollToY(y);
+      }
+      return Promise.resolve(true);
+    }
+
+    const { scrollX: startX, scrollY: startY } = store.getState();
+    const startTime = Date.now();
+    return new Promise((resolve) => {
+      const animation = { frameId: null, resolve };
+      const step = () => {
+        if (scrollAnimation !== animation) {
+          return;
+        }
+        const progress = Math.min(
+          (Date.now() - startTime) / SMOOTH_SCROLL_DURATION,
+          1
+        );
+        const easedProgress = easeInOutCubic(progress);
+        const { x, y } = getTarget();
+        if (x !== undefined) {
+          smartScrollToX(startX + (x - startX) * easedProgress);
+        }
+        if (y !== undefined) {
+          smartScrollToY(startY + (y - startY) * easedProgress);
+        }
+
+        if (progress < 1) {
+          animation.frameId = requestAnimationFramePolyfill(step);
+        } else {
+          scrollAnimation = null;
+          resolve(true);
+        }
+      };
+      scrollAnimation = animation;
+      animation.frameId = requestAnimationFramePolyfill(step);
+    });
+  };
+
+  /**
+   * @param {number} rowIndex
+   * @param {string=} align
+   * @return {{y: number}} the vertical scroll position which aligns the given row within the viewport
+   * @private
+   */
+  const _getRowScrollTarget = (rowIndex, align) => {
+    const state = store.getState();
+    const { maxScrollY, rowSettings, scrollY } = state;
+    if (rowSettings.rowsCount === 0) {
+      return { y: 0 };
+    }
+
+    // fixed rows are always visible
+    const clampedRowIndex = clamp(rowIndex, 0, rowSettings.rowsCount - 1);
+    if (isFixedRow(rowSettings, clampedRowIndex)) {
+      return { y: scrollY };
+    }
+
+    const { availableHeight } = scrollbarsVisible(state);
+    const rowBegin = state
+      .getInternal()
+      .rowOffsetIntervalTree.sumUntil(clampedRowIndex);
+    const rowHeight =
+      rowSettings.rowHeightGetter(clampedRowIndex) +
+      rowSettings.subRowHeightGetter(clampedRowIndex);
+    const y = getAlignedScrollPosition(
+      rowBegin,
+      rowHeight,
+      scrollY,
+      availableHeight,
+      align
+    );
+    return { y: clamp(y, 0, maxScrollY) };
+  };
+
+  /**
+   * @param {number} columnIndex
+   * @param {string=} align
+   * @return {{x: number}} the horizontal scroll position which aligns the given column within the viewport
+   * @private
+   */
+  const _getColumnScrollTarget = (columnIndex, align) => {
+    const state = store.getState();
+    const { scrollX } = state;
+    const {
+      availableScrollWidth,
+      fixedColumns,
+      maxScrollX,
+      scrollableColumns,
+    } = columnWidths(state);
+
+    // fixed columns are always visible
+    const scrollableIndex = columnIndex - fixedColumns.length;
+    if (scrollableIndex < 0 || scrollableIndex >= scrollableColumns.length) {
+      return { x: scrollX };
+    }
+
+    let columnBegin = 0;
+    for (let idx = 0; idx < scrollableIndex; idx++) {
+      columnBegin += scrollableColumns[idx].width;
+    }
+    const x = getAlignedScrollPosition(
+      columnBegin,
+      scrollableColumns[scrollableIndex].width,
+      scrollX,
+      availableScrollWidth,
+      align
+    );
+    return { x: clamp(x, 0, maxScrollX) };
+  };
+
+  /**
+   * Scrolls the table horizontally to the given position.
+   *
+   * @param {number} scrollPos
+   * @param {ScrollOptions=} options only `behavior` applies
+   * @return {!Promise.<boolean>} resolves with true once the scroll is done, or with false if it got interrupted
+   */
+  const scrollTableToX = (scrollPos, options = {}) =>
+    _scrollTo(() => ({ x: scrollPos }), options.behavior);
+
+  /**
+   * Scrolls the table vertically to the given position.
+   *
+   * @param {number} scrollPos
+   * @param {ScrollOptions=} options only `behavior` applies
+   * @return {!Promise.<boolean>} resolves with true once the scroll is done, or with false if it got interrupted
+   */
+  const scrollTableToY = (scrollPos, options = {}) =>
+    _scrollTo(() => ({ y: scrollPos }), options.behavior);
+
+  /**
+   * Scrolls the given row into the viewport.
+   *
+   * @param {number} rowIndex
+   * @param {ScrollOptions=} options
+   * @return {!Promise.<boolean>} resolves with true once the scroll is done, or with false if it got interrupted
+   */
+  const scrollTableToRow = (rowIndex, options = {}) =>
+    _scrollTo(
+      () => _getRowScrollTarget(rowIndex, options.align),
+      options.behavior
+    );
+
+  /**
+   * Scrolls the given column into the viewport.
+   * Fixed columns are always visible, so they don't affect the scroll position.
+   *
+   * @param {number} columnIndex
+   * @param {ScrollOptions=} options
+   * @return {!Promise.<boolean>} resolves with true once the scroll is done, or with false if it got interrupted
+   */
+  const scrollTableToColumn = (columnIndex, options = {}) =>
+    _scrollTo(
+      () => _getColumnScrollTarget(columnIndex, options.align),
+      options.behavior
+    );
+
+  // scrolls initiated by the user, e.g, through the wheel or touch, interrupt smooth scrolls
   return {
-    scrollToX: smartScrollToX,
-    scrollToY: smartScrollToY,
+    scrollToX: (scrollPos) => {
+      stopScrollAnimation();
+      smartScrollToX(scrollPos);
+    },
+    scrollToY: (scrollPos) => {
+      stopScrollAnimation();
+      smartScrollToY(scrollPos);
+    },
     stopScroll: scrollActions.scrollEnd,
+    stopScrollAnimation,
+    scrollTableToX,
+    scrollTableToY,
+    scrollTableToRow,
+    scrollTableToColumn,
   };
 };
 
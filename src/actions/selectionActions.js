@@ -0,0 +1,153 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * @providesModule selectionActions
+ */
+
+'use strict';
+
+import isEqual from 'lodash/isEqual';
+import { bindActionCreators } from 'redux';
+
+import { getColumnsCount, updateSelection } from '../reducers';
+import { SelectionMode } from '../enums/SelectionMode';
+import {
+  getExtendedSelection,
+  getFullSelection,
+  getNextSelection,
+} from '../helper/selectionHelper';
+
+const getSelectionActions = (store, getProps) => {
+  const selectionActions = bindActionCreators(
+    {
+      updateSelection,
+    },
+    store.dispatch
+  );
+
+  /**
+   * Reports the new selection through `onSelectionChange`.
+   * The store only keeps the new selection if it isn't controlled through the `selection` prop.
+   *
+   * @param {!Array.<Object>} selection
+   * @param {Object} [cursor]
+   */
+  const changeSelection = (selection, cursor) => {
+    const { onSelectionChange, selection: controlledSelection } = getProps();
+    const selectionChanged = !isEqual(selection, store.getState().selection);
+
+    selectionActions.updateSelection({
+      cursor,
+      selection:
+        controlledSelection === undefined && selectionChanged
+          ? selection
+          : undefined,
+    });
+
+    if (selectionChanged && onSelectionChange) {
+      onSelectionChange(selection);
+    }
+  };
+
+  /**
+   * Selects the given row (or cell, when the selection mode is 'cell')
+   *
+   * @param {number} rowIndex
+   * @param {number} columnIndex
+   * @param {{
+   *   extend: boolean,
+   *   toggle: boolean,
+   * }} modifiers
+   */
+  const selectCell = (rowIndex, columnIndex, modifiers) => {
+    const { selectionMode } = getProps();
+    if (!selectionMode) {
+      return;
+    }
+
+    const { selection, selectionCursor } = store.getState();
+    const next = getNextSelection(
+      selection,
+      selectionMode,
+      selectionCursor,
+      { rowIndex, columnIndex },
+      modifiers
+    );
+    changeSelection(next.selection, next.cursor);
+  };
+
+  /**
+   * Extends the selection by moving its focus by the given amount of rows and columns
+   *
+   * @param {number} rowDelta
+   * @param {number} columnDelta
+   */
+  const extendSelection = (rowDelta, columnDelta) => {
+    const { selectionMode } = getProps();
+    if (!selectionMode) {
+      return;
+    }
+
+    const { columnElements, rowSettings, selection, selectionCursor } =
+      store.getState();
+    const next = getExtendedSelection(
+      selection,
+      selectionMode,
+      selectionCursor,
+      rowDelta,
+      columnDelta,
+      rowSettings.rowsCount,
+      getColumnsCount(columnElements)
+    );
+    if (next) {
+      changeSelection(next.selection, next.cursor);
+    }
+  };
+
+  /**
+   * Selects every row (or cell, when the selection mode is 'cell').
+   * This has no effect in single selection mode.
+   */
+  const selectAll = () => {
+    const { selectionMode } = getProps();
+    if (!selectionMode || selectionMode === SelectionMode.SINGLE) {
+      return;
+    }
+
+    const { columnElements, rowSettings } = store.getState();
+    changeSelection(
+      getFullSelection(
+        selectionMode,
+        rowSettings.rowsCount,
+        getColumnsCount(columnElements)
+      ),
+      { anchor: null, focus: null }
+    );
+  };
+
+  /**
+   * Replaces the current selection
+   *
+   * @param {!Array.<Object>} selection
+   */
+  const setSelection = (selection) => {
+    changeSelection(selection, { anchor: null, focus: null });
+  };
+
+  /**
+   * @return {!Array.<Object>} the current selection
+   */
+  const getSelection = () => store.getState().selection;
+
+  return {
+    clearSelection: () => setSelection([]),
+    extendSelection,
+    getSelection,
+    selectAll,
+    selectCell,
+    setSelection,
+  };
+};
+
+export { getSelectionActions };
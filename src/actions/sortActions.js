@@ -0,0 +1,69 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * @providesModule sortActions
+ */
+
+'use strict';
+
+import isEqual from 'lodash/isEqual';
+import { bindActionCreators } from 'redux';
+
+import { updateSortState } from '../reducers';
+import { getNextSortState } from '../helper/sortHelper';
+
+const getSortActions = (store, getProps) => {
+  const sortActions = bindActionCreators(
+    {
+      updateSortState,
+    },
+    store.dispatch
+  );
+
+  /**
+   * Replaces the sorted columns, and reports them through `onSortChange`.
+   * The store only keeps the new sort state if it isn't controlled through the `sortState` prop.
+   *
+   * @param {!Array.<{columnKey: (string|number), direction: string}>} sortState
+   */
+  const setSortState = (sortState) => {
+    const { onSortChange, sortState: controlledSortState } = getProps();
+    if (isEqual(sortState, store.getState().sortState)) {
+      return;
+    }
+
+    if (controlledSortState === undefined) {
+      sortActions.updateSortState(sortState);
+    }
+    if (onSortChange) {
+      onSortChange(sortState);
+    }
+  };
+
+  /**
+   * Cycles the sort direction of the given column through ascending, descending, and unsorted.
+   * This is what clicking the header of a sortable column does.
+   *
+   * @param {string|number} columnKey
+   * @param {boolean} multiSort whether to keep sorting by the other columns, like Shift + click does
+   */
+  const toggleSort = (columnKey, multiSort = false) => {
+    setSortState(
+      getNextSortState(store.getState().sortState, columnKey, multiSort)
+    );
+  };
+
+  /**
+   * @return {!Array.<{columnKey: (string|number), direction: string}>} the sorted columns, ordered by priority
+   */
+  const getSortState = () => store.getState().sortState;
+
+  return {
+    getSortState,
+    setSortState,
+    toggleSort,
+  };
+};
+
+export { getSortActions };
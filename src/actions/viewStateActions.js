@@ -0,0 +1,108 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * @providesModule viewStateActions
+ */
+
+'use strict';
+
+import { bindActionCreators } from 'redux';
+
+import { restoreViewState } from '../reducers';
+import {
+  getColumnLayoutEntries,
+  getColumnLayoutFromEntries,
+} from '../helper/columnLayoutHelper';
+import { getFilterActions } from './filterActions';
+import { getSortActions } from './sortActions';
+
+/**
+ * What users see of the table, serializable as JSON so that it can be persisted and restored later on.
+ * Only columns with a `columnKey` are part of it.
+ *
+ * @typedef {{
+ *   columns: !Array.<{
+ *     columnKey: (string|number),
+ *     width: number,
+ *     fixed: ?string,
+ *     hidden: boolean,
+ *   }>,
+ *   sortState: !Array.<{columnKey: (string|number), direction: string}>,
+ *   filterModel: !Object.<string, Object>,
+ *   scrollAnchor: {
+ *     firstIndex: number,
+ *     firstOffset: number,
+ *   },
+ *   scrollX: number,
+ * }}
+ */
+const ViewState = {};
+
+const getViewStateActions = (store, getProps) => {
+  const viewStateActions = bindActionCreators(
+    {
+      restoreViewState,
+    },
+    store.dispatch
+  );
+  const sortActions = getSortActions(store, getProps);
+  const filterActions = getFilterActions(store, getProps);
+
+  /**
+   * @return {ViewState} the current view state of the table
+   */
+  const getViewState = () => {
+    const {
+      columnLayout,
+      filterModel,
+      firstRowIndex,
+      firstRowOffset,
+      scrollX,
+      sortState,
+    } = store.getState();
+    return {
+      columns: getColumnLayoutEntries(getProps().children, columnLayout),
+      sortState,
+      filterModel,
+      scrollAnchor: {
+        firstIndex: firstRowIndex,
+        firstOffset: firstRowOffset,
+      },
+      scrollX,
+    };
+  };
+
+  /**
+   * Brings the table back to the given view state.
+   *
+   * The restored layout of the columns takes precedence over the props of the columns, until these props change.
+   * The sort state and the filters are set like `setSortState` and `setFilterModel` do.
+   * The rows are scrolled back to the same first row, as long as it still exists.
+   *
+   * @param {ViewState} viewState
+   */
+  const restoreTableViewState = (viewState) => {
+    const { columns, filterModel, scrollAnchor, scrollX, sortState } =
+      viewState;
+    viewStateActions.restoreViewState({
+      columnLayout: getColumnLayoutFromEntries(columns || []),
+      props: getProps(),
+      scrollAnchor: scrollAnchor || { firstIndex: 0, firstOffset: 0 },
+      scrollX: scrollX || 0,
+    });
+    if (sortState) {
+      sortActions.setSortState(sortState);
+    }
+    if (filterModel) {
+      filterActions.setFilterModel(filterModel);
+    }
+  };
+
+  return {
+    getViewState,
+    restoreViewState: restoreTableViewState,
+  };
+};
+
+export { getViewStateActions };
@@ -19,7 +19,13 @@ const getApiDataSelector = () =>
       (state) => state.scrollX,
       (state) => state.maxScrollX,
       (state) => columnWidths(state).availableScrollWidth,
+      (state) => state.scrollY,
+      (state) => state.maxScrollY,
+      (state) => state.scrollContentHeight,
       (state) => state.isRTL,
+      (state) => state.sortState,
+      (state) => state.filterModel,
+      (state) => !!state.uncontrolledColumnLayout,
     ],
     (
       /*number*/ tableHeight,
@@ -27,7 +33,13 @@ const getApiDataSelector = () =>
       /*number*/ scrollX,
       /*number*/ maxScrollX,
       /*number*/ availableScrollWidth,
-      /*boolean*/ isRTL
+      /*number*/ scrollY,
+      /*number*/ maxScrollY,
+      /*number*/ scrollContentHeight,
+      /*boolean*/ isRTL,
+      /*array*/ sortState,
+      /*object*/ filterModel,
+      /*boolean*/ uncontrolledColumnLayout
     ) => {
       return {
         tableHeight,
@@ -35,7 +47,13 @@ const getApiDataSelector = () =>
         scrollX,
         maxScrollX,
         availableScrollWidth,
+        scrollY,
+        maxScrollY,
+        scrollContentHeight,
         isRTL,
+        sortState,
+        filterModel,
+        uncontrolledColumnLayout,
       };
     }
   );
@@ -54,8 +54,23 @@ const getApiMethodsSelector = () =>
         fixedColumnGroups,
         fixedRightColumnGroups,
         scrollableColumnGroups,
+        outerColumnGroups,
       } = columnWidths;
 
+      // tiers of column groups are numbered from 0 for the outermost tier,
+      // and the innermost tier is used when no tier is specified
+      const innermostTier = outerColumnGroups.length;
+      const _getColumnGroupTier = (tier) => {
+        if (isNil(tier) || tier === innermostTier) {
+          return {
+            fixed: fixedColumnGroups,
+            fixedRight: fixedRightColumnGroups,
+            scrollable: scrollableColumnGroups,
+          };
+        }
+        return outerColumnGroups[tier];
+      };
+
       const validateColumnIndex = (columnIndex) => {
         const totalColumns =
           fixedColumns.length +
@@ -73,11 +88,21 @@ const getApiMethodsSelector = () =>
         }
       };
 
-      const validateColumnGroupIndex = (columnGroupIndex) => {
+      const validateColumnGroupTier = (tier) => {
+        if (isNil(tier)) {
+          return;
+        }
+        if (tier < 0 || tier > innermostTier || !Number.isInteger(tier)) {
+          throw `tier must be an integer between 0 and ${innermostTier} inclusive`;
+        }
+      };
+
+      const validateColumnGroupIndex = (columnGroupIndex, tier) => {
+        const columnGroups = _getColumnGroupTier(tier);
         const totalColumnGroups =
-          fixedColumnGroups.length +
-          scrollableColumnGroups.length +
-          fixedRightColumnGroups.length;
+          columnGroups.fixed.length +
+          columnGroups.scrollable.length +
+          columnGroups.fixedRight.length;
 
         if (
           columnGroupIndex < 0 ||
@@ -115,14 +140,18 @@ const getApiMethodsSelector = () =>
         return CellGroupType.FIXED_RIGHT;
       };
 
-      const _getCellGroupTypeFromColumnGroupIndex = (columnGroupIndex) => {
-        if (columnGroupIndex < fixedColumnGroups.length) {
+      const _getCellGroupTypeFromColumnGroupIndex = (
+        columnGroupIndex,
+        tier
+      ) => {
+        const columnGroups = _getColumnGroupTier(tier);
+        if (columnGroupIndex < columnGroups.fixed.length) {
           return CellGroupType.FIXED;
         }
 
         if (
           columnGroupIndex <
-          fixedColumnGroups.length + scrollableColumnGroups.length
+          columnGroups.fixed.length + columnGroups.scrollable.length
         ) {
           return CellGroupType.SCROLLABLE;
         }
@@ -141,17 +170,22 @@ const getApiMethodsSelector = () =>
         }
       };
 
-      const _getLocalColumnGroupIndex = (columnGroupIndex, cellGroupType) => {
+      const _getLocalColumnGroupIndex = (
+        columnGroupIndex,
+        cellGroupType,
+        tier
+      ) => {
+        const columnGroups = _getColumnGroupTier(tier);
         if (cellGroupType === CellGroupType.FIXED) {
           return columnGroupIndex;
         }
         if (cellGroupType === CellGroupType.SCROLLABLE) {
-          return columnGroupIndex - fixedColumnGroups.length;
+          return columnGroupIndex - columnGroups.fixed.length;
         } else if (cellGroupType === CellGroupType.FIXED_RIGHT) {
           return (
             columnGroupIndex -
-            fixedColumnGroups.length -
-            scrollableColumnGroups.length
+            columnGroups.fixed.length -
+            columnGroups.scrollable.length
           );
         }
       };
@@ -191,35 +225,70 @@ const getApiMethodsSelector = () =>
         return container.length;
       };
 
-      const getColumnGroupCount = (cellGroupType = null) => {
+      const getColumnGroupCount = (cellGroupType = null, tier = null) => {
         validateCellGroupType(cellGroupType, true);
+        validateColumnGroupTier(tier);
         if (isNil(cellGroupType)) {
+          const columnGroups = _getColumnGroupTier(tier);
           return (
-            fixedColumnGroups.length +
-            scrollableColumnGroups.length +
-            fixedRightColumnGroups.length
+            columnGroups.fixed.length +
+            columnGroups.scrollable.length +
+            columnGroups.fixedRight.length
           );
         }
-        const container =
-          _getColumnGroupContainerByCellGroupType(cellGroupType);
+        const container = _getColumnGroupContainerByCellGroupType(
+          cellGroupType,
+          tier
+        );
         return container.length;
       };
 
-      const _getColumnGroup = (columnGroupIndex, cellGroupType) => {
-        const container =
-          _getColumnGroupContainerByCellGroupType(cellGroupType);
+      const _getColumnGroup = (columnGroupIndex, cellGroupType, tier) => {
+        const container = _getColumnGroupContainerByCellGroupType(
+          cellGroupType,
+          tier
+        );
         const localColumnGroupIndex = _getLocalColumnGroupIndex(
           columnGroupIndex,
-          cellGroupType
+          cellGroupType,
+          tier
         );
-        return _getMinimalColumnGroup(container[localColumnGroupIndex]);
+        return container[localColumnGroupIndex];
       };
 
-      const getColumnGroup = (columnGroupIndex) => {
-        validateColumnGroupIndex(columnGroupIndex);
-        const cellGroupType =
-          _getCellGroupTypeFromColumnGroupIndex(columnGroupIndex);
-        return _getColumnGroup(columnGroupIndex, cellGroupType);
+      const getColumnGroup = (columnGroupIndex, tier = null) => {
+        validateColumnGroupTier(tier);
+        validateColumnGroupIndex(columnGroupIndex, tier);
+        const cellGroupType = _getCellGroupTypeFromColumnGroupIndex(
+          columnGroupIndex,
+          tier
+        );
+        return _getMinimalColumnGroup(
+          _getColumnGroup(columnGroupIndex, cellGroupType, tier)
+        );
+      };
+
+      const getParentColumnGroup = (columnGroupIndex, tier = null) => {
+        validateColumnGroupTier(tier);
+        validateColumnGroupIndex(columnGroupIndex, tier);
+        const childTier = isNil(tier) ? innermostTier : tier;
+        if (childTier === 0) {
+          return null;
+        }
+        const cellGroupType = _getCellGroupTypeFromColumnGroupIndex(
+          columnGroupIndex,
+          childTier
+        );
+        const groupIndex = _getColumnGroup(
+          columnGroupIndex,
+          cellGroupType,
+          childTier
+        ).groupIdx;
+        const columnGroup = _getColumnGroupByAbsoluteIndex(
+          groupIndex,
+          childTier - 1
+        );
+        return _getMinimalColumnGroup(columnGroup);
       };
 
       const getColumnGroupByChild = (columnIndex) => {
@@ -242,28 +311,30 @@ const getApiMethodsSelector = () =>
         }
       };
 
-      const _getColumnGroupContainerByCellGroupType = (cellGroupType) => {
+      const _getColumnGroupContainerByCellGroupType = (cellGroupType, tier) => {
+        const columnGroups = _getColumnGroupTier(tier);
         if (cellGroupType === CellGroupType.FIXED) {
-          return fixedColumnGroups;
+          return columnGroups.fixed;
         } else if (cellGroupType === CellGroupType.FIXED_RIGHT) {
-          return fixedRightColumnGroups;
+          return columnGroups.fixedRight;
         } else if (cellGroupType === CellGroupType.SCROLLABLE) {
-          return scrollableColumnGroups;
+          return columnGroups.scrollable;
         } else {
           throw 'Invalid cell group type';
         }
       };
 
-      const _getColumnGroupByAbsoluteIndex = (absoluteIndex) => {
-        let fixedCount = size(fixedColumnGroups);
-        let scrollableCount = size(scrollableColumnGroups);
-        let fixedRightCount = size(fixedRightColumnGroups);
+      const _getColumnGroupByAbsoluteIndex = (absoluteIndex, tier) => {
+        const columnGroups = _getColumnGroupTier(tier);
+        let fixedCount = size(columnGroups.fixed);
+        let scrollableCount = size(columnGroups.scrollable);
+        let fixedRightCount = size(columnGroups.fixedRight);
         if (inRange(absoluteIndex, 0, fixedCount)) {
-          return fixedColumnGroups[absoluteIndex];
+          return columnGroups.fixed[absoluteIndex];
         } else if (
           inRange(absoluteIndex, fixedCount, fixedCount + scrollableCount)
         ) {
-          return scrollableColumnGroups[absoluteIndex - fixedCount];
+          return columnGroups.scrollable[absoluteIndex - fixedCount];
         } else if (
           inRange(
             absoluteIndex,
@@ -271,7 +342,7 @@ const getApiMethodsSelector = () =>
             fixedCount + scrollableCount + fixedRightCount
           )
         ) {
-          return fixedRightColumnGroups[
+          return columnGroups.fixedRight[
             absoluteIndex - fixedCount - scrollableCount
           ];
         } else {
@@ -329,11 +400,15 @@ const getApiMethodsSelector = () =>
 
       const getColumnGroupAtOffset = (
         offset,
-        cellGroupType = CellGroupType.SCROLLABLE
+        cellGroupType = CellGroupType.SCROLLABLE,
+        tier = null
       ) => {
         validateCellGroupType(cellGroupType);
-        const container =
-          _getColumnGroupContainerByCellGroupType(cellGroupType);
+        validateColumnGroupTier(tier);
+        const container = _getColumnGroupContainerByCellGroupType(
+          cellGroupType,
+          tier
+        );
 
         let { element, distanceFromOffset } = _getElementAtOffset(
           container,
@@ -350,14 +425,62 @@ const getApiMethodsSelector = () =>
         };
       };
 
-      const scrollToX = actions.scrollToX;
+      const scrollToX = actions.scrollTableToX;
+      const scrollToY = actions.scrollTableToY;
+      const scrollToRow = actions.scrollTableToRow;
+      const scrollToColumn = actions.scrollTableToColumn;
       const updateRowHeights = actions.updateRowHeights;
+      const announce = actions.announce;
+      const getSelection = actions.getSelection;
+      const setSelection = actions.setSelection;
+      const selectAll = actions.selectAll;
+      const getActiveCell = actions.getActiveCell;
+      const setActiveCell = actions.setActiveCell;
+      const getEditingCell = actions.getEditingCell;
+      const startEdit = actions.startEdit;
+      const commitEdit = actions.commitEdit;
+      const cancelEdit = actions.cancelEdit;
+      const getClipboardContent = actions.getClipboardContent;
+      const spliceRows = actions.spliceRows;
+      const toggleRow = actions.toggleRow;
+      const getRowGroupPath = actions.getRowGroupPath;
+      const isRowGroupHeader = actions.isRowGroupHeader;
+      const getStickyRowGroupHeaders = actions.getStickyRowGroupHeaders;
+      const getRowOffset = actions.getRowOffset;
+      const getRowHeight = actions.getRowHeight;
+      const getRowAtOffset = actions.getRowAtOffset;
+      const getVisibleRowRange = actions.getVisibleRowRange;
+      const getRenderedRowRange = actions.getRenderedRowRange;
+      const getCellRect = actions.getCellRect;
+      const getCellAtPoint = actions.getCellAtPoint;
+      const getSortState = actions.getSortState;
+      const setSortState = actions.setSortState;
+      const toggleSort = actions.toggleSort;
+      const getFilterModel = actions.getFilterModel;
+      const setFilterModel = actions.setFilterModel;
+      const setColumnFilter = actions.setColumnFilter;
+      const isRowLoaded = actions.isRowLoaded;
+      const resetLoadedRows = actions.resetLoadedRows;
+      const setColumnVisibility = actions.setColumnVisibility;
+      const getHiddenColumns = actions.getHiddenColumns;
+      const setColumnOrder = actions.setColumnOrder;
+      const moveColumn = actions.moveColumn;
+      const resetColumnOrder = actions.resetColumnOrder;
+      const setColumnWidth = actions.setColumnWidth;
+      const resetColumnWidths = actions.resetColumnWidths;
+      const measureColumnWidth = actions.measureColumnWidth;
+      const autoSizeColumn = actions.autoSizeColumn;
+      const autoSizeAllColumns = actions.autoSizeAllColumns;
+      const pinColumn = actions.pinColumn;
+      const getViewState = actions.getViewState;
+      const restoreViewState = actions.restoreViewState;
 
       return {
         /** get element */
         getColumn,
         getColumnGroup,
         getColumnGroupByChild,
+        getParentColumnGroup,
 
         /** get element at offset */
         getColumnAtOffset,
@@ -372,7 +495,80 @@ const getApiMethodsSelector = () =>
 
         /** actions */
         scrollToX,
+        scrollToY,
+        scrollToRow,
+        scrollToColumn,
         updateRowHeights,
+        announce,
+
+        /** selection */
+        getSelection,
+        setSelection,
+        selectAll,
+
+        /** active cell */
+        getActiveCell,
+        setActiveCell,
+
+        /** editing */
+        getEditingCell,
+        startEdit,
+        commitEdit,
+        cancelEdit,
+
+        /** clipboard */
+        getClipboardContent,
+
+        /** rows */
+        spliceRows,
+        toggleRow,
+
+        /** row geometry */
+        getRowOffset,
+        getRowHeight,
+        getRowAtOffset,
+        getVisibleRowRange,
+        getRenderedRowRange,
+
+        /** cell geometry */
+        getCellRect,
+        getCellAtPoint,
+
+        /** row groups */
+        getRowGroupPath,
+        isRowGroupHeader,
+        getStickyRowGroupHeaders,
+
+        /** sorting */
+        getSortState,
+        setSortState,
+        toggleSort,
+
+        /** filtering */
+        getFilterModel,
+        setFilterModel,
+        setColumnFilter,
+
+        /** row loading */
+        isRowLoaded,
+        resetLoadedRows,
+
+        /** column layout */
+        setColumnVisibility,
+        getHiddenColumns,
+        setColumnOrder,
+        moveColumn,
+        resetColumnOrder,
+        setColumnWidth,
+        resetColumnWidths,
+        measureColumnWidth,
+        autoSizeColumn,
+        autoSizeAllColumns,
+        pinColumn,
+
+        /** view state */
+        getViewState,
+        restoreViewState,
       };
     }
   );
@@ -0,0 +1,29 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule FilterType
+ * @typechecks
+ */
+
+/**
+ * This determines how the filter of a column matches the values of the column.
+ *
+ * eg: 'text' keeps the values containing the given text (ignoring case), 'range' keeps the numbers
+ * within the given bounds, 'set' keeps the values among the given ones, and 'dateRange' keeps the
+ * dates within the given bounds.
+ *
+ * @enum {string}
+ */
+const FilterType = {
+  DATE_RANGE: 'dateRange',
+  RANGE: 'range',
+  SET: 'set',
+  TEXT: 'text',
+};
+
+export { FilterType };
@@ -0,0 +1,28 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule SelectionMode
+ * @typechecks
+ */
+
+/**
+ * This determines what gets selected when the user clicks on the rows of the table.
+ *
+ * eg: With 'single', only one row can be selected at a time, while 'multiple' allows
+ * toggling rows (Ctrl/Cmd + click) and selecting row ranges (Shift + click).
+ * 'cell' works like 'multiple', but selects rectangular ranges of cells instead of full rows.
+ *
+ * @enum {string}
+ */
+const SelectionMode = {
+  CELL: 'cell',
+  MULTIPLE: 'multiple',
+  SINGLE: 'single',
+};
+
+export { SelectionMode };
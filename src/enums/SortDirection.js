@@ -0,0 +1,25 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule SortDirection
+ * @typechecks
+ */
+
+/**
+ * The direction which a column of the sort state is sorted in.
+ *
+ * Clicking the header of a sortable column cycles through 'ASC', 'DESC', and then back to unsorted.
+ *
+ * @enum {string}
+ */
+const SortDirection = {
+  ASC: 'ASC',
+  DESC: 'DESC',
+};
+
+export { SortDirection };
@@ -0,0 +1,169 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule cellSpanHelper
+ */
+
+'use strict';
+
+import clamp from 'lodash/clamp';
+
+/**
+ * Describes how a cell of a rendered row is affected by a merged cell.
+ *
+ * The first column of a merged cell is rendered in each of its rows, as large as the whole merged cell
+ * and shifted up by the height of the rows above it. Rows clip the cell, so that each row shows its own slice
+ * of the merged cell. This keeps merged cells visible even when their first row isn't rendered.
+ * The other columns of a merged cell are hidden.
+ *
+ * @typedef {{
+ *   rowIndex: number,
+ *   top: number,
+ *   width: number,
+ *   height: number,
+ * }|{
+ *   hidden: boolean,
+ *   anchorColumnIndex: number,
+ * }}
+ */
+const CellSpan = {};
+
+/**
+ * Computes the merged cells (see `cellSpanGetter` on <FixedDataTable />) affecting the given rows.
+ *
+ * Spans are only looked up within each group of fixed, scrollable and fixedRight columns,
+ * and merged cells are clipped at the boundaries of the group.
+ * Merged cells starting more than `maxRowSpan - 1` rows above a rendered row are ignored,
+ * and so are merged cells starting more than `maxColSpan - 1` columns before the rendered columns.
+ *
+ * @param {{
+ *   cellSpanGetter: function(number, (string|number)): ?{rowSpan: ?number, colSpan: ?number},
+ *   columnGroups: !Array.<!Array.<!Object>>, props of the columns, for each group of columns
+ *   renderedColumns: !Array.<?Array.<number>>, positions of the rendered columns within each group,
+ *     or null if all of them are rendered
+ *   rowIndexes: !Array.<number>, the rendered rows
+ *   rowsCount: number,
+ *   maxRowSpan: number,
+ *   maxColSpan: number,
+ *   rowHeightGetter: function(number): number,
+ *   subRowHeightGetter: function(number): number,
+ * }} params
+ * @return {!Object.<number, !Object.<number, CellSpan>>} the cell spans of each rendered row, by column index.
+ *   Rows unaffected by merged cells are omitted.
+ */
+function getCellSpans({
+  cellSpanGetter,
+  columnGroups,
+  renderedColumns,
+  rowIndexes,
+  rowsCount,
+  maxRowSpan,
+  maxColSpan,
+  rowHeightGetter,
+  subRowHeightGetter,
+}) {
+  const renderedRows = new Set(rowIndexes);
+
+  // look behind the rendered rows for merged cells reaching into them
+  const lookupRows = new Set();
+  rowIndexes.forEach((rowIndex) => {
+    for (let r = Math.max(rowIndex - maxRowSpan + 1, 0); r <= rowIndex; r++) {
+      lookupRows.add(r);
+    }
+  });
+  const sortedLookupRows = Array.from(lookupRows).sort((a, b) => a - b);
+
+  const getOffsetBetween = (fromRowIndex, toRowIndex) => {
+    let offset = 0;
+    for (let r = fromRowIndex; r < toRowIndex; r++) {
+      offset += rowHeightGetter(r) + subRowHeightGetter(r);
+    }
+    return offset;
+  };
+
+  const cellSpans = {};
+  const setCellSpan = (rowIndex, columnIndex, cellSpan) => {
+    cellSpans[rowIndex] = cellSpans[rowIndex] || {};
+    cellSpans[rowIndex][columnIndex] = cellSpan;
+  };
+
+  columnGroups.forEach((columns, groupIdx) => {
+    // look before the rendered columns for merged cells reaching into them
+    let firstPosition = 0;
+    let lastPosition = columns.length - 1;
+    const renderedPositions = renderedColumns[groupIdx];
+    if (renderedPositions) {
+      if (renderedPositions.length === 0) {
+        return;
+      }
+      firstPosition = Math.max(
+        Math.min(...renderedPositions) - maxColSpan + 1,
+        0
+      );
+      lastPosition = Math.max(...renderedPositions);
+    }
+
+    const coveredCells = new Set();
+    sortedLookupRows.forEach((rowIndex) => {
+      for (let position = firstPosition; position <= lastPosition; position++) {
+        if (coveredCells.has(`${rowIndex}_${position}`)) {
+          continue;
+        }
+
+        const column = columns[position];
+        const span = cellSpanGetter(rowIndex, column.columnKey) || {};
+        const rowSpan = clamp(
+          span.rowSpan || 1,
+          1,
+          Math.min(maxRowSpan, rowsCount - rowIndex)
+        );
+        const colSpan = clamp(
+          span.colSpan || 1,
+          1,
+          Math.min(maxColSpan, columns.length - position)
+        );
+        if (rowSpan === 1 && colSpan === 1) {
+          continue;
+        }
+
+        const spannedColumns = columns.slice(position, position + colSpan);
+        const lastRowIndex = rowIndex + rowSpan - 1;
+        const width = spannedColumns.reduce(
+          (total, spannedColumn) => total + spannedColumn.width,
+          0
+        );
+        const height =
+          getOffsetBetween(rowIndex, lastRowIndex) +
+          rowHeightGetter(lastRowIndex);
+
+        // offset of the merged cell relative to the current row
+        let top = 0;
+        for (let r = rowIndex; r <= lastRowIndex; r++) {
+          for (let p = position; p < position + colSpan; p++) {
+            coveredCells.add(`${r}_${p}`);
+          }
+
+          if (renderedRows.has(r)) {
+            setCellSpan(r, column.index, { rowIndex, top, width, height });
+            spannedColumns.slice(1).forEach((spannedColumn) => {
+              setCellSpan(r, spannedColumn.index, {
+                hidden: true,
+                anchorColumnIndex: column.index,
+              });
+            });
+          }
+          top -= rowHeightGetter(r) + subRowHeightGetter(r);
+        }
+      }
+    });
+  });
+
+  return cellSpans;
+}
+
+export { getCellSpans };
@@ -0,0 +1,109 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule clipboardHelper
+ */
+
+'use strict';
+
+import escape from 'lodash/escape';
+
+/**
+ * Quotes a value if it contains tabs, line breaks or quotes,
+ * the same way spreadsheet applications do.
+ *
+ * @param {string} value
+ * @return {string}
+ * @private
+ */
+function _quoteTSVValue(value) {
+  if (!/[\t\n\r"]/.test(value)) {
+    return value;
+  }
+  return '"' + value.replace(/"/g, '""') + '"';
+}
+
+/**
+ * Converts rows of text values into tab-separated text.
+ *
+ * @param {!Array.<!Array.<string>>} rows
+ * @return {string}
+ */
+function toTSV(rows) {
+  return rows.map((row) => row.map(_quoteTSVValue).join('\t')).join('\n');
+}
+
+/**
+ * Converts rows of text values into HTML table markup.
+ *
+ * @param {!Array.<!Array.<string>>} rows
+ * @return {string}
+ */
+function toHTML(rows) {
+  const body = rows
+    .map(
+      (row) =>
+        '<tr>' +
+        row.map((value) => `<td>${escape(value)}</td>`).join('') +
+        '</tr>'
+    )
+    .join('');
+  return `<table><tbody>${body}</tbody></table>`;
+}
+
+/**
+ * Parses tab-separated text into rows of text values.
+ * Quoted values can contain tabs, line breaks and escaped quotes.
+ * A trailing line break doesn't start a new row.
+ *
+ * @param {string} text
+ * @return {!Array.<!Array.<string>>}
+ */
+function parseTSV(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char !== '"') {
+        value += char;
+      } else if (text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && value === '') {
+      quoted = true;
+    } else if (char === '\t') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows;
+}
+
+export { parseTSV, toHTML, toTSV };
@@ -0,0 +1,370 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule columnLayoutHelper
+ */
+
+'use strict';
+
+import isEqual from 'lodash/isEqual';
+import React from 'react';
+
+/**
+ * Overrides of the layout given by the props of the columns, keyed by column key.
+ * An override takes precedence over the prop it overrides, until that prop changes.
+ * Only columns (and column groups) with a `columnKey` can be overridden.
+ *
+ * `fixed` holds the side a column is fixed to: 'left', 'right' or null for scrollable columns.
+ * `hidden` holds whether a column is hidden, overriding its `hidden` prop.
+ * It only applies to columns and column groups which aren't nested within a column group.
+ * `order` lists the column keys in order. Siblings missing from it keep their order, after the listed ones.
+ *
+ * @typedef {{
+ *   fixed: !Object.<string, ?string>,
+ *   hidden: !Object.<string, boolean>,
+ *   order: ?Array.<string|number>,
+ *   widths: !Object.<string, number>,
+ * }}
+ */
+const ColumnLayout = {};
+
+/**
+ * The layout of a column, as serialized in the view state of the table.
+ *
+ * @typedef {{
+ *   columnKey: (string|number),
+ *   width: number,
+ *   fixed: ?string,
+ *   hidden: boolean,
+ * }}
+ */
+const ColumnLayoutEntry = {};
+
+/**
+ * @return {ColumnLayout} a layout which doesn't override anything
+ */
+function getEmptyColumnLayout() {
+  return {
+    fixed: {},
+    hidden: {},
+    order: null,
+    widths: {},
+  };
+}
+
+/**
+ * @param {?React.ReactNode} children
+ * @return {!Array.<!React.ReactElement>}
+ * @private
+ */
+function _toElements(children) {
+  const elements = [];
+  React.Children.forEach(children, (child) => {
+    if (child != null) {
+      elements.push(child);
+    }
+  });
+  return elements;
+}
+
+/**
+ * @param {!React.ReactElement} element
+ * @return {?string} the side the given column or column group is fixed to, as given by its props
+ * @private
+ */
+function _getFixedSide(element) {
+  if (element.props.fixed) {
+    return 'left';
+  }
+  if (element.props.fixedRight) {
+    return 'right';
+  }
+  return null;
+}
+
+/**
+ * @param {!React.ReactElement} element
+ * @param {!Object.<string, boolean>} hidden
+ * @return {boolean} whether the given column is hidden
+ * @private
+ */
+function _isHidden(element, hidden) {
+  const { columnKey } = element.props;
+  return hidden.hasOwnProperty(columnKey)
+    ? hidden[columnKey]
+    : !!element.props.hidden;
+}
+
+/**
+ * @param {!Array.<!React.ReactElement>} elements
+ * @param {?Array.<string|number>} order
+ * @return {!Array.<!React.ReactElement>} the elements sorted by the given order, keeping unlisted elements after the listed ones
+ * @private
+ */
+function _sortByOrder(elements, order) {
+  if (!order) {
+    return elements;
+  }
+  const getRank = (element) => {
+    const rank = order.indexOf(element.props.columnKey);
+    return rank === -1 ? Infinity : rank;
+  };
+  return elements
+    .map((element, index) => ({ element, index, rank: getRank(element) }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(({ element }) => element);
+}
+
+/**
+ * Applies the given layout overrides to the column and column group elements.
+ *
+ * @param {?React.ReactNode} children the columns or column groups of the table
+ * @param {ColumnLayout} columnLayout
+ * @param {boolean=} keepHidden whether to keep the hidden columns, which are removed by default
+ * @return {!Array.<!React.ReactElement>} the columns or column groups, laid out
+ */
+function applyColumnLayout(children, columnLayout, keepHidden = false) {
+  const { fixed, hidden, order, widths } = columnLayout;
+
+  const applyToElements = (elements, isTopLevel) => {
+    const laidOutElements = [];
+    _sortByOrder(elements, order).forEach((element) => {
+      const { columnKey } = element.props;
+      const overrides = {};
+      if (isTopLevel && fixed.hasOwnProperty(columnKey)) {
+        overrides.fixed = fixed[columnKey] === 'left';
+        overrides.fixedRight = fixed[columnKey] === 'right';
+      }
+
+      if (element.type.__TableColumnGroup__) {
+        const columns = applyToElements(
+          _toElements(element.props.children),
+          false
+        );
+        // column groups without any visible column are hidden along with their columns
+        if (columns.length > 0) {
+          laidOutElements.push(
+            React.cloneElement(element, overrides, ...columns)
+          );
+        }
+        return;
+      }
+
+      if (!keepHidden && _isHidden(element, hidden)) {
+        return;
+      }
+      if (widths.hasOwnProperty(columnKey)) {
+        overrides.width = widths[columnKey];
+      }
+      laidOutElements.push(
+        Object.keys(overrides).length > 0
+          ? React.cloneElement(element, overrides)
+          : element
+      );
+    });
+    return laidOutElements;
+  };
+
+  return applyToElements(_toElements(children), true);
+}
+
+/**
+ * @param {?React.ReactNode} children the columns or column groups of the table
+ * @param {ColumnLayout} columnLayout
+ * @return {!Array.<{element: !React.ReactElement, fixed: ?string}>} all the columns and column groups, laid out,
+ *   in the order they're displayed: fixed columns first, then scrollable columns, then columns fixed to the right.
+ *   Hidden columns are listed where they would be displayed.
+ * @private
+ */
+function _getDisplayedElements(children, columnLayout) {
+  const elements = applyColumnLayout(children, columnLayout, true);
+  const sides = ['left', null, 'right'];
+  const displayedElements = [];
+  sides.forEach((side) => {
+    elements
+      .filter((element) => _getFixedSide(element) === side)
+      .forEach((element) => {
+        _flattenElements(element).forEach((nestedElement) => {
+          displayedElements.push({ element: nestedElement, fixed: side });
+        });
+      });
+  });
+  return displayedElements;
+}
+
+/**
+ * Lists the layout of the columns, in the order they're displayed: fixed columns first, then scrollable columns,
+ * then columns fixed to the right. Hidden columns are listed where they would be displayed.
+ *
+ * @param {?React.ReactNode} children the columns or column groups of the table
+ * @param {ColumnLayout} columnLayout
+ * @return {!Array.<ColumnLayoutEntry>}
+ */
+function getColumnLayoutEntries(children, columnLayout) {
+  return _getDisplayedElements(children, columnLayout)
+    .filter(
+      ({ element }) =>
+        !element.type.__TableColumnGroup__ && element.props.columnKey != null
+    )
+    .map(({ element, fixed }) => ({
+      columnKey: element.props.columnKey,
+      width: element.props.width,
+      fixed,
+      hidden: _isHidden(element, columnLayout.hidden),
+    }));
+}
+
+/**
+ * Moves a column (or a column group) between the given columns, as reported by `onColumnReorderEnd`.
+ * The column is moved before `columnAfter` if given, or else after `columnBefore`.
+ *
+ * @param {?React.ReactNode} children the columns or column groups of the table
+ * @param {ColumnLayout} columnLayout
+ * @param {string|number} columnKey
+ * @param {?(string|number)} columnBefore
+ * @param {?(string|number)} columnAfter
+ * @return {!Array.<string|number>} the keys of the columns and column groups, in their new order
+ */
+function getMovedColumnOrder(
+  children,
+  columnLayout,
+  columnKey,
+  columnBefore,
+  columnAfter
+) {
+  const columnKeys = _getDisplayedElements(children, columnLayout)
+    .map(({ element }) => element.props.columnKey)
+    .filter((key) => key != null && key !== columnKey);
+  if (columnAfter != null && columnKeys.indexOf(columnAfter) !== -1) {
+    columnKeys.splice(columnKeys.indexOf(columnAfter), 0, columnKey);
+  } else if (columnBefore != null && columnKeys.indexOf(columnBefore) !== -1) {
+    columnKeys.splice(columnKeys.indexOf(columnBefore) + 1, 0, columnKey);
+  } else {
+    return columnLayout.order;
+  }
+  return columnKeys;
+}
+
+/**
+ * @param {!Array.<ColumnLayoutEntry>} entries
+ * @return {ColumnLayout} the layout overrides restoring the given layout of the columns
+ */
+function getColumnLayoutFromEntries(entries) {
+  const columnLayout = getEmptyColumnLayout();
+  columnLayout.order = entries.map(({ columnKey }) => columnKey);
+  entries.forEach(({ columnKey, width, fixed, hidden }) => {
+    columnLayout.widths[columnKey] = width;
+    columnLayout.fixed[columnKey] = fixed;
+    columnLayout.hidden[columnKey] = hidden;
+  });
+  return columnLayout;
+}
+
+/**
+ * Columns nested within column groups are fixed along with their outermost column group,
+ * which is why fixed sides only get overridden for the outermost columns and column groups.
+ *
+ * @param {?React.ReactNode} children the columns or column groups of the table
+ * @param {string|number} columnKey
+ * @return {?React.ReactElement} the outermost column or column group containing the given column, if any
+ */
+function getOutermostColumnElement(children, columnKey) {
+  return (
+    _toElements(children).find((element) =>
+      _flattenElements(element).some(
+        (nestedElement) => nestedElement.props.columnKey === columnKey
+      )
+    ) || null
+  );
+}
+
+/**
+ * @param {?React.ReactNode} children
+ * @return {!Array.<!React.ReactElement>} all the columns and column groups, in order
+ * @private
+ */
+function _flattenElements(children) {
+  const elements = [];
+  _toElements(children).forEach((element) => {
+    elements.push(element);
+    if (element.type.__TableColumnGroup__) {
+      elements.push(..._flattenElements(element.props.children));
+    }
+  });
+  return elements;
+}
+
+/**
+ * Drops the overrides of the props which changed, so that props updated by the app take precedence
+ * over the layout they override, e.g, the width of a resized column, or a column shown again.
+ *
+ * @param {ColumnLayout} columnLayout
+ * @param {?React.ReactNode} oldChildren
+ * @param {?React.ReactNode} newChildren
+ * @return {ColumnLayout}
+ */
+function pruneColumnLayout(columnLayout, oldChildren, newChildren) {
+  const oldElements = _flattenElements(oldChildren);
+  const newElements = _flattenElements(newChildren);
+  const oldElementsByKey = new Map(
+    oldElements.map((element) => [element.props.columnKey, element])
+  );
+
+  const prunedLayout = {
+    fixed: { ...columnLayout.fixed },
+    hidden: { ...columnLayout.hidden },
+    order: columnLayout.order,
+    widths: { ...columnLayout.widths },
+  };
+  newElements.forEach((element) => {
+    const { columnKey } = element.props;
+    const oldElement = oldElementsByKey.get(columnKey);
+    if (!oldElement) {
+      return;
+    }
+    if (oldElement.props.width !== element.props.width) {
+      delete prunedLayout.widths[columnKey];
+    }
+    if (_getFixedSide(oldElement) !== _getFixedSide(element)) {
+      delete prunedLayout.fixed[columnKey];
+    }
+    if (!!oldElement.props.hidden !== !!element.props.hidden) {
+      delete prunedLayout.hidden[columnKey];
+    }
+  });
+
+  // reordering the columns through props resets their order, while adding or removing columns doesn't
+  const newElementsByKey = new Map(
+    newElements.map((element) => [element.props.columnKey, element])
+  );
+  const getKeptKeys = (elements, otherElementsByKey) =>
+    elements
+      .map((element) => element.props.columnKey)
+      .filter(
+        (columnKey) => columnKey != null && otherElementsByKey.has(columnKey)
+      );
+  if (
+    !isEqual(
+      getKeptKeys(oldElements, newElementsByKey),
+      getKeptKeys(newElements, oldElementsByKey)
+    )
+  ) {
+    prunedLayout.order = null;
+  }
+  return prunedLayout;
+}
+
+export {
+  applyColumnLayout,
+  getColumnLayoutEntries,
+  getColumnLayoutFromEntries,
+  getEmptyColumnLayout,
+  getMovedColumnOrder,
+  getOutermostColumnElement,
+  pruneColumnLayout,
+};
@@ -0,0 +1,147 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule columnMeasureHelper
+ */
+
+'use strict';
+
+import React from 'react';
+import ReactDOM from 'react-dom';
+import cx from '../vendor_upstream/stubs/cx';
+import ExternalContextProvider from '../plugins/ExternalContextProvider';
+import FixedDataTableCell from '../FixedDataTableCell';
+
+/**
+ * @param {!HTMLElement} tableNode
+ * @param {number} columnIndex
+ * @return {!Array.<!HTMLElement>} the rendered header, body and footer cells of the given column
+ * @private
+ */
+function _getRenderedCellNodes(tableNode, columnIndex) {
+  const cellNodes = tableNode.querySelectorAll(
+    `[aria-colindex="${columnIndex + 1}"]`
+  );
+  // filter inputs fit whatever width they're given, so they aren't measured
+  return Array.from(cellNodes).filter(
+    (cellNode) => !cellNode.closest(cx('.public/fixedDataTable/filterRow'))
+  );
+}
+
+/**
+ * Copies the classes of the given element and of its ancestors within the table, up to the table's root,
+ * so that the copied cells placed within them get styled alike, e.g, as header cells or cells of a cell group.
+ *
+ * @param {!HTMLElement} node
+ * @param {!HTMLElement} tableNode
+ * @return {{outerNode: !HTMLElement, innerNode: !HTMLElement}} the copies of the table's root and of the given element
+ * @private
+ */
+function _copyAncestors(node, tableNode) {
+  const innerNode = document.createElement('div');
+  let outerNode = innerNode;
+  let ancestor = node;
+  while (ancestor) {
+    outerNode.className = ancestor.className;
+    if (ancestor === tableNode) {
+      break;
+    }
+    const parentCopy = document.createElement('div');
+    parentCopy.appendChild(outerNode);
+    outerNode = parentCopy;
+    ancestor = ancestor.parentNode;
+  }
+  return { outerNode, innerNode };
+}
+
+/**
+ * @param {!HTMLElement} cellNode
+ * @return {!HTMLElement} a deep copy of the given cell, without the ids of its elements
+ * @private
+ */
+function _cloneCellNode(cellNode) {
+  const clone = cellNode.cloneNode(true);
+  clone.removeAttribute('id');
+  clone
+    .querySelectorAll('[id]')
+    .forEach((element) => element.removeAttribute('id'));
+  return clone;
+}
+
+/**
+ * Measures the width fitting the content of a column, i.e, the width of its widest cell.
+ * The rendered cells of the column get copied within copies of their ancestors, so that they're styled alike,
+ * but sized to their content. Cells of rows which aren't rendered can be measured as well,
+ * through the props of the cells to render for them.
+ * The copies are laid out outside of the table, so that they don't get in the way of the elements rendered by React.
+ *
+ * @param {!HTMLElement} tableNode the root element of the table
+ * @param {number} columnIndex global index of the column
+ * @param {!Array.<!Object>} sampledCellProps props of the `FixedDataTableCell`s to render and measure along
+ * @param {!Object} contextValue the table's API, provided to the rendered cells
+ * @return {?number} the width of the widest cell, or null if there's no cell to measure
+ */
+function measureColumnWidth(
+  tableNode,
+  columnIndex,
+  sampledCellProps,
+  contextValue
+) {
+  const cellNodes = _getRenderedCellNodes(tableNode, columnIndex);
+  if (cellNodes.length === 0 && sampledCellProps.length === 0) {
+    return null;
+  }
+
+  const measureNode = document.createElement('div');
+  measureNode.className = cx('fixedDataTableCellLayout/measure');
+  document.body.appendChild(measureNode);
+
+  cellNodes.forEach((cellNode) => {
+    const { outerNode, innerNode } = _copyAncestors(
+      cellNode.parentNode,
+      tableNode
+    );
+    innerNode.appendChild(_cloneCellNode(cellNode));
+    measureNode.appendChild(outerNode);
+  });
+  // the sampled cells get styled like the last rendered cell, which belongs to the body unless only the header is
+  const { outerNode, innerNode: sampledCellsNode } = _copyAncestors(
+    cellNodes.length > 0
+      ? cellNodes[cellNodes.length - 1].parentNode
+      : tableNode,
+    tableNode
+  );
+  measureNode.appendChild(outerNode);
+
+  try {
+    ReactDOM.render(
+      <ExternalContextProvider value={contextValue}>
+        {sampledCellProps.map((cellProps) => (
+          <FixedDataTableCell key={cellProps.rowIndex} {...cellProps} />
+        ))}
+      </ExternalContextProvider>,
+      sampledCellsNode
+    );
+
+    let width = 0;
+    measureNode
+      .querySelectorAll(cx('.fixedDataTableCellLayout/main'))
+      .forEach((cellNode) => {
+        width = Math.max(
+          width,
+          Math.ceil(cellNode.getBoundingClientRect().width)
+        );
+      });
+    return width;
+  } finally {
+    ReactDOM.unmountComponentAtNode(sampledCellsNode);
+    measureNode.remove();
+  }
+}
+
+export { measureColumnWidth };
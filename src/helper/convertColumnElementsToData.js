@@ -23,14 +23,18 @@ function _extractProps(column) {
     allowCellsRecycling,
     cellClassName,
     columnKey,
+    editor,
     flexGrow,
     fixed,
     fixedRight,
+    formatter,
     maxWidth,
     minWidth,
     isReorderable,
     isResizable,
     pureRendering,
+    sortable,
+    valueGetter,
     width,
   } = column.props;
   return {
@@ -38,14 +42,18 @@ function _extractProps(column) {
     allowCellsRecycling,
     cellClassName,
     columnKey,
+    editor,
     flexGrow,
     fixed,
     fixedRight,
+    formatter,
     maxWidth,
     minWidth,
     isReorderable,
     isResizable,
     pureRendering,
+    sortable,
+    valueGetter,
     width,
   };
 }
@@ -54,6 +62,7 @@ function _extractTemplates(elementTemplates, columnElement) {
   elementTemplates.cell.push(columnElement.props.cell);
   elementTemplates.footer.push(columnElement.props.footer);
   elementTemplates.header.push(columnElement.props.header);
+  elementTemplates.filter.push(columnElement.props.filter);
 }
 
 function getCellGroupType(element) {
@@ -77,12 +86,31 @@ function getEmptyElementsContainer() {
 function getEmptyTemplatesContainer() {
   return {
     groupHeader: [],
+    outerGroupHeader: [],
     header: [],
     cell: [],
     footer: [],
+    filter: [],
   };
 }
 
+/**
+ * @param {!React.ReactElement} element
+ * @return {number} the number of column group tiers within the given element
+ */
+function _getColumnGroupDepth(element) {
+  if (!element.type.__TableColumnGroup__) {
+    return 0;
+  }
+  let depth = 0;
+  React.Children.forEach(element.props.children, (child) => {
+    if (child != null) {
+      depth = Math.max(depth, _getColumnGroupDepth(child));
+    }
+  });
+  return depth + 1;
+}
+
 function _sortByCellGroupType(reactElements) {
   const container = getEmptyElementsContainer();
   for (const element of reactElements) {
@@ -114,7 +142,9 @@ function _getElementIndex(elementsContainer, cellGroupType) {
 }
 
 /**
- * Converts React column / column group elements into props and cell rendering templates
+ * Converts React column / column group elements into props and cell rendering templates.
+ * Nested column groups are converted into tiers of column groups, where each group refers to
+ * its parent group in the tier above through `groupIdx`.
  */
 function convertColumnElementsToData(childComponents) {
   const children = [];
@@ -135,28 +165,132 @@ function convertColumnElementsToData(childComponents) {
   const elementTemplates = getEmptyTemplatesContainer();
   const useGroupHeader = children[0]?.type.__TableColumnGroup__ ?? false;
 
+  const outerColumnGroupElements = [];
   if (useGroupHeader) {
+    // Column groups can be nested, in which case each level of nesting gets its own tier of group headers.
+    // The innermost tier is stored in columnGroupElements, while the tiers above it are stored from the
+    // outermost to the innermost in outerColumnGroupElements.
+    const tierCount = Math.max(...children.map(_getColumnGroupDepth));
+    for (let tier = 0; tier < tierCount - 1; tier++) {
+      outerColumnGroupElements.push(getEmptyElementsContainer());
+      elementTemplates.outerGroupHeader.push([]);
+    }
+    const columnGroupTiers = [...outerColumnGroupElements, columnGroupElements];
+
     let columnIndex = 0;
-    for (const columnGroupReactElement of _sortByCellGroupType(children)) {
-      const cellGroupType = getCellGroupType(columnGroupReactElement);
+    const addColumns = (columnReactElements, groupIdx, cellGroupType) => {
+      for (const columnReactElement of columnReactElements) {
+        const columnProps = _extractProps(columnReactElement);
+        columnProps.index = columnIndex++;
+        columnProps.groupIdx = groupIdx;
+        columnElements[cellGroupType].push(columnProps);
+        _extractTemplates(elementTemplates, columnReactElement);
+      }
+    };
+
+    const addColumnGroup = (
+      columnGroupProps,
+      template,
+      tier,
+      cellGroupType
+    ) => {
+      const container = columnGroupTiers[tier];
+      columnGroupProps.index = _getElementIndex(container, cellGroupType);
+      container[cellGroupType].push(columnGroupProps);
+      if (tier === tierCount - 1) {
+        elementTemplates.groupHeader.push(template);
+      } else {
+        elementTemplates.outerGroupHeader[tier].push(template);
+      }
+    };
+
+    // Columns placed directly within a column group above the innermost tier get placeholder groups
+    // without a header in the tiers below, so that every column belongs to a group of each tier.
+    const addPlaceholderGroups = (
+      columnReactElements,
+      parent,
+      tier,
+      cellGroupType
+    ) => {
+      if (tier === tierCount) {
+        addColumns(columnReactElements, parent.index, cellGroupType);
+        return;
+      }
+      const placeholderProps = {
+        fixed: parent.fixed,
+        fixedRight: parent.fixedRight,
+        groupIdx: parent.index,
+      };
+      addColumnGroup(placeholderProps, undefined, tier, cellGroupType);
+      addPlaceholderGroups(
+        columnReactElements,
+        placeholderProps,
+        tier + 1,
+        cellGroupType
+      );
+    };
+
+    const addColumnGroupElement = (
+      columnGroupReactElement,
+      parent,
+      tier,
+      cellGroupType
+    ) => {
       const columnGroupProps = _extractProps(columnGroupReactElement);
-      columnGroupProps.index = _getElementIndex(
-        columnGroupElements,
+      if (parent) {
+        // nested column groups always belong to the cell group of the outermost column group
+        columnGroupProps.fixed = parent.fixed;
+        columnGroupProps.fixedRight = parent.fixedRight;
+        columnGroupProps.groupIdx = parent.index;
+      }
+      addColumnGroup(
+        columnGroupProps,
+        columnGroupReactElement.props.header,
+        tier,
         cellGroupType
       );
-      columnGroupElements[cellGroupType].push(columnGroupProps);
-      elementTemplates.groupHeader.push(columnGroupReactElement.props.header);
 
+      let columnReactElements = [];
+      const flushColumns = () => {
+        if (columnReactElements.length > 0) {
+          addPlaceholderGroups(
+            columnReactElements,
+            columnGroupProps,
+            tier + 1,
+            cellGroupType
+          );
+          columnReactElements = [];
+        }
+      };
       React.Children.forEach(
         columnGroupReactElement.props.children,
-        (columnReactElement) => {
-          const columnProps = _extractProps(columnReactElement);
-          columnProps.index = columnIndex++;
-          columnProps.groupIdx = columnGroupProps.index;
-          columnElements[cellGroupType].push(columnProps);
-          _extractTemplates(elementTemplates, columnReactElement);
+        (child) => {
+          if (child == null) {
+            return;
+          }
+          if (child.type.__TableColumnGroup__) {
+            flushColumns();
+            addColumnGroupElement(
+              child,
+              columnGroupProps,
+              tier + 1,
+              cellGroupType
+            );
+          } else {
+            columnReactElements.push(child);
+          }
         }
       );
+      flushColumns();
+    };
+
+    for (const columnGroupReactElement of _sortByCellGroupType(children)) {
+      addColumnGroupElement(
+        columnGroupReactElement,
+        null,
+        0,
+        getCellGroupType(columnGroupReactElement)
+      );
     }
   } else {
     for (const columnReactElement of _sortByCellGroupType(children)) {
@@ -171,6 +305,7 @@ function convertColumnElementsToData(childComponents) {
   return {
     columnGroupElements,
     columnElements,
+    outerColumnGroupElements,
     elementTemplates,
     useGroupHeader,
   };
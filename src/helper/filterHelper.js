@@ -0,0 +1,150 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule filterHelper
+ */
+
+'use strict';
+
+import isNil from 'lodash/isNil';
+
+import { FilterType } from '../enums/FilterType';
+
+const ISO_DAY_REGEX = /^\d{4}-\d{2}-\d{2}/;
+
+/**
+ * The filter of a column.
+ * Filters only hold plain values (dates are ISO strings like '2020-01-31'), so that
+ * the filter model can be serialized.
+ *
+ * @typedef {{
+ *   type: FilterType,
+ *   value: (string|undefined),
+ *   min: (?number|undefined),
+ *   max: (?number|undefined),
+ *   values: (Array|undefined),
+ *   from: (?string|undefined),
+ *   to: (?string|undefined),
+ * }}
+ */
+const Filter = {};
+
+/**
+ * A filter model maps column keys to the filters of the columns.
+ * Rows are kept if they match the filters of all the columns.
+ *
+ * @typedef {!Object.<string, Filter>}
+ */
+const FilterModel = {};
+
+/**
+ * Filters of unknown types don't exclude anything, so that they're left out of the filter model.
+ *
+ * @param {?Filter} filter
+ * @return {boolean} whether the filter excludes any value
+ */
+function isFilterActive(filter) {
+  if (!filter) {
+    return false;
+  }
+  switch (filter.type) {
+    case FilterType.TEXT:
+      return !!filter.value;
+    case FilterType.RANGE:
+      return !isNil(filter.min) || !isNil(filter.max);
+    case FilterType.SET:
+      return Array.isArray(filter.values);
+    case FilterType.DATE_RANGE:
+      return !!filter.from || !!filter.to;
+    default:
+      return false;
+  }
+}
+
+/**
+ * @param {*} value
+ * @return {?string} the day of the given date, as an ISO string like '2020-01-31'
+ * @private
+ */
+function _toDay(value) {
+  if (typeof value === 'string' && ISO_DAY_REGEX.test(value)) {
+    return value.slice(0, 10);
+  }
+  if (isNil(value) || value === '') {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  // use the local day, like date pickers do
+  return [
+    String(date.getFullYear()).padStart(4, '0'),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+}
+
+/**
+ * @param {?Filter} filter
+ * @param {*} value the value of a cell of the filtered column
+ * @return {boolean} whether the value is kept by the filter
+ */
+function matchesFilter(filter, value) {
+  if (!isFilterActive(filter)) {
+    return true;
+  }
+  switch (filter.type) {
+    case FilterType.TEXT:
+      return (
+        !isNil(value) &&
+        String(value).toLowerCase().indexOf(filter.value.toLowerCase()) !== -1
+      );
+    case FilterType.RANGE:
+      return (
+        !isNil(value) &&
+        value !== '' &&
+        !isNaN(value) &&
+        (isNil(filter.min) || Number(value) >= filter.min) &&
+        (isNil(filter.max) || Number(value) <= filter.max)
+      );
+    case FilterType.SET:
+      return filter.values.indexOf(value) !== -1;
+    case FilterType.DATE_RANGE: {
+      // compare whole days, so that the bounds are inclusive
+      const day = _toDay(value);
+      return (
+        day !== null &&
+        (!filter.from || day >= filter.from) &&
+        (!filter.to || day <= filter.to)
+      );
+    }
+  }
+}
+
+/**
+ * @param {FilterModel} filterModel
+ * @param {string|number} columnKey
+ * @param {?Filter} filter the new filter of the column, or null to stop filtering it
+ * @return {FilterModel} the filter model with the given filter,
+ * without the filters that don't exclude anything
+ */
+function getNextFilterModel(filterModel, columnKey, filter) {
+  const nextFilterModel = {};
+  Object.keys(filterModel).forEach((key) => {
+    if (key !== String(columnKey)) {
+      nextFilterModel[key] = filterModel[key];
+    }
+  });
+  if (isFilterActive(filter)) {
+    nextFilterModel[columnKey] = filter;
+  }
+  return nextFilterModel;
+}
+
+export { getNextFilterModel, isFilterActive, matchesFilter };
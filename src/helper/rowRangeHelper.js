@@ -0,0 +1,170 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule rowRangeHelper
+ */
+
+'use strict';
+
+/**
+ * A list of ranges of rows, sorted by index, where no two ranges overlap or touch each other.
+ * Bounds are inclusive.
+ * The helpers below never mutate the given list, since it's kept in the store.
+ *
+ * @typedef {!Array.<{
+ *   startIndex: number,
+ *   stopIndex: number,
+ * }>}
+ */
+const RowRanges = {};
+
+/**
+ * @param {RowRanges} ranges
+ * @param {number} rowIndex
+ * @return {boolean} whether the given row is within one of the ranges
+ */
+function isRowInRanges(ranges, rowIndex) {
+  let low = 0;
+  let high = ranges.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (ranges[mid].stopIndex < rowIndex) {
+      low = mid + 1;
+    } else if (ranges[mid].startIndex > rowIndex) {
+      high = mid - 1;
+    } else {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * @param {RowRanges} ranges
+ * @param {number} startIndex
+ * @param {number} stopIndex
+ * @return {RowRanges} the ranges, along with the given range
+ */
+function addRowRange(ranges, startIndex, stopIndex) {
+  const nextRanges = [];
+  let added = { startIndex, stopIndex };
+  ranges.forEach((range) => {
+    if (range.stopIndex + 1 < added.startIndex) {
+      nextRanges.push(range);
+    } else if (range.startIndex - 1 > added.stopIndex) {
+      if (added) {
+        nextRanges.push(added);
+        added = null;
+      }
+      nextRanges.push(range);
+    } else {
+      // merge the ranges which overlap or touch the added one
+      added = {
+        startIndex: Math.min(range.startIndex, added.startIndex),
+        stopIndex: Math.max(range.stopIndex, added.stopIndex),
+      };
+    }
+  });
+  if (added) {
+    nextRanges.push(added);
+  }
+  return nextRanges;
+}
+
+/**
+ * @param {RowRanges} ranges
+ * @param {number} startIndex
+ * @param {number} stopIndex
+ * @return {RowRanges} the ranges, without the rows of the given range
+ */
+function removeRowRange(ranges, startIndex, stopIndex) {
+  const nextRanges = [];
+  ranges.forEach((range) => {
+    if (range.stopIndex < startIndex || range.startIndex > stopIndex) {
+      nextRanges.push(range);
+      return;
+    }
+    if (range.startIndex < startIndex) {
+      nextRanges.push({
+        startIndex: range.startIndex,
+        stopIndex: startIndex - 1,
+      });
+    }
+    if (range.stopIndex > stopIndex) {
+      nextRanges.push({
+        startIndex: stopIndex + 1,
+        stopIndex: range.stopIndex,
+      });
+    }
+  });
+  return nextRanges;
+}
+
+/**
+ * @param {RowRanges} ranges
+ * @param {number} startIndex
+ * @param {number} stopIndex
+ * @return {RowRanges} the rows of the given range which aren't within the ranges
+ */
+function getMissingRowRanges(ranges, startIndex, stopIndex) {
+  const missingRanges = [];
+  let nextIndex = startIndex;
+  for (let i = 0; i < ranges.length && nextIndex <= stopIndex; i++) {
+    const range = ranges[i];
+    if (range.stopIndex < nextIndex) {
+      continue;
+    }
+    if (range.startIndex > nextIndex) {
+      missingRanges.push({
+        startIndex: nextIndex,
+        stopIndex: Math.min(range.startIndex - 1, stopIndex),
+      });
+    }
+    nextIndex = range.stopIndex + 1;
+  }
+  if (nextIndex <= stopIndex) {
+    missingRanges.push({ startIndex: nextIndex, stopIndex });
+  }
+  return missingRanges;
+}
+
+/**
+ * Moves the ranges along with their rows when rows get spliced.
+ *
+ * @param {RowRanges} ranges
+ * @param {number} startIndex index of the first removed or inserted row
+ * @param {number} removeCount
+ * @param {number} insertCount
+ * @return {RowRanges} the ranges, without the removed rows, and with the rows after them shifted
+ */
+function spliceRowRanges(ranges, startIndex, removeCount, insertCount) {
+  const removedStopIndex = startIndex + removeCount - 1;
+  const shift = insertCount - removeCount;
+  let nextRanges = [];
+  removeRowRange(ranges, startIndex, removedStopIndex).forEach((range) => {
+    if (range.startIndex < startIndex) {
+      nextRanges = addRowRange(nextRanges, range.startIndex, range.stopIndex);
+    } else {
+      // ranges around the removed rows can end up touching each other
+      nextRanges = addRowRange(
+        nextRanges,
+        range.startIndex + shift,
+        range.stopIndex + shift
+      );
+    }
+  });
+  return nextRanges;
+}
+
+export {
+  addRowRange,
+  getMissingRowRanges,
+  isRowInRanges,
+  removeRowRange,
+  spliceRowRanges,
+};
@@ -0,0 +1,62 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule scrollHelper
+ */
+
+'use strict';
+
+/**
+ * How an item (row or column) gets aligned within the viewport when scrolling to it.
+ * `auto` scrolls as little as possible to bring the item into view, and doesn't scroll if it's in view already.
+ */
+const ScrollAlign = {
+  AUTO: 'auto',
+  START: 'start',
+  CENTER: 'center',
+  END: 'end',
+};
+
+/**
+ * @param {number} begin offset of the item
+ * @param {number} size size of the item
+ * @param {number} scrollPos current scroll position
+ * @param {number} viewportSize
+ * @param {string=} align one of ScrollAlign, defaults to `auto`
+ * @return {number} the scroll position which aligns the item within the viewport, which might need clamping
+ */
+function getAlignedScrollPosition(begin, size, scrollPos, viewportSize, align) {
+  const end = begin + size;
+  switch (align) {
+    case ScrollAlign.START:
+      return begin;
+    case ScrollAlign.CENTER:
+      return begin + (size - viewportSize) / 2;
+    case ScrollAlign.END:
+      return end - viewportSize;
+    default:
+      if (begin < scrollPos) {
+        return begin;
+      }
+      // items larger than the viewport show their beginning
+      if (end > scrollPos + viewportSize) {
+        return Math.min(begin, end - viewportSize);
+      }
+      return scrollPos;
+  }
+}
+
+/**
+ * @param {number} t progress of an animation, between 0 and 1
+ * @return {number} the eased progress, which speeds up and then slows down
+ */
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(2 - 2 * t, 3) / 2;
+}
+
+export { ScrollAlign, easeInOutCubic, getAlignedScrollPosition };
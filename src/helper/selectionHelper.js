@@ -0,0 +1,364 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule selectionHelper
+ */
+
+'use strict';
+
+import clamp from 'lodash/clamp';
+
+import shallowEqual from '../vendor_upstream/core/shallowEqual';
+import { SelectionMode } from '../enums/SelectionMode';
+
+/**
+ * A selection is a list of ranges.
+ * Row and column bounds are inclusive.
+ * Column bounds are omitted for ranges covering entire rows, which is always the case
+ * unless the selection mode is 'cell'.
+ *
+ * @typedef {{
+ *   startRowIndex: number,
+ *   endRowIndex: number,
+ *   startColumnIndex: (number|undefined),
+ *   endColumnIndex: (number|undefined),
+ * }}
+ */
+const SelectionRange = {};
+
+/**
+ * The position of a row (or a cell) which the selection is anchored to or focused on.
+ *
+ * @typedef {{
+ *   rowIndex: number,
+ *   columnIndex: (number|undefined),
+ * }}
+ */
+const SelectionPosition = {};
+
+/**
+ * @param {number} startRowIndex
+ * @param {number} endRowIndex
+ * @param {number|undefined} startColumnIndex
+ * @param {number|undefined} endColumnIndex
+ * @return {SelectionRange}
+ * @private
+ */
+function _createRange(
+  startRowIndex,
+  endRowIndex,
+  startColumnIndex,
+  endColumnIndex
+) {
+  const range = { startRowIndex, endRowIndex };
+  if (startColumnIndex !== undefined) {
+    range.startColumnIndex = startColumnIndex;
+  }
+  if (endColumnIndex !== undefined) {
+    range.endColumnIndex = endColumnIndex;
+  }
+  return range;
+}
+
+/**
+ * Returns the range spanning between the two given positions.
+ *
+ * @param {SelectionPosition} anchor
+ * @param {SelectionPosition} focus
+ * @return {SelectionRange}
+ */
+function getRange(anchor, focus) {
+  const hasColumns =
+    anchor.columnIndex !== undefined && focus.columnIndex !== undefined;
+  return _createRange(
+    Math.min(anchor.rowIndex, focus.rowIndex),
+    Math.max(anchor.rowIndex, focus.rowIndex),
+    hasColumns ? Math.min(anchor.columnIndex, focus.columnIndex) : undefined,
+    hasColumns ? Math.max(anchor.columnIndex, focus.columnIndex) : undefined
+  );
+}
+
+/**
+ * @param {SelectionRange} range
+ * @param {number} rowIndex
+ * @param {number} columnIndex
+ * @return {boolean}
+ * @private
+ */
+function _rangeContains(range, rowIndex, columnIndex) {
+  return (
+    rowIndex >= range.startRowIndex &&
+    rowIndex <= range.endRowIndex &&
+    !(columnIndex < range.startColumnIndex) &&
+    !(columnIndex > range.endColumnIndex)
+  );
+}
+
+/**
+ * Check if the given row is entirely selected.
+ *
+ * @param {!Array.<SelectionRange>} selection
+ * @param {number} rowIndex
+ * @return {boolean}
+ */
+function isRowSelected(selection, rowIndex) {
+  return selection.some(
+    (range) =>
+      range.startColumnIndex === undefined &&
+      range.endColumnIndex === undefined &&
+      _rangeContains(range, rowIndex)
+  );
+}
+
+/**
+ * Check if the given cell is selected, either by itself or as part of a selected row.
+ *
+ * @param {!Array.<SelectionRange>} selection
+ * @param {number} rowIndex
+ * @param {number} columnIndex
+ * @return {boolean}
+ */
+function isCellSelected(selection, rowIndex, columnIndex) {
+  return selection.some((range) =>
+    _rangeContains(range, rowIndex, columnIndex)
+  );
+}
+
+/**
+ * Removes the given range from the selection.
+ * Ranges which partially intersect with it get split into the remaining pieces.
+ *
+ * @param {!Array.<SelectionRange>} selection
+ * @param {SelectionRange} removedRange
+ * @return {!Array.<SelectionRange>}
+ */
+function subtractRange(selection, removedRange) {
+  const result = [];
+  for (const range of selection) {
+    const intersects =
+      range.startRowIndex <= removedRange.endRowIndex &&
+      range.endRowIndex >= removedRange.startRowIndex &&
+      !(range.startColumnIndex > removedRange.endColumnIndex) &&
+      !(range.endColumnIndex < removedRange.startColumnIndex);
+    if (!intersects) {
+      result.push(range);
+      continue;
+    }
+
+    const { startColumnIndex, endColumnIndex } = range;
+
+    // rows above and below the removed range keep their columns
+    if (range.startRowIndex < removedRange.startRowIndex) {
+      result.push(
+        _createRange(
+          range.startRowIndex,
+          removedRange.startRowIndex - 1,
+          startColumnIndex,
+          endColumnIndex
+        )
+      );
+    }
+    if (range.endRowIndex > removedRange.endRowIndex) {
+      result.push(
+        _createRange(
+          removedRange.endRowIndex + 1,
+          range.endRowIndex,
+          startColumnIndex,
+          endColumnIndex
+        )
+      );
+    }
+
+    // columns on either side of the removed range within the intersecting rows
+    const startRowIndex = Math.max(
+      range.startRowIndex,
+      removedRange.startRowIndex
+    );
+    const endRowIndex = Math.min(range.endRowIndex, removedRange.endRowIndex);
+    if (removedRange.startColumnIndex > (startColumnIndex || 0)) {
+      result.push(
+        _createRange(
+          startRowIndex,
+          endRowIndex,
+          startColumnIndex,
+          removedRange.startColumnIndex - 1
+        )
+      );
+    }
+    if (
+      removedRange.endColumnIndex !== undefined &&
+      !(removedRange.endColumnIndex >= endColumnIndex)
+    ) {
+      result.push(
+        _createRange(
+          startRowIndex,
+          endRowIndex,
+          removedRange.endColumnIndex + 1,
+          endColumnIndex
+        )
+      );
+    }
+  }
+  return result;
+}
+
+/**
+ * Returns a selection covering the whole table.
+ *
+ * @param {SelectionMode} selectionMode
+ * @param {number} rowsCount
+ * @param {number} columnsCount
+ * @return {!Array.<SelectionRange>}
+ */
+function getFullSelection(selectionMode, rowsCount, columnsCount) {
+  if (rowsCount === 0) {
+    return [];
+  }
+  if (selectionMode !== SelectionMode.CELL) {
+    return [_createRange(0, rowsCount - 1)];
+  }
+  if (columnsCount === 0) {
+    return [];
+  }
+  return [_createRange(0, rowsCount - 1, 0, columnsCount - 1)];
+}
+
+/**
+ * Computes the selection after the user selects the given target row or cell.
+ *
+ * By default the target becomes the only selected element.
+ * `extend` (Shift) replaces the range started at the anchor with a range from the anchor to the target.
+ * `toggle` (Ctrl/Cmd) adds the target to the selection, or removes it if already selected.
+ * In single selection mode, only one row can be selected, so `extend` has no effect.
+ *
+ * @param {!Array.<SelectionRange>} selection
+ * @param {SelectionMode} selectionMode
+ * @param {{
+ *   anchor: ?SelectionPosition,
+ *   focus: ?SelectionPosition,
+ * }} cursor
+ * @param {SelectionPosition} target
+ * @param {{
+ *   extend: boolean,
+ *   toggle: boolean,
+ * }} modifiers
+ * @return {{
+ *   cursor: {
+ *     anchor: SelectionPosition,
+ *     focus: SelectionPosition,
+ *   },
+ *   selection: !Array.<SelectionRange>,
+ * }}
+ */
+function getNextSelection(selection, selectionMode, cursor, target, modifiers) {
+  if (selectionMode !== SelectionMode.CELL) {
+    target = { rowIndex: target.rowIndex };
+  }
+  const { anchor, focus } = cursor;
+  const targetRange = getRange(target, target);
+  const isTargetSelected = isCellSelected(
+    selection,
+    target.rowIndex,
+    target.columnIndex
+  );
+
+  if (selectionMode === SelectionMode.SINGLE) {
+    return {
+      cursor: { anchor: target, focus: target },
+      selection: modifiers.toggle && isTargetSelected ? [] : [targetRange],
+    };
+  }
+
+  if (modifiers.extend && anchor) {
+    // The range started at the anchor is the last one in the selection, unless it was removed since.
+    let previousRanges = selection;
+    const lastRange = selection[selection.length - 1];
+    if (lastRange && shallowEqual(lastRange, getRange(anchor, focus))) {
+      previousRanges = selection.slice(0, -1);
+    }
+    return {
+      cursor: { anchor, focus: target },
+      selection: previousRanges.concat(getRange(anchor, target)),
+    };
+  }
+
+  if (modifiers.toggle) {
+    return {
+      cursor: { anchor: target, focus: target },
+      selection: isTargetSelected
+        ? subtractRange(selection, targetRange)
+        : selection.concat(targetRange),
+    };
+  }
+
+  return {
+    cursor: { anchor: target, focus: target },
+    selection: [targetRange],
+  };
+}
+
+/**
+ * Moves the focus by the given amount of rows and columns, and extends the selection from the anchor to the new focus.
+ *
+ * @param {!Array.<SelectionRange>} selection
+ * @param {SelectionMode} selectionMode
+ * @param {{
+ *   anchor: ?SelectionPosition,
+ *   focus: ?SelectionPosition,
+ * }} cursor
+ * @param {number} rowDelta
+ * @param {number} columnDelta
+ * @param {number} rowsCount
+ * @param {number} columnsCount
+ * @return {?{
+ *   cursor: {
+ *     anchor: SelectionPosition,
+ *     focus: SelectionPosition,
+ *   },
+ *   selection: !Array.<SelectionRange>,
+ * }} null if there's nothing to extend from
+ */
+function getExtendedSelection(
+  selection,
+  selectionMode,
+  cursor,
+  rowDelta,
+  columnDelta,
+  rowsCount,
+  columnsCount
+) {
+  const { focus } = cursor;
+  if (!focus || rowsCount === 0) {
+    return null;
+  }
+
+  const target = {
+    rowIndex: clamp(focus.rowIndex + rowDelta, 0, rowsCount - 1),
+  };
+  if (focus.columnIndex !== undefined) {
+    target.columnIndex = clamp(
+      focus.columnIndex + columnDelta,
+      0,
+      Math.max(columnsCount - 1, 0)
+    );
+  }
+  return getNextSelection(selection, selectionMode, cursor, target, {
+    extend: true,
+    toggle: false,
+  });
+}
+
+export {
+  getExtendedSelection,
+  getFullSelection,
+  getNextSelection,
+  getRange,
+  isCellSelected,
+  isRowSelected,
+  subtractRange,
+};
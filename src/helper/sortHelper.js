@@ -0,0 +1,77 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule sortHelper
+ */
+
+'use strict';
+
+import findIndex from 'lodash/findIndex';
+
+import { SortDirection } from '../enums/SortDirection';
+
+/**
+ * A sort state is a list of sorted columns, ordered by priority.
+ * The first column is the primary sort key, the next one breaks its ties, and so on.
+ *
+ * @typedef {!Array.<{
+ *   columnKey: (string|number),
+ *   direction: SortDirection,
+ * }>}
+ */
+const SortState = {};
+
+/**
+ * @param {SortState} sortState
+ * @param {string|number} columnKey
+ * @return {?{
+ *   direction: SortDirection,
+ *   priority: number,
+ * }} how the column is sorted, or null if it isn't
+ */
+function getColumnSort(sortState, columnKey) {
+  const priority = findIndex(sortState, { columnKey });
+  if (priority === -1) {
+    return null;
+  }
+  return { direction: sortState[priority].direction, priority };
+}
+
+/**
+ * Cycles the sort direction of the given column through ascending, descending, and unsorted.
+ *
+ * @param {SortState} sortState
+ * @param {string|number} columnKey
+ * @param {boolean} multiSort whether to keep sorting by the other columns.
+ * Newly sorted columns then get the lowest priority.
+ * @return {SortState}
+ */
+function getNextSortState(sortState, columnKey, multiSort) {
+  const columnSort = getColumnSort(sortState, columnKey);
+  let direction = SortDirection.ASC;
+  if (columnSort) {
+    direction =
+      columnSort.direction === SortDirection.ASC ? SortDirection.DESC : null;
+  }
+
+  if (!multiSort) {
+    return direction ? [{ columnKey, direction }] : [];
+  }
+
+  const nextSortState = sortState.slice();
+  if (!columnSort) {
+    nextSortState.push({ columnKey, direction });
+  } else if (direction) {
+    nextSortState[columnSort.priority] = { columnKey, direction };
+  } else {
+    nextSortState.splice(columnSort.priority, 1);
+  }
+  return nextSortState;
+}
+
+export { getColumnSort, getNextSortState };
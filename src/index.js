@@ -17,14 +17,40 @@ import DataCell from './FixedDataTableCellDefault';
 import Column from './FixedDataTableColumn';
 import ColumnGroup from './FixedDataTableColumnGroup';
 import { FixedDataTableContext as Context } from './FixedDataTableContext';
+import ColumnChooser from './plugins/ColumnChooser/ColumnChooser';
+import ArrayDataSource from './plugins/DataSource/ArrayDataSource';
+import DataSourceView from './plugins/DataSource/DataSourceView';
+import DateRangeFilterCell from './plugins/Filter/DateRangeFilterCell';
+import FilteredDataAdapter from './plugins/Filter/FilteredDataAdapter';
+import RangeFilterCell from './plugins/Filter/RangeFilterCell';
+import SetFilterCell from './plugins/Filter/SetFilterCell';
+import TextFilterCell from './plugins/Filter/TextFilterCell';
 import ResizeCell from './plugins/ResizeReorder/ResizeCell';
 import ReorderCell from './plugins/ResizeReorder/ReorderCell';
+import RowGroupHeaderCell from './plugins/RowGrouping/RowGroupHeaderCell';
+import RowGroupingAdapter from './plugins/RowGrouping/RowGroupingAdapter';
+import SortHeaderCell from './plugins/Sort/SortHeaderCell';
+import TreeCell from './plugins/Tree/TreeCell';
+import TreeDataAdapter from './plugins/Tree/TreeDataAdapter';
 
 const version = '2.0.12';
 
 const Plugins = {
+  ArrayDataSource,
+  ColumnChooser,
+  DataSourceView,
+  DateRangeFilterCell,
+  FilteredDataAdapter,
+  RangeFilterCell,
   ResizeCell,
   ReorderCell,
+  RowGroupHeaderCell,
+  RowGroupingAdapter,
+  SetFilterCell,
+  SortHeaderCell,
+  TextFilterCell,
+  TreeCell,
+  TreeDataAdapter,
 };
 
 export {
@@ -0,0 +1,256 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ColumnChooser
+ * @typechecks
+ */
+
+import React from 'react';
+import cx from '../../vendor_upstream/stubs/cx';
+import { FixedDataTableContext } from '../../FixedDataTableContext';
+import PropTypes from 'prop-types';
+
+/**
+ * Lists the columns of a table along with checkboxes to show or hide them.
+ * The list can be searched, and columns get reordered by dragging them within the list.
+ *
+ * The chooser keeps itself up to date by subscribing to the API of the table,
+ * so the parent doesn't need to manage the visibility or the order of the columns.
+ * Only columns with a `columnKey` are listed.
+ *
+ * Example usage, within a header cell or anywhere else within the table:
+ * ```
+ * <Plugins.ColumnChooser labels={{ firstName: 'First Name' }} />
+ * ```
+ *
+ * or outside of the table:
+ * ```
+ * <Plugins.ColumnChooser api={tableRef.current.getApi()} />
+ * ```
+ *
+ * Live example at https://schrodinger.github.io/fixed-data-table-2/example-collapse.html
+ */
+class ColumnChooser extends React.PureComponent {
+  state = {
+    api: null, // the latest value of the API, so that the chooser renders again when it changes
+    draggedColumnKey: null,
+    dropColumnKey: null,
+    search: '',
+  };
+
+  componentDidMount() {
+    this.subscribe();
+  }
+
+  componentDidUpdate() {
+    // the API value changes along with the table, but its subscription only changes along with the table instance
+    const sourceApi = this.getSourceApi();
+    if ((sourceApi && sourceApi.subscribe) !== this.subscribeToApi) {
+      this.subscribe();
+    }
+  }
+
+  componentWillUnmount() {
+    this.unsubscribe();
+  }
+
+  /**
+   * @return {?Object} the API of the table, given either through props or through the table's context
+   */
+  getSourceApi() {
+    const api = this.props.api || this.context;
+    return api && api.subscribe ? api : null;
+  }
+
+  subscribe() {
+    this.unsubscribe();
+    const sourceApi = this.getSourceApi();
+    this.subscribeToApi = sourceApi && sourceApi.subscribe;
+    if (sourceApi) {
+      this.unsubscribeFromApi = sourceApi.subscribe((api) => {
+        this.setState({ api });
+      });
+    }
+    this.setState({ api: sourceApi });
+  }
+
+  unsubscribe() {
+    if (this.unsubscribeFromApi) {
+      this.unsubscribeFromApi();
+      this.unsubscribeFromApi = null;
+    }
+  }
+
+  /**
+   * @param {string|number} columnKey
+   * @return {string}
+   */
+  getLabel(columnKey) {
+    const { labels } = this.props;
+    return labels && labels[columnKey] !== undefined
+      ? labels[columnKey]
+      : String(columnKey);
+  }
+
+  render() {
+    const { api, draggedColumnKey, dropColumnKey, search } = this.state;
+    if (!api) {
+      return null;
+    }
+
+    const { searchPlaceholder } = this.props;
+    const query = search.trim().toLowerCase();
+    const columns = api
+      .getViewState()
+      .columns.filter(({ columnKey }) =>
+        this.getLabel(columnKey).toLowerCase().includes(query)
+      );
+
+    return (
+      <div className={cx('public/fixedDataTableColumnChooser/main')}>
+        <input
+          type="search"
+          className={cx('public/fixedDataTableColumnChooser/search')}
+          aria-label={searchPlaceholder}
+          placeholder={searchPlaceholder}
+          value={search}
+          onChange={this.onSearchChange}
+        />
+        <ul
+          className={cx('public/fixedDataTableColumnChooser/list')}
+          aria-label="Columns"
+        >
+          {columns.map(({ columnKey, hidden }) => (
+            <li
+              key={columnKey}
+              className={cx({
+                'public/fixedDataTableColumnChooser/item': true,
+                'public/fixedDataTableColumnChooser/itemDragged':
+                  columnKey === draggedColumnKey,
+                'public/fixedDataTableColumnChooser/itemDropTarget':
+                  columnKey === dropColumnKey,
+              })}
+              draggable={true}
+              onDragStart={(event) => this.onDragStart(event, columnKey)}
+              onDragOver={(event) => this.onDragOver(event, columnKey)}
+              onDrop={(event) => this.onDrop(event, columnKey)}
+              onDragEnd={this.onDragEnd}
+            >
+              <label>
+                <input
+                  type="checkbox"
+                  checked={!hidden}
+                  onChange={() => api.setColumnVisibility(columnKey, hidden)}
+                />
+                {this.getLabel(columnKey)}
+              </label>
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  }
+
+  onSearchChange = (event) => {
+    this.setState({ search: event.target.value });
+  };
+
+  onDragStart = (event, columnKey) => {
+    if (event.dataTransfer) {
+      // some browsers don't start dragging without any data
+      event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData('text/plain', String(columnKey));
+    }
+    this.setState({ draggedColumnKey: columnKey });
+  };
+
+  /**
+   * Columns can only be dropped among the columns fixed to the same side.
+   *
+   * @param {string|number} columnKey
+   * @return {boolean}
+   */
+  canDropOn(columnKey) {
+    const { api, draggedColumnKey } = this.state;
+    if (draggedColumnKey === null || draggedColumnKey === columnKey) {
+      return false;
+    }
+    const { columns } = api.getViewState();
+    const getColumn = (key) =>
+      columns.find((column) => column.columnKey === key);
+    const draggedColumn = getColumn(draggedColumnKey);
+    const dropColumn = getColumn(columnKey);
+    return (
+      !!draggedColumn &&
+      !!dropColumn &&
+      draggedColumn.fixed === dropColumn.fixed
+    );
+  }
+
+  onDragOver = (event, columnKey) => {
+    if (!this.canDropOn(columnKey)) {
+      return;
+    }
+    // allows dropping
+    event.preventDefault();
+    if (this.state.dropColumnKey !== columnKey) {
+      this.setState({ dropColumnKey: columnKey });
+    }
+  };
+
+  /**
+   * Moves the dragged column to the position of the column it's dropped on,
+   * shifting the columns in between towards the position the dragged column left.
+   */
+  onDrop = (event, columnKey) => {
+    if (!this.canDropOn(columnKey)) {
+      return;
+    }
+    event.preventDefault();
+
+    const { api, draggedColumnKey } = this.state;
+    const columnKeys = api
+      .getViewState()
+      .columns.map((column) => column.columnKey);
+    const dropIndex = columnKeys.indexOf(columnKey);
+    columnKeys.splice(columnKeys.indexOf(draggedColumnKey), 1);
+    columnKeys.splice(dropIndex, 0, draggedColumnKey);
+    api.setColumnOrder(columnKeys);
+    this.onDragEnd();
+  };
+
+  onDragEnd = () => {
+    this.setState({ draggedColumnKey: null, dropColumnKey: null });
+  };
+}
+
+ColumnChooser.contextType = FixedDataTableContext;
+
+ColumnChooser.defaultProps = {
+  searchPlaceholder: 'Search columns',
+};
+
+ColumnChooser.propTypes = {
+  /**
+   * The API of the table, as returned by its `getApi` method.
+   * Only needed when the chooser isn't rendered within the table.
+   */
+  api: PropTypes.object,
+
+  /**
+   * The labels of the columns, keyed by column key. Columns without a label are listed by their key.
+   */
+  labels: PropTypes.objectOf(PropTypes.string),
+
+  /**
+   * The placeholder of the search input, which is also its accessible label.
+   */
+  searchPlaceholder: PropTypes.string,
+};
+
+export default ColumnChooser;
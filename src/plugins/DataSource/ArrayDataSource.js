@@ -0,0 +1,145 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ArrayDataSource
+ */
+
+'use strict';
+
+/**
+ * @typedef {{
+ *   startIndex: number,
+ *   removeCount: number,
+ *   insertCount: number,
+ * }}
+ */
+const RowsSplice = {};
+
+/**
+ * A data source (see the `dataSource` prop of the table) backed by an array of row objects.
+ * The array is never mutated: changes replace it with an updated copy.
+ *
+ * Example usage:
+ * ```
+ * const dataSource = new ArrayDataSource(people, (person) => person.id);
+ *
+ * <Table dataSource={dataSource} ...>
+ *   <Column
+ *     columnKey="name"
+ *     cell={({ row, ...props }) => <DataCell {...props}>{row.name}</DataCell>}
+ *     ...
+ *   />
+ * </Table>
+ *
+ * // the table updates itself
+ * dataSource.updateRow(0, { ...people[0], name: 'Jane' });
+ * ```
+ */
+class ArrayDataSource {
+  /**
+   * @param {!Array} rows
+   * @param {function(*): *=} getKey identifies a row object, so that rows keep their identity
+   *   when rows get inserted or removed. The table recycles rows by default.
+   */
+  constructor(rows, getKey) {
+    this._rows = rows;
+    this._getKey = getKey;
+    this._listeners = new Set();
+  }
+
+  /**
+   * @return {number}
+   */
+  getRowCount() {
+    return this._rows.length;
+  }
+
+  /**
+   * @param {number} rowIndex
+   * @return {*} the row object
+   */
+  getRow(rowIndex) {
+    return this._rows[rowIndex];
+  }
+
+  /**
+   * @param {number} rowIndex
+   * @return {*} the key of the row, or undefined if rows aren't identified by keys
+   */
+  getRowKey(rowIndex) {
+    return this._getKey ? this._getKey(this._rows[rowIndex]) : undefined;
+  }
+
+  /**
+   * @return {!Array} the row objects
+   */
+  getRows() {
+    return this._rows;
+  }
+
+  /**
+   * Replaces all the rows.
+   *
+   * @param {!Array} rows
+   */
+  setRows(rows) {
+    this._rows = rows;
+    this._notify();
+  }
+
+  /**
+   * Replaces the given row.
+   *
+   * @param {number} rowIndex
+   * @param {*} row
+   */
+  updateRow(rowIndex, row) {
+    this._rows = this._rows.slice();
+    this._rows[rowIndex] = row;
+    this._notify();
+  }
+
+  /**
+   * Removes rows and inserts new ones in their place, like `Array.prototype.splice`.
+   *
+   * @param {number} startIndex
+   * @param {number} removeCount
+   * @param {...*} rows the rows to insert
+   */
+  splice(startIndex, removeCount, ...rows) {
+    this._rows = this._rows.slice();
+    const removed = this._rows.splice(startIndex, removeCount, ...rows);
+    this._notify({
+      startIndex,
+      removeCount: removed.length,
+      insertCount: rows.length,
+    });
+  }
+
+  /**
+   * Listens to the changes of the rows.
+   * The listener receives the inserted and removed rows, when the change is a splice.
+   *
+   * @param {function(RowsSplice=)} listener
+   * @return {function()} unsubscribes the listener
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * @param {RowsSplice=} splice
+   * @private
+   */
+  _notify(splice) {
+    this._listeners.forEach((listener) => listener(splice));
+  }
+}
+
+export default ArrayDataSource;
@@ -0,0 +1,167 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule DataSourceView
+ */
+
+'use strict';
+
+/**
+ * A data source (see the `dataSource` prop of the table) which filters and sorts the rows
+ * of another data source, by remapping the indexes of its rows.
+ * Views can wrap other views, and they follow the changes of the data source they wrap.
+ *
+ * Example usage:
+ * ```
+ * const view = new DataSourceView(dataSource, {
+ *   filter: (row) => row.age >= 18,
+ *   compare: (rowA, rowB) => rowA.name.localeCompare(rowB.name),
+ * });
+ *
+ * <Table
+ *   dataSource={view}
+ *   onSortChange={(sortState) => view.setCompare(getComparator(sortState))}
+ *   ...
+ * />
+ * ```
+ */
+class DataSourceView {
+  /**
+   * @param {!Object} source the wrapped data source
+   * @param {{
+   *   filter: (function(*, number): boolean|undefined),
+   *   compare: (function(*, *): number|undefined),
+   * }=} options
+   *   `filter` receives a row object along with its index in the wrapped data source,
+   *     and tells whether the row is part of the view.
+   *   `compare` orders the row objects, like the comparator of `Array.prototype.sort`.
+   *     Rows which compare equally keep their order.
+   */
+  constructor(source, { filter, compare } = {}) {
+    this._source = source;
+    this._filter = filter;
+    this._compare = compare;
+    this._listeners = new Set();
+    this._update();
+    this._unsubscribe = source.subscribe(this._onSourceChange);
+  }
+
+  /**
+   * @return {number} the number of rows of the view
+   */
+  getRowCount() {
+    return this._dataIndexes
+      ? this._dataIndexes.length
+      : this._source.getRowCount();
+  }
+
+  /**
+   * @param {number} rowIndex
+   * @return {*} the row object
+   */
+  getRow(rowIndex) {
+    return this._source.getRow(this.getDataIndex(rowIndex));
+  }
+
+  /**
+   * @param {number} rowIndex
+   * @return {*} the key of the row given by the wrapped data source, if any
+   */
+  getRowKey(rowIndex) {
+    return this._source.getRowKey
+      ? this._source.getRowKey(this.getDataIndex(rowIndex))
+      : undefined;
+  }
+
+  /**
+   * @param {number} rowIndex
+   * @return {number} the index of the row within the wrapped data source
+   */
+  getDataIndex(rowIndex) {
+    return this._dataIndexes ? this._dataIndexes[rowIndex] : rowIndex;
+  }
+
+  /**
+   * Filters the rows again with the given filter.
+   *
+   * @param {function(*, number): boolean|undefined} filter
+   */
+  setFilter(filter) {
+    this._filter = filter;
+    this._update();
+    this._notify();
+  }
+
+  /**
+   * Sorts the rows again with the given comparator.
+   *
+   * @param {function(*, *): number|undefined} compare
+   */
+  setCompare(compare) {
+    this._compare = compare;
+    this._update();
+    this._notify();
+  }
+
+  /**
+   * Listens to the changes of the rows of the view.
+   * The listener receives the inserted and removed rows, when the change is a splice.
+   *
+   * @param {function(Object=)} listener
+   * @return {function()} unsubscribes the listener
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * Stops following the changes of the wrapped data source.
+   */
+  destroy() {
+    this._unsubscribe();
+    this._listeners.clear();
+  }
+
+  _onSourceChange = (splice) => {
+    this._update();
+    // without remapped indexes, the rows of the view are the rows of the wrapped data source
+    this._notify(this._dataIndexes ? undefined : splice);
+  };
+
+  _update() {
+    if (!this._filter && !this._compare) {
+      this._dataIndexes = null;
+      return;
+    }
+
+    const source = this._source;
+    const rowsCount = source.getRowCount();
+    let dataIndexes = [];
+    for (let dataIndex = 0; dataIndex < rowsCount; dataIndex++) {
+      if (!this._filter || this._filter(source.getRow(dataIndex), dataIndex)) {
+        dataIndexes.push(dataIndex);
+      }
+    }
+    if (this._compare) {
+      dataIndexes = dataIndexes
+        .map((dataIndex) => ({ dataIndex, row: source.getRow(dataIndex) }))
+        .sort(
+          (a, b) => this._compare(a.row, b.row) || a.dataIndex - b.dataIndex
+        )
+        .map(({ dataIndex }) => dataIndex);
+    }
+    this._dataIndexes = dataIndexes;
+  }
+
+  _notify(splice) {
+    this._listeners.forEach((listener) => listener(splice));
+  }
+}
+
+export default DataSourceView;
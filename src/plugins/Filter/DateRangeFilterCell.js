@@ -0,0 +1,108 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule DateRangeFilterCell
+ * @typechecks
+ */
+
+import React from 'react';
+import cx from '../../vendor_upstream/stubs/cx';
+import { FixedDataTableContext } from '../../FixedDataTableContext';
+import { FilterType } from '../../enums/FilterType';
+import FilterCellLayout from './FilterCellLayout';
+import PropTypes from 'prop-types';
+
+/**
+ * Filter cell that keeps the rows whose date is within the picked days.
+ * Both bounds are inclusive and optional, and are kept in the filter model as
+ * ISO dates like '2020-01-31'.
+ *
+ * The values of the column can either be dates, timestamps or date strings.
+ *
+ * Example usage:
+ * ```
+ * <Column
+ *   columnKey="birthDate"
+ *   filter={<Plugins.DateRangeFilterCell />}
+ *   ...
+ * />
+ * ```
+ *
+ * Live example at https://schrodinger.github.io/fixed-data-table-2/example-filter.html
+ */
+class DateRangeFilterCell extends React.PureComponent {
+  render() {
+    const { filter, height, width } = this.props;
+    return (
+      <FilterCellLayout height={height} width={width}>
+        <input
+          type="date"
+          className={cx('public/fixedDataTableCell/filterInput')}
+          aria-label="From"
+          value={(filter && filter.from) || ''}
+          onChange={this.onFromChange}
+        />
+        <input
+          type="date"
+          className={cx('public/fixedDataTableCell/filterInput')}
+          aria-label="To"
+          value={(filter && filter.to) || ''}
+          onChange={this.onToChange}
+        />
+      </FilterCellLayout>
+    );
+  }
+
+  onFromChange = (event) => {
+    this.changeBound('from', event.target.value);
+  };
+
+  onToChange = (event) => {
+    this.changeBound('to', event.target.value);
+  };
+
+  changeBound(bound, value) {
+    const { columnKey, filter } = this.props;
+    this.context.setColumnFilter(columnKey, {
+      type: FilterType.DATE_RANGE,
+      from: filter ? filter.from : null,
+      to: filter ? filter.to : null,
+      [bound]: value || null,
+    });
+  }
+}
+
+DateRangeFilterCell.contextType = FixedDataTableContext;
+
+DateRangeFilterCell.propTypes = {
+  /**
+   * Outer height of the cell.
+   */
+  height: PropTypes.number,
+
+  /**
+   * Outer width of the cell.
+   */
+  width: PropTypes.number,
+
+  /**
+   * The key of the filtered column.
+   */
+  columnKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+
+  /**
+   * The current filter of the column, given by the table.
+   */
+  filter: PropTypes.shape({
+    type: PropTypes.oneOf([FilterType.DATE_RANGE]),
+    from: PropTypes.string,
+    to: PropTypes.string,
+  }),
+};
+
+export default DateRangeFilterCell;
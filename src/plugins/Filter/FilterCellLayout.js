@@ -0,0 +1,54 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule FilterCellLayout
+ * @typechecks
+ */
+
+import React from 'react';
+import joinClasses from '../../vendor_upstream/core/joinClasses';
+import cx from '../../vendor_upstream/stubs/cx';
+import PropTypes from 'prop-types';
+
+/**
+ * Lays out the inputs of a filter cell, and keeps the keyboard shortcuts of the
+ * table (e.g, arrow keys, copy and paste) from handling the keys typed in them.
+ */
+class FilterCellLayout extends React.PureComponent {
+  render() {
+    const { className, height, width, children } = this.props;
+    return (
+      <div
+        className={joinClasses(
+          cx({
+            'fixedDataTableCellLayout/filterCell': true,
+            'public/fixedDataTableCell/filterCell': true,
+          }),
+          className
+        )}
+        style={{ height, width }}
+        onKeyDown={this.onKeyDown}
+      >
+        {children}
+      </div>
+    );
+  }
+
+  onKeyDown = (event) => {
+    event.stopPropagation();
+  };
+}
+
+FilterCellLayout.propTypes = {
+  className: PropTypes.string,
+  height: PropTypes.number,
+  width: PropTypes.number,
+  children: PropTypes.node,
+};
+
+export default FilterCellLayout;
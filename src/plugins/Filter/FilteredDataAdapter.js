@@ -0,0 +1,156 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule FilteredDataAdapter
+ */
+
+'use strict';
+
+import sortedIndexOf from 'lodash/sortedIndexOf';
+
+import { isFilterActive, matchesFilter } from '../../helper/filterHelper';
+
+/**
+ * Maps the rows of a filtered table to the indexes of the underlying data.
+ * The rows keep the order of the data, and only the data matching the filters of
+ * all the columns is part of the rows.
+ *
+ * Example usage:
+ * ```
+ * const filteredData = new FilteredDataAdapter({
+ *   rowsCount: people.length,
+ *   getValue: (dataIndex, columnKey) => people[dataIndex][columnKey],
+ *   getRowKey: (dataIndex) => people[dataIndex].id,
+ * });
+ *
+ * <Table
+ *   rowsCount={this.state.rowsCount}
+ *   rowKeyGetter={(rowIndex) => filteredData.getRowKey(rowIndex)}
+ *   filterHeight={40}
+ *   onFilterChange={(filterModel) => {
+ *     filteredData.setFilterModel(filterModel);
+ *     this.setState({ rowsCount: filteredData.getSize() });
+ *   }}
+ *   ...
+ * >
+ *   <Column
+ *     columnKey="name"
+ *     filter={<Plugins.TextFilterCell />}
+ *     cell={({ rowIndex, ...props }) => (
+ *       <DataCell {...props}>
+ *         {people[filteredData.getDataIndex(rowIndex)].name}
+ *       </DataCell>
+ *     )}
+ *     ...
+ *   />
+ * </Table>
+ * ```
+ */
+class FilteredDataAdapter {
+  /**
+   * @param {{
+   *   rowsCount: number,
+   *   getValue: function(number, (string|number)): *,
+   *   getRowKey: (function(number): *|undefined),
+   *   filterModel: (Object|undefined),
+   * }} options
+   *   `getValue` returns the value of the given column for the given index of the data.
+   *   `getRowKey` identifies the data, so that rows keep their identity while the filters change.
+   *     Defaults to the index of the data.
+   *   `filterModel` holds the initial filters, keyed by column key.
+   */
+  constructor({ rowsCount, getValue, getRowKey, filterModel }) {
+    this._rowsCount = rowsCount;
+    this._getValue = getValue;
+    this._getRowKey = getRowKey;
+    this._filterModel = filterModel || {};
+    this._filter();
+  }
+
+  /**
+   * @return {number} the number of rows matching the filters
+   */
+  getSize() {
+    return this._dataIndexes.length;
+  }
+
+  /**
+   * @param {number} rowIndex
+   * @return {number} the index of the data rendered at the given row
+   */
+  getDataIndex(rowIndex) {
+    return this._dataIndexes[rowIndex];
+  }
+
+  /**
+   * @param {number} dataIndex
+   * @return {number} the row rendering the given index of the data, or -1 if it's filtered out
+   */
+  getRowIndex(dataIndex) {
+    return sortedIndexOf(this._dataIndexes, dataIndex);
+  }
+
+  /**
+   * Meant to be used as the `rowKeyGetter` of the table.
+   *
+   * @param {number} rowIndex
+   * @return {*} the key of the data rendered at the given row
+   */
+  getRowKey(rowIndex) {
+    const dataIndex = this._dataIndexes[rowIndex];
+    return this._getRowKey ? this._getRowKey(dataIndex) : dataIndex;
+  }
+
+  /**
+   * @return {!Object} the filters, keyed by column key
+   */
+  getFilterModel() {
+    return this._filterModel;
+  }
+
+  /**
+   * Filters the data again with the given filters.
+   *
+   * @param {!Object} filterModel the filters, keyed by column key
+   */
+  setFilterModel(filterModel) {
+    this._filterModel = filterModel;
+    this._filter();
+  }
+
+  /**
+   * Filters the data again after its size changed.
+   *
+   * @param {number} rowsCount
+   */
+  setRowsCount(rowsCount) {
+    this._rowsCount = rowsCount;
+    this._filter();
+  }
+
+  _filter() {
+    const columnKeys = Object.keys(this._filterModel).filter((columnKey) =>
+      isFilterActive(this._filterModel[columnKey])
+    );
+    const dataIndexes = [];
+    for (let dataIndex = 0; dataIndex < this._rowsCount; dataIndex++) {
+      const matches = columnKeys.every((columnKey) =>
+        matchesFilter(
+          this._filterModel[columnKey],
+          this._getValue(dataIndex, columnKey)
+        )
+      );
+      if (matches) {
+        dataIndexes.push(dataIndex);
+      }
+    }
+    this._dataIndexes = dataIndexes;
+  }
+}
+
+export default FilteredDataAdapter;
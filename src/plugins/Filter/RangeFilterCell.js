@@ -0,0 +1,117 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule RangeFilterCell
+ * @typechecks
+ */
+
+import React from 'react';
+import isNil from 'lodash/isNil';
+import cx from '../../vendor_upstream/stubs/cx';
+import { FixedDataTableContext } from '../../FixedDataTableContext';
+import { FilterType } from '../../enums/FilterType';
+import FilterCellLayout from './FilterCellLayout';
+import PropTypes from 'prop-types';
+
+/**
+ * Filter cell that keeps the rows whose number is within the typed bounds.
+ * Both bounds are inclusive and optional.
+ *
+ * Example usage:
+ * ```
+ * <Column
+ *   columnKey="age"
+ *   filter={<Plugins.RangeFilterCell step={1} />}
+ *   ...
+ * />
+ * ```
+ *
+ * Live example at https://schrodinger.github.io/fixed-data-table-2/example-filter.html
+ */
+class RangeFilterCell extends React.PureComponent {
+  render() {
+    const { filter, height, width, step } = this.props;
+    const min = filter ? filter.min : null;
+    const max = filter ? filter.max : null;
+    return (
+      <FilterCellLayout height={height} width={width}>
+        <input
+          type="number"
+          className={cx('public/fixedDataTableCell/filterInput')}
+          aria-label="Minimum"
+          placeholder="Min"
+          step={step}
+          value={isNil(min) ? '' : min}
+          onChange={this.onMinChange}
+        />
+        <input
+          type="number"
+          className={cx('public/fixedDataTableCell/filterInput')}
+          aria-label="Maximum"
+          placeholder="Max"
+          step={step}
+          value={isNil(max) ? '' : max}
+          onChange={this.onMaxChange}
+        />
+      </FilterCellLayout>
+    );
+  }
+
+  onMinChange = (event) => {
+    this.changeBound('min', event.target.value);
+  };
+
+  onMaxChange = (event) => {
+    this.changeBound('max', event.target.value);
+  };
+
+  changeBound(bound, value) {
+    const { columnKey, filter } = this.props;
+    this.context.setColumnFilter(columnKey, {
+      type: FilterType.RANGE,
+      min: filter ? filter.min : null,
+      max: filter ? filter.max : null,
+      [bound]: value === '' ? null : Number(value),
+    });
+  }
+}
+
+RangeFilterCell.contextType = FixedDataTableContext;
+
+RangeFilterCell.propTypes = {
+  /**
+   * Outer height of the cell.
+   */
+  height: PropTypes.number,
+
+  /**
+   * Outer width of the cell.
+   */
+  width: PropTypes.number,
+
+  /**
+   * The key of the filtered column.
+   */
+  columnKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+
+  /**
+   * The current filter of the column, given by the table.
+   */
+  filter: PropTypes.shape({
+    type: PropTypes.oneOf([FilterType.RANGE]),
+    min: PropTypes.number,
+    max: PropTypes.number,
+  }),
+
+  /**
+   * The step of the inputs.
+   */
+  step: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+};
+
+export default RangeFilterCell;
@@ -0,0 +1,164 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule SetFilterCell
+ * @typechecks
+ */
+
+import React from 'react';
+import cx from '../../vendor_upstream/stubs/cx';
+import { FixedDataTableContext } from '../../FixedDataTableContext';
+import { FilterType } from '../../enums/FilterType';
+import FilterCellLayout from './FilterCellLayout';
+import PropTypes from 'prop-types';
+
+/**
+ * Filter cell that keeps the rows whose value is among the picked options.
+ * Only one option can be picked at a time, unless `multiple` is set.
+ *
+ * Example usage:
+ * ```
+ * <Column
+ *   columnKey="status"
+ *   filter={
+ *     <Plugins.SetFilterCell
+ *       options={[
+ *         { value: 'todo', label: 'To do' },
+ *         { value: 'done', label: 'Done' },
+ *       ]}
+ *     />
+ *   }
+ *   ...
+ * />
+ * ```
+ *
+ * Live example at https://schrodinger.github.io/fixed-data-table-2/example-filter.html
+ */
+class SetFilterCell extends React.PureComponent {
+  render() {
+    const { filter, height, width, multiple, allLabel } = this.props;
+    const options = this.getOptions();
+    const values = filter ? filter.values : [];
+    const selectedIndexes = [];
+    options.forEach((option, index) => {
+      if (values.indexOf(option.value) !== -1) {
+        selectedIndexes.push(String(index));
+      }
+    });
+
+    let value;
+    if (multiple) {
+      value = selectedIndexes;
+    } else {
+      value = selectedIndexes.length ? selectedIndexes[0] : '';
+    }
+
+    return (
+      <FilterCellLayout height={height} width={width}>
+        <select
+          className={cx('public/fixedDataTableCell/filterInput')}
+          aria-label="Filter"
+          multiple={multiple}
+          value={value}
+          onChange={this.onChange}
+        >
+          {multiple ? null : <option value="">{allLabel}</option>}
+          {options.map((option, index) => (
+            <option key={index} value={String(index)}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </FilterCellLayout>
+    );
+  }
+
+  /**
+   * @return {!Array.<{value: *, label: string}>}
+   */
+  getOptions() {
+    return this.props.options.map((option) =>
+      option !== null && typeof option === 'object'
+        ? { value: option.value, label: option.label ?? String(option.value) }
+        : { value: option, label: String(option) }
+    );
+  }
+
+  onChange = (event) => {
+    const options = this.getOptions();
+    const values = [];
+    Array.from(event.target.options).forEach((option) => {
+      if (option.selected && option.value !== '') {
+        values.push(options[Number(option.value)].value);
+      }
+    });
+    this.context.setColumnFilter(
+      this.props.columnKey,
+      values.length ? { type: FilterType.SET, values } : null
+    );
+  };
+}
+
+SetFilterCell.contextType = FixedDataTableContext;
+
+SetFilterCell.defaultProps = {
+  allLabel: 'All',
+  multiple: false,
+};
+
+SetFilterCell.propTypes = {
+  /**
+   * Outer height of the cell.
+   */
+  height: PropTypes.number,
+
+  /**
+   * Outer width of the cell.
+   */
+  width: PropTypes.number,
+
+  /**
+   * The key of the filtered column.
+   */
+  columnKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+
+  /**
+   * The current filter of the column, given by the table.
+   */
+  filter: PropTypes.shape({
+    type: PropTypes.oneOf([FilterType.SET]),
+    values: PropTypes.array,
+  }),
+
+  /**
+   * The options to pick from, either as values, or as values along with their labels.
+   */
+  options: PropTypes.arrayOf(
+    PropTypes.oneOfType([
+      PropTypes.shape({
+        value: PropTypes.any,
+        label: PropTypes.string,
+      }),
+      PropTypes.string,
+      PropTypes.number,
+      PropTypes.bool,
+    ])
+  ).isRequired,
+
+  /**
+   * Whether several options can be picked.
+   */
+  multiple: PropTypes.bool,
+
+  /**
+   * The label of the option which doesn't filter anything, when only one option can be picked.
+   */
+  allLabel: PropTypes.string,
+};
+
+export default SetFilterCell;
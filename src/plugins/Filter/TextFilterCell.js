@@ -0,0 +1,92 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule TextFilterCell
+ * @typechecks
+ */
+
+import React from 'react';
+import cx from '../../vendor_upstream/stubs/cx';
+import { FixedDataTableContext } from '../../FixedDataTableContext';
+import { FilterType } from '../../enums/FilterType';
+import FilterCellLayout from './FilterCellLayout';
+import PropTypes from 'prop-types';
+
+/**
+ * Filter cell that keeps the rows whose value contains the typed text, ignoring case.
+ *
+ * Example usage:
+ * ```
+ * <Column
+ *   columnKey="firstName"
+ *   filter={<Plugins.TextFilterCell placeholder="Search" />}
+ *   ...
+ * />
+ * ```
+ *
+ * Live example at https://schrodinger.github.io/fixed-data-table-2/example-filter.html
+ */
+class TextFilterCell extends React.PureComponent {
+  render() {
+    const { filter, height, width, placeholder } = this.props;
+    return (
+      <FilterCellLayout height={height} width={width}>
+        <input
+          type="search"
+          className={cx('public/fixedDataTableCell/filterInput')}
+          aria-label="Filter"
+          placeholder={placeholder}
+          value={filter ? filter.value : ''}
+          onChange={this.onChange}
+        />
+      </FilterCellLayout>
+    );
+  }
+
+  onChange = (event) => {
+    const { value } = event.target;
+    this.context.setColumnFilter(
+      this.props.columnKey,
+      value ? { type: FilterType.TEXT, value } : null
+    );
+  };
+}
+
+TextFilterCell.contextType = FixedDataTableContext;
+
+TextFilterCell.propTypes = {
+  /**
+   * Outer height of the cell.
+   */
+  height: PropTypes.number,
+
+  /**
+   * Outer width of the cell.
+   */
+  width: PropTypes.number,
+
+  /**
+   * The key of the filtered column.
+   */
+  columnKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+
+  /**
+   * The current filter of the column, given by the table.
+   */
+  filter: PropTypes.shape({
+    type: PropTypes.oneOf([FilterType.TEXT]),
+    value: PropTypes.string,
+  }),
+
+  /**
+   * Placeholder of the input.
+   */
+  placeholder: PropTypes.string,
+};
+
+export default TextFilterCell;
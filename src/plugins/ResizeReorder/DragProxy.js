@@ -16,6 +16,7 @@ import cx from '../../vendor_upstream/stubs/cx';
 import PropTypes from 'prop-types';
 import DOMMouseMoveTracker from '../../vendor_upstream/dom/DOMMouseMoveTracker';
 import { FixedDataTableContext } from '../../FixedDataTableContext';
+import FixedDataTableEventHelper from '../../FixedDataTableEventHelper';
 import FixedDataTableTranslateDOMPosition from '../../FixedDataTableTranslateDOMPosition';
 import requestAnimationFramePolyfill from '../../vendor_upstream/core/requestAnimationFramePolyfill';
 import cancelAnimationFramePolyfill from '../../vendor_upstream/core/cancelAnimationFramePolyfill';
@@ -66,6 +67,11 @@ class DragProxy extends React.PureComponent {
   }
 
   startDrag() {
+    const { x, y } = FixedDataTableEventHelper.getCoordinatesFromEvent(
+      this.props.reorderStartEvent
+    );
+    this.startClientX = x;
+    this.startClientY = y;
     this.cursorDeltaX = 0;
     this.scrollStart = this.context.scrollX;
     this.originalLeft = this.props.left;
@@ -92,13 +98,33 @@ class DragProxy extends React.PureComponent {
   };
 
   onMouseUp = () => {
+    this.stopDrag();
+    this.updateColumnOrder();
+    this.cursorDeltaX = 0;
+  };
+
+  /**
+   * Cancels reordering on Escape, leaving the column where it was.
+   *
+   * @param {KeyboardEvent} ev
+   */
+  onKeyDown = (ev) => {
+    if (ev.key !== 'Escape') {
+      return;
+    }
+    ev.preventDefault();
+    ev.stopPropagation();
+    this.stopDrag();
+    this.props.onColumnReorderCancel();
+  };
+
+  stopDrag() {
     cancelAnimationFramePolyfill(this.frameId);
     this.setState({ displacement: 0, isReordering: false });
-    this.updateColumnOrder();
     this.frameId = null;
-    this.cursorDeltaX = 0;
     this.mouseMoveTracker.releaseMouseMoves();
-  };
+    document.removeEventListener('keydown', this.onKeyDown, true);
+  }
 
   /**
    * @param {MouseEvent} event
@@ -111,6 +137,8 @@ class DragProxy extends React.PureComponent {
       this.props.touchEnabled
     );
     this.mouseMoveTracker.captureMouseMoves(event);
+    // captured, so that the table doesn't handle the Escape key too, e.g, to clear its selection
+    document.addEventListener('keydown', this.onKeyDown, true);
   };
 
   updateDisplacementPeriodically = () => {
@@ -126,23 +154,49 @@ class DragProxy extends React.PureComponent {
     this.updateDisplacementWithScroll();
   };
 
+  /**
+   * Columns can only be dragged to other cell groups if they're allowed to be pinned,
+   * and if they aren't nested within column groups.
+   *
+   * @return {boolean}
+   */
+  canChangeCellGroup = () =>
+    !!this.props.allowPinning &&
+    !this.props.isGroupHeader &&
+    !(this.context.groupHeaderHeight > 0);
+
   /**
    * This returns the displacement bounded between the cell group, preventing the dragged contents
    * to not go past the cell group.
    * If the dragged cell is a normal header inside a column group, then the bounds will also be within the column group.
+   * Similarly, if the dragged cell is the header of a nested column group, then the bounds will be within its parent column group.
    *
    * @param {number} deltaX
    * @return {number} deltaX bounded between cell group
    */
   getBoundedDeltaX = (deltaX) => {
+    if (this.canChangeCellGroup()) {
+      return deltaX;
+    }
+
     let groupWidth = 0;
     let groupStart = 0;
     let { cellGroupType } = this.props;
     const groupHeaderExists = this.context.groupHeaderHeight > 0;
 
-    if (groupHeaderExists && !this.props.isGroupHeader) {
+    let group = null;
+    if (this.props.isGroupHeader) {
+      // this is a column group header cell, which is only bounded by a parent column group
+      group = this.context.getParentColumnGroup(
+        this.props.columnIndex,
+        this.props.groupHeaderTier
+      );
+    } else if (groupHeaderExists) {
       // this is a normal header cell within a column group
-      const group = this.context.getColumnGroupByChild(this.props.columnIndex);
+      group = this.context.getColumnGroupByChild(this.props.columnIndex);
+    }
+
+    if (group) {
       groupWidth = group.width;
       groupStart = group.offset;
     } else {
@@ -199,8 +253,39 @@ class DragProxy extends React.PureComponent {
    */
   isColumnMovedToLeft = (deltaX) => deltaX < 0;
 
+  /**
+   * Finds the column under the cursor, if it's within another cell group than the dragged column.
+   *
+   * @return {?{
+   *   target: {index: number, width: number},
+   *   targetColumnOffset: number,
+   *   cellGroupType: string,
+   * }}
+   */
+  getDropWithinOtherCellGroup = () => {
+    if (!this.canChangeCellGroup()) {
+      return null;
+    }
+
+    const { isRTL } = this.context;
+    const clientX = this.startClientX + this.cursorDeltaX * (isRTL ? -1 : 1);
+    const hit = this.context.getCellAtPoint(clientX, this.startClientY);
+    if (!hit || hit.cellGroupType === this.props.cellGroupType) {
+      return null;
+    }
+
+    const { clientLeft, width } = hit.rect;
+    return {
+      target: { index: hit.columnIndex, width },
+      targetColumnOffset: isRTL
+        ? clientLeft + width - clientX
+        : clientX - clientLeft,
+      cellGroupType: hit.cellGroupType,
+    };
+  };
+
   updateColumnOrder = () => {
-    const { cellGroupType } = this.props;
+    let { cellGroupType } = this.props;
     const localOffset = this.getBoundedDeltaX(
       this.cursorDeltaX + this.context.scrollX - this.scrollStart
     );
@@ -214,9 +299,18 @@ class DragProxy extends React.PureComponent {
 
     let target;
     let targetColumnOffset;
-    if (this.props.isGroupHeader) {
+    const { groupHeaderTier } = this.props;
+    const dropWithinOtherCellGroup = this.getDropWithinOtherCellGroup();
+    if (dropWithinOtherCellGroup) {
+      ({ target, targetColumnOffset, cellGroupType } =
+        dropWithinOtherCellGroup);
+    } else if (this.props.isGroupHeader) {
       const { columnGroup, distanceFromOffset: columnGroupOffset } =
-        this.context.getColumnGroupAtOffset(offset, cellGroupType);
+        this.context.getColumnGroupAtOffset(
+          offset,
+          cellGroupType,
+          groupHeaderTier
+        );
       target = columnGroup;
       targetColumnOffset = columnGroupOffset;
     } else {
@@ -260,7 +354,7 @@ class DragProxy extends React.PureComponent {
     }
 
     const columnCount = this.props.isGroupHeader
-      ? this.context.getColumnGroupCount()
+      ? this.context.getColumnGroupCount(null, groupHeaderTier)
       : this.context.getColumnCount();
     let columnBefore;
     let columnAfter;
@@ -268,12 +362,12 @@ class DragProxy extends React.PureComponent {
     // figure out what column lies at columnBeforeIndex and columnAfterIndex
     if (inRange(columnBeforeIndex, 0, columnCount)) {
       columnBefore = this.props.isGroupHeader
-        ? this.context.getColumnGroup(columnBeforeIndex)
+        ? this.context.getColumnGroup(columnBeforeIndex, groupHeaderTier)
         : this.context.getColumn(columnBeforeIndex);
     }
     if (inRange(columnAfterIndex, 0, columnCount)) {
       columnAfter = this.props.isGroupHeader
-        ? this.context.getColumnGroup(columnAfterIndex)
+        ? this.context.getColumnGroup(columnAfterIndex, groupHeaderTier)
         : this.context.getColumn(columnAfterIndex);
     }
 
@@ -282,6 +376,7 @@ class DragProxy extends React.PureComponent {
       columnBefore: get(columnBefore, 'columnKey'),
       columnAfter: get(columnAfter, 'columnKey'),
       reorderColumn: this.props.columnKey,
+      cellGroupType,
     });
   };
 }
@@ -289,13 +384,16 @@ class DragProxy extends React.PureComponent {
 DragProxy.contextType = FixedDataTableContext;
 
 DragProxy.propTypes = {
+  allowPinning: PropTypes.bool,
   columnIndex: PropTypes.number.isRequired,
   columnKey: PropTypes.string.isRequired,
   contents: PropTypes.object.isRequired,
   cellGroupType: PropTypes.string,
   isGroupHeader: PropTypes.bool,
+  groupHeaderTier: PropTypes.number,
   isRTL: PropTypes.bool,
   left: PropTypes.number.isRequired,
+  onColumnReorderCancel: PropTypes.func.isRequired,
   onColumnReorderStart: PropTypes.func.isRequired,
   reorderStartEvent: PropTypes.object.isRequired,
   touchEnabled: PropTypes.bool,
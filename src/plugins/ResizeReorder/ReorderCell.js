@@ -15,20 +15,35 @@ import ReactDOM from 'react-dom';
 import joinClasses from '../../vendor_upstream/core/joinClasses';
 import cx from '../../vendor_upstream/stubs/cx';
 import FixedDataTableCellDefault from '../../FixedDataTableCellDefault';
-import { FixedDataTableContext } from '../../FixedDataTableContext';
+import {
+  FixedDataTableContext,
+  FixedDataTableInternalContext,
+} from '../../FixedDataTableContext';
 import DragProxy from './DragProxy';
 import ExternalContextProvider from '../ExternalContextProvider';
+import requestAnimationFramePolyfill from '../../vendor_upstream/core/requestAnimationFramePolyfill';
+import { CellGroupType } from '../../enums/CellGroup';
 import get from 'lodash/get';
+import inRange from 'lodash/inRange';
 import lodashToString from 'lodash/toString';
 import noop from 'lodash/noop';
 import PropTypes from 'prop-types';
 
 const BORDER_WIDTH = 1;
 
+// the sides columns get pinned to when dropped within each cell group
+const FIXED_SIDE_BY_CELL_GROUP_TYPE = {
+  [CellGroupType.FIXED]: 'left',
+  [CellGroupType.SCROLLABLE]: null,
+  [CellGroupType.FIXED_RIGHT]: 'right',
+};
+
 /**
  * ![Reorder Cell](../images/ReorderCell.png "Reorder Cell")
  *
  * Cell HOC that enables reordering functionality by rendering a handle, which can be used to drag the cell around.
+ * The handle can be focused as well, for Ctrl + Shift + Left/Right arrow to move the column by one position.
+ * Pressing Escape while dragging cancels reordering.
  *
  * Example usage:
  * ```
@@ -39,9 +54,10 @@ const BORDER_WIDTH = 1;
  *       onColumnReorderStart={(columnKey) => {
  *         console.log("Starting reordering:", columnKey);
  *       }}
- *       onColumnReorderEnd={(columnBeforeKey, columnAfterKey, reorderColumnKey) => {
- *         console.log(columnBeforeKey, " comes before ", reorderColumnKey);
- *         console.log(columnAfterKey, " comes after ", reorderColumnKey);
+ *       onColumnReorderEnd={({ columnBefore, columnAfter, reorderColumn, cellGroupType }) => {
+ *         console.log(columnBefore, " comes before ", reorderColumn);
+ *         console.log(columnAfter, " comes after ", reorderColumn);
+ *         console.log(reorderColumn, " now belongs to the cell group ", cellGroupType);
  *       }}
  *     >
  *       First Name
@@ -72,6 +88,7 @@ class ReorderCell extends React.PureComponent {
    */
   dragContainer = null;
   cellRef = React.createRef();
+  reorderHandle = null;
   isMounted = false;
 
   componentDidMount() {
@@ -98,6 +115,12 @@ class ReorderCell extends React.PureComponent {
 
       this.setState({ isReordering: true });
     }
+
+    this.focusIfMovedThroughKeyboard();
+  }
+
+  componentDidUpdate() {
+    this.focusIfMovedThroughKeyboard();
   }
 
   componentWillUnmount() {
@@ -112,6 +135,9 @@ class ReorderCell extends React.PureComponent {
     }
 
     const {
+      allowPinning,
+      columnLabel,
+      onColumnPin,
       onColumnReorderStart,
       onColumnReorderEnd,
       reorderStartEvent,
@@ -165,18 +191,31 @@ class ReorderCell extends React.PureComponent {
     };
 
     return (
-      <div
-        ref={this.setReorderHandle}
-        className={cx({
-          'fixedDataTableCellLayout/columnReorderContainer': true,
-          'fixedDataTableCellLayout/columnReorderContainer/active': false,
-        })}
-        style={style}
-      />
+      <FixedDataTableInternalContext.Consumer>
+        {(internalContext) => {
+          // kept for the handlers, since the context of the cell is the table's API
+          this.internalContext = internalContext;
+          return (
+            <div
+              ref={this.setReorderHandle}
+              className={cx({
+                'fixedDataTableCellLayout/columnReorderContainer': true,
+                'fixedDataTableCellLayout/columnReorderContainer/active': false,
+              })}
+              style={style}
+              tabIndex={0}
+              role="button"
+              aria-label={`Move ${this.getColumnLabel()} column`}
+              aria-keyshortcuts="Control+Shift+ArrowLeft Control+Shift+ArrowRight"
+            />
+          );
+        }}
+      </FixedDataTableInternalContext.Consumer>
     );
   }
 
   setReorderHandle = (element) => {
+    this.reorderHandle = element;
     if (element) {
       element.addEventListener('mousedown', this.onMouseDown, {
         passive: false,
@@ -184,9 +223,166 @@ class ReorderCell extends React.PureComponent {
       element.addEventListener('touchstart', this.onTouchStart, {
         passive: false,
       });
+      element.addEventListener('keydown', this.onKeyDown);
     }
   };
 
+  /**
+   * @return {string} label of the column, announced to screen readers
+   */
+  getColumnLabel = () =>
+    this.props.columnLabel || lodashToString(this.props.columnKey);
+
+  /**
+   * Moves the column by one position on Ctrl + Shift + Left/Right arrow.
+   *
+   * @param {KeyboardEvent} ev
+   */
+  onKeyDown = (ev) => {
+    if (
+      !ev.ctrlKey ||
+      !ev.shiftKey ||
+      (ev.key !== 'ArrowLeft' && ev.key !== 'ArrowRight')
+    ) {
+      return;
+    }
+    // the arrow keys would scroll the table otherwise
+    ev.preventDefault();
+    ev.stopPropagation();
+
+    const direction =
+      (ev.key === 'ArrowRight' ? 1 : -1) * (this.context.isRTL ? -1 : 1);
+    this.moveColumnBy(direction);
+  };
+
+  /**
+   * Moves the column next to its neighbour in the given direction, just like dropping it there would.
+   * The column stays within its column group, and within its cell group unless it can be pinned
+   * (see `DragProxy.canChangeCellGroup`). Moving it past the edge of its cell group pins it to the next one,
+   * without changing its position.
+   *
+   * @param {number} direction 1 to move the column to the right, -1 to the left
+   */
+  moveColumnBy = (direction) => {
+    const { cellGroupType, columnIndex, groupHeaderTier, isGroupHeader } =
+      this.props;
+    const {
+      getColumn,
+      getColumnCount,
+      getColumnGroup,
+      getColumnGroupByChild,
+      getColumnGroupCount,
+      getParentColumnGroup,
+      groupHeaderHeight,
+    } = this.context;
+    const getAt = (index) =>
+      isGroupHeader ? getColumnGroup(index, groupHeaderTier) : getColumn(index);
+    const getCount = (type) =>
+      isGroupHeader
+        ? getColumnGroupCount(type, groupHeaderTier)
+        : getColumnCount(type);
+    const getParentIndex = (index) => {
+      if (isGroupHeader) {
+        return get(getParentColumnGroup(index, groupHeaderTier), 'index');
+      }
+      return groupHeaderHeight > 0
+        ? get(getColumnGroupByChild(index), 'index')
+        : null;
+    };
+    const getCellGroupType = (index) => {
+      if (index < getCount(CellGroupType.FIXED)) {
+        return CellGroupType.FIXED;
+      }
+      return index <
+        getCount(CellGroupType.FIXED) + getCount(CellGroupType.SCROLLABLE)
+        ? CellGroupType.SCROLLABLE
+        : CellGroupType.FIXED_RIGHT;
+    };
+
+    const targetIndex = columnIndex + direction;
+    if (
+      !inRange(targetIndex, 0, getCount(null)) ||
+      getParentIndex(targetIndex) !== getParentIndex(columnIndex)
+    ) {
+      return;
+    }
+
+    const targetCellGroupType = getCellGroupType(targetIndex);
+    const changesCellGroup = targetCellGroupType !== cellGroupType;
+    const canChangeCellGroup =
+      this.props.allowPinning && !isGroupHeader && !(groupHeaderHeight > 0);
+    if (changesCellGroup && !canChangeCellGroup) {
+      return;
+    }
+
+    let columnBeforeIndex;
+    let columnAfterIndex;
+    if (changesCellGroup) {
+      // the column keeps its position, while joining the next cell group
+      columnBeforeIndex = columnIndex - 1;
+      columnAfterIndex = columnIndex + 1;
+    } else if (direction > 0) {
+      columnBeforeIndex = targetIndex;
+      columnAfterIndex = targetIndex + 1;
+    } else {
+      columnBeforeIndex = targetIndex - 1;
+      columnAfterIndex = targetIndex;
+    }
+    const columnCount = getCount(null);
+    const columnBefore = inRange(columnBeforeIndex, 0, columnCount)
+      ? getAt(columnBeforeIndex)
+      : null;
+    const columnAfter = inRange(columnAfterIndex, 0, columnCount)
+      ? getAt(columnAfterIndex)
+      : null;
+
+    // the cell rendering the column at its new position might be another one, so the table keeps the column
+    const { internalContext } = this;
+    const { columnKey } = this.props;
+    if (internalContext) {
+      internalContext.setKeyboardMovedColumn(columnKey);
+      // the column isn't rendered elsewhere if the table leaves the order unchanged
+      requestAnimationFramePolyfill(() => {
+        if (internalContext.getKeyboardMovedColumn() === columnKey) {
+          internalContext.setKeyboardMovedColumn(null);
+        }
+      });
+    }
+
+    this.reorderColumn({
+      columnBefore: get(columnBefore, 'columnKey'),
+      columnAfter: get(columnAfter, 'columnKey'),
+      reorderColumn: this.props.columnKey,
+      cellGroupType: targetCellGroupType,
+    });
+
+    const position = changesCellGroup ? columnIndex : targetIndex;
+    this.context.announce(
+      `${this.getColumnLabel()} column moved to position ${position + 1}`
+    );
+  };
+
+  /**
+   * Focuses the reorder handle if this cell renders the column which just got moved through the keyboard.
+   */
+  focusIfMovedThroughKeyboard = () => {
+    if (!this.internalContext || !this.reorderHandle) {
+      return;
+    }
+    const movedColumnKey = this.internalContext.getKeyboardMovedColumn();
+    if (
+      movedColumnKey === null ||
+      movedColumnKey === undefined ||
+      lodashToString(movedColumnKey) !== lodashToString(this.props.columnKey) ||
+      // the moved column keeps its handle until the move gets rendered
+      document.activeElement === this.reorderHandle
+    ) {
+      return;
+    }
+    this.internalContext.setKeyboardMovedColumn(null);
+    this.reorderHandle.focus();
+  };
+
   onTouchStart = (ev) => {
     if (!this.props.touchEnabled) {
       return;
@@ -219,6 +415,14 @@ class ReorderCell extends React.PureComponent {
    * @param {string} ev.reorderColumn
    */
   onColumnReorderEnd = (ev) => {
+    this.onColumnReorderCancel();
+    this.reorderColumn(ev);
+  };
+
+  /**
+   * Ends dragging, without reordering the column.
+   */
+  onColumnReorderCancel = () => {
     if (this.isMounted) {
       this.setState({
         isReordering: false,
@@ -226,6 +430,34 @@ class ReorderCell extends React.PureComponent {
     }
 
     this.removeDragContainer();
+  };
+
+  /**
+   * Moves and pins the column right away if the table keeps its column layout by itself
+   * (see `uncontrolledColumnLayout`), and reports the new order and pinning through the callbacks.
+   *
+   * @param ev
+   * @param {string} ev.columnBefore
+   * @param {string} ev.columnAfter
+   * @param {string} ev.reorderColumn
+   * @param {string} ev.cellGroupType
+   */
+  reorderColumn = (ev) => {
+    const isPinned = ev.cellGroupType !== this.props.cellGroupType;
+    const side = FIXED_SIDE_BY_CELL_GROUP_TYPE[ev.cellGroupType];
+    if (this.context.uncontrolledColumnLayout) {
+      if (isPinned) {
+        this.context.pinColumn(ev.reorderColumn, side);
+      }
+      this.context.moveColumn(
+        ev.reorderColumn,
+        ev.columnBefore,
+        ev.columnAfter
+      );
+    }
+    if (isPinned) {
+      this.props.onColumnPin(ev.reorderColumn, side);
+    }
     this.props.onColumnReorderEnd(ev);
   };
 
@@ -237,6 +469,7 @@ class ReorderCell extends React.PureComponent {
       isDragProxy: true,
       reorderStartEvent,
       onColumnReorderEnd: this.onColumnReorderEnd,
+      onColumnReorderCancel: this.onColumnReorderCancel,
       contents: this.cellRef.current,
     };
 
@@ -297,6 +530,9 @@ class ReorderCell extends React.PureComponent {
 ReorderCell.contextType = FixedDataTableContext;
 
 ReorderCell.defaultProps = {
+  allowPinning: false,
+  onColumnPin: noop,
+  onColumnReorderEnd: noop,
   onColumnReorderStart: noop,
 };
 
@@ -357,12 +593,45 @@ ReorderCell.propTypes = {
   onColumnReorderStart: PropTypes.func,
 
   /**
-   * Callback function which is called when reordering ends
+   * Callback function which is called when reordering ends.
+   * `cellGroupType` is the cell group the column got dropped within (see `CellGroupType`),
+   * which only differs from its former cell group with `allowPinning`.
+   * It's only optional if the table keeps the order of the columns by itself (see `uncontrolledColumnLayout`).
+   * ```
+   * function({
+   *   columnBefore: string,
+   *   columnAfter: string,
+   *   reorderColumn: string,
+   *   cellGroupType: string,
+   * })
+   * ```
+   */
+  onColumnReorderEnd: PropTypes.func,
+
+  /**
+   * Whether the column can be dragged across the fixed, scrollable and fixed-right columns.
+   * Dropping it within another cell group pins it there, see `onColumnPin`.
+   * This only applies to columns which aren't nested within column groups.
+   */
+  allowPinning: PropTypes.bool,
+
+  /**
+   * Callback function which is called when the column gets dropped within another cell group (see `allowPinning`),
+   * before `onColumnReorderEnd`. `side` is 'left' or 'right' for the fixed columns, or null for the scrollable ones.
+   * Tables which keep the column layout by themselves (see `uncontrolledColumnLayout`) pin the column through
+   * the `pinColumn` API, until the `fixed` or `fixedRight` prop of the column changes.
+   * Other tables are left to update the `fixed` and `fixedRight` props of the column.
    * ```
-   * function({columnBefore: string, columnAfter: string, reorderColumn: string})
+   * function(columnKey: string, side: ?string)
    * ```
    */
-  onColumnReorderEnd: PropTypes.func.isRequired,
+  onColumnPin: PropTypes.func,
+
+  /**
+   * Label of the column, announced to screen readers as the column gets moved through the keyboard.
+   * Defaults to the column key.
+   */
+  columnLabel: PropTypes.string,
 };
 
 export default ReorderCell;
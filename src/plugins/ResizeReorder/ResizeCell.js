@@ -14,6 +14,7 @@ import React from 'react';
 import ResizerKnob from './ResizerKnob';
 import FixedDataTableCellDefault from '../../FixedDataTableCellDefault';
 import { FixedDataTableContext } from '../../FixedDataTableContext';
+import noop from 'lodash/noop';
 import PropTypes from 'prop-types';
 
 const BORDER_WIDTH = 1;
@@ -22,6 +23,8 @@ const BORDER_WIDTH = 1;
  * ![Resize Cell](../images/ResizeCell.png "Resize Cell")
  *
  * Cell HOC that enables resizing functionality by rendering a draggable handle.
+ * Double clicking the handle resizes the column to fit its content.
+ * The handle can be focused as well, for Alt + Left/Right arrow to resize the column by `keyboardResizeStep`.
  *
  * Example usage:
  * ```
@@ -51,6 +54,9 @@ class ResizeCell extends React.PureComponent {
       children,
       minWidth,
       maxWidth,
+      autoSizeSampleRowsCount,
+      columnLabel,
+      keyboardResizeStep,
       onColumnResizeEnd,
       onColumnReorderEnd,
       rowIndex,
@@ -90,11 +96,15 @@ class ResizeCell extends React.PureComponent {
         <ResizerKnob
           height={this.props.height}
           resizerLineHeight={this.context.tableHeight}
-          onColumnResizeEnd={this.props.onColumnResizeEnd}
+          onColumnResizeEnd={this.onColumnResizeEnd}
+          measureColumnWidth={this.measureColumnWidth}
           width={this.props.width}
           minWidth={this.props.minWidth}
           maxWidth={this.props.maxWidth}
           columnKey={this.props.columnKey}
+          columnLabel={columnLabel}
+          keyboardResizeStep={keyboardResizeStep}
+          announce={this.context.announce}
           touchEnabled={this.props.touchEnabled}
           isRTL={this.context.isRTL}
         />
@@ -102,10 +112,36 @@ class ResizeCell extends React.PureComponent {
       </>
     );
   }
+
+  /**
+   * @param {string|number} columnKey
+   * @return {?number}
+   */
+  measureColumnWidth = (columnKey) =>
+    this.context.measureColumnWidth(columnKey, {
+      sampleRowsCount: this.props.autoSizeSampleRowsCount,
+    });
+
+  /**
+   * @param {number} newWidth
+   * @param {string|number} columnKey
+   */
+  onColumnResizeEnd = (newWidth, columnKey) => {
+    if (this.context.uncontrolledColumnLayout) {
+      this.context.setColumnWidth(columnKey, newWidth);
+    }
+    this.props.onColumnResizeEnd(newWidth, columnKey);
+  };
 }
 
 ResizeCell.contextType = FixedDataTableContext;
 
+ResizeCell.defaultProps = {
+  autoSizeSampleRowsCount: 0,
+  keyboardResizeStep: 10,
+  onColumnResizeEnd: noop,
+};
+
 ResizeCell.propTypes = {
   /**
    * Optional prop that if specified on the `Column` will be passed to the
@@ -139,13 +175,32 @@ ResizeCell.propTypes = {
   isRTL: PropTypes.bool,
 
   /**
-   * Callback function which is called when reordering ends
+   * Callback function which is called when resizing ends.
+   * It's only optional if the table keeps the widths of the columns by itself (see `uncontrolledColumnLayout`).
    *
    * ```
    * function(newWidth: number, columnKey: string)
    * ```
    */
-  onColumnResizeEnd: PropTypes.func.isRequired,
+  onColumnResizeEnd: PropTypes.func,
+
+  /**
+   * Double clicking the resize handle resizes the column to fit its header and its rendered cells.
+   * This is the number of rows, spread across the table, whose cells get measured as well,
+   * even though they aren't rendered.
+   */
+  autoSizeSampleRowsCount: PropTypes.number,
+
+  /**
+   * The number of pixels the column gets resized by on Alt + Left/Right arrow, once the resize handle is focused.
+   */
+  keyboardResizeStep: PropTypes.number,
+
+  /**
+   * Label of the column, announced to screen readers as the column gets resized.
+   * Defaults to the column key.
+   */
+  columnLabel: PropTypes.string,
 
   /**
    * Outer height of the cell.
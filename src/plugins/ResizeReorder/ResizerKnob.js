@@ -17,6 +17,7 @@ import FixedDataTableEventHelper from '../../FixedDataTableEventHelper';
 import ResizerLine from './ResizerLine';
 import clamp from '../../vendor_upstream/core/clamp';
 import DOMMouseMoveTracker from '../../vendor_upstream/dom/DOMMouseMoveTracker';
+import noop from 'lodash/noop';
 import PropTypes from 'prop-types';
 
 class ResizerKnob extends React.PureComponent {
@@ -64,6 +65,7 @@ class ResizerKnob extends React.PureComponent {
   }
 
   render() {
+    const { columnKey, columnLabel, maxWidth, minWidth, width } = this.props;
     const resizerKnobStyle = {
       height: this.props.height,
     };
@@ -81,6 +83,14 @@ class ResizerKnob extends React.PureComponent {
         className={cx('fixedDataTableCellLayout/columnResizerContainer')}
         ref={this.setResizerKnobRef}
         style={resizerKnobStyle}
+        tabIndex={0}
+        role="separator"
+        aria-orientation="vertical"
+        aria-label={`Resize ${columnLabel || columnKey} column`}
+        aria-keyshortcuts="Alt+ArrowLeft Alt+ArrowRight"
+        aria-valuenow={width}
+        aria-valuemin={minWidth}
+        aria-valuemax={maxWidth}
       >
         {resizerLine}
       </div>
@@ -100,6 +110,8 @@ class ResizerKnob extends React.PureComponent {
     this.resizerKnobRef.addEventListener('touchstart', this.onTouchStart, {
       passive: false,
     });
+    this.resizerKnobRef.addEventListener('dblclick', this.onDoubleClick);
+    this.resizerKnobRef.addEventListener('keydown', this.onKeyDown);
     this.resizerKnobRef.addEventListener(
       'touchmove',
       this.suppressEventIfInTouchMode,
@@ -119,6 +131,8 @@ class ResizerKnob extends React.PureComponent {
     this.resizerKnobRef.removeEventListener('touchstart', this.onTouchStart, {
       passive: false,
     });
+    this.resizerKnobRef.removeEventListener('dblclick', this.onDoubleClick);
+    this.resizerKnobRef.removeEventListener('keydown', this.onKeyDown);
     this.resizerKnobRef.removeEventListener(
       'touchmove',
       this.suppressEventIfInTouchMode,
@@ -143,6 +157,16 @@ class ResizerKnob extends React.PureComponent {
       this.props.touchEnabled
     );
     this.mouseMoveTracker.captureMouseMoves(event);
+    // captured, so that the table doesn't handle the Escape key too, e.g, to clear its selection
+    document.addEventListener('keydown', this.onResizingKeyDown, true);
+  };
+
+  /**
+   * Stops tracking the mouse, once resizing ends or gets canceled.
+   */
+  releaseMouseMoves = () => {
+    this.mouseMoveTracker.releaseMouseMoves();
+    document.removeEventListener('keydown', this.onResizingKeyDown, true);
   };
 
   /**
@@ -180,7 +204,7 @@ class ResizerKnob extends React.PureComponent {
       minWidth,
       maxWidth
     );
-    this.mouseMoveTracker.releaseMouseMoves();
+    this.releaseMouseMoves();
     this.setState(
       {
         isColumnResizing: false,
@@ -192,6 +216,74 @@ class ResizerKnob extends React.PureComponent {
     );
   };
 
+  /**
+   * Cancels resizing on Escape, leaving the column as wide as it was.
+   *
+   * @param {KeyboardEvent} ev
+   */
+  onResizingKeyDown = (ev) => {
+    if (ev.key !== 'Escape') {
+      return;
+    }
+    ev.preventDefault();
+    ev.stopPropagation();
+    this.releaseMouseMoves();
+    this.setState({ isColumnResizing: false, totalDisplacement: 0 });
+  };
+
+  /**
+   * Resizes the column by a step on Alt + Left/Right arrow, and announces its new width to screen readers.
+   *
+   * @param {KeyboardEvent} ev
+   */
+  onKeyDown = (ev) => {
+    const { columnKey, columnLabel, isRTL, keyboardResizeStep, width } =
+      this.props;
+    if (!ev.altKey || (ev.key !== 'ArrowLeft' && ev.key !== 'ArrowRight')) {
+      return;
+    }
+    // the arrow keys would scroll the table otherwise
+    ev.preventDefault();
+    ev.stopPropagation();
+
+    const direction = (ev.key === 'ArrowRight' ? 1 : -1) * (isRTL ? -1 : 1);
+    const { minWidth, maxWidth } = this.getMinMaxWidth();
+    const newWidth = clamp(
+      width + direction * keyboardResizeStep,
+      minWidth,
+      maxWidth
+    );
+    if (newWidth !== width) {
+      this.props.onColumnResizeEnd(newWidth, columnKey);
+    }
+    this.props.announce(
+      `${columnLabel || columnKey} column width ${newWidth} pixels`
+    );
+  };
+
+  /**
+   * Resizes the column to fit its content, like spreadsheets do.
+   *
+   * @param {MouseEvent} ev Double click event
+   */
+  onDoubleClick = (ev) => {
+    const { columnKey, measureColumnWidth } = this.props;
+    // the double click is handled here, and not as a double click on the header cell
+    ev.stopPropagation();
+    if (!measureColumnWidth) {
+      return;
+    }
+    const measuredWidth = measureColumnWidth(columnKey);
+    if (measuredWidth === null) {
+      return;
+    }
+    const { minWidth, maxWidth } = this.getMinMaxWidth();
+    this.props.onColumnResizeEnd(
+      clamp(measuredWidth, minWidth, maxWidth),
+      columnKey
+    );
+  };
+
   /**
    *
    * @param {number} displacementX Displacement of mouse along x-direction
@@ -243,6 +335,11 @@ class ResizerKnob extends React.PureComponent {
   };
 }
 
+ResizerKnob.defaultProps = {
+  announce: noop,
+  keyboardResizeStep: 10,
+};
+
 ResizerKnob.propTypes = {
   /**
    * Optional prop that if specified on the `Column` will be passed to the
@@ -286,6 +383,35 @@ ResizerKnob.propTypes = {
    */
   onColumnResizeEnd: PropTypes.func.isRequired,
 
+  /**
+   * Measures the width fitting the content of the column, to resize the column to on double click.
+   * Double clicks are ignored without it.
+   *
+   * ```
+   * function(columnKey: string): ?number
+   * ```
+   */
+  measureColumnWidth: PropTypes.func,
+
+  /**
+   * Label of the column, announced to screen readers. Defaults to the column key.
+   */
+  columnLabel: PropTypes.string,
+
+  /**
+   * The number of pixels the column gets resized by on Alt + Left/Right arrow.
+   */
+  keyboardResizeStep: PropTypes.number,
+
+  /**
+   * Announces the given message to screen readers.
+   *
+   * ```
+   * function(message: string)
+   * ```
+   */
+  announce: PropTypes.func,
+
   /**
    * Outer height of the cell.
    */
@@ -0,0 +1,134 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule RowGroupHeaderCell
+ * @typechecks
+ */
+
+import React from 'react';
+import cx from '../../vendor_upstream/stubs/cx';
+import TreeCell from '../Tree/TreeCell';
+import RowGroupingAdapter from './RowGroupingAdapter';
+import PropTypes from 'prop-types';
+
+/**
+ * Renders a group header row (see the `rowGroupHeader` prop of the table),
+ * with the value of the group, its count of rows and its aggregates, along with a toggle to collapse the group.
+ *
+ * Example usage:
+ * ```
+ * <Table
+ *   rowGroupHeader={(props) => (
+ *     <Plugins.RowGroupHeaderCell
+ *       {...props}
+ *       groupData={groupData}
+ *       aggregateFormatter={(value, columnKey, name) => `${name} ${columnKey}: ${value.toFixed(2)}`}
+ *     />
+ *   )}
+ *   ...
+ * />
+ * ```
+ *
+ * Live example at https://schrodinger.github.io/fixed-data-table-2/example-row-grouping.html
+ */
+class RowGroupHeaderCell extends React.Component {
+  render() {
+    const {
+      groupData,
+      aggregateFormatter,
+      children,
+      depth,
+      rowIndex,
+      ...props
+    } = this.props;
+
+    const group = groupData.getGroup(rowIndex);
+    let content = children;
+    if (content === undefined) {
+      content = (
+        <span className={cx('public/fixedDataTableCell/rowGroupHeader')}>
+          <strong>{String(group.value)}</strong> ({group.count})
+          {this.renderAggregates(group)}
+        </span>
+      );
+    }
+
+    return (
+      <TreeCell {...props} rowIndex={rowIndex} treeData={groupData}>
+        {() => content}
+      </TreeCell>
+    );
+  }
+
+  renderAggregates(group) {
+    const { aggregateFormatter } = this.props;
+    const aggregates = [];
+    Object.keys(group.aggregates).forEach((columnKey) => {
+      Object.keys(group.aggregates[columnKey]).forEach((name) => {
+        const value = group.aggregates[columnKey][name];
+        aggregates.push(
+          <span
+            key={`${columnKey}_${name}`}
+            className={cx('public/fixedDataTableCell/rowGroupAggregate')}
+          >
+            {aggregateFormatter(value, columnKey, name)}
+          </span>
+        );
+      });
+    });
+    return aggregates;
+  }
+}
+
+RowGroupHeaderCell.defaultProps = {
+  aggregateFormatter: (value, columnKey, name) =>
+    `${name}(${columnKey}): ${value}`,
+};
+
+RowGroupHeaderCell.propTypes = {
+  /**
+   * Outer height of the group header row.
+   */
+  height: PropTypes.number,
+
+  /**
+   * Outer width of the group header row.
+   */
+  width: PropTypes.number,
+
+  /**
+   * The index of the group header row.
+   */
+  rowIndex: PropTypes.number.isRequired,
+
+  /**
+   * The depth of the group, starting from 0 for the outermost groups.
+   */
+  depth: PropTypes.number,
+
+  /**
+   * The grouped rows rendered by the table.
+   */
+  groupData: PropTypes.instanceOf(RowGroupingAdapter).isRequired,
+
+  /**
+   * Formats the value of an aggregate of the group.
+   *
+   * ```
+   * function(value: any, columnKey: string, aggregateName: string): node
+   * ```
+   */
+  aggregateFormatter: PropTypes.func,
+
+  /**
+   * Replaces the default content of the group header row, rendered after the toggle.
+   */
+  children: PropTypes.node,
+};
+
+export default RowGroupHeaderCell;
@@ -0,0 +1,226 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule RowGroupingAdapter
+ */
+
+'use strict';
+
+import TreeDataAdapter from '../Tree/TreeDataAdapter';
+
+/**
+ * Built-in aggregates, computed from the values of a column within a group.
+ * Empty values (null or undefined) are ignored, except by `count`.
+ */
+const Aggregates = {
+  count: (values) => values.length,
+  sum: (values) =>
+    _getNonEmptyValues(values).reduce((total, x) => total + x, 0),
+  avg: (values) => {
+    const numbers = _getNonEmptyValues(values);
+    return numbers.length
+      ? numbers.reduce((total, x) => total + x, 0) / numbers.length
+      : null;
+  },
+  min: (values) => {
+    const numbers = _getNonEmptyValues(values);
+    return numbers.length ? Math.min(...numbers) : null;
+  },
+  max: (values) => {
+    const numbers = _getNonEmptyValues(values);
+    return numbers.length ? Math.max(...numbers) : null;
+  },
+};
+
+function _getNonEmptyValues(values) {
+  return values.filter((value) => value !== null && value !== undefined);
+}
+
+/**
+ * A group of rows sharing the same value for the column it's grouped by.
+ *
+ * @typedef {{
+ *   isGroup: boolean,
+ *   key: string,
+ *   columnKey: (string|number),
+ *   value: *,
+ *   depth: number,
+ *   count: number,
+ *   aggregates: !Object.<string, !Object.<string, *>>,
+ * }}
+ */
+const RowGroup = {};
+
+/**
+ * Groups the rows of the data by one or more column keys.
+ * Each group is rendered as a group header row, followed by the rows of the group,
+ * and can be collapsed like a tree row (see `Plugins.TreeDataAdapter`).
+ *
+ * Example usage:
+ * ```
+ * const groupData = new RowGroupingAdapter({
+ *   rowsCount: dataList.getSize(),
+ *   getValue: (dataIndex, columnKey) => dataList.getObjectAt(dataIndex)[columnKey],
+ *   groupBy: ['country', 'city'],
+ *   aggregates: { amount: ['sum', 'avg'] },
+ * });
+ *
+ * <Table
+ *   rowsCount={groupData.getSize()}
+ *   rowGroupPathGetter={(rowIndex) => groupData.getGroupPath(rowIndex)}
+ *   rowGroupHeader={(props) => (
+ *     <Plugins.RowGroupHeaderCell {...props} groupData={groupData} />
+ *   )}
+ *   onRowToggle={(rowIndex) => groupData.toggle(rowIndex)}
+ *   ...
+ * >
+ *   <Column
+ *     columnKey="amount"
+ *     cell={({ rowIndex, ...props }) => (
+ *       <DataCell {...props}>
+ *         {dataList.getObjectAt(groupData.getDataIndex(rowIndex)).amount}
+ *       </DataCell>
+ *     )}
+ *     ...
+ *   />
+ * </Table>
+ * ```
+ */
+class RowGroupingAdapter extends TreeDataAdapter {
+  /**
+   * @param {{
+   *   rowsCount: number,
+   *   getValue: function(number, (string|number)): *,
+   *   groupBy: !Array.<(string|number)>,
+   *   aggregates: (Object.<string, (string|!Array.<string>)>|undefined),
+   *   aggregateFunctions: (Object.<string, function(!Array.<*>): *>|undefined),
+   *   collapsed: (boolean|undefined),
+   * }} options
+   *   `getValue` returns the value of the given column for the given row of the data.
+   *   `groupBy` lists the column keys to group by, from the outermost groups.
+   *   `aggregates` lists the aggregates to compute for each group, by column key,
+   *     among `count`, `sum`, `avg`, `min`, `max` or the names of `aggregateFunctions`.
+   *   `aggregateFunctions` defines custom aggregates, computed from the values of a column within a group.
+   *   `collapsed` tells whether the groups are initially collapsed. Defaults to false.
+   */
+  constructor({
+    rowsCount,
+    getValue,
+    groupBy,
+    aggregates = {},
+    aggregateFunctions = {},
+    collapsed = false,
+  }) {
+    const aggregateGetters = { ...Aggregates, ...aggregateFunctions };
+    const groupKeys = [];
+    const getAggregates = (dataIndexes) => {
+      const result = {};
+      Object.keys(aggregates).forEach((columnKey) => {
+        const values = dataIndexes.map((dataIndex) =>
+          getValue(dataIndex, columnKey)
+        );
+        result[columnKey] = {};
+        [].concat(aggregates[columnKey]).forEach((name) => {
+          if (!aggregateGetters[name]) {
+            throw new Error(`Unknown aggregate "${name}"`);
+          }
+          result[columnKey][name] = aggregateGetters[name](values);
+        });
+      });
+      return result;
+    };
+
+    const makeGroups = (dataIndexes, depth, parentValues) => {
+      if (depth === groupBy.length) {
+        return dataIndexes.map((dataIndex) => ({ key: dataIndex, dataIndex }));
+      }
+
+      // groups are listed in the order their first row appears
+      const columnKey = groupBy[depth];
+      const dataIndexesByValue = new Map();
+      dataIndexes.forEach((dataIndex) => {
+        const value = getValue(dataIndex, columnKey);
+        if (!dataIndexesByValue.has(value)) {
+          dataIndexesByValue.set(value, []);
+        }
+        dataIndexesByValue.get(value).push(dataIndex);
+      });
+
+      return Array.from(dataIndexesByValue, ([value, groupDataIndexes]) => {
+        const values = parentValues.concat([value]);
+        const key = JSON.stringify(values);
+        groupKeys.push(key);
+        return {
+          isGroup: true,
+          key,
+          columnKey,
+          value,
+          depth,
+          count: groupDataIndexes.length,
+          aggregates: getAggregates(groupDataIndexes),
+          children: makeGroups(groupDataIndexes, depth + 1, values),
+        };
+      });
+    };
+
+    const dataIndexes = Array.from({ length: rowsCount }, (_, idx) => idx);
+    const roots = makeGroups(dataIndexes, 0, []);
+    super({
+      roots,
+      getChildren: (node) => node.children || null,
+      hasChildren: (node) => !!node.children,
+      getKey: (node) => node.key,
+      expandedKeys: collapsed ? [] : groupKeys,
+    });
+  }
+
+  /**
+   * @param {number} rowIndex
+   * @return {boolean} whether the row is a group header row
+   */
+  isGroupHeader(rowIndex) {
+    return !!this.getNode(rowIndex).isGroup;
+  }
+
+  /**
+   * @param {number} rowIndex
+   * @return {?RowGroup} the group of the group header row, or null for the rows of the data
+   */
+  getGroup(rowIndex) {
+    return this.isGroupHeader(rowIndex) ? this.getNode(rowIndex) : null;
+  }
+
+  /**
+   * @param {number} rowIndex
+   * @return {?number} the index within the data of the row, or null for group header rows
+   */
+  getDataIndex(rowIndex) {
+    return this.isGroupHeader(rowIndex)
+      ? null
+      : this.getNode(rowIndex).dataIndex;
+  }
+
+  /**
+   * Lists the group header rows enclosing the given row, starting from the outermost group.
+   * Group header rows list themselves last.
+   * This matches the `rowGroupPathGetter` prop of the table.
+   *
+   * @param {number} rowIndex
+   * @return {!Array.<number>}
+   */
+  getGroupPath(rowIndex) {
+    const ancestors = this.getAncestors(rowIndex);
+    return this.isGroupHeader(rowIndex)
+      ? ancestors.concat([rowIndex])
+      : ancestors;
+  }
+}
+
+RowGroupingAdapter.Aggregates = Aggregates;
+
+export default RowGroupingAdapter;
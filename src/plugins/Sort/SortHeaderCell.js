@@ -0,0 +1,153 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule SortHeaderCell
+ * @typechecks
+ */
+
+import React from 'react';
+import joinClasses from '../../vendor_upstream/core/joinClasses';
+import cx from '../../vendor_upstream/stubs/cx';
+import FixedDataTableCellDefault from '../../FixedDataTableCellDefault';
+import { FixedDataTableContext } from '../../FixedDataTableContext';
+import { SortDirection } from '../../enums/SortDirection';
+import PropTypes from 'prop-types';
+
+/**
+ * Cell HOC that renders a header along with how its column is sorted.
+ * Clicking the header (or pressing Enter or Space while it has focus) cycles the column through
+ * ascending, descending and unsorted, and Shift + click sorts by several columns (see the `toggleSort` API).
+ * The header cell of a sorted column gets the matching `aria-sort` attribute.
+ *
+ * The table renders it by itself for the headers of columns with the `sortable` prop,
+ * so it's only needed to render sort indicators elsewhere, e.g, within a custom header.
+ *
+ * Example usage:
+ * ```
+ * <Column
+ *   columnKey="firstName"
+ *   header={<DataCell>First Name</DataCell>}
+ *   sortable={true}
+ *   width={200}
+ * />
+ * ```
+ *
+ * Live example at https://schrodinger.github.io/fixed-data-table-2/example-sort.html
+ */
+class SortHeaderCell extends React.PureComponent {
+  render() {
+    const { sortDirection, sortPriority, children, ...props } = this.props;
+
+    let content;
+    if (React.isValidElement(children)) {
+      content = React.cloneElement(children, props);
+    } else if (typeof children === 'function') {
+      content = children(props);
+    } else {
+      content = (
+        <FixedDataTableCellDefault {...props}>
+          {children}
+        </FixedDataTableCellDefault>
+      );
+    }
+
+    return (
+      <div
+        className={joinClasses(
+          cx({
+            'fixedDataTableCellLayout/sortHeaderCell': true,
+            'public/fixedDataTableCell/sortHeaderCell': true,
+          }),
+          props.className
+        )}
+        style={{ height: props.height, width: props.width }}
+        tabIndex={0}
+        role="button"
+        onMouseDown={this.onMouseDown}
+        onClick={this.onClick}
+        onKeyDown={this.onKeyDown}
+      >
+        <div className={cx('fixedDataTableCellLayout/sortHeaderCellContent')}>
+          {content}
+        </div>
+        <span
+          className={joinClasses(
+            cx('fixedDataTableCellLayout/sortIndicator'),
+            cx({
+              'public/fixedDataTableCell/sortIndicator': true,
+              'public/fixedDataTableCell/sortAscending':
+                sortDirection === SortDirection.ASC,
+              'public/fixedDataTableCell/sortDescending':
+                sortDirection === SortDirection.DESC,
+            })
+          )}
+          aria-hidden={true}
+        >
+          {sortPriority ? (
+            <span className={cx('public/fixedDataTableCell/sortPriority')}>
+              {sortPriority}
+            </span>
+          ) : null}
+        </span>
+      </div>
+    );
+  }
+
+  onMouseDown = (event) => {
+    // don't select the header's text when sorting by several columns
+    if (event.shiftKey) {
+      event.preventDefault();
+    }
+  };
+
+  onClick = (event) => {
+    this.context.toggleSort(this.props.columnKey, event.shiftKey);
+  };
+
+  onKeyDown = (event) => {
+    if (event.key !== 'Enter' && event.key !== ' ') {
+      return;
+    }
+    // the table would start editing the active cell, or scroll otherwise
+    event.preventDefault();
+    event.stopPropagation();
+    this.context.toggleSort(this.props.columnKey, event.shiftKey);
+  };
+}
+
+SortHeaderCell.contextType = FixedDataTableContext;
+
+SortHeaderCell.propTypes = {
+  /**
+   * Outer height of the cell.
+   */
+  height: PropTypes.number,
+
+  /**
+   * Outer width of the cell.
+   */
+  width: PropTypes.number,
+
+  /**
+   * The key of the column, which gets sorted when the cell is clicked.
+   */
+  columnKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+
+  /**
+   * The direction the column is sorted in, or null if it isn't sorted.
+   */
+  sortDirection: PropTypes.oneOf([SortDirection.ASC, SortDirection.DESC]),
+
+  /**
+   * The position of the column within the sorted columns, starting from 1.
+   * It's shown as a badge, and is best left unspecified when sorting by a single column.
+   */
+  sortPriority: PropTypes.number,
+};
+
+export default SortHeaderCell;
@@ -0,0 +1,180 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule TreeCell
+ * @typechecks
+ */
+
+import React from 'react';
+import joinClasses from '../../vendor_upstream/core/joinClasses';
+import cx from '../../vendor_upstream/stubs/cx';
+import FixedDataTableCellDefault from '../../FixedDataTableCellDefault';
+import { FixedDataTableContext } from '../../FixedDataTableContext';
+import TreeDataAdapter from './TreeDataAdapter';
+import PropTypes from 'prop-types';
+
+/**
+ * Cell HOC that renders a row of tree data, indented by the depth of its node,
+ * along with a toggle to expand or collapse the node.
+ *
+ * Toggling calls `onRowToggle` on the table (see the `toggleRow` API).
+ * Use it along with `Plugins.TreeDataAdapter`, which keeps track of the expanded nodes.
+ * Since the adapter is mutated in place, the cell re-renders along with the table.
+ *
+ * Example usage:
+ * ```
+ * <Column
+ *   columnKey="name"
+ *   cell={({ rowIndex, ...props }) => (
+ *     <Plugins.TreeCell {...props} rowIndex={rowIndex} treeData={treeData}>
+ *       {treeData.getNode(rowIndex).name}
+ *     </Plugins.TreeCell>
+ *   )}
+ *   width={200}
+ * />
+ * ```
+ *
+ * Live example at https://schrodinger.github.io/fixed-data-table-2/example-tree.html
+ */
+class TreeCell extends React.Component {
+  render() {
+    const { treeData, indent, children, ...props } = this.props;
+    const { rowIndex } = props;
+
+    const depth = treeData.getDepth(rowIndex);
+    const style = {
+      height: props.height,
+      width: props.width,
+    };
+    if (this.context.isRTL) {
+      style.paddingRight = depth * indent;
+    } else {
+      style.paddingLeft = depth * indent;
+    }
+
+    let content;
+    if (React.isValidElement(children)) {
+      content = React.cloneElement(children, props);
+    } else if (typeof children === 'function') {
+      content = children(props);
+    } else {
+      content = (
+        <FixedDataTableCellDefault {...props}>
+          {children}
+        </FixedDataTableCellDefault>
+      );
+    }
+
+    return (
+      <div
+        className={joinClasses(
+          cx('fixedDataTableCellLayout/treeCell'),
+          props.className
+        )}
+        style={style}
+      >
+        {this.renderToggle()}
+        <div className={cx('fixedDataTableCellLayout/treeCellContent')}>
+          {content}
+        </div>
+      </div>
+    );
+  }
+
+  renderToggle() {
+    const { treeData, rowIndex } = this.props;
+    const toggleClassName = cx('fixedDataTableCellLayout/treeToggle');
+
+    if (!treeData.hasChildren(rowIndex)) {
+      return <span className={toggleClassName} />;
+    }
+
+    if (treeData.isLoading(rowIndex)) {
+      return (
+        <span
+          className={joinClasses(
+            toggleClassName,
+            cx('public/fixedDataTableCell/treeToggleLoading')
+          )}
+          role="progressbar"
+          aria-label="Loading"
+        />
+      );
+    }
+
+    const isExpanded = treeData.isExpanded(rowIndex);
+    return (
+      <button
+        type="button"
+        className={joinClasses(
+          toggleClassName,
+          cx({
+            'public/fixedDataTableCell/treeToggle': true,
+            'public/fixedDataTableCell/treeToggleExpanded': isExpanded,
+          })
+        )}
+        aria-expanded={isExpanded}
+        aria-label={isExpanded ? 'Collapse' : 'Expand'}
+        onMouseDown={this.onToggleMouseDown}
+        onClick={this.onToggleClick}
+      />
+    );
+  }
+
+  onToggleMouseDown = (event) => {
+    // don't let the row start a selection or change the active cell
+    event.stopPropagation();
+  };
+
+  onToggleClick = (event) => {
+    event.stopPropagation();
+    this.context.toggleRow(this.props.rowIndex);
+  };
+}
+
+TreeCell.contextType = FixedDataTableContext;
+
+TreeCell.defaultProps = {
+  indent: 16,
+};
+
+TreeCell.propTypes = {
+  /**
+   * Outer height of the cell.
+   */
+  height: PropTypes.number,
+
+  /**
+   * Outer width of the cell.
+   */
+  width: PropTypes.number,
+
+  /**
+   * Optional prop that if specified on the `Column` will be passed to the
+   * cell. It can be used to uniquely identify which column is the cell is in.
+   */
+  columnKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+
+  /**
+   * The index of the row rendered by the cell.
+   */
+  rowIndex: PropTypes.number.isRequired,
+
+  /**
+   * The tree data rendered by the table.
+   * It tells the depth of the row, and whether its node is expanded.
+   */
+  treeData: PropTypes.instanceOf(TreeDataAdapter).isRequired,
+
+  /**
+   * The indentation in pixels for each level of depth.
+   */
+  indent: PropTypes.number,
+};
+
+export default TreeCell;
@@ -0,0 +1,380 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule TreeDataAdapter
+ */
+
+'use strict';
+
+import sortedIndex from 'lodash/sortedIndex';
+
+/**
+ * Describes how the visible rows of a tree changed after a node expanded or collapsed.
+ * This matches the arguments of the `spliceRows` API of the table.
+ *
+ * @typedef {{
+ *   startIndex: number,
+ *   removeCount: number,
+ *   insertCount: number,
+ * }}
+ */
+const RowsSplice = {};
+
+/**
+ * Flattens hierarchical data into the rows of a table.
+ * Only the nodes whose ancestors are all expanded are part of the rows.
+ *
+ * Example usage:
+ * ```
+ * const treeData = new TreeDataAdapter({
+ *   roots: regions,
+ *   getChildren: (node) => node.children,
+ *   hasChildren: (node) => !!node.children,
+ *   getKey: (node) => node.id,
+ * });
+ *
+ * treeData.subscribe(({ startIndex, removeCount, insertCount }) => {
+ *   tableApi.spliceRows(startIndex, removeCount, insertCount);
+ *   this.setState({ rowsCount: treeData.getSize() });
+ * });
+ *
+ * <Table
+ *   rowsCount={this.state.rowsCount}
+ *   onRowToggle={(rowIndex) => treeData.toggle(rowIndex)}
+ *   ...
+ * >
+ *   <Column
+ *     cell={({ rowIndex, ...props }) => (
+ *       <Plugins.TreeCell {...props} rowIndex={rowIndex} treeData={treeData}>
+ *         {treeData.getNode(rowIndex).name}
+ *       </Plugins.TreeCell>
+ *     )}
+ *     ...
+ *   />
+ * </Table>
+ * ```
+ *
+ * Children can be loaded lazily by returning a promise from `getChildren`.
+ * The node is then marked as loading, and its children get inserted once they're loaded.
+ */
+class TreeDataAdapter {
+  /**
+   * @param {{
+   *   roots: !Array.<*>,
+   *   getChildren: function(*): (?Array.<*>|Promise.<Array.<*>>),
+   *   hasChildren: (function(*): boolean|undefined),
+   *   getKey: (function(*): *|undefined),
+   *   expandedKeys: (Iterable.<*>|undefined),
+   * }} options
+   *   `getChildren` returns the children of a node, or a promise for lazily loaded children.
+   *   `hasChildren` tells whether a node can be expanded without loading its children.
+   *     Without it, `getChildren` only gets called when expanding nodes, so nodes can be expanded
+   *     until they turn out to have no children.
+   *   `getKey` identifies the nodes, to keep track of the expanded nodes. Defaults to the node itself.
+   *   `expandedKeys` lists the keys of the nodes which are initially expanded.
+   */
+  constructor({ roots, getChildren, hasChildren, getKey, expandedKeys }) {
+    this._getChildren = getChildren;
+    this._hasChildren = hasChildren;
+    this._getKey = getKey || ((node) => node);
+
+    this._expandedKeys = new Set(expandedKeys);
+    this._loadingKeys = new Set();
+    this._loadedChildren = new Map();
+    this._childlessKeys = new Set();
+    this._listeners = new Set();
+    this._setRows(this._flattenNodes(roots || [], 0));
+  }
+
+  /**
+   * @return {number} the number of visible rows
+   */
+  getSize() {
+    return this._rows.length;
+  }
+
+  /**
+   * @param {number} rowIndex
+   * @return {*} the node rendered at the given row
+   */
+  getNode(rowIndex) {
+    return this._rows[rowIndex].node;
+  }
+
+  /**
+   * @param {number} rowIndex
+   * @return {number} the depth of the node, starting from 0 for the roots
+   */
+  getDepth(rowIndex) {
+    return this._rows[rowIndex].depth;
+  }
+
+  /**
+   * @param {number} rowIndex
+   * @return {!Array.<number>} the rows of the ancestors of the node, starting from its root
+   */
+  getAncestors(rowIndex) {
+    const rowsByDepth = this._getRowsByDepth();
+    const ancestors = [];
+    for (let depth = 0; depth < this._rows[rowIndex].depth; depth++) {
+      // rows are listed depth first, so the closest row above at each depth is an ancestor
+      const rows = rowsByDepth[depth];
+      ancestors.push(rows[sortedIndex(rows, rowIndex) - 1]);
+    }
+    return ancestors;
+  }
+
+  /**
+   * @param {number} rowIndex
+   * @return {boolean} whether the node can be expanded
+   */
+  hasChildren(rowIndex) {
+    const { node, key } = this._rows[rowIndex];
+    if (this._loadedChildren.has(key)) {
+      return this._loadedChildren.get(key).length > 0;
+    }
+    if (this._hasChildren) {
+      return this._hasChildren(node);
+    }
+    return !this._childlessKeys.has(key);
+  }
+
+  /**
+   * @param {number} rowIndex
+   * @return {boolean}
+   */
+  isExpanded(rowIndex) {
+    return this._expandedKeys.has(this._rows[rowIndex].key);
+  }
+
+  /**
+   * @param {number} rowIndex
+   * @return {boolean} whether the children of the node are being loaded
+   */
+  isLoading(rowIndex) {
+    return this._loadingKeys.has(this._rows[rowIndex].key);
+  }
+
+  /**
+   * Listens to changes of the visible rows.
+   *
+   * @param {function(RowsSplice)} listener
+   * @return {function()} unsubscribes the listener
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * Expands the node of the given row, inserting the rows of its subtree.
+   * Descendants which were expanded before stay expanded.
+   *
+   * @param {number} rowIndex
+   * @return {?RowsSplice} the change of the visible rows, or null if nothing changed yet
+   */
+  expand(rowIndex) {
+    const { node, key, depth } = this._rows[rowIndex];
+    if (this._expandedKeys.has(key) || this._loadingKeys.has(key)) {
+      return null;
+    }
+
+    const children = this._getNodeChildren(node, key);
+    if (children && typeof children.then === 'function') {
+      this._loadingKeys.add(key);
+      this._notify({ startIndex: rowIndex, removeCount: 0, insertCount: 0 });
+      children.then(
+        (loadedChildren) => this._onChildrenLoaded(key, loadedChildren || []),
+        () => this._onChildrenLoaded(key, null)
+      );
+      return null;
+    }
+
+    this._expandedKeys.add(key);
+    this._updateChildless(key, children);
+    return this._insertRows(rowIndex + 1, children || [], depth + 1);
+  }
+
+  /**
+   * Collapses the node of the given row, removing the rows of its subtree.
+   *
+   * @param {number} rowIndex
+   * @return {?RowsSplice} the change of the visible rows, or null if nothing changed
+   */
+  collapse(rowIndex) {
+    const { key, depth } = this._rows[rowIndex];
+    if (!this._expandedKeys.has(key)) {
+      return null;
+    }
+    this._expandedKeys.delete(key);
+
+    let endIndex = rowIndex + 1;
+    while (endIndex < this._rows.length && this._rows[endIndex].depth > depth) {
+      endIndex++;
+    }
+    const splice = {
+      startIndex: rowIndex + 1,
+      removeCount: endIndex - rowIndex - 1,
+      insertCount: 0,
+    };
+    this._setRows(
+      this._rows.slice(0, splice.startIndex).concat(this._rows.slice(endIndex))
+    );
+    this._notify(splice);
+    return splice;
+  }
+
+  /**
+   * Expands or collapses the node of the given row.
+   *
+   * @param {number} rowIndex
+   * @return {?RowsSplice} the change of the visible rows, or null if nothing changed yet
+   */
+  toggle(rowIndex) {
+    return this.isExpanded(rowIndex)
+      ? this.collapse(rowIndex)
+      : this.expand(rowIndex);
+  }
+
+  /**
+   * @param {!Array.<{node: *, key: *, depth: number}>} rows
+   * @private
+   */
+  _setRows(rows) {
+    this._rows = rows;
+    this._rowsByDepth = null;
+  }
+
+  /**
+   * Lists the indexes of the rows at each depth, computed lazily once the rows change.
+   *
+   * @return {!Array.<!Array.<number>>}
+   * @private
+   */
+  _getRowsByDepth() {
+    if (!this._rowsByDepth) {
+      this._rowsByDepth = [];
+      this._rows.forEach(({ depth }, rowIndex) => {
+        this._rowsByDepth[depth] = this._rowsByDepth[depth] || [];
+        this._rowsByDepth[depth].push(rowIndex);
+      });
+    }
+    return this._rowsByDepth;
+  }
+
+  /**
+   * @param {*} node
+   * @param {*} key
+   * @return {?Array.<*>|Promise.<Array.<*>>}
+   * @private
+   */
+  _getNodeChildren(node, key) {
+    if (this._loadedChildren.has(key)) {
+      return this._loadedChildren.get(key);
+    }
+    return this._getChildren(node);
+  }
+
+  /**
+   * Keeps track of the nodes which turned out to have no children, since they can't be expanded.
+   *
+   * @param {*} key
+   * @param {?Array.<*>|Promise.<Array.<*>>} children
+   * @private
+   */
+  _updateChildless(key, children) {
+    if (Array.isArray(children) ? children.length > 0 : !!children) {
+      this._childlessKeys.delete(key);
+    } else {
+      this._childlessKeys.add(key);
+    }
+  }
+
+  /**
+   * Lists the rows of the given nodes, along with the rows of their expanded descendants.
+   *
+   * @param {!Array.<*>} nodes
+   * @param {number} depth
+   * @return {!Array.<{node: *, key: *, depth: number}>}
+   * @private
+   */
+  _flattenNodes(nodes, depth) {
+    const rows = [];
+    const addNode = (node, nodeDepth) => {
+      const key = this._getKey(node);
+      rows.push({ node, key, depth: nodeDepth });
+      if (!this._expandedKeys.has(key)) {
+        return;
+      }
+      const children = this._getNodeChildren(node, key);
+      this._updateChildless(key, children);
+      if (Array.isArray(children)) {
+        children.forEach((child) => addNode(child, nodeDepth + 1));
+      }
+    };
+    nodes.forEach((node) => addNode(node, depth));
+    return rows;
+  }
+
+  /**
+   * @param {number} startIndex
+   * @param {!Array.<*>} nodes
+   * @param {number} depth
+   * @return {!RowsSplice}
+   * @private
+   */
+  _insertRows(startIndex, nodes, depth) {
+    const insertedRows = this._flattenNodes(nodes, depth);
+    this._setRows(
+      this._rows
+        .slice(0, startIndex)
+        .concat(insertedRows, this._rows.slice(startIndex))
+    );
+    const splice = {
+      startIndex,
+      removeCount: 0,
+      insertCount: insertedRows.length,
+    };
+    this._notify(splice);
+    return splice;
+  }
+
+  /**
+   * @param {*} key
+   * @param {?Array.<*>} children the loaded children, or null if loading failed
+   * @private
+   */
+  _onChildrenLoaded(key, children) {
+    this._loadingKeys.delete(key);
+    if (children) {
+      this._loadedChildren.set(key, children);
+      this._expandedKeys.add(key);
+    }
+
+    // the node might have been hidden by collapsing one of its ancestors in the meantime
+    const rowIndex = this._rows.findIndex((row) => row.key === key);
+    if (rowIndex === -1) {
+      return;
+    }
+    if (children) {
+      this._insertRows(rowIndex + 1, children, this._rows[rowIndex].depth + 1);
+    } else {
+      this._notify({ startIndex: rowIndex, removeCount: 0, insertCount: 0 });
+    }
+  }
+
+  /**
+   * @param {!RowsSplice} splice
+   * @private
+   */
+  _notify(splice) {
+    this._listeners.forEach((listener) => listener(splice));
+  }
+}
+
+export default TreeDataAdapter;
@@ -46,6 +46,25 @@ function initialize(state, props, oldProps) {
   });
 }
 
+/**
+ * Scroll a specified column into the viewport.
+ * Fixed columns are always visible, so they don't affect the scroll position.
+ *
+ * @param {!Object} state
+ * @param {number} columnIndex
+ */
+function scrollToColumn(state, columnIndex) {
+  const scrollX = scrollTo(
+    state,
+    { scrollToColumn: columnIndex },
+    undefined,
+    state.scrollX
+  );
+
+  const { maxScrollX } = columnWidths(state);
+  state.scrollX = clamp(scrollX, 0, maxScrollX);
+}
+
 /**
  * @param {!Object} state
  * @param {{
@@ -122,4 +141,5 @@ function scrollTo(state, props, oldScrollToColumn, scrollX) {
 
 export default {
   initialize,
+  scrollToColumn,
 };
@@ -0,0 +1,72 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule computeFixedRows
+ */
+
+'use strict';
+
+/**
+ * Computes the rows pinned to the top and bottom of the body.
+ *
+ * Fixed rows keep their place in the row index space, but they don't take part in vertical scrolling.
+ * Their stored heights are zero (see updateRowHeight), and instead their total heights are
+ * reserved through `elementHeights.fixedRowsHeight` and `elementHeights.fixedBottomRowsHeight`.
+ *
+ * `fixedRowOffsets` maps each fixed row index to its offset from the top of its own region.
+ *
+ * @param {!Object} state
+ */
+export default function computeFixedRows(state) {
+  const {
+    fixedBottomRowsCount,
+    fixedRowsCount,
+    rowHeightGetter,
+    rowsCount,
+    subRowHeightGetter,
+  } = state.rowSettings;
+
+  const fixedRowOffsets = {};
+  const computeRegion = (startIdx, endIdx) => {
+    const rows = [];
+    let regionHeight = 0;
+    for (let rowIdx = startIdx; rowIdx < endIdx; rowIdx++) {
+      rows.push(rowIdx);
+      fixedRowOffsets[rowIdx] = regionHeight;
+      regionHeight += rowHeightGetter(rowIdx) + subRowHeightGetter(rowIdx);
+    }
+    return { rows, regionHeight };
+  };
+
+  const top = computeRegion(0, fixedRowsCount);
+  const bottom = computeRegion(rowsCount - fixedBottomRowsCount, rowsCount);
+
+  state.elementHeights = Object.assign({}, state.elementHeights, {
+    fixedBottomRowsHeight: bottom.regionHeight,
+    fixedRowsHeight: top.regionHeight,
+  });
+  state.fixedRows = top.rows;
+  state.fixedBottomRows = bottom.rows;
+  state.fixedRowOffsets = fixedRowOffsets;
+}
+
+/**
+ * Check if the given row is pinned to the top or bottom of the body.
+ *
+ * @param {{
+ *   fixedBottomRowsCount: number,
+ *   fixedRowsCount: number,
+ *   rowsCount: number,
+ * }} rowSettings
+ * @param {number} rowIdx
+ * @return {boolean}
+ */
+export function isFixedRow(rowSettings, rowIdx) {
+  const { fixedBottomRowsCount, fixedRowsCount, rowsCount } = rowSettings;
+  return rowIdx < fixedRowsCount || rowIdx >= rowsCount - fixedBottomRowsCount;
+}
@@ -0,0 +1,129 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule computeRenderedColumns
+ */
+
+'use strict';
+
+import columnWidths from '../selectors/columnWidths';
+import shallowEqual from '../vendor_upstream/core/shallowEqual';
+import { addToBuffer } from './computeRenderedRows';
+
+const DEFAULT_BUFFER_COLUMN_COUNT = 2;
+
+/**
+ * Computes the scrollable columns to render when column virtualization is enabled.
+ *
+ * Similar to rows, `columnsToRender` maps positions in the column buffer to the
+ * (cell group local) indexes of the scrollable columns. Since a position keeps its
+ * slot while scrolling horizontally, cells rendered at that position get recycled
+ * instead of being unmounted and mounted again.
+ *
+ * Fixed and fixed right columns are always rendered, so they aren't part of the buffer.
+ *
+ * The available width depends on whether the vertical scrollbar is shown, so this has to run
+ * whenever the rows get laid out again too. The previous `columnsToRender` is kept if the
+ * rendered columns didn't change, so that the cell groups don't render again needlessly.
+ *
+ * @param {!Object} state
+ */
+export default function computeRenderedColumns(state) {
+  const { bufferColumnCount, isColumnVirtualized } = state.columnSettings;
+  if (!isColumnVirtualized) {
+    state.columnsToRender = undefined;
+    return;
+  }
+
+  const { availableScrollWidth, scrollableColumns } = columnWidths(state);
+  const columnRange = calculateRenderedColumnRange(
+    scrollableColumns,
+    state.scrollX,
+    availableScrollWidth,
+    bufferColumnCount === undefined
+      ? DEFAULT_BUFFER_COLUMN_COUNT
+      : bufferColumnCount
+  );
+
+  const { columnBufferSet } = state.getInternal();
+  const { endBufferIdx, firstBufferIdx } = columnRange;
+  const renderedColumnsCount = endBufferIdx - firstBufferIdx;
+
+  const columnsToRender = [];
+  for (let columnIdx = firstBufferIdx; columnIdx < endBufferIdx; columnIdx++) {
+    const columnPosition = addToBuffer(
+      columnIdx,
+      columnBufferSet,
+      firstBufferIdx,
+      endBufferIdx,
+      renderedColumnsCount
+    );
+    columnsToRender[columnPosition] = columnIdx;
+  }
+
+  if (!shallowEqual(state.columnsToRender, columnsToRender)) {
+    state.columnsToRender = columnsToRender;
+  }
+}
+
+/**
+ * Determine the range of scrollable columns to render (buffer and viewport).
+ *
+ * @param {!Array.<{
+ *   offset: number,
+ *   width: number,
+ * }>} scrollableColumns
+ * @param {number} scrollX
+ * @param {number} availableScrollWidth
+ * @param {number} bufferColumnCount
+ * @return {{
+ *   endBufferIdx: number,
+ *   endViewportIdx: number,
+ *   firstBufferIdx: number,
+ *   firstViewportIdx: number,
+ * }}
+ */
+export function calculateRenderedColumnRange(
+  scrollableColumns,
+  scrollX,
+  availableScrollWidth,
+  bufferColumnCount
+) {
+  const columnsCount = scrollableColumns.length;
+
+  // binary search for the first column whose right edge lies past scrollX
+  let low = 0;
+  let high = columnsCount;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    const column = scrollableColumns[mid];
+    if (column.offset + column.width <= scrollX) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  const firstViewportIdx = Math.min(low, Math.max(columnsCount - 1, 0));
+
+  // walk the viewport until we reach a column starting past the right edge
+  const viewportEnd = scrollX + availableScrollWidth;
+  let endViewportIdx = firstViewportIdx;
+  while (
+    endViewportIdx < columnsCount &&
+    scrollableColumns[endViewportIdx].offset < viewportEnd
+  ) {
+    endViewportIdx++;
+  }
+
+  return {
+    endBufferIdx: Math.min(endViewportIdx + bufferColumnCount, columnsCount),
+    endViewportIdx,
+    firstBufferIdx: Math.max(firstViewportIdx - bufferColumnCount, 0),
+    firstViewportIdx,
+  };
+}
@@ -16,7 +16,8 @@ import clamp from 'lodash/clamp';
 import roughHeightsSelector from '../selectors/roughHeights';
 import scrollbarsVisibleSelector from '../selectors/scrollbarsVisible';
 import tableHeightsSelector from '../selectors/tableHeights';
-import updateRowHeight from './updateRowHeight';
+import { isFixedRow } from './computeFixedRows';
+import updateRowHeight, { getStoredHeight } from './updateRowHeight';
 
 /**
  * Returns data about the rows to render
@@ -188,10 +189,9 @@ function calculateRenderedRowRange(state, scrollAnchor) {
 
     // Handle a case where the offset puts the first row fully offscreen
     // This can happen if availableHeight & maxAvailableHeight are different
-    const { storedHeights } = state.getInternal();
-    if (-1 * firstOffset >= storedHeights[firstViewportIdx]) {
+    if (-1 * firstOffset >= getStoredHeight(state, firstViewportIdx)) {
       firstViewportIdx += 1;
-      firstOffset += storedHeights[firstViewportIdx];
+      firstOffset += getStoredHeight(state, firstViewportIdx);
     }
   }
 
@@ -219,8 +219,7 @@ function calculateRenderedRowRange(state, scrollAnchor) {
  * @private
  */
 function computeRenderedRowOffsets(state, rowRange, viewportOnly) {
-  const { rowBufferSet, rowOffsetIntervalTree, storedHeights } =
-    state.getInternal();
+  const { rowBufferSet, rowOffsetIntervalTree } = state.getInternal();
   const { endBufferIdx, endViewportIdx, firstBufferIdx, firstViewportIdx } =
     rowRange;
 
@@ -245,10 +244,15 @@ function computeRenderedRowOffsets(state, rowRange, viewportOnly) {
   for (let rowIdx = startIdx; rowIdx < endIdx; rowIdx++) {
     // Update the offset for rendering the row
     rowOffsets[rowIdx] = runningOffset;
-    runningOffset += storedHeights[rowIdx];
+    runningOffset += getStoredHeight(state, rowIdx);
+
+    // Fixed rows are rendered separately, so they don't need a position in the buffer
+    if (isFixedRow(state.rowSettings, rowIdx)) {
+      continue;
+    }
 
     // Get position for the viewport row
-    const rowPosition = addRowToBuffer(
+    const rowPosition = addToBuffer(
       rowIdx,
       rowBufferSet,
       startIdx,
@@ -264,40 +268,39 @@ function computeRenderedRowOffsets(state, rowRange, viewportOnly) {
 }
 
 /**
- * Add the row to the buffer set if it doesn't exist.
+ * Add the row (or column) index to the buffer set if it doesn't exist.
  * If addition isn't possible due to max buffer size, it'll replace an existing element outside the given range.
  *
- * @param {!number} rowIdx
- * @param {!number} rowBufferSet
+ * @param {!number} idx
+ * @param {!IntegerBufferSet} bufferSet
  * @param {!number} startRange
  * @param {!number} endRange
  * @param {!number} maxBufferSize
  *
- * @return {?number} the position of the row after being added to the buffer set
- * @private
+ * @return {?number} the position of the index after being added to the buffer set
  */
-function addRowToBuffer(
-  rowIdx,
-  rowBufferSet,
+export function addToBuffer(
+  idx,
+  bufferSet,
   startRange,
   endRange,
   maxBufferSize
 ) {
-  // Check if row already has a position in the buffer
-  let rowPosition = rowBufferSet.getValuePosition(rowIdx);
+  // Check if the index already has a position in the buffer
+  let position = bufferSet.getValuePosition(idx);
 
-  // Request a position in the buffer through eviction of another row
-  if (rowPosition === null && rowBufferSet.getSize() >= maxBufferSize) {
-    rowPosition = rowBufferSet.replaceFurthestValuePosition(
+  // Request a position in the buffer through eviction of another index
+  if (position === null && bufferSet.getSize() >= maxBufferSize) {
+    position = bufferSet.replaceFurthestValuePosition(
       startRange,
       endRange - 1, // replaceFurthestValuePosition uses closed interval from startRange to endRange
-      rowIdx
+      idx
     );
   }
 
-  if (rowPosition === null) {
-    rowPosition = rowBufferSet.getNewPositionForValue(rowIdx);
+  if (position === null) {
+    position = bufferSet.getNewPositionForValue(idx);
   }
 
-  return rowPosition;
+  return position;
 }
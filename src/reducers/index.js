@@ -11,26 +11,39 @@
 
 'use strict';
 
+import clamp from 'lodash/clamp';
 import clone from 'lodash/clone';
 import pick from 'lodash/pick';
 
 import IntegerBufferSet from '../vendor_upstream/struct/IntegerBufferSet';
 import PrefixIntervalTree from '../vendor_upstream/struct/PrefixIntervalTree';
+import SparsePrefixIntervalTree from '../vendor_upstream/struct/SparsePrefixIntervalTree';
 import shallowEqual from '../vendor_upstream/core/shallowEqual';
 
+import {
+  applyColumnLayout,
+  getEmptyColumnLayout,
+  pruneColumnLayout,
+} from '../helper/columnLayoutHelper';
 import convertColumnElementsToData from '../helper/convertColumnElementsToData';
-import { getScrollAnchor, scrollTo } from './scrollAnchor';
+import { removeRowRange, spliceRowRanges } from '../helper/rowRangeHelper';
+import { getScrollAnchor, scrollTo, scrollToRow } from './scrollAnchor';
 import columnStateHelper from './columnStateHelper';
+import computeFixedRows, { isFixedRow } from './computeFixedRows';
+import computeRenderedColumns from './computeRenderedColumns';
 import computeRenderedRows from './computeRenderedRows';
 import Scrollbar from '../plugins/Scrollbar';
 import { createSlice, original } from '@reduxjs/toolkit';
+import spliceRowHeights from './spliceRowHeights';
 import updateRowHeight from './updateRowHeight';
 
 /**
  * @typedef {{
+ *   columnBufferSet: IntegerBufferSet,
  *   rowBufferSet: IntegerBufferSet,
- *   rowOffsetIntervalTree: PrefixIntervalTree,
- *   storedHeights: !Array.<number>,
+ *   rowOffsetIntervalTree: (PrefixIntervalTree|SparsePrefixIntervalTree),
+ *   storedHeights: ?Array.<number>,
+ *   measuredRowHeights: !Map.<number, number>,
  *   rowUntilOffsetsAreExact: number
  * }}
  */
@@ -52,21 +65,35 @@ function getInitialState() {
      */
     columnElements: [],
     columnGroupElements: [],
+    outerColumnGroupElements: [],
+    columnSettings: {
+      bufferColumnCount: undefined,
+      isColumnVirtualized: false,
+    },
     elementTemplates: {
       cell: [],
+      filter: [],
       footer: [],
       groupHeader: [],
       header: [],
+      outerGroupHeader: [],
     },
     elementHeights: {
+      fixedBottomRowsHeight: 0,
+      filterHeight: 0,
+      fixedRowsHeight: 0,
       footerHeight: 0,
       groupHeaderHeight: 0,
+      groupHeaderHeights: [],
       headerHeight: 0,
     },
     propsRevision: null,
     rowSettings: {
       bufferRowCount: undefined,
+      fixedBottomRowsCount: 0,
+      fixedRowsCount: 0,
       rowAttributesGetter: undefined,
+      rowGroupPathGetter: undefined,
       rowHeight: 0,
       rowHeightGetter: () => 0,
       rowsCount: 0,
@@ -91,8 +118,14 @@ function getInitialState() {
      * Output state passed as props to the the rendered FixedDataTable
      * NOTE (jordan) rows may contain undefineds if we don't need all the buffer positions
      */
+    activeCell: null, // the focused cell when active cell navigation is enabled
+    editingCell: null, // the cell being edited, along with the value being edited
+    columnsToRender: undefined, // scrollable columns to render, only used with column virtualization
     firstRowIndex: 0,
     firstRowOffset: 0,
+    fixedBottomRows: [], // indexes of the rows pinned to the bottom of the body
+    fixedRowOffsets: {}, // offsets of the fixed rows relative to their region
+    fixedRows: [], // indexes of the rows pinned to the top of the body
     maxScrollX: 0,
     maxScrollY: 0,
     rowOffsets: {},
@@ -103,6 +136,18 @@ function getInitialState() {
     scrollY: 0,
     scrollbarYWidth: Scrollbar.SIZE,
     scrolling: false,
+    selection: [], // selected ranges of rows or cells (see selectionHelper)
+    selectionCursor: {
+      anchor: null, // the row (or cell) which range selections start from
+      focus: null, // the row (or cell) which was last selected
+    },
+    filterModel: {}, // filters of the columns, keyed by column key (see filterHelper)
+    columnLayout: getEmptyColumnLayout(), // overrides of the layout of the columns (see columnLayoutHelper)
+    loadedRowRanges: [], // rows loaded through `loadMoreRows` (see rowRangeHelper)
+    pendingRowRanges: [], // rows being loaded through `loadMoreRows` (see rowRangeHelper)
+    failedRowRanges: [], // rows which failed to load through `loadMoreRows` (see rowRangeHelper)
+    sortState: [], // sorted columns, ordered by priority (see sortHelper)
+    keyboardMovedColumnKey: null, // the column moved through the keyboard, whose header gets focused again
 
     /**
      * Internal state is only used by reducers.
@@ -127,9 +172,11 @@ function getInitialState() {
 /** @returns {!InternalState} */
 function createInternalState() {
   return {
+    columnBufferSet: new IntegerBufferSet(),
     rowBufferSet: new IntegerBufferSet(),
-    rowOffsetIntervalTree: null, // PrefixIntervalTree
-    storedHeights: [],
+    rowOffsetIntervalTree: null, // PrefixIntervalTree, or SparsePrefixIntervalTree with sparse row heights
+    storedHeights: [], // null with sparse row heights
+    measuredRowHeights: new Map(), // heights of the rows measured with `autoRowHeight`, keyed by row index
     rowUntilOffsetsAreExact: 0,
   };
 }
@@ -147,28 +194,70 @@ const slice = createSlice({
       const props = action.payload;
 
       Object.assign(state, getInitialState());
+      state.selection = props.defaultSelection || [];
+      state.sortState = props.defaultSortState || [];
+      state.filterModel = props.defaultFilterModel || {};
       setStateFromProps(state, props);
+      computeFixedRows(state);
       initializeRowHeightsAndOffsets(state);
       const scrollAnchor = getScrollAnchor(state, props);
       computeRenderedRows(state, scrollAnchor);
       columnStateHelper.initialize(state, props, {});
+      computeRenderedColumns(state);
     },
     propChange(state, action) {
-      const { newProps, oldProps } = action.payload;
+      const { newProps, oldProps, rowsReplaced } = action.payload;
       const oldState = clone(original(state));
+      if (newProps.children !== oldProps.children) {
+        state.columnLayout = pruneColumnLayout(
+          state.columnLayout,
+          oldProps.children,
+          newProps.children
+        );
+      }
       setStateFromProps(state, newProps);
+      computeFixedRows(state);
+
+      const fixedRowsChanged =
+        oldProps.fixedRowsCount !== newProps.fixedRowsCount ||
+        oldProps.fixedBottomRowsCount !== newProps.fixedBottomRowsCount;
+
+      // NOTE: Row heights are already up to date if the rows got spliced through `spliceRows`
+      const rowsCountChanged =
+        state.getInternal().rowOffsetIntervalTree.getSize() !==
+        state.rowSettings.rowsCount;
+
+      // measured heights are only valid for the rows which got measured, which might have changed
+      const resetRowIndexes =
+        oldProps.autoRowHeight !== newProps.autoRowHeight ||
+        rowsCountChanged ||
+        rowsReplaced
+          ? resetMeasuredRowHeights(state)
+          : [];
 
       if (
-        oldProps.rowsCount !== newProps.rowsCount ||
         oldProps.rowHeight !== newProps.rowHeight ||
-        oldProps.subRowHeight !== newProps.subRowHeight
+        oldProps.subRowHeight !== newProps.subRowHeight ||
+        oldProps.sparseRowHeights !== newProps.sparseRowHeights ||
+        oldProps.autoRowHeight !== newProps.autoRowHeight ||
+        fixedRowsChanged
       ) {
         initializeRowHeightsAndOffsets(state);
+      } else if (rowsCountChanged) {
+        resizeRowHeightsAndOffsets(state);
       }
+      resetRowIndexes
+        .filter((rowIndex) => rowIndex < state.rowSettings.rowsCount)
+        .forEach((rowIndex) => updateRowHeight(state, rowIndex));
 
-      if (oldProps.rowsCount !== newProps.rowsCount) {
+      if (rowsCountChanged || fixedRowsChanged) {
         state.getInternal().rowBufferSet = new IntegerBufferSet();
       }
+      if (rowsCountChanged) {
+        truncateRowRanges(state);
+      }
+
+      clearCellsOutsideTable(state);
 
       const scrollAnchor = getScrollAnchor(state, newProps, oldProps);
 
@@ -179,6 +268,14 @@ const slice = createSlice({
 
       columnStateHelper.initialize(state, newProps, oldProps);
 
+      if (
+        oldState.columnElements.scrollable.length !==
+        state.columnElements.scrollable.length
+      ) {
+        state.getInternal().columnBufferSet = new IntegerBufferSet();
+      }
+      computeRenderedColumns(state);
+
       // if scroll values have changed, then we're scrolling!
       if (
         state.scrollX !== oldState.scrollX ||
@@ -199,18 +296,150 @@ const slice = createSlice({
         firstOffset: state.firstRowOffset,
         lastIndex: state.lastIndex,
       };
-      computeRenderedRows(state, previousScrollAnchor);
+      computeRenderedCells(state, previousScrollAnchor);
     },
     scrollToY(state, action) {
       const scrollY = action.payload;
       state.scrolling = true;
       const scrollAnchor = scrollTo(state, scrollY);
-      computeRenderedRows(state, scrollAnchor);
+      computeRenderedCells(state, scrollAnchor);
     },
     scrollToX(state, action) {
       const scrollX = action.payload;
       state.scrolling = true;
       state.scrollX = scrollX;
+      computeRenderedColumns(state);
+    },
+    activateCell(state, action) {
+      const activeCell = action.payload;
+      state.activeCell = activeCell;
+      if (!activeCell) {
+        return;
+      }
+
+      // scroll the active cell into view
+      const { scrollX, scrollY } = state;
+      if (!isFixedRow(state.rowSettings, activeCell.rowIndex)) {
+        const scrollAnchor = scrollToRow(state, activeCell.rowIndex);
+        if (scrollAnchor.changed) {
+          computeRenderedRows(state, scrollAnchor);
+        }
+      }
+      columnStateHelper.scrollToColumn(state, activeCell.columnIndex);
+      computeRenderedColumns(state);
+
+      if (state.scrollX !== scrollX || state.scrollY !== scrollY) {
+        state.scrolling = true;
+      }
+    },
+    updateEditingCell(state, action) {
+      state.editingCell = action.payload;
+    },
+    updateSelection(state, action) {
+      const { cursor, selection } = action.payload;
+      if (cursor) {
+        state.selectionCursor = cursor;
+      }
+      if (selection) {
+        state.selection = selection;
+      }
+    },
+    updateSortState(state, action) {
+      state.sortState = action.payload;
+    },
+    updateFilterModel(state, action) {
+      state.filterModel = action.payload;
+    },
+    updateRowLoading(state, action) {
+      const { failedRowRanges, loadedRowRanges, pendingRowRanges } =
+        action.payload;
+      state.failedRowRanges = failedRowRanges;
+      state.loadedRowRanges = loadedRowRanges;
+      state.pendingRowRanges = pendingRowRanges;
+    },
+    spliceRows(state, action) {
+      const { startIndex, removeCount, insertCount } = action.payload;
+      spliceRowHeights(state, startIndex, removeCount, insertCount);
+      computeFixedRows(state);
+      state.getInternal().rowBufferSet = new IntegerBufferSet();
+      spliceRowLoading(state, startIndex, removeCount, insertCount);
+
+      // keep the rows in the viewport in place, unless they got removed
+      const shiftRowIndex = (rowIndex) => {
+        if (rowIndex < startIndex) {
+          return rowIndex;
+        }
+        if (rowIndex < startIndex + removeCount) {
+          return null;
+        }
+        return rowIndex - removeCount + insertCount;
+      };
+      let firstIndex = shiftRowIndex(state.firstRowIndex);
+      let firstOffset = state.firstRowOffset;
+      if (firstIndex === null) {
+        firstIndex = startIndex;
+        firstOffset = 0;
+      }
+
+      // the active and edited cells move along with their rows
+      ['activeCell', 'editingCell'].forEach((key) => {
+        if (state[key]) {
+          const rowIndex = shiftRowIndex(state[key].rowIndex);
+          if (rowIndex === null) {
+            state[key] = null;
+          } else {
+            state[key].rowIndex = rowIndex;
+          }
+        }
+      });
+
+      computeRenderedCells(state, {
+        firstIndex: clamp(
+          firstIndex,
+          0,
+          Math.max(state.rowSettings.rowsCount - 1, 0)
+        ),
+        firstOffset,
+        lastIndex: undefined,
+        changed: true,
+      });
+    },
+    updateMeasuredRowHeight(state, action) {
+      const { rowIndex, height } = action.payload;
+      state.getInternal().measuredRowHeights.set(rowIndex, height);
+      updateRowHeight(state, rowIndex);
+      computeFixedRows(state);
+
+      // Keep the first row of the viewport in place, so that the content doesn't jump
+      // when rows above the viewport get measured
+      computeRenderedCells(state, {
+        firstIndex: state.firstRowIndex,
+        firstOffset: state.firstRowOffset,
+        lastIndex: undefined,
+      });
+    },
+    restoreViewState(state, action) {
+      const { columnLayout, props, scrollAnchor, scrollX } = action.payload;
+      layOutColumns(state, columnLayout, props, scrollX);
+
+      // the row anchoring the viewport might not exist anymore
+      const { rowsCount } = state.rowSettings;
+      computeRenderedCells(state, {
+        firstIndex: clamp(
+          scrollAnchor.firstIndex,
+          0,
+          Math.max(rowsCount - 1, 0)
+        ),
+        firstOffset: scrollAnchor.firstOffset,
+        lastIndex: undefined,
+      });
+    },
+    setColumnLayout(state, action) {
+      const { columnLayout, props } = action.payload;
+      layOutColumns(state, columnLayout, props, state.scrollX);
+    },
+    updateKeyboardMovedColumn(state, action) {
+      state.keyboardMovedColumnKey = action.payload;
     },
     updateRowHeights(state, action) {
       let firstUpdatedRowIndex = action.payload || 0;
@@ -222,6 +451,7 @@ const slice = createSlice({
       while (firstUpdatedRowIndex < state.rowSettings.rowsCount) {
         updateRowHeight(state, firstUpdatedRowIndex++);
       }
+      computeFixedRows(state);
 
       // Refresh the current scroll position according to the new row heights
       const currentScrollY =
@@ -230,11 +460,174 @@ const slice = createSlice({
           .rowOffsetIntervalTree.sumUntil(state.firstRowIndex) -
         state.firstRowOffset;
       const scrollAnchor = scrollTo(state, currentScrollY);
-      computeRenderedRows(state, scrollAnchor);
+      computeRenderedCells(state, scrollAnchor);
     },
   },
 });
 
+/**
+ * @param {{
+ *   fixed: !Array,
+ *   fixedRight: !Array,
+ *   scrollable: !Array,
+ * }} columnElements
+ * @return {number}
+ */
+export function getColumnsCount(columnElements) {
+  return (
+    columnElements.fixed.length +
+    columnElements.scrollable.length +
+    columnElements.fixedRight.length
+  );
+}
+
+/**
+ * Computes the rendered rows, and the rendered columns since the rows decide whether the vertical
+ * scrollbar takes up some of the width available to the columns.
+ *
+ * @param {!Object} state
+ * @param {!Object} scrollAnchor
+ * @private
+ */
+function computeRenderedCells(state, scrollAnchor) {
+  computeRenderedRows(state, scrollAnchor);
+  computeRenderedColumns(state);
+}
+
+/**
+ * Lays out the columns again through the given layout overrides, keeping the horizontal scroll within bounds.
+ *
+ * @param {!Object} state
+ * @param {!Object} columnLayout
+ * @param {!Object} props
+ * @param {number} scrollX
+ * @private
+ */
+function layOutColumns(state, columnLayout, props, scrollX) {
+  const oldScrollableColumnsCount = state.columnElements.scrollable.length;
+  state.columnLayout = columnLayout;
+  setColumnsFromProps(state, props);
+  clearCellsOutsideTable(state);
+
+  if (oldScrollableColumnsCount !== state.columnElements.scrollable.length) {
+    state.getInternal().columnBufferSet = new IntegerBufferSet();
+  }
+  columnStateHelper.initialize(state, { scrollLeft: scrollX }, {});
+  computeRenderedColumns(state);
+}
+
+/**
+ * Forgets about the heights of the rows measured with `autoRowHeight`.
+ *
+ * @param {!Object} state
+ * @return {!Array.<number>} the indexes of the rows whose measured heights got forgotten
+ * @private
+ */
+function resetMeasuredRowHeights(state) {
+  const internalState = state.getInternal();
+  const rowIndexes = Array.from(internalState.measuredRowHeights.keys());
+  internalState.measuredRowHeights = new Map();
+  return rowIndexes;
+}
+
+/**
+ * Moves the rows loaded through `loadMoreRows` along with the spliced rows.
+ * Pending rows from the splice onwards stop being pending,
+ * so that rowLoadingActions aborts their requests and requests the rows again at their new indexes.
+ *
+ * @param {!Object} state
+ * @param {number} startIndex
+ * @param {number} removeCount
+ * @param {number} insertCount
+ * @private
+ */
+function spliceRowLoading(state, startIndex, removeCount, insertCount) {
+  ['loadedRowRanges', 'failedRowRanges'].forEach((key) => {
+    state[key] = spliceRowRanges(
+      state[key],
+      startIndex,
+      removeCount,
+      insertCount
+    );
+  });
+  state.pendingRowRanges = removeRowRange(
+    state.pendingRowRanges,
+    startIndex,
+    Infinity
+  );
+}
+
+/**
+ * Drops the rows past the end of the table from the rows loaded through `loadMoreRows`,
+ * once the rows count changed without a splice.
+ *
+ * @param {!Object} state
+ * @private
+ */
+function truncateRowRanges(state) {
+  const { rowsCount } = state.rowSettings;
+  ['loadedRowRanges', 'pendingRowRanges', 'failedRowRanges'].forEach((key) => {
+    state[key] = removeRowRange(state[key], rowsCount, Infinity);
+  });
+}
+
+/**
+ * Clears the active and edited cells if they don't exist anymore.
+ *
+ * @param {!Object} state
+ * @private
+ */
+function clearCellsOutsideTable(state) {
+  const { activeCell, editingCell } = state;
+  if (activeCell && !isCellInTable(state, activeCell)) {
+    state.activeCell = null;
+  }
+  if (editingCell && !isEditedColumnInTable(state, editingCell)) {
+    state.editingCell = null;
+  }
+}
+
+/**
+ * @param {!Object} state
+ * @param {{
+ *   rowIndex: number,
+ *   columnIndex: number,
+ * }} cell
+ * @return {boolean}
+ * @private
+ */
+function isCellInTable(state, cell) {
+  return (
+    cell.rowIndex < state.rowSettings.rowsCount &&
+    cell.columnIndex < getColumnsCount(state.columnElements)
+  );
+}
+
+/**
+ * The edited column might have been hidden, moved or removed, even if its index is still in the table.
+ *
+ * @param {!Object} state
+ * @param {{
+ *   rowIndex: number,
+ *   columnIndex: number,
+ *   columnKey: (string|number|undefined),
+ * }} editingCell
+ * @return {boolean} whether the edited column is still at the cell's column index
+ */
+export function isEditedColumnInTable(state, editingCell) {
+  if (!isCellInTable(state, editingCell)) {
+    return false;
+  }
+
+  const { fixed, scrollable, fixedRight } = state.columnElements;
+  const column = fixed
+    .concat(scrollable, fixedRight)
+    .find(({ index }) => index === editingCell.columnIndex);
+  return (
+    !!column && !!column.editor && column.columnKey === editingCell.columnKey
+  );
+}
+
 /**
  * Initialize row heights (storedHeights) & offsets based on the default rowHeight
  *
@@ -242,18 +635,26 @@ const slice = createSlice({
  * @private
  */
 export function initializeRowHeightsAndOffsets(state) {
+  if (state.sparseRowHeights) {
+    initializeSparseRowHeightsAndOffsets(state);
+    return;
+  }
+
+  const { rowSettings } = state;
   const {
     rowHeight,
     rowsCount,
     subRowHeight,
     rowHeightGetter,
     subRowHeightGetter,
-  } = state.rowSettings;
+  } = rowSettings;
   const defaultFullRowHeight = rowHeight + subRowHeight;
   let scrollContentHeight = 0;
   const storedHeights = new Array(rowsCount);
   for (let idx = 0; idx < rowsCount; idx++) {
-    if (state.isVerticalScrollExact) {
+    if (isFixedRow(rowSettings, idx)) {
+      storedHeights[idx] = 0;
+    } else if (state.isVerticalScrollExact) {
       storedHeights[idx] = rowHeightGetter(idx) + subRowHeightGetter(idx);
     } else {
       storedHeights[idx] = defaultFullRowHeight;
@@ -271,25 +672,91 @@ export function initializeRowHeightsAndOffsets(state) {
 }
 
 /**
+ * Initialize sparse row heights & offsets, where only the heights differing from the default rowHeight get stored.
+ * Unlike initializeRowHeightsAndOffsets, this doesn't walk through every row, which matters for millions of rows.
+ *
+ * @param {!Object} state
+ * @private
+ */
+function initializeSparseRowHeightsAndOffsets(state) {
+  const { rowSettings } = state;
+  const {
+    fixedBottomRowsCount,
+    fixedRowsCount,
+    rowHeight,
+    rowsCount,
+    subRowHeight,
+  } = rowSettings;
+  const rowOffsetIntervalTree = new SparsePrefixIntervalTree(
+    rowsCount,
+    rowHeight + subRowHeight
+  );
+
+  // fixed rows don't scroll
+  for (let idx = 0; idx < fixedRowsCount; idx++) {
+    rowOffsetIntervalTree.set(idx, 0);
+  }
+  for (let idx = rowsCount - fixedBottomRowsCount; idx < rowsCount; idx++) {
+    rowOffsetIntervalTree.set(idx, 0);
+  }
+
+  state.scrollContentHeight = rowOffsetIntervalTree.sumUntil(rowsCount);
+  Object.assign(state.getInternal(), {
+    rowOffsetIntervalTree,
+    storedHeights: null,
+  });
+}
+
+/**
+ * Updates row heights & offsets after the count of rows changed.
+ * Sparse row heights keep the heights of the remaining rows, unless rows are pinned to the bottom.
+ *
+ * @param {!Object} state
+ * @private
+ */
+function resizeRowHeightsAndOffsets(state) {
+  const { rowSettings } = state;
+  if (!state.sparseRowHeights || rowSettings.fixedBottomRowsCount > 0) {
+    initializeRowHeightsAndOffsets(state);
+    return;
+  }
+
+  const internalState = state.getInternal();
+  const { rowOffsetIntervalTree } = internalState;
+  rowOffsetIntervalTree.resize(rowSettings.rowsCount);
+  state.scrollContentHeight = rowOffsetIntervalTree.sumUntil(
+    rowSettings.rowsCount
+  );
+  internalState.rowUntilOffsetsAreExact = Math.min(
+    internalState.rowUntilOffsetsAreExact,
+    rowSettings.rowsCount
+  );
+}
+
+/**
+ * Converts the column elements of the table, laid out through the column layout overrides.
+ *
  * @param {!Object} state
  * @param {!Object} props
- * @return {!Object}
+ * @return {{useGroupHeader: boolean}}
  * @private
  */
-function setStateFromProps(state, props) {
+function setColumnsFromProps(state, props) {
   const {
     columnGroupElements,
     columnElements,
     elementTemplates,
+    outerColumnGroupElements,
     useGroupHeader,
-  } = convertColumnElementsToData(props.children);
+  } = convertColumnElementsToData(
+    applyColumnLayout(props.children, state.columnLayout)
+  );
 
   Object.assign(state, {
     columnGroupElements,
     columnElements,
     elementTemplates,
-    propsRevision: state.propsRevision + 1,
-    isVerticalScrollExact: props.isVerticalScrollExact,
+    outerColumnGroupElements,
   });
 
   // NOTE (pradeep): We pre-freeze these large collections to avoid
@@ -303,32 +770,96 @@ function setStateFromProps(state, props) {
   Object.freeze(state.columnElements);
   Object.freeze(state.columnGroupElements);
   Object.freeze(state.elementTemplates);
+  Object.freeze(state.outerColumnGroupElements);
+
+  return { useGroupHeader };
+}
+
+/**
+ * @param {!Object} state
+ * @param {!Object} props
+ * @return {!Object}
+ * @private
+ */
+function setStateFromProps(state, props) {
+  const { useGroupHeader } = setColumnsFromProps(state, props);
+
+  Object.assign(state, {
+    propsRevision: state.propsRevision + 1,
+    isVerticalScrollExact: props.isVerticalScrollExact,
+    sparseRowHeights: props.sparseRowHeights,
+  });
 
   state.elementHeights = Object.assign(
     {},
     state.elementHeights,
     pick(props, [
       'cellGroupWrapperHeight',
+      'filterHeight',
       'footerHeight',
       'groupHeaderHeight',
       'headerHeight',
     ])
   );
-  if (!useGroupHeader) {
-    state.elementHeights.groupHeaderHeight = 0;
+  // each tier of column groups gets its own group header row
+  const groupHeaderTierCount = useGroupHeader
+    ? state.outerColumnGroupElements.length + 1
+    : 0;
+  const groupHeaderHeights = [];
+  for (let tier = 0; tier < groupHeaderTierCount; tier++) {
+    groupHeaderHeights.push(
+      props.groupHeaderHeights?.[tier] ?? props.groupHeaderHeight ?? 0
+    );
   }
+  state.elementHeights.groupHeaderHeights = groupHeaderHeights;
+  state.elementHeights.groupHeaderHeight = groupHeaderHeights.reduce(
+    (total, height) => total + height,
+    0
+  );
+
+  state.columnSettings = Object.assign(
+    {},
+    state.columnSettings,
+    pick(props, ['bufferColumnCount', 'isColumnVirtualized'])
+  );
 
   state.rowSettings = Object.assign(
     {},
     state.rowSettings,
     pick(props, ['bufferRowCount', 'rowHeight', 'rowsCount', 'subRowHeight'])
   );
+  // the rows of a data source take precedence over `rowsCount`
+  if (props.dataSource) {
+    state.rowSettings.rowsCount = props.dataSource.getRowCount();
+  }
   const { rowHeight, subRowHeight } = state.rowSettings;
-  state.rowSettings.rowHeightGetter =
-    props.rowHeightGetter || (() => rowHeight);
+  const rowHeightGetter = props.rowHeightGetter || (() => rowHeight);
+  if (props.autoRowHeight) {
+    // the given heights are estimates until the rows get measured
+    const internalState = state.getInternal();
+    state.rowSettings.rowHeightGetter = (rowIdx) => {
+      const measuredHeight = internalState.measuredRowHeights.get(rowIdx);
+      return measuredHeight === undefined
+        ? rowHeightGetter(rowIdx)
+        : measuredHeight;
+    };
+  } else {
+    state.rowSettings.rowHeightGetter = rowHeightGetter;
+  }
   state.rowSettings.subRowHeightGetter =
     props.subRowHeightGetter || (() => subRowHeight || 0);
   state.rowSettings.rowAttributesGetter = props.rowAttributesGetter;
+  state.rowSettings.rowGroupPathGetter = props.rowGroupPathGetter;
+
+  // fixed rows at the top take precedence over the ones at the bottom
+  const { rowsCount } = state.rowSettings;
+  const fixedRowsCount = clamp(props.fixedRowsCount || 0, 0, rowsCount);
+  state.rowSettings.fixedRowsCount = fixedRowsCount;
+  state.rowSettings.fixedBottomRowsCount = clamp(
+    props.fixedBottomRowsCount || 0,
+    0,
+    rowsCount - fixedRowsCount
+  );
 
   state.scrollFlags = Object.assign(
     {},
@@ -343,17 +874,43 @@ function setStateFromProps(state, props) {
   );
   state.tableSize.useMaxHeight = state.tableSize.height === undefined;
 
+  // a controlled selection always comes from props
+  if (props.selection !== undefined) {
+    state.selection = props.selection;
+  }
+
+  // a controlled sort state always comes from props
+  if (props.sortState !== undefined) {
+    state.sortState = props.sortState;
+  }
+
+  // a controlled filter model always comes from props
+  if (props.filterModel !== undefined) {
+    state.filterModel = props.filterModel;
+  }
+
   state.scrollbarXHeight = props.scrollbarXHeight;
   state.scrollbarYWidth = props.scrollbarYWidth;
 }
 
 const { reducer, actions } = slice;
 export const {
+  activateCell,
   initialize,
   propChange,
+  restoreViewState,
   scrollEnd,
   scrollToX,
   scrollToY,
+  setColumnLayout,
+  spliceRows,
+  updateEditingCell,
+  updateFilterModel,
+  updateKeyboardMovedColumn,
+  updateMeasuredRowHeight,
   updateRowHeights,
+  updateRowLoading,
+  updateSelection,
+  updateSortState,
 } = actions;
 export default reducer;
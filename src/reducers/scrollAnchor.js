@@ -14,7 +14,7 @@
 import clamp from '../vendor_upstream/core/clamp';
 
 import scrollbarsVisibleSelector from '../selectors/scrollbarsVisible';
-import updateRowHeight from './updateRowHeight';
+import updateRowHeight, { getStoredHeight } from './updateRowHeight';
 
 /**
  * Get the anchor for scrolling.
@@ -74,9 +74,11 @@ export function scrollTo(state, scrollY) {
   const { rowOffsetIntervalTree } = state.getInternal();
   const { rowsCount } = rowSettings;
 
+  // NOTE: Sparse row heights never walk through every row
   if (
     state.rowSettings.rowHeightGetter != undefined &&
-    state.isVerticalScrollExact
+    state.isVerticalScrollExact &&
+    !state.sparseRowHeights
   ) {
     // In case of variable row height, ask for the actual heights of the rows before the scroll position.
     // Only for the ones that were not asked before
@@ -144,12 +146,11 @@ export function scrollTo(state, scrollY) {
  *   lastIndex: number,
  *   changed: boolean,
  * }}
- * @private
  */
-function scrollToRow(state, rowIndex) {
+export function scrollToRow(state, rowIndex) {
   const { availableHeight } = scrollbarsVisibleSelector(state);
   const { rowSettings, scrollY } = state;
-  const { rowOffsetIntervalTree, storedHeights } = state.getInternal();
+  const { rowOffsetIntervalTree } = state.getInternal();
   const { rowsCount } = rowSettings;
 
   if (rowsCount === 0) {
@@ -164,7 +165,7 @@ function scrollToRow(state, rowIndex) {
   rowIndex = clamp(rowIndex, 0, Math.max(rowsCount - 1, 0));
   updateRowHeight(state, rowIndex);
   let rowBegin = rowOffsetIntervalTree.sumUntil(rowIndex);
-  let rowEnd = rowBegin + storedHeights[rowIndex];
+  let rowEnd = rowBegin + getStoredHeight(state, rowIndex);
 
   let firstIndex = rowIndex;
   let lastIndex = undefined;
@@ -0,0 +1,152 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule spliceRowHeights
+ */
+
+'use strict';
+
+import PrefixIntervalTree from '../vendor_upstream/struct/PrefixIntervalTree';
+import { isFixedRow } from './computeFixedRows';
+import updateRowHeight from './updateRowHeight';
+
+/**
+ * Re-indexes our cached row heights after rows got inserted or removed,
+ * e.g, when a subtree of tree rows expands or collapses.
+ *
+ * Rows outside of the spliced range keep their cached heights, so that only the inserted rows
+ * get their heights initialized instead of every row of the table.
+ * Also updates `rowSettings.rowsCount` to the new count of rows.
+ *
+ * @param {!Object} state
+ * @param {number} startIndex index of the first removed or inserted row
+ * @param {number} removeCount number of rows removed at startIndex
+ * @param {number} insertCount number of rows inserted at startIndex
+ */
+export default function spliceRowHeights(
+  state,
+  startIndex,
+  removeCount,
+  insertCount
+) {
+  const { rowSettings } = state;
+  const internalState = state.getInternal();
+  const oldRowsCount = rowSettings.rowsCount;
+  const { fixedBottomRowsCount, fixedRowsCount } = rowSettings;
+
+  rowSettings.rowsCount = oldRowsCount - removeCount + insertCount;
+
+  // measured heights move along with their rows
+  const { measuredRowHeights } = internalState;
+  if (measuredRowHeights && measuredRowHeights.size > 0) {
+    const splicedHeights = new Map();
+    measuredRowHeights.forEach((height, rowIdx) => {
+      if (rowIdx < startIndex) {
+        splicedHeights.set(rowIdx, height);
+      } else if (rowIdx >= startIndex + removeCount) {
+        splicedHeights.set(rowIdx - removeCount + insertCount, height);
+      }
+    });
+    internalState.measuredRowHeights = splicedHeights;
+  }
+
+  if (state.sparseRowHeights) {
+    // inserted rows start with the default height, and get their actual height once rendered
+    internalState.rowOffsetIntervalTree.splice(
+      startIndex,
+      removeCount,
+      insertCount
+    );
+    state.scrollContentHeight = internalState.rowOffsetIntervalTree.sumUntil(
+      rowSettings.rowsCount
+    );
+    internalState.rowUntilOffsetsAreExact = Math.min(
+      internalState.rowUntilOffsetsAreExact,
+      startIndex
+    );
+  } else {
+    spliceStoredHeights(state, startIndex, removeCount, insertCount);
+  }
+
+  // Fixed rows have no cached height, so refresh the rows which moved into or out of the fixed regions
+  const { rowsCount } = rowSettings;
+  const refreshedRows = new Set();
+  const addRows = (beginIdx, endIdx, getNewIndex) => {
+    for (let idx = Math.max(beginIdx, 0); idx < endIdx; idx++) {
+      const newIdx = getNewIndex(idx);
+      if (newIdx !== null && newIdx < rowsCount) {
+        refreshedRows.add(newIdx);
+      }
+    }
+  };
+  const getSplicedIndex = (oldIdx) => {
+    if (oldIdx < startIndex) {
+      return oldIdx;
+    }
+    if (oldIdx < startIndex + removeCount) {
+      return null;
+    }
+    return oldIdx - removeCount + insertCount;
+  };
+  addRows(0, fixedRowsCount, getSplicedIndex);
+  addRows(oldRowsCount - fixedBottomRowsCount, oldRowsCount, getSplicedIndex);
+  addRows(0, fixedRowsCount, (idx) => idx);
+  addRows(rowsCount - fixedBottomRowsCount, rowsCount, (idx) => idx);
+  refreshedRows.forEach((rowIdx) => updateRowHeight(state, rowIdx));
+}
+
+/**
+ * Re-indexes the stored heights of every row, and rebuilds their offsets.
+ *
+ * @param {!Object} state
+ * @param {number} startIndex
+ * @param {number} removeCount
+ * @param {number} insertCount
+ * @private
+ */
+function spliceStoredHeights(state, startIndex, removeCount, insertCount) {
+  const { rowSettings } = state;
+  const internalState = state.getInternal();
+  const { storedHeights } = internalState;
+  const { rowHeight, subRowHeight, rowHeightGetter, subRowHeightGetter } =
+    rowSettings;
+  const insertedHeights = new Array(insertCount);
+  for (let idx = 0; idx < insertCount; idx++) {
+    const rowIdx = startIndex + idx;
+    if (isFixedRow(rowSettings, rowIdx)) {
+      insertedHeights[idx] = 0;
+    } else if (state.isVerticalScrollExact) {
+      insertedHeights[idx] =
+        rowHeightGetter(rowIdx) + subRowHeightGetter(rowIdx);
+    } else {
+      insertedHeights[idx] = rowHeight + subRowHeight;
+    }
+  }
+
+  let removedHeight = 0;
+  for (let idx = startIndex; idx < startIndex + removeCount; idx++) {
+    removedHeight += storedHeights[idx];
+  }
+  const insertedHeight = insertedHeights.reduce(
+    (total, height) => total + height,
+    0
+  );
+
+  const newStoredHeights = storedHeights
+    .slice(0, startIndex)
+    .concat(insertedHeights, storedHeights.slice(startIndex + removeCount));
+  state.scrollContentHeight += insertedHeight - removedHeight;
+  Object.assign(internalState, {
+    rowOffsetIntervalTree: new PrefixIntervalTree(newStoredHeights),
+    storedHeights: newStoredHeights,
+    rowUntilOffsetsAreExact: Math.min(
+      internalState.rowUntilOffsetsAreExact,
+      startIndex
+    ),
+  });
+}
@@ -11,9 +11,12 @@
 
 'use strict';
 
+import { isFixedRow } from './computeFixedRows';
+
 /**
  * Update our cached row height for a specific index
- * based on the value from rowHeightGetter
+ * based on the value from rowHeightGetter.
+ * Fixed rows don't scroll, so their cached height is always zero.
  *
  * @param {!Object} state
  * @param {number} rowIdx
@@ -24,13 +27,33 @@ export default function updateRowHeight(state, rowIdx) {
   const { storedHeights, rowOffsetIntervalTree } = state.getInternal();
   const { rowHeightGetter, subRowHeightGetter } = rowSettings;
 
-  const newHeight = rowHeightGetter(rowIdx) + subRowHeightGetter(rowIdx);
-  const oldHeight = storedHeights[rowIdx];
+  const newHeight = isFixedRow(rowSettings, rowIdx)
+    ? 0
+    : rowHeightGetter(rowIdx) + subRowHeightGetter(rowIdx);
+  const oldHeight = getStoredHeight(state, rowIdx);
   if (newHeight !== oldHeight) {
     rowOffsetIntervalTree.set(rowIdx, newHeight);
-    storedHeights[rowIdx] = newHeight;
+    // sparse row heights are only stored by the tree
+    if (storedHeights) {
+      storedHeights[rowIdx] = newHeight;
+    }
     state.scrollContentHeight += newHeight - oldHeight;
   }
 
-  return storedHeights[rowIdx];
+  return newHeight;
+}
+
+/**
+ * Returns our cached row height for a specific index.
+ * Sparse row heights are only cached by the row offsets tree.
+ *
+ * @param {!Object} state
+ * @param {number} rowIdx
+ * @return {number}
+ */
+export function getStoredHeight(state, rowIdx) {
+  const { storedHeights, rowOffsetIntervalTree } = state.getInternal();
+  return storedHeights
+    ? storedHeights[rowIdx]
+    : rowOffsetIntervalTree.get(rowIdx);
 }
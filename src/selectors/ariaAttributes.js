@@ -14,17 +14,24 @@ import shallowEqualSelector from '../helper/shallowEqualSelector';
  * Calculate the aria attributes for the rows and the grid.
  *
  * @param {number} rowsCount
- * @param {boolean} useGroupHeader
+ * @param {number} groupHeaderTierCount number of group header rows, one for each tier of column groups
  * @param {boolean} useFooter
+ * @param {boolean} useFilterRow
  * @return {{
  *   ariaGroupHeaderIndex: number,
  *   ariaHeaderIndex: number,
+ *   ariaFilterIndex: number,
  *   ariaFooterIndex: number,
  *   ariaRowCount: number,
  *   ariaRowIndexOffset: number
  * }}
  */
-function calculateAriaAttributes(rowsCount, useGroupHeader, useFooter) {
+function calculateAriaAttributes(
+  rowsCount,
+  groupHeaderTierCount,
+  useFooter,
+  useFilterRow
+) {
   // first we calculate the default attribute values (without assuming group header or footer exists)
   const ariaGroupHeaderIndex = 1;
   let ariaHeaderIndex = 1;
@@ -35,22 +42,29 @@ function calculateAriaAttributes(rowsCount, useGroupHeader, useFooter) {
   // we also need to add 1 for the header, the base offset will be 2)
   let ariaRowIndexOffset = 2;
 
-  // if group header exists, then increase the indices and offsets by 1
-  if (useGroupHeader) {
-    ariaHeaderIndex++;
-    ariaRowCount++;
-    ariaFooterIndex++;
-    ariaRowIndexOffset++;
-  }
+  // if group headers exist, then increase the indices and offsets by the number of group header rows
+  ariaHeaderIndex += groupHeaderTierCount;
+  ariaRowCount += groupHeaderTierCount;
+  ariaFooterIndex += groupHeaderTierCount;
+  ariaRowIndexOffset += groupHeaderTierCount;
 
   // if footer exists, then row count increases by 1
   if (useFooter) {
     ariaRowCount++;
   }
 
+  // if the filter row exists, then it comes right after the header
+  const ariaFilterIndex = ariaHeaderIndex + 1;
+  if (useFilterRow) {
+    ariaRowCount++;
+    ariaFooterIndex++;
+    ariaRowIndexOffset++;
+  }
+
   return {
     ariaGroupHeaderIndex,
     ariaHeaderIndex,
+    ariaFilterIndex,
     ariaFooterIndex,
     ariaRowCount,
     ariaRowIndexOffset,
@@ -59,9 +73,12 @@ function calculateAriaAttributes(rowsCount, useGroupHeader, useFooter) {
 
 export default shallowEqualSelector(
   [
-    (state) => state.rowsCount,
-    (state) => state.groupHeaderHeight > 0,
+    (state) => state.rowSettings.rowsCount,
+    (state) =>
+      state.elementHeights.groupHeaderHeights.filter((height) => height > 0)
+        .length,
     (state) => state.footerHeight > 0,
+    (state) => state.filterHeight > 0,
   ],
   calculateAriaAttributes
 );
@@ -9,6 +9,7 @@
  * @providesModule columnTemplates
  */
 import forEach from 'lodash/forEach';
+import map from 'lodash/map';
 
 import shallowEqualSelector from '../helper/shallowEqualSelector';
 import columnWidths from './columnWidths';
@@ -24,6 +25,7 @@ let cellDetails;
 /**
  * @typedef {{
  *   cell: !Array.<cellDetails>,
+ *   filter: !Array.<cellDetails>,
  *   footer: !Array.<cellDetails>,
  *   header: !Array.<cellDetails>,
  * }}
@@ -37,12 +39,15 @@ let columnDetails;
  * @param {{
  *   columnGroupProps: !Array.<!Object>,
  *   columnProps: !Array.<!Object>,
+ *   outerColumnGroups: !Array.<!Object>,
  * }} columnWidths
  * @param {{
  *   cell: !Array.<React.ReactElement>,
+ *   filter: !Array.<React.ReactElement>,
  *   footer: !Array.<React.ReactElement>,
  *   groupHeader: !Array.<React.ReactElement>,
  *   header: !Array.<React.ReactElement>,
+ *   outerGroupHeader: !Array.<!Array.<React.ReactElement>>,
  * }} elementTemplates
  * @return {{
  *   fixedColumnGroups: !Array.<cellDetails>,
@@ -51,10 +56,15 @@ let columnDetails;
  *   fixedColumns: !Array.<columnDetails>,
  *   fixedRightColumns: !Array.<columnDetails>,
  *   scrollableColumns: !Array.<columnDetails>,
+ *   outerColumnGroups: !Array.<{
+ *     fixed: !Array.<cellDetails>,
+ *     fixedRight: !Array.<cellDetails>,
+ *     scrollable: !Array.<cellDetails>,
+ *   }>,
  * }}
  */
 function columnTemplates(columnWidths, elementTemplates) {
-  const { columnGroupProps, columnProps } = columnWidths;
+  const { columnGroupProps, columnProps, outerColumnGroups } = columnWidths;
 
   // Ugly transforms to extract data into a row consumable format.
   // TODO (jordan) figure out if this can efficiently be merged with
@@ -80,16 +90,19 @@ function columnTemplates(columnWidths, elementTemplates) {
     cell: [],
     header: [],
     footer: [],
+    filter: [],
   };
   const fixedRightColumns = {
     cell: [],
     header: [],
     footer: [],
+    filter: [],
   };
   const scrollableColumns = {
     cell: [],
     header: [],
     footer: [],
+    filter: [],
   };
   forEach(columnProps, (column, index) => {
     let columnContainer = scrollableColumns;
@@ -111,8 +124,29 @@ function columnTemplates(columnWidths, elementTemplates) {
       props: column,
       template: elementTemplates.footer[index],
     });
+    columnContainer.filter.push({
+      props: column,
+      template: elementTemplates.filter[index],
+    });
   });
 
+  // column groups of the tiers above the innermost column groups, from the outermost tier
+  const outerColumnGroupTemplates = map(
+    outerColumnGroups,
+    (tier, tierIndex) => {
+      const getGroupData = (columnGroup) => ({
+        props: columnGroup,
+        template:
+          elementTemplates.outerGroupHeader[tierIndex][columnGroup.index],
+      });
+      return {
+        fixed: tier.fixed.map(getGroupData),
+        fixedRight: tier.fixedRight.map(getGroupData),
+        scrollable: tier.scrollable.map(getGroupData),
+      };
+    }
+  );
+
   return {
     fixedColumnGroups,
     fixedColumns,
@@ -120,6 +154,7 @@ function columnTemplates(columnWidths, elementTemplates) {
     fixedRightColumns,
     scrollableColumnGroups,
     scrollableColumns,
+    outerColumnGroups: outerColumnGroupTemplates,
   };
 }
 
@@ -33,6 +33,8 @@ import { getEmptyElementsContainer } from '../helper/convertColumnElementsToData
  * @param {!Array.<columnDefinition>} columnProps
  * @param {boolean} scrollEnabledY
  * @param {number} width
+ * @param {number} scrollbarYWidth
+ * @param {!Array.<!Object>} outerColumnGroupElements column groups of the tiers above the innermost column groups
  * @return {{
  *   columnGroupProps: !Array.<columnDefinition>,
  *   columnProps: !Array.<columnDefinition>,
@@ -44,6 +46,11 @@ import { getEmptyElementsContainer } from '../helper/convertColumnElementsToData
  *   scrollableColumns: !Array.<columnDefinition>,
  *   scrollableColumnGroups: !Array.<columnDefinition>,
  *   maxScrollX: number,
+ *   outerColumnGroups: !Array.<{
+ *     fixed: !Array.<columnDefinition>,
+ *     fixedRight: !Array.<columnDefinition>,
+ *     scrollable: !Array.<columnDefinition>,
+ *   }>,
  * }} The total width of all columns.
  */
 function columnWidths(
@@ -51,7 +58,8 @@ function columnWidths(
   columnElements,
   scrollEnabledY,
   width,
-  scrollbarYWidth
+  scrollbarYWidth,
+  outerColumnGroupElements
 ) {
   const scrollbarSpace = scrollEnabledY ? scrollbarYWidth : 0;
   const viewportWidth = width - scrollbarSpace;
@@ -59,7 +67,13 @@ function columnWidths(
   const {
     columnGroupElements: columnGroupElementsWithFlex,
     columnElements: columnElementsWithFlex,
-  } = flexWidths(columnGroupElements, columnElements, viewportWidth);
+    outerColumnGroupElements: outerColumnGroups,
+  } = flexWidths(
+    columnGroupElements,
+    columnElements,
+    viewportWidth,
+    outerColumnGroupElements
+  );
   const {
     fixed: fixedColumns,
     fixedRight: fixedRightColumns,
@@ -99,6 +113,7 @@ function columnWidths(
     fixedRightColumnGroups,
     scrollableColumnGroups,
     maxScrollX,
+    outerColumnGroups,
   };
 }
 
@@ -106,13 +121,19 @@ function columnWidths(
  * @param {!Array.<columnDefinition>} columnGroupProps
  * @param {!Array.<columnDefinition>} columnProps
  * @param {number} viewportWidth
+ * @param {!Array.<!Object>} outerColumnGroupElements
  * @return {{
  *   columnGroupProps: !Array.<columnDefinition>,
- *   columnProps: !Array.<columnDefinition>
+ *   columnProps: !Array.<columnDefinition>,
+ *   outerColumnGroupElements: !Array.<!Object>
  * }}
  */
-function flexWidths(columnGroupElements, columnElements, viewportWidth) {
-  const columnGroupElementsWithFlex = getEmptyElementsContainer();
+function flexWidths(
+  columnGroupElements,
+  columnElements,
+  viewportWidth,
+  outerColumnGroupElements = []
+) {
   const columnElementsWithFlex = getEmptyElementsContainer();
   const columnsWidth = getTotalWidthContainer(columnElements);
 
@@ -148,6 +169,43 @@ function flexWidths(columnGroupElements, columnElements, viewportWidth) {
   }
 
   // calculate widths and offsets for each column group
+  const columnGroupElementsWithFlex = groupWidths(
+    columnGroupElements,
+    columnGroupWidths
+  );
+
+  // calculate widths and offsets for the tiers of column groups above, from the innermost to the outermost
+  const outerColumnGroupElementsWithFlex = [];
+  let childColumnGroups = columnGroupElementsWithFlex;
+  for (let tier = outerColumnGroupElements.length - 1; tier >= 0; tier--) {
+    const parentGroupWidths = [];
+    for (const cellGroupType in childColumnGroups) {
+      for (const columnGroup of childColumnGroups[cellGroupType]) {
+        parentGroupWidths[columnGroup.groupIdx] =
+          columnGroup.width + (parentGroupWidths[columnGroup.groupIdx] || 0);
+      }
+    }
+    childColumnGroups = groupWidths(
+      outerColumnGroupElements[tier],
+      parentGroupWidths
+    );
+    outerColumnGroupElementsWithFlex[tier] = childColumnGroups;
+  }
+
+  return {
+    columnGroupElements: columnGroupElementsWithFlex,
+    columnElements: columnElementsWithFlex,
+    outerColumnGroupElements: outerColumnGroupElementsWithFlex,
+  };
+}
+
+/**
+ * @param {!Object} columnGroupElements
+ * @param {!Array.<number>} columnGroupWidths widths of the column groups, by index
+ * @return {!Object} the column groups with their widths and offsets
+ */
+function groupWidths(columnGroupElements, columnGroupWidths) {
+  const columnGroupElementsWithFlex = getEmptyElementsContainer();
   for (const cellGroupType in columnGroupElements) {
     const columnGroupProps = columnGroupElements[cellGroupType];
     let offset = 0;
@@ -160,11 +218,7 @@ function flexWidths(columnGroupElements, columnElements, viewportWidth) {
       index++;
     }
   }
-
-  return {
-    columnGroupElements: columnGroupElementsWithFlex,
-    columnElements: columnElementsWithFlex,
-  };
+  return columnGroupElementsWithFlex;
 }
 
 /**
@@ -190,6 +244,7 @@ export default shallowEqualSelector(
     (state) => scrollbarsVisible(state).scrollEnabledY,
     (state) => state.tableSize.width,
     (state) => state.scrollbarYWidth,
+    (state) => state.outerColumnGroupElements,
   ],
   columnWidths
 );
@@ -37,7 +37,7 @@ export const ScrollbarState = {
  * bufferRowCount is the number of rows to buffer both ahead and behind the viewport.
  * In total we will buffer twice this number of rows (half ahead, and half behind).
  *
- * reservedHeight is the height reserved for headers and footers.
+ * reservedHeight is the height reserved for headers, footers and fixed rows.
  *
  * scrollStateX is the state of the horizontal scrollbar.
  * HIDDEN & VISIBLE are self explanatory, but
@@ -49,6 +49,9 @@ export const ScrollbarState = {
  * }>} columnProps
  * @param {{
  *   cellGroupWrapperHeight: number,
+ *   filterHeight: number,
+ *   fixedBottomRowsHeight: number,
+ *   fixedRowsHeight: number,
  *   footerHeight: number,
  *   groupHeaderHeight: number,
  *   headerHeight: number,
@@ -87,6 +90,9 @@ function roughHeights(
 ) {
   const {
     cellGroupWrapperHeight,
+    filterHeight = 0,
+    fixedBottomRowsHeight = 0,
+    fixedRowsHeight = 0,
     footerHeight,
     headerHeight,
     groupHeaderHeight,
@@ -94,7 +100,13 @@ function roughHeights(
   // we don't need border height to be added to the table if we are using cellGroupWrapperHeight
   const borderHeight = cellGroupWrapperHeight ? 0 : 2 * BORDER_HEIGHT;
   const reservedHeight =
-    footerHeight + headerHeight + groupHeaderHeight + borderHeight;
+    footerHeight +
+    headerHeight +
+    filterHeight +
+    groupHeaderHeight +
+    fixedRowsHeight +
+    fixedBottomRowsHeight +
+    borderHeight;
 
   const { height, maxHeight, useMaxHeight, width } = tableSize;
   const maxComponentHeight = Math.round(useMaxHeight ? maxHeight : height);
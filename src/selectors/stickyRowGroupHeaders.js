@@ -0,0 +1,113 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule stickyRowGroupHeaders
+ */
+
+import shallowEqualSelector from '../helper/shallowEqualSelector';
+
+/**
+ * Finds the group header rows which stick to the top of the viewport (see `rowGroupPathGetter`),
+ * because the rows of their group are scrolled while the header row itself is scrolled away.
+ *
+ * Headers of nested groups stack below the headers of their enclosing groups.
+ * A sticky header gets pushed up once the last rows of its group scroll past it.
+ *
+ * @param {{
+ *   rowGroupPathGetter: (function(number): ?Array.<number>|undefined),
+ *   rowHeightGetter: function(number): number,
+ * }} rowSettings
+ * @param {number} firstRowIndex
+ * @param {!Object.<number, number>} rowOffsets
+ * @param {number} scrollY
+ * @return {{
+ *   rowIndexes: !Array.<number>, the sticky group header rows, starting from the outermost group
+ *   offsets: !Object.<number, number>, their offsets relative to the top of the viewport
+ *   height: number, the height taken by the sticky rows
+ * }}
+ */
+function stickyRowGroupHeaders(
+  rowSettings,
+  firstRowIndex,
+  rowOffsets,
+  scrollY
+) {
+  const { rowGroupPathGetter, rowHeightGetter } = rowSettings;
+  const stickyRows = { rowIndexes: [], offsets: {}, height: 0 };
+  if (!rowGroupPathGetter) {
+    return stickyRows;
+  }
+
+  const getTop = (rowIndex) => rowOffsets[rowIndex] - scrollY;
+  const getPath = (rowIndex) => rowGroupPathGetter(rowIndex) || [];
+
+  // only the rendered rows are looked up, which always cover the viewport
+  const getRowAt = (top) => {
+    let rowIndex = firstRowIndex;
+    while (
+      rowOffsets[rowIndex + 1] !== undefined &&
+      getTop(rowIndex + 1) <= top
+    ) {
+      rowIndex++;
+    }
+    return rowIndex;
+  };
+
+  let top = 0;
+  for (let depth = 0; ; depth++) {
+    const rowIndex = getRowAt(top);
+    if (rowOffsets[rowIndex] === undefined) {
+      break;
+    }
+    const path = getPath(rowIndex);
+    if (depth >= path.length) {
+      break;
+    }
+    const headerRowIndex = path[depth];
+    if (headerRowIndex === rowIndex && getTop(rowIndex) >= top) {
+      // the header row is already in place
+      break;
+    }
+
+    // push the header up by the first row out of its group
+    const height = rowHeightGetter(headerRowIndex);
+    let offset = top;
+    for (
+      let nextRowIndex = rowIndex + 1;
+      rowOffsets[nextRowIndex] !== undefined &&
+      getTop(nextRowIndex) < top + height;
+      nextRowIndex++
+    ) {
+      if (getPath(nextRowIndex)[depth] !== headerRowIndex) {
+        offset = getTop(nextRowIndex) - height;
+        break;
+      }
+    }
+
+    stickyRows.rowIndexes.push(headerRowIndex);
+    stickyRows.offsets[headerRowIndex] = offset;
+    stickyRows.height = offset + height;
+    if (offset < top) {
+      // the headers of the inner groups are pushed away along with it
+      break;
+    }
+    top += height;
+  }
+
+  return stickyRows;
+}
+
+export default shallowEqualSelector(
+  [
+    (state) => state.rowSettings,
+    (state) => state.firstRowIndex,
+    (state) => state.rowOffsets,
+    (state) => state.scrollY,
+  ],
+  stickyRowGroupHeaders
+);
@@ -17,6 +17,9 @@ import scrollbarsVisible from './scrollbarsVisible';
  * Compute the necessary heights for rendering parts of the table
  *
  * @param {{
+ *   filterHeight: number,
+ *   fixedBottomRowsHeight: number,
+ *   fixedRowsHeight: number,
  *   footerHeight: number,
  *   groupHeaderHeight: number,
  *   headerHeight: number,
@@ -85,11 +88,24 @@ function tableHeights(
   }
 
   // Determine component offsets
-  const { footerHeight, groupHeaderHeight, headerHeight } = elementHeights;
-  const bodyOffsetTop = groupHeaderHeight + headerHeight;
-  const footOffsetTop = bodyOffsetTop + visibleRowsHeight;
+  // NOTE: The body only covers the scrollable rows, so fixed rows are placed right above and below it
+  const {
+    filterHeight = 0,
+    fixedBottomRowsHeight = 0,
+    fixedRowsHeight = 0,
+    footerHeight,
+    groupHeaderHeight,
+    headerHeight,
+  } = elementHeights;
+  const bodyOffsetTop =
+    groupHeaderHeight + headerHeight + filterHeight + fixedRowsHeight;
+  const footOffsetTop =
+    bodyOffsetTop + visibleRowsHeight + fixedBottomRowsHeight;
   const scrollbarXOffsetTop = footOffsetTop + footerHeight;
-  const scrollbarYHeight = Math.max(0, footOffsetTop - bodyOffsetTop);
+  const scrollbarYHeight = Math.max(
+    0,
+    footOffsetTop - fixedBottomRowsHeight - bodyOffsetTop
+  );
 
   return {
     bodyHeight,
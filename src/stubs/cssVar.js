@@ -23,6 +23,8 @@ const CSS_VARS = {
   '--border-color': '#d3d3d3',
   '--fbui-white': '#fff',
   '--fbui-desktop-background-light': '#f6f7f8',
+  '--selection-background-color': '#dbe9fc',
+  '--active-cell-border-color': '#0284ff',
 };
 
 /**
@@ -0,0 +1,226 @@
+/**
+ * Copyright Schrodinger, LLC
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule SparsePrefixIntervalTree
+ * @typechecks
+ */
+
+'use strict';
+
+import invariant from '../../stubs/invariant';
+
+/**
+ * Returns the lowest set bit of x.
+ */
+let lowestBit = (x) => x & -x;
+
+/**
+ * Computes the greatest power of 2 lower or equal to x.
+ */
+function floorLog2(x) {
+  let y = 1;
+  while (y * 2 <= x) {
+    y *= 2;
+  }
+  return y;
+}
+
+/**
+ * Same as PrefixIntervalTree, for an array where most of the values are the same default value.
+ * Only the values which differ from the default are stored, along with the partial sums of their
+ * differences in a Fenwick tree whose nodes are only allocated once they're non zero.
+ *
+ *   - O(1) construction
+ *   - O(ln n) update
+ *   - O(1) lookup
+ *   - O(ln n) compute a partial sum
+ *   - O(k ln n) space, for k values differing from the default
+ *
+ * Unlike PrefixIntervalTree, the array can be resized or spliced in O(k ln n).
+ */
+class SparsePrefixIntervalTree {
+  constructor(size, defaultValue) {
+    /**
+     * Number of elements in the array
+     *
+     * @type {number}
+     * @private
+     */
+    this._size = size;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this._defaultValue = defaultValue;
+
+    /**
+     * Values differing from the default, keyed by index
+     *
+     * @type {!Map.<number, number>}
+     * @private
+     */
+    this._values = new Map();
+
+    /**
+     * Fenwick tree of the differences with the default, keyed by 1-based node.
+     * Node i holds the differences of the values in (i - lowestBit(i), i].
+     *
+     * @type {!Map.<number, number>}
+     * @private
+     */
+    this._deltas = new Map();
+  }
+
+  set(index, value) {
+    invariant(0 <= index && index < this._size, 'Index out of range %s', index);
+
+    const delta = value - this.get(index);
+    if (delta === 0) {
+      return;
+    }
+
+    if (value === this._defaultValue) {
+      this._values.delete(index);
+    } else {
+      this._values.set(index, value);
+    }
+    this._addDelta(index, delta);
+  }
+
+  get(index) {
+    invariant(0 <= index && index < this._size, 'Index out of range %s', index);
+
+    const value = this._values.get(index);
+    return value === undefined ? this._defaultValue : value;
+  }
+
+  getSize() {
+    return this._size;
+  }
+
+  /**
+   * Returns the sum get(0) + get(1) + ... + get(end - 1).
+   */
+  sumUntil(end) {
+    invariant(0 <= end && end < this._size + 1, 'Index out of range %s', end);
+
+    let sum = end * this._defaultValue;
+    for (let node = end; node > 0; node -= lowestBit(node)) {
+      sum += this._deltas.get(node) || 0;
+    }
+    return sum;
+  }
+
+  /**
+   * Returns the sum get(0) + get(1) + ... + get(inclusiveEnd).
+   */
+  sumTo(inclusiveEnd) {
+    invariant(
+      0 <= inclusiveEnd && inclusiveEnd < this._size,
+      'Index out of range %s',
+      inclusiveEnd
+    );
+    return this.sumUntil(inclusiveEnd + 1);
+  }
+
+  /**
+   * Returns the sum get(begin) + get(begin + 1) + ... + get(end - 1).
+   */
+  sum(begin, end) {
+    invariant(begin <= end, 'Begin must precede end');
+    return this.sumUntil(end) - this.sumUntil(begin);
+  }
+
+  /**
+   * Returns the greatest i such that 0 <= i <= size and sumUntil(i) <= t, or
+   * -1 if no such i exists.
+   * Values are expected to be non negative, so that partial sums never decrease.
+   */
+  greatestLowerBound(t) {
+    if (t < 0) {
+      return -1;
+    }
+
+    let index = 0;
+    let sum = 0;
+    for (let step = floorLog2(this._size); step > 0; step >>= 1) {
+      const node = index + step;
+      if (node > this._size) {
+        continue;
+      }
+      const nodeSum = step * this._defaultValue + (this._deltas.get(node) || 0);
+      if (sum + nodeSum <= t) {
+        index = node;
+        sum += nodeSum;
+      }
+    }
+    return index;
+  }
+
+  /**
+   * Returns the smallest i such that 0 <= i <= size and t < sumUntil(i), or
+   * size + 1 if no such i exists.
+   */
+  leastStrictUpperBound(t) {
+    return this.greatestLowerBound(t) + 1;
+  }
+
+  /**
+   * Changes the size of the array.
+   * Values past the new size are dropped, and new values get the default value.
+   *
+   * @param {number} size
+   */
+  resize(size) {
+    this.splice(
+      Math.min(size, this._size),
+      Math.max(this._size - size, 0),
+      Math.max(size - this._size, 0)
+    );
+  }
+
+  /**
+   * Removes values and inserts default values in their place, like `Array.prototype.splice`.
+   *
+   * @param {number} startIndex
+   * @param {number} removeCount
+   * @param {number} insertCount
+   */
+  splice(startIndex, removeCount, insertCount) {
+    const values = this._values;
+    this._size += insertCount - removeCount;
+    this._values = new Map();
+    this._deltas = new Map();
+    values.forEach((value, index) => {
+      if (index < startIndex) {
+        this.set(index, value);
+      } else if (index >= startIndex + removeCount) {
+        this.set(index - removeCount + insertCount, value);
+      }
+    });
+  }
+
+  /**
+   * @param {number} index
+   * @param {number} delta
+   * @private
+   */
+  _addDelta(index, delta) {
+    for (let node = index + 1; node <= this._size; node += lowestBit(node)) {
+      const nodeDelta = (this._deltas.get(node) || 0) + delta;
+      if (nodeDelta === 0) {
+        this._deltas.delete(node);
+      } else {
+        this._deltas.set(node, nodeDelta);
+      }
+    }
+  }
+}
+
+export default SparsePrefixIntervalTree;
@@ -0,0 +1,90 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect, jest } from '@jest/globals';
+import React from 'react';
+import { act } from 'react-dom/test-utils';
+
+import { Table, Column } from '../src/index';
+import {
+  getCells,
+  renderTable,
+  setupTableTest,
+  tableProps,
+} from './helpers/tableTestHelper';
+
+describe('cell spans', function () {
+  setupTableTest();
+
+  const renderSpannedTable = (props = {}) =>
+    renderTable(
+      <Table {...tableProps} {...props}>
+        <Column columnKey="a" width={300} fixed={true} />
+        <Column columnKey="b" width={300} />
+        <Column columnKey="c" width={300} />
+        <Column columnKey="d" width={300} />
+      </Table>
+    );
+
+  it('should merge cells and hide the covered cells', function () {
+    renderSpannedTable({
+      cellSpanGetter: (rowIndex, columnKey) =>
+        rowIndex === 1 && columnKey === 'b' ? { rowSpan: 2, colSpan: 2 } : null,
+    });
+
+    const firstRowCells = getCells(1);
+    expect(firstRowCells.length).toBe(3);
+    expect(firstRowCells[1].style.width).toBe('600px');
+    expect(firstRowCells[1].style.height).toBe('200px');
+    expect(firstRowCells[1].style.top).toBe('0px');
+
+    const secondRowCells = getCells(2);
+    expect(secondRowCells.length).toBe(3);
+    expect(secondRowCells[1].style.top).toBe('-100px');
+    expect(secondRowCells[1].style.height).toBe('200px');
+
+    expect(getCells(3).length).toBe(4);
+  });
+
+  it('should clip merged cells at the fixed columns', function () {
+    renderSpannedTable({
+      cellSpanGetter: (rowIndex, columnKey) =>
+        rowIndex === 0 && columnKey === 'a' ? { colSpan: 3 } : null,
+    });
+
+    const cells = getCells(0);
+    expect(cells.length).toBe(4);
+    expect(cells[0].style.width).toBe('300px');
+  });
+
+  it('should keep merged cells visible when their first row is scrolled away', function () {
+    renderSpannedTable({
+      cellSpanGetter: (rowIndex, columnKey) =>
+        rowIndex === 10 && columnKey === 'c' ? { rowSpan: 8 } : null,
+      scrollTop: 1500,
+    });
+
+    const cells = getCells(16);
+    expect(cells[2].style.top).toBe('-600px');
+    expect(cells[2].style.height).toBe('800px');
+  });
+
+  it('should only look up the cell spans again once the rendered rows change', function () {
+    const cellSpanGetter = jest.fn(() => null);
+    const table = renderSpannedTable({
+      activeCellEnabled: true,
+      cellSpanGetter,
+    });
+    cellSpanGetter.mockClear();
+
+    act(() => {
+      table.getApi().setActiveCell(1, 1);
+    });
+    expect(cellSpanGetter).not.toHaveBeenCalled();
+
+    act(() => {
+      table.getApi().setActiveCell(10, 1);
+    });
+    expect(cellSpanGetter).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect } from '@jest/globals';
+import React from 'react';
+
+import { Table, Column, ColumnGroup } from '../src/index';
+import {
+  getGrid,
+  getTableNode,
+  renderTable,
+  setupTableTest,
+  tableProps,
+} from './helpers/tableTestHelper';
+
+describe('nested column groups', function () {
+  setupTableTest();
+
+  const renderGroupedTable = (props = {}) =>
+    renderTable(
+      <Table {...tableProps} groupHeaderHeight={30} {...props}>
+        <ColumnGroup header="Region" fixed={true}>
+          <ColumnGroup header="Country">
+            <Column columnKey="a" header="A" width={100} />
+            <Column columnKey="b" header="B" width={100} />
+          </ColumnGroup>
+          <Column columnKey="c" header="C" width={100} />
+        </ColumnGroup>
+        <ColumnGroup header="Other">
+          <ColumnGroup header="Sub">
+            <Column columnKey="d" header="D" width={300} />
+          </ColumnGroup>
+        </ColumnGroup>
+      </Table>
+    );
+
+  const getHeaderRow = (ariaRowIndex) =>
+    getTableNode().querySelector(
+      `[role="row"][aria-rowindex="${ariaRowIndex}"]`
+    );
+
+  it('should render a group header row for each tier', function () {
+    renderGroupedTable({ groupHeaderHeights: [40] });
+
+    expect(getHeaderRow(1).textContent).toBe('RegionOther');
+    expect(getHeaderRow(1).style.height).toBe('40px');
+    expect(getHeaderRow(2).textContent).toBe('CountrySub');
+    expect(getHeaderRow(2).style.height).toBe('30px');
+    expect(getHeaderRow(3).textContent).toBe('ABCD');
+    expect(getGrid().getAttribute('aria-rowcount')).toBe('53');
+  });
+
+  it('should account for all the tiers in the heights of the table', function () {
+    const table = renderGroupedTable({ groupHeaderHeights: [40] });
+
+    expect(table.getApi().groupHeaderHeight).toBe(70);
+    expect(table.reduxStore.getState().elementHeights).toMatchObject({
+      groupHeaderHeight: 70,
+      groupHeaderHeights: [40, 30],
+    });
+  });
+
+  it('should expose the column groups of each tier through the API', function () {
+    const api = renderGroupedTable().getApi();
+
+    expect(api.getColumnGroupCount()).toBe(3);
+    expect(api.getColumnGroupCount(null, 0)).toBe(2);
+    expect(api.getColumnGroup(0, 0)).toMatchObject({ width: 300, offset: 0 });
+    expect(api.getColumnGroup(1)).toMatchObject({ width: 100, offset: 200 });
+    expect(api.getParentColumnGroup(1)).toMatchObject({ index: 0 });
+    expect(api.getParentColumnGroup(2)).toMatchObject({ index: 1 });
+    expect(api.getParentColumnGroup(0, 0)).toBe(null);
+  });
+});
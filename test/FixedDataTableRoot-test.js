@@ -7,6 +7,7 @@ import ReactDOM from 'react-dom';
 import { createRenderer } from 'react-test-renderer/shallow';
 import {
   findRenderedComponentWithType,
+  act,
   findRenderedDOMComponentWithClass,
   isElement,
 } from 'react-dom/test-utils';
@@ -205,6 +206,112 @@ describe('FixedDataTableRoot', function () {
     });
   });
 
+  describe('column virtualization', function () {
+    const getHeaderCells = (renderedTree) =>
+      findRenderedDOMComponentWithClass(
+        renderedTree,
+        'public_fixedDataTable_header'
+      ).querySelectorAll('[role="columnheader"]');
+
+    it('should render all columns by default', function () {
+      const renderedTree = ReactDOM.render(<TestTable />, node);
+      expect(getHeaderCells(renderedTree).length).toBe(5);
+    });
+
+    it('should only render columns within the viewport', function () {
+      const renderedTree = ReactDOM.render(
+        <TestTable isColumnVirtualized={true} bufferColumnCount={0} />,
+        node
+      );
+      // the viewport is 600px wide, minus the vertical scrollbar, so only 2 of the 300px columns fit in
+      expect(getHeaderCells(renderedTree).length).toBe(2);
+    });
+
+    it('should render buffered columns', function () {
+      const renderedTree = ReactDOM.render(
+        <TestTable
+          isColumnVirtualized={true}
+          bufferColumnCount={1}
+          scrollLeft={600}
+        />,
+        node
+      );
+      expect(getHeaderCells(renderedTree).length).toBe(4);
+    });
+
+    it('should render the columns revealed by hiding the vertical scrollbar', function () {
+      let rowHeight = 200;
+      let table;
+      const renderedTree = ReactDOM.render(
+        <Table
+          ref={(ref) => (table = ref)}
+          width={600}
+          height={400}
+          rowsCount={3}
+          rowHeight={200}
+          rowHeightGetter={() => rowHeight}
+          headerHeight={50}
+          isColumnVirtualized={true}
+          bufferColumnCount={0}
+        >
+          <Column width={295} />
+          <Column width={295} />
+          <Column width={300} />
+        </Table>,
+        node
+      );
+      // the vertical scrollbar leaves 585px, so the last column starting at 590px isn't rendered
+      expect(getHeaderCells(renderedTree).length).toBe(2);
+
+      rowHeight = 50;
+      act(() => {
+        table.getApi().updateRowHeights();
+      });
+
+      expect(getHeaderCells(renderedTree).length).toBe(3);
+    });
+  });
+
+  describe('fixed rows', function () {
+    it('should keep fixed rows out of the scrollable content', function () {
+      const table = renderTable({
+        fixedBottomRowsCount: 1,
+        fixedRowsCount: 2,
+        scrollTop: 2000,
+      });
+      const tableState = table.getTableState();
+
+      expect(tableState.scrollContentHeight).toBe(4700);
+      expect(tableState.fixedRows).toEqual([0, 1]);
+      expect(tableState.fixedBottomRows).toEqual([49]);
+      expect(tableState.rows).not.toContain(0);
+      expect(tableState.rows).not.toContain(49);
+      expect(tableState.elementHeights).toEqual(
+        expect.objectContaining({
+          fixedBottomRowsHeight: 100,
+          fixedRowsHeight: 200,
+        })
+      );
+    });
+
+    it('should render fixed rows while scrolled', function () {
+      ReactDOM.render(
+        <TestTable
+          fixedRowsCount={2}
+          fixedBottomRowsCount={1}
+          scrollTop={2000}
+        />,
+        node
+      );
+      // aria row indexes start at 2 since the header is the first row
+      for (const ariaRowIndex of [2, 3, 51]) {
+        expect(
+          node.querySelector(`[role="row"][aria-rowindex="${ariaRowIndex}"]`)
+        ).not.toBeNull();
+      }
+    });
+  });
+
   describe('RTL scroll', function () {
     describe('RTL', function () {
       it('should flip wheel sign', function (done) {
@@ -412,4 +519,71 @@ describe('FixedDataTableRoot', function () {
       });
     });
   });
+
+  describe('sparse row heights', function () {
+    const ROWS_COUNT = 10000000;
+
+    it('should scroll to a row of a very large table', function () {
+      const rowHeightGetter = jest.fn((rowIndex) =>
+        rowIndex === ROWS_COUNT - 2 ? 200 : 100
+      );
+      const table = renderTable({
+        sparseRowHeights: true,
+        rowsCount: ROWS_COUNT,
+        rowHeightGetter,
+        height: 300,
+        scrollToRow: ROWS_COUNT - 2,
+      });
+
+      // only the rendered rows get measured
+      expect(rowHeightGetter.mock.calls.length).toBeLessThan(100);
+      const { scrollY, scrollContentHeight } = table.getTableState();
+      expect(scrollContentHeight).toBe(ROWS_COUNT * 100 + 100);
+      // the taller row is fully visible
+      expect(scrollY).toBeLessThan((ROWS_COUNT - 2) * 100);
+      expect(scrollY).toBeGreaterThan((ROWS_COUNT - 2) * 100 + 200 - 300);
+    });
+
+    it('should keep the measured heights when the rows count changes', function () {
+      const rowHeightGetter = (rowIndex) => (rowIndex === 1 ? 200 : 100);
+      renderTable({
+        sparseRowHeights: true,
+        rowsCount: ROWS_COUNT,
+        rowHeightGetter,
+      });
+      const table = renderTable({
+        sparseRowHeights: true,
+        rowsCount: ROWS_COUNT * 2,
+        rowHeightGetter,
+        scrollTop: 250,
+      });
+
+      const { firstRowIndex, scrollContentHeight } = table.getTableState();
+      expect(scrollContentHeight).toBe(ROWS_COUNT * 2 * 100 + 100);
+      expect(firstRowIndex).toBe(1);
+    });
+
+    it('should warn that isVerticalScrollExact is ignored', function () {
+      const consoleError = jest
+        .spyOn(console, 'error')
+        .mockImplementation(() => {});
+      renderTable({ sparseRowHeights: true, rowsCount: ROWS_COUNT });
+      expect(consoleError).not.toHaveBeenCalled();
+
+      renderTable({
+        sparseRowHeights: true,
+        isVerticalScrollExact: true,
+        rowsCount: ROWS_COUNT,
+      });
+      renderTable({
+        sparseRowHeights: true,
+        isVerticalScrollExact: true,
+        rowsCount: ROWS_COUNT * 2,
+      });
+
+      expect(consoleError).toHaveBeenCalledTimes(1);
+      expect(consoleError.mock.calls[0][0]).toMatch('isVerticalScrollExact');
+      consoleError.mockRestore();
+    });
+  });
 });
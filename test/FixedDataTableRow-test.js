@@ -0,0 +1,162 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect, jest } from '@jest/globals';
+import React from 'react';
+import { act } from 'react-dom/test-utils';
+
+import { Table, Column } from '../src/index';
+import {
+  getRow,
+  renderTable,
+  setupTableTest,
+  tableProps,
+} from './helpers/tableTestHelper';
+
+describe('auto row height', function () {
+  setupTableTest();
+
+  let resizeObservers;
+  let observedElements;
+
+  beforeEach(function () {
+    // jsdom has no layout, so the cell contents tell their height through a data attribute
+    jest
+      .spyOn(HTMLElement.prototype, 'offsetHeight', 'get')
+      .mockImplementation(function () {
+        return Number(this.getAttribute('data-height')) || 0;
+      });
+    resizeObservers = [];
+    observedElements = [];
+    global.ResizeObserver = class {
+      constructor(callback) {
+        this.callback = callback;
+        this.elements = [];
+        resizeObservers.push(this);
+      }
+      observe(element) {
+        this.elements.push(element);
+        observedElements.push({ observer: this, element });
+      }
+      disconnect() {
+        this.elements = [];
+      }
+    };
+  });
+
+  afterEach(function () {
+    delete global.ResizeObserver;
+  });
+
+  // like browsers, notifies the resize observers of the sizes of the elements they started observing
+  const notifyObservedSizes = () => {
+    while (observedElements.length > 0) {
+      const notifications = observedElements;
+      observedElements = [];
+      act(() =>
+        notifications.forEach(({ observer, element }) =>
+          observer.callback([{ target: element }])
+        )
+      );
+    }
+  };
+
+  const renderAutoHeightTable = (contentHeightGetter, props = {}) => {
+    const table = renderTable(
+      <Table
+        {...tableProps}
+        rowsCount={100}
+        rowHeight={50}
+        autoRowHeight={true}
+        {...props}
+      >
+        <Column
+          columnKey="text"
+          width={200}
+          cell={({ rowIndex, height }) => (
+            <div
+              className="content"
+              data-height={contentHeightGetter(rowIndex)}
+              data-given-height={height}
+            >
+              Row {rowIndex}
+            </div>
+          )}
+        />
+      </Table>
+    );
+    notifyObservedSizes();
+    return table;
+  };
+
+  it('should size the rows to the height of their content', function () {
+    const table = renderAutoHeightTable((rowIndex) => (rowIndex % 2 ? 80 : 30));
+
+    const { rowSettings } = table.state.boundState;
+    expect(rowSettings.rowHeightGetter(0)).toBe(30);
+    expect(rowSettings.rowHeightGetter(1)).toBe(80);
+    // rows which weren't rendered keep the estimated height
+    expect(rowSettings.rowHeightGetter(99)).toBe(50);
+    expect(getRow(1).style.height).toBe('80px');
+    expect(
+      getRow(1).querySelector('.content').getAttribute('data-given-height')
+    ).toBe(null);
+  });
+
+  it('should keep the viewport in place when rows above it get measured', function () {
+    const table = renderAutoHeightTable(() => 100, { scrollTop: 1000 });
+
+    const { firstRowIndex, scrollY } = table.state.boundState;
+    expect(firstRowIndex).toBe(20);
+    // the rows of the buffer above the viewport grew
+    expect(scrollY).toBeGreaterThan(1000);
+  });
+
+  it('should measure the rows again when their content resizes', function () {
+    let contentHeight = 60;
+    const table = renderAutoHeightTable(() => contentHeight);
+    expect(table.state.boundState.rowSettings.rowHeightGetter(0)).toBe(60);
+
+    contentHeight = 120;
+    const content = getRow(0).querySelector('.content');
+    content.setAttribute('data-height', contentHeight);
+    const observer = resizeObservers.find((resizeObserver) =>
+      resizeObserver.elements.includes(content)
+    );
+    act(() => observer.callback([]));
+
+    expect(table.state.boundState.rowSettings.rowHeightGetter(0)).toBe(120);
+    expect(getRow(0).style.height).toBe('120px');
+  });
+
+  it('should only observe the rows again once their contents change', function () {
+    const table = renderAutoHeightTable(() => 30);
+    const contents = getRow(0).querySelector('.content');
+    const offsetHeight = Object.getOwnPropertyDescriptor(
+      HTMLElement.prototype,
+      'offsetHeight'
+    ).get;
+    offsetHeight.mockClear();
+
+    act(() => {
+      table.getApi().setActiveCell(0, 0);
+    });
+
+    expect(getRow(0).querySelector('.content')).toBe(contents);
+    expect(observedElements.length).toBe(0);
+    expect(offsetHeight).not.toHaveBeenCalled();
+  });
+
+  it('should measure the rows again once their heights got reset', function () {
+    let contentHeight = 30;
+    const table = renderAutoHeightTable(() => contentHeight);
+    const { rowSettings } = table.state.boundState;
+    expect(rowSettings.rowHeightGetter(0)).toBe(30);
+
+    contentHeight = 70;
+    renderAutoHeightTable(() => contentHeight, { rowsCount: 90 });
+
+    expect(table.state.boundState.rowSettings.rowHeightGetter(0)).toBe(70);
+    expect(getRow(0).style.height).toBe('70px');
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect, jest } from '@jest/globals';
+import React from 'react';
+
+import { Table, Column } from '../../src/index';
+import {
+  getCell,
+  getGrid,
+  getTableNode,
+  pressKey,
+  renderDefaultTable,
+  renderTable,
+  setupTableTest,
+  tableProps,
+} from '../helpers/tableTestHelper';
+
+describe('active cell', function () {
+  setupTableTest();
+
+  const pressGridKey = (key, eventInit) => pressKey(getGrid(), key, eventInit);
+
+  it('should move the active cell with the keyboard', function () {
+    const onActiveCellChange = jest.fn();
+    const table = renderDefaultTable({
+      activeCellEnabled: true,
+      onActiveCellChange,
+    });
+
+    pressGridKey('ArrowDown');
+    expect(onActiveCellChange).toHaveBeenLastCalledWith({
+      rowIndex: 0,
+      columnIndex: 0,
+    });
+
+    pressGridKey('ArrowDown');
+    pressGridKey('ArrowRight');
+    expect(table.state.boundState.activeCell).toEqual({
+      rowIndex: 1,
+      columnIndex: 1,
+    });
+
+    pressGridKey('End');
+    expect(table.state.boundState.activeCell).toEqual({
+      rowIndex: 1,
+      columnIndex: 4,
+    });
+
+    pressGridKey('Home', { ctrlKey: true });
+    expect(table.state.boundState.activeCell).toEqual({
+      rowIndex: 0,
+      columnIndex: 0,
+    });
+  });
+
+  it('should scroll the active cell into view', function () {
+    const table = renderDefaultTable({ activeCellEnabled: true });
+
+    pressGridKey('End', { ctrlKey: true });
+
+    const { activeCell, maxScrollX, maxScrollY, scrollX, scrollY } =
+      table.state.boundState;
+    expect(activeCell).toEqual({ rowIndex: 49, columnIndex: 4 });
+    expect(scrollX).toBe(maxScrollX);
+    expect(scrollY).toBe(maxScrollY);
+  });
+
+  it('should wrap around rows with Tab', function () {
+    const table = renderDefaultTable({ activeCellEnabled: true });
+    table.getApi().setActiveCell(1, 4);
+
+    const event = pressGridKey('Tab');
+    expect(event.defaultPrevented).toBe(true);
+    expect(table.state.boundState.activeCell).toEqual({
+      rowIndex: 2,
+      columnIndex: 0,
+    });
+
+    pressGridKey('Tab', { shiftKey: true });
+    expect(table.state.boundState.activeCell).toEqual({
+      rowIndex: 1,
+      columnIndex: 4,
+    });
+  });
+
+  it('should let Tab move the focus out of the table from the last cell', function () {
+    const table = renderDefaultTable({ activeCellEnabled: true });
+    table.getApi().setActiveCell(49, 4);
+
+    const event = pressGridKey('Tab');
+    expect(event.defaultPrevented).toBe(false);
+    expect(table.state.boundState.activeCell).toEqual({
+      rowIndex: 49,
+      columnIndex: 4,
+    });
+  });
+
+  it('should point aria-activedescendant to the active cell', function () {
+    const table = renderDefaultTable({ activeCellEnabled: true });
+    table.getApi().setActiveCell(2, 1);
+
+    const activeDescendant = getGrid().getAttribute('aria-activedescendant');
+    expect(activeDescendant).toBeTruthy();
+
+    const activeCell = getTableNode().querySelector(
+      `[id="${activeDescendant}"]`
+    );
+    expect(activeCell).toBe(getCell(2, 1));
+  });
+
+  it('should leave the keys of editable elements to them', function () {
+    const table = renderTable(
+      <Table {...tableProps} activeCellEnabled={true} selectionMode="cell">
+        <Column width={300} cell={() => <input />} />
+        <Column width={300} cell={() => <div contentEditable={true} />} />
+      </Table>
+    );
+    table.getApi().setActiveCell(1, 0);
+
+    const event = pressKey(getCell(1, 0).querySelector('input'), 'ArrowDown');
+    expect(event.defaultPrevented).toBe(false);
+    pressKey(getCell(1, 1).querySelector('div[contenteditable]'), 'a', {
+      ctrlKey: true,
+    });
+
+    expect(table.state.boundState.activeCell).toEqual({
+      rowIndex: 1,
+      columnIndex: 0,
+    });
+    expect(table.state.boundState.selection).toEqual([]);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect } from '@jest/globals';
+import React from 'react';
+
+import { Table, Column } from '../../src/index';
+import { CellGroupType } from '../../src/enums/CellGroup';
+import {
+  renderDefaultTable,
+  renderTable,
+  setupTableTest,
+  tableProps,
+} from '../helpers/tableTestHelper';
+
+describe('cell geometry', function () {
+  setupTableTest();
+
+  it('should give the rects of the cells', function () {
+    const api = renderDefaultTable({
+      scrollTop: 100,
+      scrollLeft: 50,
+    }).getApi();
+
+    expect(api.getCellRect(2, 1)).toEqual({
+      top: 50 + 200 - 100,
+      left: 300 - 50,
+      clientTop: 50 + 200 - 100,
+      clientLeft: 300 - 50,
+      width: 300,
+      height: 100,
+    });
+    expect(() => api.getCellRect(2, 5)).toThrow();
+  });
+
+  it('should find the cells under the given points', function () {
+    const api = renderDefaultTable({
+      scrollTop: 100,
+      scrollLeft: 50,
+    }).getApi();
+
+    expect(api.getCellAtPoint(260, 160)).toMatchObject({
+      rowIndex: 2,
+      columnIndex: 1,
+      cellGroupType: CellGroupType.SCROLLABLE,
+      isHeader: false,
+      rect: { top: 150, left: 250 },
+    });
+    expect(api.getCellAtPoint(10, 10)).toMatchObject({
+      rowIndex: null,
+      columnIndex: 0,
+      isHeader: true,
+      rect: { top: 0, left: -50, height: 50 },
+    });
+    // the vertical scrollbar
+    expect(api.getCellAtPoint(600 - 5, 160)).toBe(null);
+  });
+
+  it('should mirror the cells of RTL tables', function () {
+    const api = renderDefaultTable({ isRTL: true }).getApi();
+
+    expect(api.getCellRect(0, 0).left).toBe(300);
+    expect(api.getCellAtPoint(310, 60)).toMatchObject({
+      rowIndex: 0,
+      columnIndex: 0,
+    });
+    // the left edges of the cells are part of them, like in LTR tables
+    expect(api.getCellAtPoint(300, 60).columnIndex).toBe(0);
+    expect(api.getCellAtPoint(299, 60).columnIndex).toBe(1);
+    // the vertical scrollbar, on the left
+    expect(api.getCellAtPoint(5, 60)).toBe(null);
+  });
+
+  const renderKeyedTable = (props) =>
+    renderTable(
+      <Table {...tableProps} {...props}>
+        <Column columnKey="a" width={300} />
+        <Column columnKey="b" width={300} />
+        <Column columnKey="c" width={300} />
+      </Table>
+    );
+
+  it('should find the first cell of merged cells', function () {
+    const api = renderKeyedTable({
+      cellSpanGetter: (rowIndex, columnKey) =>
+        rowIndex === 1 && columnKey === 'a' ? { rowSpan: 2, colSpan: 2 } : null,
+    }).getApi();
+
+    expect(api.getCellAtPoint(310, 50 + 250)).toMatchObject({
+      rowIndex: 1,
+      columnIndex: 0,
+      columnKey: 'a',
+      rect: { top: 50 + 100, left: 0, width: 600, height: 200 },
+    });
+    expect(api.getCellAtPoint(10, 50 + 350)).toBe(null);
+  });
+
+  it('should find the sticky group header rows over the scrolled rows', function () {
+    const api = renderKeyedTable({
+      scrollTop: 250,
+      rowGroupPathGetter: (rowIndex) => (rowIndex < 10 ? [0] : [10]),
+      rowGroupHeader: () => 'Group',
+    }).getApi();
+
+    expect(api.getCellAtPoint(10, 50 + 10)).toMatchObject({
+      rowIndex: 0,
+      columnIndex: 0,
+      rect: { top: 50, height: 100 },
+    });
+    expect(api.getCellAtPoint(10, 50 + 110).rowIndex).toBe(3);
+  });
+});
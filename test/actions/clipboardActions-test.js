@@ -0,0 +1,150 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect, jest } from '@jest/globals';
+import React from 'react';
+import { act } from 'react-dom/test-utils';
+
+import { Table, Column } from '../../src/index';
+import {
+  getGrid,
+  renderTable,
+  setupTableTest,
+  tableProps,
+} from '../helpers/tableTestHelper';
+
+describe('clipboard', function () {
+  setupTableTest();
+
+  const renderClipboardTable = (props = {}) =>
+    renderTable(
+      <Table {...tableProps} {...props}>
+        <Column
+          columnKey="a"
+          width={300}
+          valueGetter={(rowIndex) => `a${rowIndex}`}
+        />
+        <Column columnKey="b" width={300} />
+        <Column
+          columnKey="c"
+          width={300}
+          valueGetter={(rowIndex) => rowIndex}
+          formatter={(value) => `#${value}`}
+        />
+      </Table>
+    );
+
+  const pressShortcut = (key, clipboardEventType, clipboardData) => {
+    getGrid().dispatchEvent(
+      new KeyboardEvent('keydown', { bubbles: true, ctrlKey: true, key })
+    );
+    const clipboardEvent = new Event(clipboardEventType, {
+      bubbles: true,
+      cancelable: true,
+    });
+    clipboardEvent.clipboardData = clipboardData;
+    document.body.dispatchEvent(clipboardEvent);
+    return clipboardEvent;
+  };
+
+  it('should copy the rows in the viewport', function () {
+    const table = renderClipboardTable();
+    const { text } = table.getApi().getClipboardContent();
+    expect(text).toBe(['a0\t#0', 'a1\t#1', 'a2\t#2', 'a3\t#3'].join('\n'));
+  });
+
+  it('should copy the selected cells on Ctrl + C', function () {
+    renderClipboardTable({
+      selectionMode: 'cell',
+      defaultSelection: [
+        {
+          startRowIndex: 2,
+          endRowIndex: 3,
+          startColumnIndex: 0,
+          endColumnIndex: 1,
+        },
+        {
+          startRowIndex: 4,
+          endRowIndex: 4,
+          startColumnIndex: 2,
+          endColumnIndex: 2,
+        },
+      ],
+    });
+
+    const clipboardData = { setData: jest.fn() };
+    const event = pressShortcut('c', 'copy', clipboardData);
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(clipboardData.setData).toHaveBeenCalledWith(
+      'text/plain',
+      'a2\t\na3\t\n\t#4'
+    );
+    expect(clipboardData.setData).toHaveBeenCalledWith(
+      'text/html',
+      '<table><tbody><tr><td>a2</td><td></td></tr>' +
+        '<tr><td>a3</td><td></td></tr>' +
+        '<tr><td></td><td>#4</td></tr></tbody></table>'
+    );
+  });
+
+  it('should only copy the loaded rows', async function () {
+    const table = renderClipboardTable({
+      loadMoreRows: () => Promise.resolve(),
+      loadMoreRowsBatchSize: 10,
+      loadMoreRowsThreshold: 0,
+      selectionMode: 'multiple',
+      defaultSelection: [{ startRowIndex: 5, endRowIndex: 49 }],
+    });
+    await act(async () => {});
+
+    const { text } = table.getApi().getClipboardContent();
+    expect(text.split('\n')).toEqual(
+      [5, 6, 7, 8, 9].map((rowIndex) => `a${rowIndex}\t#${rowIndex}`)
+    );
+  });
+
+  it('should copy at most 10000 rows', function () {
+    const table = renderClipboardTable({
+      rowsCount: 20000,
+      selectionMode: 'multiple',
+      defaultSelection: [{ startRowIndex: 0, endRowIndex: 19999 }],
+    });
+
+    const lines = table.getApi().getClipboardContent().text.split('\n');
+    expect(lines.length).toBe(10000);
+    expect(lines[9999]).toBe('a9999\t#9999');
+  });
+
+  it('should report pasted text at the active cell', function () {
+    const onPaste = jest.fn();
+    const table = renderClipboardTable({ activeCellEnabled: true, onPaste });
+    table.getApi().setActiveCell(5, 2);
+
+    const clipboardData = { getData: () => '1\t2\n3\t4\n' };
+    const event = pressShortcut('v', 'paste', clipboardData);
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(onPaste).toHaveBeenCalledWith({
+      startRow: 5,
+      startColumnKey: 'c',
+      rows: [
+        ['1', '2'],
+        ['3', '4'],
+      ],
+    });
+  });
+
+  it('should ignore clipboard events outside of key presses', function () {
+    const onPaste = jest.fn();
+    const table = renderClipboardTable({ activeCellEnabled: true, onPaste });
+    table.getApi().setActiveCell(0, 0);
+
+    const event = new Event('paste', { bubbles: true, cancelable: true });
+    event.clipboardData = { getData: () => 'x' };
+    document.body.dispatchEvent(event);
+
+    expect(event.defaultPrevented).toBe(false);
+    expect(onPaste).not.toHaveBeenCalled();
+  });
+});
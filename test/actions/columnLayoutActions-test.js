@@ -0,0 +1,369 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect, jest } from '@jest/globals';
+import React from 'react';
+import { act } from 'react-dom/test-utils';
+
+import { Table, Column, ColumnGroup, Plugins } from '../../src/index';
+import { CellGroupType } from '../../src/enums/CellGroup';
+import cx from '../../src/vendor_upstream/stubs/cx';
+import {
+  getGrid,
+  getTableNode,
+  renderTable,
+  setupTableTest,
+  tableProps,
+} from '../helpers/tableTestHelper';
+
+const getColumnKeys = (api) =>
+  Array.from(
+    { length: api.getColumnCount() },
+    (_, columnIndex) => api.getColumn(columnIndex).columnKey
+  );
+
+describe('column visibility', function () {
+  setupTableTest();
+
+  const renderHidingTable = (ageHidden = false) =>
+    renderTable(
+      <Table {...tableProps} groupHeaderHeight={50}>
+        <ColumnGroup columnKey="person" header="Person">
+          <Column columnKey="name" width={200} />
+          <Column columnKey="age" width={200} hidden={ageHidden} />
+        </ColumnGroup>
+        <ColumnGroup columnKey="address" header="Address">
+          <Column columnKey="city" width={200} />
+        </ColumnGroup>
+      </Table>
+    );
+
+  it('should leave out the hidden columns', function () {
+    const api = renderHidingTable(true).getApi();
+
+    expect(api.getColumnCount()).toBe(2);
+    expect(api.getColumn(1)).toMatchObject({
+      columnKey: 'city',
+      offset: 200,
+    });
+    expect(api.getHiddenColumns()).toEqual(['age']);
+  });
+
+  it('should show and hide columns through the API', function () {
+    const table = renderHidingTable(true);
+
+    act(() => {
+      table.getApi().setColumnVisibility('age', true);
+      table.getApi().setColumnVisibility('city', false);
+    });
+
+    const api = table.getApi();
+    expect(api.getHiddenColumns()).toEqual(['city']);
+    expect(api.getColumnCount()).toBe(2);
+    // the column group of the hidden column gets hidden too
+    expect(api.getColumnGroupCount()).toBe(1);
+    expect(
+      getTableNode().querySelector('[role="row"][aria-rowindex="1"]')
+        .textContent
+    ).toBe('Person');
+  });
+
+  it('should let the hidden prop take precedence once it changes', function () {
+    const table = renderHidingTable(true);
+    act(() => table.getApi().setColumnVisibility('age', true));
+
+    renderHidingTable(false);
+    renderHidingTable(true);
+
+    expect(table.getApi().getHiddenColumns()).toEqual(['age']);
+  });
+});
+
+describe('column pinning', function () {
+  setupTableTest();
+
+  const renderPinningTable = (props = {}) =>
+    renderTable(
+      <Table {...tableProps} {...props}>
+        <Column columnKey="id" width={100} fixed={true} />
+        <Column columnKey="name" width={200} />
+        <Column columnKey="age" width={200} />
+        <Column columnKey="city" width={200} />
+      </Table>
+    );
+
+  it('should move the columns between the cell groups', function () {
+    const table = renderPinningTable();
+
+    act(() => {
+      table.getApi().pinColumn('city', 'left');
+      table.getApi().pinColumn('name', 'right');
+      table.getApi().pinColumn('id', null);
+    });
+
+    const api = table.getApi();
+    expect(getColumnKeys(api)).toEqual(['city', 'id', 'age', 'name']);
+    expect(api.getCellGroupWidth(CellGroupType.FIXED)).toBe(200);
+    expect(api.getCellGroupWidth(CellGroupType.FIXED_RIGHT)).toBe(200);
+    expect(api.getViewState().columns[0]).toEqual({
+      columnKey: 'city',
+      width: 200,
+      fixed: 'left',
+      hidden: false,
+    });
+    expect(() => api.pinColumn('age', 'top')).toThrow();
+  });
+
+  it('should pin the nested columns along with their column group', function () {
+    const table = renderTable(
+      <Table {...tableProps} groupHeaderHeight={50}>
+        <ColumnGroup columnKey="person" header="Person">
+          <Column columnKey="name" width={200} />
+        </ColumnGroup>
+        <ColumnGroup header="Address">
+          <Column columnKey="city" width={200} />
+        </ColumnGroup>
+      </Table>
+    );
+
+    act(() => table.getApi().pinColumn('name', 'right'));
+
+    const api = table.getApi();
+    expect(getColumnKeys(api)).toEqual(['city', 'name']);
+    expect(api.getCellGroupWidth(CellGroupType.FIXED_RIGHT)).toBe(200);
+    expect(() => api.pinColumn('city', 'left')).toThrow();
+  });
+});
+
+describe('uncontrolled column layout', function () {
+  setupTableTest();
+
+  const renderLayoutTable = (widths = {}) =>
+    renderTable(
+      <Table {...tableProps} uncontrolledColumnLayout={true}>
+        <Column columnKey="id" width={widths.id || 100} fixed={true} />
+        <Column columnKey="name" width={widths.name || 200} />
+        <Column columnKey="age" width={200} />
+        <Column columnKey="city" width={200} />
+      </Table>
+    );
+
+  it('should expose whether the column layout is uncontrolled', function () {
+    expect(renderLayoutTable().getApi().uncontrolledColumnLayout).toBe(true);
+  });
+
+  it('should move the columns and reset their order', function () {
+    const table = renderLayoutTable();
+
+    act(() => table.getApi().moveColumn('city', 'id', 'name'));
+    expect(getColumnKeys(table.getApi())).toEqual([
+      'id',
+      'city',
+      'name',
+      'age',
+    ]);
+
+    act(() => table.getApi().moveColumn('name', 'age'));
+    expect(getColumnKeys(table.getApi())).toEqual([
+      'id',
+      'city',
+      'age',
+      'name',
+    ]);
+
+    act(() => table.getApi().resetColumnOrder());
+    expect(getColumnKeys(table.getApi())).toEqual([
+      'id',
+      'name',
+      'age',
+      'city',
+    ]);
+  });
+
+  it('should keep the column widths until the width props change', function () {
+    let table = renderLayoutTable();
+
+    act(() => {
+      table.getApi().setColumnWidth('id', 150);
+      table.getApi().setColumnWidth('name', 250);
+    });
+    expect(table.getApi().getColumn(0).width).toBe(150);
+    expect(table.getApi().getColumn(1).width).toBe(250);
+    expect(table.getApi().getCellGroupWidth(CellGroupType.FIXED)).toBe(150);
+
+    table = renderLayoutTable({ name: 180 });
+    expect(table.getApi().getColumn(0).width).toBe(150);
+    expect(table.getApi().getColumn(1).width).toBe(180);
+
+    act(() => table.getApi().resetColumnWidths());
+    expect(table.getApi().getColumn(0).width).toBe(100);
+  });
+});
+
+describe('column auto-sizing', function () {
+  setupTableTest();
+
+  beforeEach(() => {
+    // JSDOM doesn't lay out elements, so cells are given 10 pixels per character of their content
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockImplementation(function () {
+        return {
+          top: 0,
+          left: 0,
+          width: this.textContent.length * 10,
+          height: 0,
+        };
+      });
+  });
+
+  const renderAutoSizeTable = (props = {}) =>
+    renderTable(
+      <Table {...tableProps} rowsCount={1000} rowHeight={50} {...props}>
+        <Column
+          columnKey="name"
+          width={100}
+          header="Name"
+          cell={({ rowIndex }) =>
+            rowIndex === 500 ? 'a very long name' : 'name'
+          }
+        />
+        <Column columnKey="id" width={100} minWidth={60} header="Id" cell="1" />
+        <Column columnKey="age" width={100} header="Age" hidden={true} />
+      </Table>
+    );
+
+  it('should measure the rendered cells and the sampled rows', function () {
+    const api = renderAutoSizeTable().getApi();
+
+    expect(api.measureColumnWidth('name')).toBe(40);
+    expect(api.measureColumnWidth('name', { sampleRowsCount: 2 })).toBe(160);
+    expect(api.measureColumnWidth('age')).toBe(null);
+    expect(
+      getTableNode().querySelector('[aria-colindex="1"]').textContent
+    ).toBe('Name');
+  });
+
+  it('should keep the ids of the cells unique while measuring', function () {
+    const table = renderAutoSizeTable({ activeCellEnabled: true });
+    act(() => {
+      table.getApi().setActiveCell(0, 0);
+    });
+    const activeCellId = getGrid().getAttribute('aria-activedescendant');
+    let activeCellIdsCount = null;
+    Element.prototype.getBoundingClientRect.mockImplementation(() => {
+      const selector = `[id="${activeCellId}"]`;
+      activeCellIdsCount =
+        getTableNode().querySelectorAll(selector).length +
+        document.body.querySelectorAll(selector).length;
+      return { top: 0, left: 0, width: 0, height: 0 };
+    });
+
+    table.getApi().measureColumnWidth('name', { sampleRowsCount: 2 });
+
+    expect(activeCellIdsCount).toBe(1);
+    expect(
+      document.body.querySelector(cx('.fixedDataTableCellLayout/measure'))
+    ).toBe(null);
+  });
+
+  it('should clean up when a sampled cell throws', function () {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const api = renderTable(
+      <Table {...tableProps} rowsCount={1000}>
+        <Column
+          columnKey="name"
+          width={100}
+          cell={({ rowIndex }) => {
+            if (rowIndex === 500) {
+              throw new Error('unavailable');
+            }
+            return 'name';
+          }}
+        />
+      </Table>
+    ).getApi();
+    const tableHtml = getTableNode().innerHTML;
+
+    expect(() =>
+      api.measureColumnWidth('name', { sampleRowsCount: 2 })
+    ).toThrow('unavailable');
+    expect(
+      document.body.querySelector(cx('.fixedDataTableCellLayout/measure'))
+    ).toBe(null);
+    expect(getTableNode().innerHTML).toBe(tableHtml);
+  });
+
+  it('should resize the columns to fit their content', function () {
+    const onColumnResizeEndCallback = jest.fn();
+    const table = renderAutoSizeTable({
+      onColumnResizeEndCallback,
+      uncontrolledColumnLayout: true,
+    });
+
+    let width;
+    act(() => {
+      width = table.getApi().autoSizeColumn('id');
+    });
+    // the width is kept within the column's minWidth
+    expect(width).toBe(60);
+    expect(table.getApi().getColumn(1).width).toBe(60);
+    expect(onColumnResizeEndCallback).toHaveBeenCalledWith(60, 'id');
+
+    let widths;
+    act(() => {
+      widths = table.getApi().autoSizeAllColumns({ sampleRowsCount: 2 });
+    });
+    expect(widths).toEqual({ name: 160, id: 60 });
+    expect(table.getApi().getColumn(0).width).toBe(160);
+    expect(onColumnResizeEndCallback).toHaveBeenLastCalledWith(60, 'id');
+  });
+
+  it('should report the widths to the resize cells of the headers', function () {
+    const onColumnResizeEnd = jest.fn();
+    const onColumnResizeEndCallback = jest.fn();
+    const table = renderTable(
+      <Table
+        {...tableProps}
+        onColumnResizeEndCallback={onColumnResizeEndCallback}
+      >
+        <Column
+          columnKey="name"
+          width={100}
+          header={
+            <Plugins.ReorderCell>
+              <Plugins.ResizeCell onColumnResizeEnd={onColumnResizeEnd}>
+                Name
+              </Plugins.ResizeCell>
+            </Plugins.ReorderCell>
+          }
+          cell="a long name"
+        />
+        <Column columnKey="id" width={100} header="Id" cell="1" />
+      </Table>
+    );
+
+    act(() => {
+      table.getApi().autoSizeColumn('name');
+    });
+    expect(onColumnResizeEnd).toHaveBeenCalledWith(110, 'name');
+    expect(onColumnResizeEndCallback).not.toHaveBeenCalled();
+
+    // the columns without a resize cell report to the deprecated table callback
+    act(() => {
+      table.getApi().autoSizeAllColumns();
+    });
+    expect(onColumnResizeEnd).toHaveBeenCalledTimes(2);
+    expect(onColumnResizeEndCallback).toHaveBeenCalledWith(20, 'id');
+  });
+
+  it('should keep the column widths as is without uncontrolledColumnLayout', function () {
+    const table = renderAutoSizeTable();
+
+    act(() => {
+      table.getApi().autoSizeAllColumns();
+    });
+
+    expect(table.getApi().getColumn(0).width).toBe(100);
+  });
+});
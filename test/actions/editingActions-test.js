@@ -0,0 +1,164 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect, jest } from '@jest/globals';
+import React from 'react';
+
+import { Table, Column } from '../../src/index';
+import {
+  getCell,
+  getGrid,
+  getTableNode,
+  pressKey,
+  renderTable,
+  setupTableTest,
+  tableProps,
+} from '../helpers/tableTestHelper';
+
+describe('editing', function () {
+  setupTableTest();
+
+  let editorProps;
+  const editor = (props) => {
+    editorProps = props;
+    return <input className="test-editor" defaultValue={props.value} />;
+  };
+
+  const renderEditableTable = (props = {}, bHidden = false) =>
+    renderTable(
+      <Table {...tableProps} {...props}>
+        <Column columnKey="a" width={300} editor={editor} />
+        <Column columnKey="b" width={300} hidden={bHidden} />
+        <Column
+          columnKey="c"
+          width={300}
+          editor={editor}
+          valueGetter={(rowIndex) => `c${rowIndex}`}
+        />
+      </Table>
+    );
+  const getEditor = () => getTableNode().querySelector('.test-editor');
+
+  beforeEach(function () {
+    editorProps = null;
+  });
+
+  it('should open the editor on double click', function () {
+    const table = renderEditableTable();
+
+    getCell(1, 2).dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+    expect(table.getApi().getEditingCell()).toEqual({
+      rowIndex: 1,
+      columnIndex: 2,
+      columnKey: 'c',
+      value: 'c1',
+    });
+    expect(getCell(1, 2).querySelector('.test-editor')).toBeTruthy();
+    expect(editorProps).toMatchObject({
+      rowIndex: 1,
+      columnKey: 'c',
+      value: 'c1',
+      autoFocus: true,
+    });
+
+    // cells without editor can't be edited
+    getCell(1, 1).dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+    expect(table.getApi().getEditingCell().columnIndex).toBe(2);
+  });
+
+  it('should commit the edited value on Enter', function () {
+    const onCellEditCommit = jest.fn();
+    const table = renderEditableTable({ onCellEditCommit });
+    table.getApi().startEdit(3, 0);
+
+    editorProps.onChange('new value');
+    pressKey(getEditor(), 'Enter');
+
+    expect(onCellEditCommit).toHaveBeenCalledWith({
+      rowIndex: 3,
+      columnIndex: 0,
+      columnKey: 'a',
+      value: 'new value',
+    });
+    expect(table.getApi().getEditingCell()).toBe(null);
+    expect(getEditor()).toBe(null);
+  });
+
+  it('should discard the edited value on Escape', function () {
+    const onCellEditCommit = jest.fn();
+    const table = renderEditableTable({ onCellEditCommit });
+    table.getApi().startEdit(3, 0);
+
+    editorProps.onChange('new value');
+    pressKey(getEditor(), 'Escape');
+
+    expect(onCellEditCommit).not.toHaveBeenCalled();
+    expect(table.getApi().getEditingCell()).toBe(null);
+  });
+
+  it('should move to the next editable cell on Tab', function () {
+    const onCellEditCommit = jest.fn();
+    const table = renderEditableTable({ onCellEditCommit });
+    table.getApi().startEdit(0, 0);
+
+    pressKey(getEditor(), 'Tab');
+    expect(onCellEditCommit).toHaveBeenCalledTimes(1);
+    expect(table.getApi().getEditingCell()).toEqual({
+      rowIndex: 0,
+      columnIndex: 2,
+      columnKey: 'c',
+      value: 'c0',
+    });
+
+    pressKey(getEditor(), 'Tab');
+    expect(table.getApi().getEditingCell()).toMatchObject({
+      rowIndex: 1,
+      columnIndex: 0,
+    });
+
+    pressKey(getEditor(), 'Tab', { shiftKey: true });
+    expect(table.getApi().getEditingCell()).toMatchObject({
+      rowIndex: 0,
+      columnIndex: 2,
+    });
+  });
+
+  it('should start editing the active cell when typing', function () {
+    const table = renderEditableTable({ activeCellEnabled: true });
+    table.getApi().setActiveCell(2, 2);
+
+    const event = pressKey(getGrid(), 'x');
+    expect(event.defaultPrevented).toBe(true);
+    expect(table.getApi().getEditingCell()).toEqual({
+      rowIndex: 2,
+      columnIndex: 2,
+      columnKey: 'c',
+      value: 'x',
+    });
+  });
+
+  it('should keep editing while the row is out of the buffer', function () {
+    const table = renderEditableTable();
+    table.getApi().startEdit(0, 0, 'kept');
+
+    expect(getEditor()).toBeTruthy();
+
+    // the editor is unmounted once its row gets recycled
+    renderEditableTable({ scrollTop: 4000 });
+    expect(getEditor()).toBe(null);
+    expect(table.getApi().getEditingCell().value).toBe('kept');
+  });
+
+  it('should discard the edit once the edited column moves', function () {
+    const onCellEditCommit = jest.fn();
+    const table = renderEditableTable({ onCellEditCommit });
+    table.getApi().startEdit(3, 2, 'lost');
+
+    // the edited column takes the place of the hidden column
+    renderEditableTable({ onCellEditCommit }, true);
+    expect(table.getApi().getEditingCell()).toBe(null);
+
+    table.getApi().commitEdit();
+    expect(onCellEditCommit).not.toHaveBeenCalled();
+  });
+});
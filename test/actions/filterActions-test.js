@@ -0,0 +1,98 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect, jest } from '@jest/globals';
+import React from 'react';
+import { act, Simulate } from 'react-dom/test-utils';
+
+import { Table, Column, Plugins } from '../../src/index';
+import {
+  getGrid,
+  getTableNode,
+  renderTable,
+  setupTableTest,
+  tableProps,
+} from '../helpers/tableTestHelper';
+
+describe('filter row', function () {
+  setupTableTest();
+
+  const renderFilterTable = (props = {}) =>
+    renderTable(
+      <Table
+        {...tableProps}
+        rowsCount={10}
+        rowHeight={50}
+        filterHeight={40}
+        {...props}
+      >
+        <Column
+          columnKey="name"
+          width={200}
+          header="Name"
+          filter={<Plugins.TextFilterCell />}
+        />
+        <Column
+          columnKey="color"
+          width={200}
+          header="Color"
+          filter={<Plugins.SetFilterCell options={['red', 'blue']} />}
+        />
+        <Column columnKey="age" width={200} header="Age" />
+      </Table>
+    );
+  // the filter row comes right after the header row
+  const getFilterRow = () =>
+    getTableNode().querySelector('[role="row"][aria-rowindex="2"]');
+
+  it('should render the filter row beneath the header', function () {
+    renderFilterTable({
+      defaultFilterModel: { color: { type: 'set', values: ['blue'] } },
+    });
+
+    const filterRow = getFilterRow();
+    expect(filterRow.parentNode.style.height).toBe('40px');
+    expect(filterRow.querySelectorAll('input, select').length).toBe(2);
+    expect(filterRow.querySelector('select').value).toBe('1');
+    expect(getGrid().getAttribute('aria-rowcount')).toBe('12');
+    expect(
+      getTableNode().querySelector('[role="row"][aria-rowindex="3"]')
+        .textContent
+    ).toBe('');
+  });
+
+  it('should report the edited filters', function () {
+    const onFilterChange = jest.fn();
+    const table = renderFilterTable({ onFilterChange });
+
+    act(() => {
+      Simulate.change(getFilterRow().querySelector('input'), {
+        target: { value: 'an' },
+      });
+    });
+
+    expect(onFilterChange).toHaveBeenLastCalledWith({
+      name: { type: 'text', value: 'an' },
+    });
+    expect(table.getApi().filterModel).toEqual({
+      name: { type: 'text', value: 'an' },
+    });
+    expect(getFilterRow().querySelector('input').value).toBe('an');
+  });
+
+  it('should keep a controlled filter model', function () {
+    const onFilterChange = jest.fn();
+    const filterModel = { name: { type: 'text', value: 'a' } };
+    const table = renderFilterTable({ onFilterChange, filterModel });
+
+    act(() =>
+      table.getApi().setColumnFilter('color', { type: 'set', values: ['red'] })
+    );
+
+    expect(onFilterChange).toHaveBeenCalledWith({
+      ...filterModel,
+      color: { type: 'set', values: ['red'] },
+    });
+    expect(table.getApi().getFilterModel()).toEqual(filterModel);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect } from '@jest/globals';
+
+import Scrollbar from '../../src/plugins/Scrollbar';
+import { renderDefaultTable, setupTableTest } from '../helpers/tableTestHelper';
+
+describe('row geometry', function () {
+  setupTableTest();
+
+  // the table's height minus the header, the horizontal scrollbar and the borders
+  const availableHeight = 400 - 50 - Scrollbar.SIZE - 2;
+
+  it('should expose the offsets and heights of the rows', function () {
+    const api = renderDefaultTable({
+      rowHeightGetter: (rowIndex) => (rowIndex === 2 ? 200 : 100),
+    }).getApi();
+
+    expect(api.getRowOffset(3)).toBe(400);
+    expect(api.getRowHeight(2)).toBe(200);
+    expect(api.getRowAtOffset(350)).toEqual({
+      rowIndex: 2,
+      distanceFromOffset: 150,
+    });
+    expect(api.scrollContentHeight).toBe(5100);
+    expect(api.maxScrollY).toBe(5100 - availableHeight);
+    expect(() => api.getRowOffset(50)).toThrow();
+  });
+
+  it('should expose the visible and rendered rows', function () {
+    const api = renderDefaultTable({ scrollTop: 1050 }).getApi();
+
+    expect(api.scrollY).toBe(1050);
+    expect(api.getVisibleRowRange()).toEqual({
+      startIndex: 10,
+      stopIndex: Math.floor((1050 + availableHeight) / 100),
+    });
+    const renderedRange = api.getRenderedRowRange();
+    expect(renderedRange.startIndex).toBeLessThanOrEqual(10);
+    expect(renderedRange.stopIndex).toBeGreaterThanOrEqual(13);
+  });
+
+  it('should leave out the fixed rows', function () {
+    const api = renderDefaultTable({
+      fixedRowsCount: 2,
+      fixedBottomRowsCount: 1,
+    }).getApi();
+
+    expect(api.getRowOffset(1)).toBe(100);
+    expect(api.getRowHeight(49)).toBe(100);
+    expect(api.getRowOffset(2)).toBe(0);
+    expect(api.getRowAtOffset(0).rowIndex).toBe(2);
+    expect(api.getRowAtOffset(100000).rowIndex).toBe(48);
+    expect(api.scrollContentHeight).toBe(4700);
+    expect(api.getVisibleRowRange().startIndex).toBe(2);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect, jest } from '@jest/globals';
+import React from 'react';
+import { act } from 'react-dom/test-utils';
+
+import { Table, Column } from '../../src/index';
+import {
+  getCell,
+  renderTable,
+  setupTableTest,
+  tableProps,
+} from '../helpers/tableTestHelper';
+
+describe('row loading', function () {
+  setupTableTest();
+
+  const renderLoadingTable = (props = {}) =>
+    renderTable(
+      <Table {...tableProps} rowsCount={1000} rowHeight={50} {...props}>
+        <Column
+          columnKey="name"
+          width={200}
+          header="Name"
+          cell={({ rowIndex }) => `Row ${rowIndex}`}
+        />
+      </Table>
+    );
+
+  it('should render placeholders until the rendered rows are loaded', async function () {
+    let resolveRows;
+    const loadMoreRows = jest.fn(
+      () => new Promise((resolve) => (resolveRows = resolve))
+    );
+    const table = renderLoadingTable({ loadMoreRows });
+
+    expect(loadMoreRows).toHaveBeenCalledTimes(1);
+    expect(loadMoreRows.mock.calls[0][0]).toMatchObject({
+      startIndex: 0,
+      stopIndex: 49,
+    });
+    expect(getCell(0, 0).getAttribute('aria-busy')).toBe('true');
+    expect(getCell(0, 0).textContent).toBe('');
+
+    await act(async () => resolveRows());
+
+    expect(getCell(0, 0).getAttribute('aria-busy')).toBe(null);
+    expect(getCell(0, 0).textContent).toBe('Row 0');
+    expect(table.getApi().isRowLoaded(49)).toBe(true);
+    expect(table.getApi().isRowLoaded(50)).toBe(false);
+    expect(loadMoreRows).toHaveBeenCalledTimes(1);
+  });
+
+  it('should abort the requests of rows scrolled past', function () {
+    const loadMoreRows = jest.fn(() => new Promise(() => {}));
+    renderLoadingTable({ loadMoreRows });
+    const { signal } = loadMoreRows.mock.calls[0][0];
+
+    renderLoadingTable({ loadMoreRows, scrollTop: 20000 });
+
+    expect(signal.aborted).toBe(true);
+    expect(
+      loadMoreRows.mock.calls
+        .slice(1)
+        .map(([{ startIndex, stopIndex }]) => [startIndex, stopIndex])
+    ).toEqual([
+      [350, 399],
+      [400, 449],
+    ]);
+    expect(getCell(400, 0).getAttribute('aria-busy')).toBe('true');
+  });
+
+  it('should load the rows again once reset', async function () {
+    const loadMoreRows = jest.fn(() => Promise.resolve());
+    const table = renderLoadingTable({
+      loadMoreRows,
+      loadMoreRowsBatchSize: 20,
+      loadMoreRowsThreshold: 0,
+    });
+    await act(async () => {});
+    expect(getCell(0, 0).textContent).toBe('Row 0');
+
+    act(() => table.getApi().resetLoadedRows());
+
+    expect(loadMoreRows).toHaveBeenCalledTimes(2);
+    expect(loadMoreRows.mock.calls[1][0]).toMatchObject({
+      startIndex: 0,
+      stopIndex: 19,
+    });
+    expect(getCell(0, 0).textContent).toBe('');
+  });
+
+  it('should only request the failed rows again once the wanted rows change', async function () {
+    const loadMoreRows = jest.fn(() => Promise.reject(new Error('offline')));
+    renderLoadingTable({ loadMoreRows });
+    for (let i = 0; i < 5; i++) {
+      await act(async () => {});
+    }
+
+    expect(loadMoreRows).toHaveBeenCalledTimes(1);
+    expect(getCell(0, 0).getAttribute('aria-busy')).toBe('true');
+
+    renderLoadingTable({ loadMoreRows, scrollTop: 500 });
+    for (let i = 0; i < 5; i++) {
+      await act(async () => {});
+    }
+
+    expect(loadMoreRows).toHaveBeenCalledTimes(2);
+    expect(loadMoreRows.mock.calls[1][0]).toMatchObject({
+      startIndex: 0,
+      stopIndex: 49,
+    });
+  });
+
+  it('should move the loaded rows along with the spliced rows', async function () {
+    const loadMoreRows = jest.fn(() => Promise.resolve());
+    const table = renderLoadingTable({ loadMoreRows });
+    await act(async () => {});
+
+    act(() => table.getApi().spliceRows(0, 0, 5));
+    renderLoadingTable({ loadMoreRows, rowsCount: 1005 });
+
+    expect(table.getApi().isRowLoaded(0)).toBe(false);
+    expect(table.getApi().isRowLoaded(54)).toBe(true);
+    expect(loadMoreRows).toHaveBeenCalledTimes(2);
+    expect(loadMoreRows.mock.calls[1][0]).toMatchObject({
+      startIndex: 0,
+      stopIndex: 4,
+    });
+  });
+
+  it('should request the spliced rows again while pending', function () {
+    const loadMoreRows = jest.fn(() => new Promise(() => {}));
+    const table = renderLoadingTable({ loadMoreRows });
+    const { signal } = loadMoreRows.mock.calls[0][0];
+
+    act(() => table.getApi().spliceRows(10, 0, 5));
+
+    expect(signal.aborted).toBe(true);
+    expect(loadMoreRows).toHaveBeenCalledTimes(2);
+    expect(loadMoreRows.mock.calls[1][0]).toMatchObject({
+      startIndex: 0,
+      stopIndex: 49,
+    });
+  });
+
+  it('should drop the loaded rows past the end of the table', async function () {
+    const loadMoreRows = jest.fn(() => Promise.resolve());
+    const table = renderLoadingTable({ loadMoreRows });
+    await act(async () => {});
+
+    renderLoadingTable({ loadMoreRows, rowsCount: 20 });
+    renderLoadingTable({ loadMoreRows, rowsCount: 1000 });
+
+    expect(table.getApi().isRowLoaded(19)).toBe(true);
+    expect(table.getApi().isRowLoaded(20)).toBe(false);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect, jest } from '@jest/globals';
+import { act } from 'react-dom/test-utils';
+
+import Scrollbar from '../../src/plugins/Scrollbar';
+import * as requestAnimationFramePolyfill from '../../src/vendor_upstream/core/requestAnimationFramePolyfill';
+import { renderDefaultTable, setupTableTest } from '../helpers/tableTestHelper';
+
+describe('smooth scroll', function () {
+  setupTableTest();
+
+  let frames;
+  let now;
+
+  beforeEach(function () {
+    now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  // queues the animation frames, so that the tests can step through them
+  const queueFrames = () => {
+    frames = [];
+    requestAnimationFramePolyfill.default.mockImplementation((callback) =>
+      frames.push(callback)
+    );
+  };
+  const runFrames = (time) => {
+    now = time;
+    const callbacks = frames;
+    frames = [];
+    act(() => callbacks.forEach((callback) => callback()));
+  };
+
+  it('should scroll instantly to the aligned row', async function () {
+    const table = renderDefaultTable();
+    const api = table.getApi();
+
+    await expect(api.scrollToRow(10, { align: 'start' })).resolves.toBe(true);
+    expect(table.state.boundState.scrollY).toBe(1000);
+
+    // the table's height minus the header, the horizontal scrollbar and the borders
+    const availableHeight = 400 - 50 - Scrollbar.SIZE - 2;
+    await api.scrollToRow(20, { align: 'center' });
+    expect(table.state.boundState.scrollY).toBe(
+      2000 + (100 - availableHeight) / 2
+    );
+
+    // the row is already visible
+    await api.scrollToRow(21);
+    expect(table.state.boundState.scrollY).toBe(
+      2000 + (100 - availableHeight) / 2
+    );
+  });
+
+  it('should scroll instantly to the aligned column', async function () {
+    const table = renderDefaultTable();
+    const api = table.getApi();
+
+    await api.scrollToColumn(3);
+    expect(table.state.boundState.scrollX).toBe(300 * 2 + Scrollbar.SIZE);
+
+    await api.scrollToColumn(1, { align: 'start' });
+    expect(table.state.boundState.scrollX).toBe(300);
+  });
+
+  it('should ease the scroll over the animation frames', async function () {
+    const table = renderDefaultTable();
+    queueFrames();
+
+    const promise = table
+      .getApi()
+      .scrollToRow(10, { align: 'start', behavior: 'smooth' });
+    runFrames(0);
+    expect(table.state.boundState.scrollY).toBe(0);
+    runFrames(150);
+    expect(table.state.boundState.scrollY).toBe(500);
+    runFrames(300);
+    expect(table.state.boundState.scrollY).toBe(1000);
+
+    await expect(promise).resolves.toBe(true);
+    expect(frames.length).toBe(0);
+  });
+
+  it('should stop the smooth scroll on user scrolls', async function () {
+    const table = renderDefaultTable();
+    queueFrames();
+
+    const promise = table.getApi().scrollToY(1000, { behavior: 'smooth' });
+    runFrames(150);
+    expect(table.state.boundState.scrollY).toBe(500);
+
+    act(() => table.scrollActions.scrollToY(200));
+    runFrames(300);
+
+    await expect(promise).resolves.toBe(false);
+    expect(table.state.boundState.scrollY).toBe(200);
+  });
+});
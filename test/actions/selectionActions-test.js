@@ -0,0 +1,92 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect, jest } from '@jest/globals';
+
+import {
+  getCell,
+  getCells,
+  getGrid,
+  getRow,
+  pressKey,
+  renderDefaultTable,
+  setupTableTest,
+} from '../helpers/tableTestHelper';
+
+describe('selection', function () {
+  setupTableTest();
+
+  const clickCell = (rowIndex, columnIndex, eventInit = {}) => {
+    getCell(rowIndex, columnIndex).dispatchEvent(
+      new MouseEvent('click', Object.assign({ bubbles: true }, eventInit))
+    );
+  };
+
+  it('should select rows on click', function () {
+    const onSelectionChange = jest.fn();
+    const table = renderDefaultTable({
+      onSelectionChange,
+      selectionMode: 'multiple',
+    });
+
+    clickCell(1, 0);
+    clickCell(3, 2, { shiftKey: true });
+
+    expect(onSelectionChange).toHaveBeenLastCalledWith([
+      { startRowIndex: 1, endRowIndex: 3 },
+    ]);
+    expect(table.state.boundState.selection).toEqual([
+      { startRowIndex: 1, endRowIndex: 3 },
+    ]);
+    expect(getRow(2).getAttribute('aria-selected')).toBe('true');
+  });
+
+  it('should select cells in cell selection mode', function () {
+    renderDefaultTable({ selectionMode: 'cell' });
+
+    clickCell(2, 1);
+
+    const cells = getCells(2);
+    expect(cells[0].getAttribute('aria-selected')).toBe('false');
+    expect(cells[1].getAttribute('aria-selected')).toBe('true');
+  });
+
+  it('should not update a controlled selection', function () {
+    const selection = [{ startRowIndex: 0, endRowIndex: 0 }];
+    const onSelectionChange = jest.fn();
+    const table = renderDefaultTable({
+      onSelectionChange,
+      selection,
+      selectionMode: 'single',
+    });
+
+    clickCell(4, 0);
+
+    expect(onSelectionChange).toHaveBeenCalledWith([
+      { startRowIndex: 4, endRowIndex: 4 },
+    ]);
+    expect(table.state.boundState.selection).toBe(selection);
+  });
+
+  it('should expose the selection through the API', function () {
+    const api = renderDefaultTable({ selectionMode: 'multiple' }).getApi();
+
+    api.selectAll();
+    expect(api.getSelection()).toEqual([{ startRowIndex: 0, endRowIndex: 49 }]);
+
+    api.setSelection([]);
+    expect(api.getSelection()).toEqual([]);
+  });
+
+  it('should select all the rows with Ctrl+A, whatever the case of the key', function () {
+    const onSelectionChange = jest.fn();
+    renderDefaultTable({ onSelectionChange, selectionMode: 'multiple' });
+
+    const event = pressKey(getGrid(), 'A', { ctrlKey: true, shiftKey: true });
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(onSelectionChange).toHaveBeenLastCalledWith([
+      { startRowIndex: 0, endRowIndex: 49 },
+    ]);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect, jest } from '@jest/globals';
+import React from 'react';
+import { act } from 'react-dom/test-utils';
+
+import { Table, Column } from '../../src/index';
+import {
+  renderTable,
+  setupTableTest,
+  tableProps,
+} from '../helpers/tableTestHelper';
+
+describe('view state', function () {
+  setupTableTest();
+
+  const renderViewStateTable = (props = {}, nameWidth = 200) =>
+    renderTable(
+      <Table {...tableProps} {...props}>
+        <Column columnKey="id" width={100} fixed={true} />
+        <Column columnKey="name" width={nameWidth} />
+        <Column columnKey="age" width={200} />
+        <Column columnKey="city" width={200} />
+      </Table>
+    );
+
+  it('should give the view state of the table', function () {
+    const api = renderViewStateTable({
+      defaultSortState: [{ columnKey: 'age', direction: 'ASC' }],
+      scrollTop: 250,
+      scrollLeft: 50,
+    }).getApi();
+
+    expect(api.getViewState()).toEqual({
+      columns: [
+        { columnKey: 'id', width: 100, fixed: 'left', hidden: false },
+        { columnKey: 'name', width: 200, fixed: null, hidden: false },
+        { columnKey: 'age', width: 200, fixed: null, hidden: false },
+        { columnKey: 'city', width: 200, fixed: null, hidden: false },
+      ],
+      sortState: [{ columnKey: 'age', direction: 'ASC' }],
+      filterModel: {},
+      scrollAnchor: { firstIndex: 2, firstOffset: -50 },
+      scrollX: 50,
+    });
+  });
+
+  it('should restore a view state serialized as JSON', function () {
+    const viewState = JSON.parse(
+      JSON.stringify({
+        columns: [
+          { columnKey: 'city', width: 150, fixed: 'left', hidden: false },
+          { columnKey: 'id', width: 100, fixed: null, hidden: false },
+          { columnKey: 'name', width: 200, fixed: null, hidden: true },
+          { columnKey: 'age', width: 200, fixed: 'right', hidden: false },
+        ],
+        sortState: [{ columnKey: 'id', direction: 'DESC' }],
+        filterModel: { city: { type: 'text', value: 'par' } },
+        scrollAnchor: { firstIndex: 5, firstOffset: -20 },
+        scrollX: 0,
+      })
+    );
+    const onSortChange = jest.fn();
+    const table = renderViewStateTable({ onSortChange });
+
+    act(() => table.getApi().restoreViewState(viewState));
+
+    const api = table.getApi();
+    expect(api.getViewState()).toEqual(viewState);
+    expect(onSortChange).toHaveBeenCalledWith(viewState.sortState);
+    expect(api.getColumnCount()).toBe(3);
+    expect(api.getColumn(0).columnKey).toBe('city');
+    expect(api.getColumn(0).width).toBe(150);
+    expect(table.state.boundState.scrollY).toBe(5 * 100 + 20);
+  });
+
+  it('should keep the first row within the rows when restoring', function () {
+    const table = renderViewStateTable({ rowsCount: 3 });
+
+    act(() =>
+      table.getApi().restoreViewState({
+        columns: [],
+        scrollAnchor: { firstIndex: 40, firstOffset: 0 },
+      })
+    );
+
+    expect(table.getApi().getViewState().scrollAnchor.firstIndex).toBe(0);
+    expect(table.state.boundState.scrollY).toBe(0);
+  });
+
+  it('should let the props of the columns take precedence once they change', function () {
+    const table = renderViewStateTable();
+    act(() =>
+      table.getApi().restoreViewState({
+        columns: [
+          { columnKey: 'name', width: 300, fixed: null, hidden: false },
+          { columnKey: 'age', width: 250, fixed: null, hidden: false },
+        ],
+      })
+    );
+
+    renderViewStateTable({}, 120);
+
+    const { columns } = table.getApi().getViewState();
+    expect(columns.find(({ columnKey }) => columnKey === 'name').width).toBe(
+      120
+    );
+    expect(columns.find(({ columnKey }) => columnKey === 'age').width).toBe(
+      250
+    );
+  });
+
+  it('should call onViewStateChange once the view state changes', function () {
+    const onViewStateChange = jest.fn();
+    const table = renderViewStateTable({ onViewStateChange });
+    expect(onViewStateChange).not.toHaveBeenCalled();
+
+    act(() =>
+      table.getApi().setSortState([{ columnKey: 'name', direction: 'ASC' }])
+    );
+    expect(onViewStateChange).toHaveBeenCalledTimes(1);
+    expect(onViewStateChange.mock.calls[0][0].sortState).toEqual([
+      { columnKey: 'name', direction: 'ASC' },
+    ]);
+
+    renderViewStateTable({ onViewStateChange });
+    expect(onViewStateChange).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect, jest } from '@jest/globals';
+import { getCellSpans } from '../../src/helper/cellSpanHelper';
+
+describe('cellSpanHelper', function () {
+  describe('getCellSpans', function () {
+    const columns = (startIndex, count) =>
+      Array.from({ length: count }, (_, i) => ({
+        columnKey: `c${startIndex + i}`,
+        index: startIndex + i,
+        width: 100,
+      }));
+
+    const getSpans = (spans, params = {}) =>
+      getCellSpans({
+        cellSpanGetter: (rowIndex, columnKey) =>
+          spans[`${rowIndex}.${columnKey}`],
+        columnGroups: [columns(0, 1), columns(1, 3)],
+        renderedColumns: [null, null],
+        rowIndexes: [0, 1, 2, 3],
+        rowsCount: 10,
+        maxRowSpan: 5,
+        maxColSpan: 5,
+        rowHeightGetter: () => 50,
+        subRowHeightGetter: () => 0,
+        ...params,
+      });
+
+    it('should omit rows without merged cells', function () {
+      expect(getSpans({ '0.c1': { rowSpan: 1, colSpan: 1 } })).toEqual({});
+    });
+
+    it('should render merged cells in each of their rows', function () {
+      const cellSpans = getSpans({ '1.c1': { rowSpan: 2, colSpan: 2 } });
+      expect(cellSpans).toEqual({
+        1: {
+          1: { rowIndex: 1, top: 0, width: 200, height: 100 },
+          2: { hidden: true, anchorColumnIndex: 1 },
+        },
+        2: {
+          1: { rowIndex: 1, top: -50, width: 200, height: 100 },
+          2: { hidden: true, anchorColumnIndex: 1 },
+        },
+      });
+    });
+
+    it('should clip merged cells at the boundaries of their group', function () {
+      const cellSpans = getSpans(
+        {
+          '0.c0': { colSpan: 3 },
+          '0.c2': { colSpan: 5 },
+          '8.c1': { rowSpan: 5 },
+        },
+        { rowIndexes: [8, 9] }
+      );
+      expect(cellSpans[8][1]).toEqual({
+        rowIndex: 8,
+        top: 0,
+        width: 100,
+        height: 100,
+      });
+
+      const { 0: firstRowSpans } = getSpans({
+        '0.c0': { colSpan: 3 },
+        '0.c2': { colSpan: 5 },
+      });
+      expect(firstRowSpans).toEqual({
+        2: { rowIndex: 0, top: 0, width: 200, height: 50 },
+        3: { hidden: true, anchorColumnIndex: 2 },
+      });
+    });
+
+    it('should find merged cells starting above the rendered rows', function () {
+      const cellSpans = getSpans(
+        { '2.c3': { rowSpan: 4 } },
+        { rowIndexes: [4, 5, 6] }
+      );
+      expect(cellSpans).toEqual({
+        4: { 3: { rowIndex: 2, top: -100, width: 100, height: 200 } },
+        5: { 3: { rowIndex: 2, top: -150, width: 100, height: 200 } },
+      });
+    });
+
+    it('should only look up the rendered columns and the columns before them', function () {
+      const spans = {
+        '0.c2': { colSpan: 6 },
+        '0.c5': { colSpan: 3 },
+      };
+      const cellSpanGetter = jest.fn(
+        (rowIndex, columnKey) => spans[`${rowIndex}.${columnKey}`]
+      );
+      const cellSpans = getSpans(spans, {
+        cellSpanGetter,
+        columnGroups: [columns(0, 1), columns(1, 9)],
+        renderedColumns: [null, [5, 6]],
+        rowIndexes: [0],
+        maxColSpan: 3,
+      });
+
+      // c2 is further than `maxColSpan - 1` columns before the rendered columns
+      expect(cellSpans).toEqual({
+        0: {
+          5: { rowIndex: 0, top: 0, width: 300, height: 50 },
+          6: { hidden: true, anchorColumnIndex: 5 },
+          7: { hidden: true, anchorColumnIndex: 5 },
+        },
+      });
+      const columnKeys = cellSpanGetter.mock.calls.map(
+        ([, columnKey]) => columnKey
+      );
+      expect(columnKeys).toEqual(['c0', 'c4', 'c5']);
+    });
+
+    it('should ignore the spans of covered cells', function () {
+      const cellSpans = getSpans({
+        '0.c1': { rowSpan: 2, colSpan: 2 },
+        '1.c2': { rowSpan: 3 },
+      });
+      expect(cellSpans[1][2]).toEqual({ hidden: true, anchorColumnIndex: 1 });
+      expect(cellSpans[2]).toBeUndefined();
+    });
+
+    it('should account for variable row heights', function () {
+      const cellSpans = getSpans(
+        { '0.c0': { rowSpan: 3 } },
+        {
+          rowHeightGetter: (rowIndex) => 10 * (rowIndex + 1),
+          subRowHeightGetter: (rowIndex) => (rowIndex === 0 ? 5 : 0),
+        }
+      );
+      expect(cellSpans[2][0]).toEqual({
+        rowIndex: 0,
+        top: -35,
+        width: 100,
+        height: 65,
+      });
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect } from '@jest/globals';
+import { parseTSV, toHTML, toTSV } from '../../src/helper/clipboardHelper';
+
+describe('clipboardHelper', function () {
+  describe('toTSV', function () {
+    it('should separate values with tabs and rows with line breaks', function () {
+      expect(
+        toTSV([
+          ['a', 'b'],
+          ['c', ''],
+        ])
+      ).toBe('a\tb\nc\t');
+    });
+
+    it('should quote values with special characters', function () {
+      expect(toTSV([['a\tb', 'line\nbreak', 'say "hi"']])).toBe(
+        '"a\tb"\t"line\nbreak"\t"say ""hi"""'
+      );
+    });
+  });
+
+  describe('toHTML', function () {
+    it('should create an escaped HTML table', function () {
+      expect(toHTML([['a', '<b>'], ['&']])).toBe(
+        '<table><tbody><tr><td>a</td><td>&lt;b&gt;</td></tr>' +
+          '<tr><td>&amp;</td></tr></tbody></table>'
+      );
+    });
+  });
+
+  describe('parseTSV', function () {
+    it('should split rows and values', function () {
+      expect(parseTSV('a\tb\r\nc\t\n')).toEqual([
+        ['a', 'b'],
+        ['c', ''],
+      ]);
+    });
+
+    it('should parse quoted values', function () {
+      expect(parseTSV('"a\tb"\t"line\nbreak"\t"say ""hi"""')).toEqual([
+        ['a\tb', 'line\nbreak', 'say "hi"'],
+      ]);
+    });
+
+    it('should return the values of toTSV', function () {
+      const rows = [
+        ['1', '"quoted"', ''],
+        ['multi\r\nline', 'x', 'y'],
+      ];
+      expect(parseTSV(toTSV(rows))).toEqual(rows);
+    });
+
+    it('should return no rows for empty text', function () {
+      expect(parseTSV('')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect } from '@jest/globals';
+import React from 'react';
+
+import { Column, ColumnGroup } from '../../src/index';
+import {
+  applyColumnLayout,
+  getColumnLayoutEntries,
+  getColumnLayoutFromEntries,
+  getEmptyColumnLayout,
+  getMovedColumnOrder,
+  pruneColumnLayout,
+} from '../../src/helper/columnLayoutHelper';
+
+describe('columnLayoutHelper', function () {
+  const columns = [
+    <Column key="id" columnKey="id" width={50} fixed={true} />,
+    <Column key="name" columnKey="name" width={100} />,
+    <Column key="age" columnKey="age" width={80} />,
+    <Column key="actions" columnKey="actions" width={60} fixedRight={true} />,
+  ];
+  const getKeys = (elements) =>
+    elements.map((element) => element.props.columnKey);
+
+  it('should keep the columns as is without overrides', function () {
+    const laidOut = applyColumnLayout(columns, getEmptyColumnLayout());
+    expect(laidOut).toEqual(columns);
+  });
+
+  it('should override the order, widths, visibility and fixed side', function () {
+    const laidOut = applyColumnLayout(columns, {
+      fixed: { name: 'left', id: null },
+      hidden: { actions: true },
+      order: ['age', 'name'],
+      widths: { age: 120 },
+    });
+
+    expect(getKeys(laidOut)).toEqual(['age', 'name', 'id']);
+    expect(laidOut[0].props.width).toBe(120);
+    expect(laidOut[1].props.fixed).toBe(true);
+    expect(laidOut[2].props.fixed).toBe(false);
+  });
+
+  it('should override the hidden prop of the columns', function () {
+    const hiddenColumns = [
+      <Column key="a" columnKey="a" width={50} hidden={true} />,
+      <Column key="b" columnKey="b" width={50} hidden={true} />,
+      <Column key="c" columnKey="c" width={50} />,
+    ];
+    const layout = getEmptyColumnLayout();
+    layout.hidden = { b: false, c: true };
+
+    expect(getKeys(applyColumnLayout(hiddenColumns, layout))).toEqual(['b']);
+    expect(
+      getColumnLayoutEntries(hiddenColumns, layout).map(({ hidden }) => hidden)
+    ).toEqual([true, false, true]);
+
+    // showing the column through props drops the override hiding it
+    const shownColumns = [
+      hiddenColumns[0],
+      hiddenColumns[1],
+      <Column key="c" columnKey="c" width={50} hidden={true} />,
+    ];
+    expect(
+      pruneColumnLayout(layout, hiddenColumns, shownColumns).hidden
+    ).toEqual({ b: false });
+  });
+
+  it('should hide column groups without visible columns', function () {
+    const groups = [
+      <ColumnGroup key="a" columnKey="a">
+        <Column columnKey="x" width={50} />
+        <Column columnKey="y" width={50} />
+      </ColumnGroup>,
+      <ColumnGroup key="b" columnKey="b">
+        <Column columnKey="z" width={50} />
+      </ColumnGroup>,
+    ];
+    const layout = getEmptyColumnLayout();
+    layout.hidden = { x: true, z: true };
+    layout.order = ['y', 'x'];
+
+    const laidOut = applyColumnLayout(groups, layout);
+    expect(getKeys(laidOut)).toEqual(['a']);
+    expect(getKeys(React.Children.toArray(laidOut[0].props.children))).toEqual([
+      'y',
+    ]);
+  });
+
+  it('should list the columns in the order they are displayed', function () {
+    const reordered = [columns[3], columns[2], columns[1], columns[0]];
+    const layout = getEmptyColumnLayout();
+    layout.hidden = { name: true };
+
+    expect(getColumnLayoutEntries(reordered, layout)).toEqual([
+      { columnKey: 'id', width: 50, fixed: 'left', hidden: false },
+      { columnKey: 'age', width: 80, fixed: null, hidden: false },
+      { columnKey: 'name', width: 100, fixed: null, hidden: true },
+      { columnKey: 'actions', width: 60, fixed: 'right', hidden: false },
+    ]);
+  });
+
+  it('should restore the layout listed by the entries', function () {
+    const entries = [
+      { columnKey: 'name', width: 150, fixed: 'left', hidden: false },
+      { columnKey: 'id', width: 50, fixed: null, hidden: true },
+      { columnKey: 'age', width: 80, fixed: null, hidden: false },
+      { columnKey: 'actions', width: 60, fixed: 'right', hidden: false },
+    ];
+    const layout = getColumnLayoutFromEntries(entries);
+
+    expect(getColumnLayoutEntries(columns, layout)).toEqual(entries);
+    expect(
+      getKeys(applyColumnLayout(columns, JSON.parse(JSON.stringify(layout))))
+    ).toEqual(['name', 'age', 'actions']);
+  });
+
+  it('should drop the overrides of the props which changed', function () {
+    const layout = {
+      fixed: { id: null, name: 'left' },
+      hidden: { age: true },
+      order: ['age', 'name', 'id', 'actions'],
+      widths: { name: 150, age: 100 },
+    };
+    const newColumns = [
+      <Column key="id" columnKey="id" width={50} />,
+      <Column key="name" columnKey="name" width={200} />,
+      <Column key="age" columnKey="age" width={80} />,
+      <Column key="city" columnKey="city" width={80} />,
+    ];
+
+    expect(pruneColumnLayout(layout, columns, newColumns)).toEqual({
+      fixed: { name: 'left' },
+      hidden: { age: true },
+      order: ['age', 'name', 'id', 'actions'],
+      widths: { age: 100 },
+    });
+  });
+
+  it('should reset the order once the columns get reordered through props', function () {
+    const layout = getEmptyColumnLayout();
+    layout.order = ['age', 'name', 'id', 'actions'];
+
+    expect(
+      pruneColumnLayout(layout, columns, [columns[0], columns[2], columns[1]])
+        .order
+    ).toBe(null);
+  });
+
+  it('should move the columns between the given columns', function () {
+    const layout = getEmptyColumnLayout();
+
+    expect(getMovedColumnOrder(columns, layout, 'age', 'id', 'name')).toEqual([
+      'id',
+      'age',
+      'name',
+      'actions',
+    ]);
+    expect(getMovedColumnOrder(columns, layout, 'name', 'age')).toEqual([
+      'id',
+      'age',
+      'name',
+      'actions',
+    ]);
+    // the order is kept as is when the columns to move between are unknown
+    layout.order = ['age', 'name'];
+    expect(getMovedColumnOrder(columns, layout, 'name', 'city')).toBe(
+      layout.order
+    );
+  });
+});
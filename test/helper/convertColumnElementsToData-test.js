@@ -13,15 +13,19 @@ function column(overrides) {
     allowCellsRecycling: undefined,
     cellClassName: undefined,
     columnKey: undefined,
+    editor: undefined,
     fixed: undefined,
     fixedRight: undefined,
     flexGrow: undefined,
+    formatter: undefined,
     index: undefined,
     isReorderable: undefined,
     isResizable: undefined,
     maxWidth: undefined,
     minWidth: undefined,
     pureRendering: undefined,
+    sortable: undefined,
+    valueGetter: undefined,
     width: undefined,
     ...overrides,
   };
@@ -48,6 +52,7 @@ describe('convertColumnElementsToData', function () {
         cell: { id: 'c1' },
         header: { id: 'h1' },
         footer: { id: 'f1' },
+        filter: { id: 'fi1' },
       },
       type: { __TableColumn__: true },
     };
@@ -59,6 +64,7 @@ describe('convertColumnElementsToData', function () {
         cell: { id: 'c2' },
         header: { id: 'h2' },
         footer: { id: 'f2' },
+        filter: { id: 'fi2' },
       },
       type: { __TableColumn__: true },
     };
@@ -70,6 +76,7 @@ describe('convertColumnElementsToData', function () {
         cell: { id: 'c3' },
         header: { id: 'h3' },
         footer: { id: 'f3' },
+        filter: { id: 'fi3' },
       },
       type: { __TableColumn__: true },
     };
@@ -135,9 +142,11 @@ describe('convertColumnElementsToData', function () {
     });
     expect(elementTemplates).toEqual({
       cell: [{ id: 'c1' }, { id: 'c2' }, { id: 'c3' }],
+      filter: [{ id: 'fi1' }, { id: 'fi2' }, { id: 'fi3' }],
       footer: [{ id: 'f1' }, { id: 'f2' }, { id: 'f3' }],
       groupHeader: [{ id: 'g1' }, { id: 'g2' }],
       header: [{ id: 'h1' }, { id: 'h2' }, { id: 'h3' }],
+      outerGroupHeader: [],
     });
     expect(useGroupHeader).toBe(true);
   });
@@ -176,9 +185,11 @@ describe('convertColumnElementsToData', function () {
     });
     expect(elementTemplates).toEqual({
       cell: [{ id: 'c1' }, { id: 'c2' }],
+      filter: [{ id: 'fi1' }, { id: 'fi2' }],
       footer: [{ id: 'f1' }, { id: 'f2' }],
       groupHeader: [],
       header: [{ id: 'h1' }, { id: 'h2' }],
+      outerGroupHeader: [],
     });
     expect(useGroupHeader).toBe(false);
   });
@@ -227,9 +238,10 @@ describe('convertColumnElementsToData', function () {
     });
   });
 
-  it('should include undefined placeholders for missing header and footer templates', function () {
+  it('should include undefined placeholders for missing header, footer and filter templates', function () {
     delete column1.props.header;
     delete column1.props.footer;
+    delete column1.props.filter;
 
     const { columnElements, elementTemplates } = convertColumnElementsToData([
       column1,
@@ -258,9 +270,87 @@ describe('convertColumnElementsToData', function () {
 
     expect(elementTemplates).toEqual({
       cell: [{ id: 'c1' }, { id: 'c2' }],
+      filter: [undefined, { id: 'fi2' }],
       footer: [undefined, { id: 'f2' }],
       groupHeader: [],
       header: [undefined, { id: 'h2' }],
+      outerGroupHeader: [],
     });
   });
+
+  it('should convert nested column groups into tiers of column groups', function () {
+    const {
+      columnGroupElements,
+      columnElements,
+      elementTemplates,
+      outerColumnGroupElements,
+      useGroupHeader,
+    } = convertColumnElementsToData([
+      {
+        props: {
+          fixed: true,
+          children: [
+            {
+              props: { children: [column1], header: { id: 'g1' } },
+              type: { __TableColumnGroup__: true },
+            },
+            column2,
+          ],
+          header: { id: 'r1' },
+        },
+        type: { __TableColumnGroup__: true },
+      },
+      {
+        props: {
+          fixed: false,
+          children: [
+            {
+              props: { children: [column3], header: { id: 'g2' } },
+              type: { __TableColumnGroup__: true },
+            },
+          ],
+          header: { id: 'r2' },
+        },
+        type: { __TableColumnGroup__: true },
+      },
+    ]);
+
+    expect(outerColumnGroupElements).toEqual([
+      {
+        fixed: [column({ fixed: true, index: 0 })],
+        scrollable: [column({ fixed: false, index: 1 })],
+        fixedRight: [],
+      },
+    ]);
+    expect(columnGroupElements).toEqual({
+      fixed: [
+        column({ fixed: true, index: 0, groupIdx: 0 }),
+        // placeholder group for the column placed directly within the outer group
+        { fixed: true, fixedRight: undefined, index: 1, groupIdx: 0 },
+      ],
+      scrollable: [column({ fixed: false, index: 2, groupIdx: 1 })],
+      fixedRight: [],
+    });
+    expect(
+      columnElements.fixed.map(({ index, groupIdx }) => ({ index, groupIdx }))
+    ).toEqual([
+      { index: 0, groupIdx: 0 },
+      { index: 1, groupIdx: 1 },
+    ]);
+    expect(
+      columnElements.scrollable.map(({ index, groupIdx }) => ({
+        index,
+        groupIdx,
+      }))
+    ).toEqual([{ index: 2, groupIdx: 2 }]);
+    expect(elementTemplates).toEqual({
+      cell: [{ id: 'c1' }, { id: 'c2' }, { id: 'c3' }],
+      filter: [{ id: 'fi1' }, { id: 'fi2' }, { id: 'fi3' }],
+      footer: [{ id: 'f1' }, { id: 'f2' }, { id: 'f3' }],
+      groupHeader: [{ id: 'g1' }, undefined, { id: 'g2' }],
+      header: [{ id: 'h1' }, { id: 'h2' }, { id: 'h3' }],
+      outerGroupHeader: [[{ id: 'r1' }, { id: 'r2' }]],
+    });
+    expect(useGroupHeader).toBe(true);
+  });
 });
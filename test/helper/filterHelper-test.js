@@ -0,0 +1,77 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect } from '@jest/globals';
+import {
+  getNextFilterModel,
+  isFilterActive,
+  matchesFilter,
+} from '../../src/helper/filterHelper';
+
+describe('filterHelper', function () {
+  it('should only consider filters excluding values as active', function () {
+    expect(isFilterActive(null)).toBe(false);
+    expect(isFilterActive({ type: 'text', value: '' })).toBe(false);
+    expect(isFilterActive({ type: 'range', min: null, max: 0 })).toBe(true);
+    expect(isFilterActive({ type: 'set', values: [] })).toBe(true);
+    expect(isFilterActive({ type: 'dateRange', from: null })).toBe(false);
+    expect(isFilterActive({ type: 'regex', value: 'a+' })).toBe(false);
+  });
+
+  it('should keep all values with filters of unknown types', function () {
+    const filter = { type: 'regex', value: 'a+' };
+    expect(matchesFilter(filter, 'b')).toBe(true);
+    expect(getNextFilterModel({ name: filter }, 'age', null)).toEqual({
+      name: filter,
+    });
+    expect(getNextFilterModel({}, 'name', filter)).toEqual({});
+  });
+
+  it('should match text containing the filter, ignoring case', function () {
+    const filter = { type: 'text', value: 'an' };
+    expect(matchesFilter(filter, 'Annie')).toBe(true);
+    expect(matchesFilter(filter, 'Bob')).toBe(false);
+    expect(matchesFilter(filter, null)).toBe(false);
+  });
+
+  it('should match numbers within the inclusive bounds', function () {
+    const filter = { type: 'range', min: 2, max: 4 };
+    expect(matchesFilter(filter, 2)).toBe(true);
+    expect(matchesFilter(filter, '4')).toBe(true);
+    expect(matchesFilter(filter, 5)).toBe(false);
+    expect(matchesFilter(filter, null)).toBe(false);
+    expect(matchesFilter({ type: 'range', min: 3 }, 10)).toBe(true);
+  });
+
+  it('should match values among the picked ones', function () {
+    const filter = { type: 'set', values: ['red', 'blue'] };
+    expect(matchesFilter(filter, 'blue')).toBe(true);
+    expect(matchesFilter(filter, 'green')).toBe(false);
+    expect(matchesFilter({ type: 'set', values: [] }, 'red')).toBe(false);
+  });
+
+  it('should match dates within the inclusive days', function () {
+    const filter = { type: 'dateRange', from: '2020-01-10', to: '2020-01-20' };
+    expect(matchesFilter(filter, '2020-01-20T23:00:00Z')).toBe(true);
+    expect(matchesFilter(filter, new Date(2020, 0, 10, 8))).toBe(true);
+    expect(matchesFilter(filter, new Date(2020, 0, 21))).toBe(false);
+    expect(matchesFilter(filter, 'not a date')).toBe(false);
+  });
+
+  it('should drop the filters which stop excluding values', function () {
+    const filterModel = { name: { type: 'text', value: 'a' } };
+
+    const nextFilterModel = getNextFilterModel(filterModel, 'age', {
+      type: 'range',
+      min: 18,
+    });
+    expect(nextFilterModel).toEqual({
+      name: { type: 'text', value: 'a' },
+      age: { type: 'range', min: 18 },
+    });
+    expect(
+      getNextFilterModel(nextFilterModel, 'name', { type: 'text', value: '' })
+    ).toEqual({ age: { type: 'range', min: 18 } });
+    expect(filterModel).toEqual({ name: { type: 'text', value: 'a' } });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect } from '@jest/globals';
+import {
+  addRowRange,
+  getMissingRowRanges,
+  isRowInRanges,
+  removeRowRange,
+  spliceRowRanges,
+} from '../../src/helper/rowRangeHelper';
+
+describe('rowRangeHelper', function () {
+  const ranges = [
+    { startIndex: 0, stopIndex: 9 },
+    { startIndex: 20, stopIndex: 29 },
+    { startIndex: 50, stopIndex: 59 },
+  ];
+
+  it('should find whether a row is within the ranges', function () {
+    expect(isRowInRanges(ranges, 0)).toBe(true);
+    expect(isRowInRanges(ranges, 29)).toBe(true);
+    expect(isRowInRanges(ranges, 55)).toBe(true);
+    expect(isRowInRanges(ranges, 10)).toBe(false);
+    expect(isRowInRanges(ranges, 60)).toBe(false);
+    expect(isRowInRanges([], 0)).toBe(false);
+  });
+
+  it('should merge the added range with the ranges it overlaps or touches', function () {
+    expect(addRowRange(ranges, 10, 25)).toEqual([
+      { startIndex: 0, stopIndex: 29 },
+      { startIndex: 50, stopIndex: 59 },
+    ]);
+    expect(addRowRange(ranges, 35, 39)).toEqual([
+      { startIndex: 0, stopIndex: 9 },
+      { startIndex: 20, stopIndex: 29 },
+      { startIndex: 35, stopIndex: 39 },
+      { startIndex: 50, stopIndex: 59 },
+    ]);
+    expect(addRowRange(ranges, 60, 69)[2]).toEqual({
+      startIndex: 50,
+      stopIndex: 69,
+    });
+    expect(ranges.length).toBe(3);
+  });
+
+  it('should split the ranges around the removed range', function () {
+    expect(removeRowRange(ranges, 5, 24)).toEqual([
+      { startIndex: 0, stopIndex: 4 },
+      { startIndex: 25, stopIndex: 29 },
+      { startIndex: 50, stopIndex: 59 },
+    ]);
+    expect(removeRowRange(ranges, 22, 24)).toEqual([
+      { startIndex: 0, stopIndex: 9 },
+      { startIndex: 20, stopIndex: 21 },
+      { startIndex: 25, stopIndex: 29 },
+      { startIndex: 50, stopIndex: 59 },
+    ]);
+  });
+
+  it('should list the rows missing from the ranges', function () {
+    expect(getMissingRowRanges(ranges, 5, 54)).toEqual([
+      { startIndex: 10, stopIndex: 19 },
+      { startIndex: 30, stopIndex: 49 },
+    ]);
+    expect(getMissingRowRanges(ranges, 55, 70)).toEqual([
+      { startIndex: 60, stopIndex: 70 },
+    ]);
+    expect(getMissingRowRanges(ranges, 20, 29)).toEqual([]);
+  });
+
+  it('should move the ranges along with their rows when rows get spliced', function () {
+    // rows inserted within a range aren't part of it
+    expect(spliceRowRanges(ranges, 25, 0, 5)).toEqual([
+      { startIndex: 0, stopIndex: 9 },
+      { startIndex: 20, stopIndex: 24 },
+      { startIndex: 30, stopIndex: 34 },
+      { startIndex: 55, stopIndex: 64 },
+    ]);
+    expect(spliceRowRanges(ranges, 5, 20, 0)).toEqual([
+      { startIndex: 0, stopIndex: 9 },
+      { startIndex: 30, stopIndex: 39 },
+    ]);
+    expect(spliceRowRanges(ranges, 10, 10, 2)).toEqual([
+      { startIndex: 0, stopIndex: 9 },
+      { startIndex: 12, stopIndex: 21 },
+      { startIndex: 42, stopIndex: 51 },
+    ]);
+  });
+});
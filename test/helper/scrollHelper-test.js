@@ -0,0 +1,35 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect } from '@jest/globals';
+import {
+  easeInOutCubic,
+  getAlignedScrollPosition,
+} from '../../src/helper/scrollHelper';
+
+describe('scrollHelper', function () {
+  it('should align the item within the viewport', function () {
+    expect(getAlignedScrollPosition(500, 50, 0, 200, 'start')).toBe(500);
+    expect(getAlignedScrollPosition(500, 50, 0, 200, 'center')).toBe(425);
+    expect(getAlignedScrollPosition(500, 50, 0, 200, 'end')).toBe(350);
+  });
+
+  it('should scroll as little as possible with auto alignment', function () {
+    // after the viewport
+    expect(getAlignedScrollPosition(500, 50, 0, 200)).toBe(350);
+    // before the viewport
+    expect(getAlignedScrollPosition(500, 50, 600, 200, 'auto')).toBe(500);
+    // within the viewport
+    expect(getAlignedScrollPosition(500, 50, 400, 200, 'auto')).toBe(400);
+    // larger than the viewport
+    expect(getAlignedScrollPosition(500, 300, 0, 200, 'auto')).toBe(500);
+  });
+
+  it('should ease the animation progress', function () {
+    expect(easeInOutCubic(0)).toBe(0);
+    expect(easeInOutCubic(0.5)).toBe(0.5);
+    expect(easeInOutCubic(1)).toBe(1);
+    expect(easeInOutCubic(0.25)).toBeLessThan(0.25);
+    expect(easeInOutCubic(0.75)).toBeGreaterThan(0.75);
+  });
+});
@@ -0,0 +1,309 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect } from '@jest/globals';
+import {
+  getExtendedSelection,
+  getFullSelection,
+  getNextSelection,
+  isCellSelected,
+  isRowSelected,
+  subtractRange,
+} from '../../src/helper/selectionHelper';
+
+describe('selectionHelper', function () {
+  const noModifiers = { extend: false, toggle: false };
+  const emptyCursor = { anchor: null, focus: null };
+
+  describe('isRowSelected', function () {
+    it('should only consider ranges covering full rows', function () {
+      const selection = [
+        { startRowIndex: 2, endRowIndex: 4 },
+        {
+          startRowIndex: 8,
+          endRowIndex: 8,
+          startColumnIndex: 0,
+          endColumnIndex: 1,
+        },
+      ];
+      expect(isRowSelected(selection, 3)).toBe(true);
+      expect(isRowSelected(selection, 5)).toBe(false);
+      expect(isRowSelected(selection, 8)).toBe(false);
+    });
+  });
+
+  describe('isCellSelected', function () {
+    it('should consider both row and cell ranges', function () {
+      const selection = [
+        { startRowIndex: 2, endRowIndex: 4 },
+        {
+          startRowIndex: 8,
+          endRowIndex: 9,
+          startColumnIndex: 1,
+          endColumnIndex: 2,
+        },
+      ];
+      expect(isCellSelected(selection, 3, 10)).toBe(true);
+      expect(isCellSelected(selection, 9, 2)).toBe(true);
+      expect(isCellSelected(selection, 9, 0)).toBe(false);
+      expect(isCellSelected(selection, 10, 1)).toBe(false);
+    });
+  });
+
+  describe('subtractRange', function () {
+    it('should split row ranges', function () {
+      expect(
+        subtractRange([{ startRowIndex: 0, endRowIndex: 9 }], {
+          startRowIndex: 4,
+          endRowIndex: 4,
+        })
+      ).toEqual([
+        { startRowIndex: 0, endRowIndex: 3 },
+        { startRowIndex: 5, endRowIndex: 9 },
+      ]);
+    });
+
+    it('should split cell ranges around the removed cell', function () {
+      expect(
+        subtractRange(
+          [
+            {
+              startRowIndex: 0,
+              endRowIndex: 2,
+              startColumnIndex: 0,
+              endColumnIndex: 2,
+            },
+          ],
+          {
+            startRowIndex: 1,
+            endRowIndex: 1,
+            startColumnIndex: 1,
+            endColumnIndex: 1,
+          }
+        )
+      ).toEqual([
+        {
+          startRowIndex: 0,
+          endRowIndex: 0,
+          startColumnIndex: 0,
+          endColumnIndex: 2,
+        },
+        {
+          startRowIndex: 2,
+          endRowIndex: 2,
+          startColumnIndex: 0,
+          endColumnIndex: 2,
+        },
+        {
+          startRowIndex: 1,
+          endRowIndex: 1,
+          startColumnIndex: 0,
+          endColumnIndex: 0,
+        },
+        {
+          startRowIndex: 1,
+          endRowIndex: 1,
+          startColumnIndex: 2,
+          endColumnIndex: 2,
+        },
+      ]);
+    });
+
+    it('should keep ranges which do not intersect', function () {
+      const selection = [{ startRowIndex: 0, endRowIndex: 2 }];
+      expect(
+        subtractRange(selection, { startRowIndex: 3, endRowIndex: 5 })
+      ).toEqual(selection);
+    });
+  });
+
+  describe('getFullSelection', function () {
+    it('should select all rows', function () {
+      expect(getFullSelection('multiple', 10, 3)).toEqual([
+        { startRowIndex: 0, endRowIndex: 9 },
+      ]);
+    });
+
+    it('should select all cells', function () {
+      expect(getFullSelection('cell', 10, 3)).toEqual([
+        {
+          startRowIndex: 0,
+          endRowIndex: 9,
+          startColumnIndex: 0,
+          endColumnIndex: 2,
+        },
+      ]);
+    });
+
+    it('should be empty without rows', function () {
+      expect(getFullSelection('cell', 0, 3)).toEqual([]);
+    });
+  });
+
+  describe('getNextSelection', function () {
+    it('should select a single row', function () {
+      const next = getNextSelection(
+        [{ startRowIndex: 0, endRowIndex: 3 }],
+        'multiple',
+        emptyCursor,
+        { rowIndex: 5, columnIndex: 2 },
+        noModifiers
+      );
+      expect(next).toEqual({
+        cursor: { anchor: { rowIndex: 5 }, focus: { rowIndex: 5 } },
+        selection: [{ startRowIndex: 5, endRowIndex: 5 }],
+      });
+    });
+
+    it('should ignore modifiers in single selection mode', function () {
+      const selection = [{ startRowIndex: 2, endRowIndex: 2 }];
+      const cursor = { anchor: { rowIndex: 2 }, focus: { rowIndex: 2 } };
+      expect(
+        getNextSelection(
+          selection,
+          'single',
+          cursor,
+          { rowIndex: 5 },
+          { extend: true, toggle: false }
+        ).selection
+      ).toEqual([{ startRowIndex: 5, endRowIndex: 5 }]);
+      expect(
+        getNextSelection(
+          selection,
+          'single',
+          cursor,
+          { rowIndex: 2 },
+          { extend: false, toggle: true }
+        ).selection
+      ).toEqual([]);
+    });
+
+    it('should toggle rows', function () {
+      let next = getNextSelection(
+        [{ startRowIndex: 0, endRowIndex: 3 }],
+        'multiple',
+        emptyCursor,
+        { rowIndex: 6 },
+        { extend: false, toggle: true }
+      );
+      expect(next.selection).toEqual([
+        { startRowIndex: 0, endRowIndex: 3 },
+        { startRowIndex: 6, endRowIndex: 6 },
+      ]);
+
+      next = getNextSelection(
+        next.selection,
+        'multiple',
+        next.cursor,
+        { rowIndex: 1 },
+        { extend: false, toggle: true }
+      );
+      expect(next.selection).toEqual([
+        { startRowIndex: 0, endRowIndex: 0 },
+        { startRowIndex: 2, endRowIndex: 3 },
+        { startRowIndex: 6, endRowIndex: 6 },
+      ]);
+    });
+
+    it('should replace the anchored range when extending', function () {
+      let next = getNextSelection(
+        [{ startRowIndex: 0, endRowIndex: 0 }],
+        'multiple',
+        emptyCursor,
+        { rowIndex: 5 },
+        { extend: false, toggle: true }
+      );
+      next = getNextSelection(
+        next.selection,
+        'multiple',
+        next.cursor,
+        { rowIndex: 8 },
+        { extend: true, toggle: false }
+      );
+      next = getNextSelection(
+        next.selection,
+        'multiple',
+        next.cursor,
+        { rowIndex: 3 },
+        { extend: true, toggle: false }
+      );
+      expect(next).toEqual({
+        cursor: { anchor: { rowIndex: 5 }, focus: { rowIndex: 3 } },
+        selection: [
+          { startRowIndex: 0, endRowIndex: 0 },
+          { startRowIndex: 3, endRowIndex: 5 },
+        ],
+      });
+    });
+
+    it('should select rectangular cell ranges', function () {
+      let next = getNextSelection(
+        [],
+        'cell',
+        emptyCursor,
+        { rowIndex: 4, columnIndex: 3 },
+        noModifiers
+      );
+      next = getNextSelection(
+        next.selection,
+        'cell',
+        next.cursor,
+        { rowIndex: 2, columnIndex: 1 },
+        { extend: true, toggle: false }
+      );
+      expect(next.selection).toEqual([
+        {
+          startRowIndex: 2,
+          endRowIndex: 4,
+          startColumnIndex: 1,
+          endColumnIndex: 3,
+        },
+      ]);
+    });
+  });
+
+  describe('getExtendedSelection', function () {
+    it('should move the focus within bounds', function () {
+      const cursor = {
+        anchor: { rowIndex: 1, columnIndex: 1 },
+        focus: { rowIndex: 1, columnIndex: 1 },
+      };
+      const next = getExtendedSelection(
+        [
+          {
+            startRowIndex: 1,
+            endRowIndex: 1,
+            startColumnIndex: 1,
+            endColumnIndex: 1,
+          },
+        ],
+        'cell',
+        cursor,
+        -3,
+        1,
+        10,
+        2
+      );
+      expect(next).toEqual({
+        cursor: {
+          anchor: { rowIndex: 1, columnIndex: 1 },
+          focus: { rowIndex: 0, columnIndex: 1 },
+        },
+        selection: [
+          {
+            startRowIndex: 0,
+            endRowIndex: 1,
+            startColumnIndex: 1,
+            endColumnIndex: 1,
+          },
+        ],
+      });
+    });
+
+    it('should do nothing without a focus', function () {
+      expect(
+        getExtendedSelection([], 'multiple', emptyCursor, 1, 0, 10, 2)
+      ).toBe(null);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect } from '@jest/globals';
+import { getColumnSort, getNextSortState } from '../../src/helper/sortHelper';
+
+describe('sortHelper', function () {
+  const sortState = [
+    { columnKey: 'name', direction: 'ASC' },
+    { columnKey: 'age', direction: 'DESC' },
+  ];
+
+  it('should find the direction and priority of a sorted column', function () {
+    expect(getColumnSort(sortState, 'age')).toEqual({
+      direction: 'DESC',
+      priority: 1,
+    });
+    expect(getColumnSort(sortState, 'city')).toBe(null);
+  });
+
+  it('should cycle the direction of a single sorted column', function () {
+    let next = getNextSortState([], 'name', false);
+    expect(next).toEqual([{ columnKey: 'name', direction: 'ASC' }]);
+
+    next = getNextSortState(next, 'name', false);
+    expect(next).toEqual([{ columnKey: 'name', direction: 'DESC' }]);
+
+    expect(getNextSortState(next, 'name', false)).toEqual([]);
+  });
+
+  it('should replace the other sorted columns without multi sort', function () {
+    expect(getNextSortState(sortState, 'city', false)).toEqual([
+      { columnKey: 'city', direction: 'ASC' },
+    ]);
+    expect(getNextSortState(sortState, 'name', false)).toEqual([
+      { columnKey: 'name', direction: 'DESC' },
+    ]);
+  });
+
+  it('should keep the priority of the sorted columns with multi sort', function () {
+    expect(getNextSortState(sortState, 'city', true)).toEqual([
+      ...sortState,
+      { columnKey: 'city', direction: 'ASC' },
+    ]);
+    expect(getNextSortState(sortState, 'name', true)).toEqual([
+      { columnKey: 'name', direction: 'DESC' },
+      { columnKey: 'age', direction: 'DESC' },
+    ]);
+    expect(getNextSortState(sortState, 'age', true)).toEqual([
+      { columnKey: 'name', direction: 'ASC' },
+    ]);
+  });
+});
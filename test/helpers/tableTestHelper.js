@@ -0,0 +1,118 @@
+/**
+ * Copyright Schrodinger, LLC
+ *
+ * Shared fixture of the tests rendering a whole table.
+ */
+import { jest } from '@jest/globals';
+import React from 'react';
+import ReactDOM from 'react-dom';
+
+import { Table, Column } from '../../src/index';
+import * as requestAnimationFramePolyfill from '../../src/vendor_upstream/core/requestAnimationFramePolyfill';
+
+/**
+ * Props of the tables rendered by the tests, unless they override them.
+ */
+export const tableProps = {
+  width: 600,
+  height: 400,
+  rowsCount: 50,
+  rowHeight: 100,
+  headerHeight: 50,
+};
+
+let node = null;
+
+/**
+ * Gives each test of the calling `describe` a fresh node to render its table into,
+ * and runs the callbacks passed to requestAnimationFrame right away, so that the tests behave synchronously.
+ */
+export function setupTableTest() {
+  beforeEach(() => {
+    jest
+      .spyOn(requestAnimationFramePolyfill, 'default')
+      .mockImplementation((callback) => callback());
+    node = document.createElement('div');
+  });
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(node);
+    node = null;
+    // restore all spys created with spyOn
+    jest.restoreAllMocks();
+  });
+}
+
+/**
+ * @return {!HTMLElement} the node the table of the current test gets rendered into
+ */
+export const getTableNode = () => node;
+
+/**
+ * Renders (or updates) the table of the current test.
+ *
+ * @param {!React.Element} element
+ * @return {!Object} the rendered component
+ */
+export const renderTable = (element) => ReactDOM.render(element, node);
+
+/**
+ * Renders a table of 50 rows and 5 columns of 100 by 300 pixels, within a viewport of 600 by 400 pixels.
+ *
+ * @param {Object} props
+ * @return {!Object} the rendered table
+ */
+export const renderDefaultTable = (props = {}) =>
+  renderTable(
+    <Table {...tableProps} {...props}>
+      <Column width={300} />
+      <Column width={300} />
+      <Column width={300} />
+      <Column width={300} />
+      <Column width={300} />
+    </Table>
+  );
+
+/**
+ * @param {number} rowIndex
+ * @return {?HTMLElement} the rendered row, given that the table has a single header row
+ */
+export const getRow = (rowIndex) =>
+  node.querySelector(`[role="row"][aria-rowindex="${rowIndex + 2}"]`);
+
+/**
+ * @param {number} rowIndex
+ * @return {!NodeList} the rendered cells of the row
+ */
+export const getCells = (rowIndex) =>
+  getRow(rowIndex).querySelectorAll('[role="gridcell"]');
+
+/**
+ * @param {number} rowIndex
+ * @param {number} columnIndex index of the cell among the rendered cells of the row
+ * @return {?HTMLElement}
+ */
+export const getCell = (rowIndex, columnIndex) =>
+  getCells(rowIndex)[columnIndex];
+
+/**
+ * @return {!HTMLElement} the root element of the table
+ */
+export const getGrid = () => node.querySelector('[role="grid"]');
+
+/**
+ * Dispatches a key down event, the way the browser does for key presses.
+ *
+ * @param {!HTMLElement} target
+ * @param {string} key
+ * @param {Object} eventInit
+ * @return {!KeyboardEvent}
+ */
+export const pressKey = (target, key, eventInit = {}) => {
+  const event = new KeyboardEvent(
+    'keydown',
+    Object.assign({ bubbles: true, cancelable: true, key }, eventInit)
+  );
+  target.dispatchEvent(event);
+  return event;
+};
@@ -0,0 +1,102 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect, jest } from '@jest/globals';
+import React from 'react';
+import { act } from 'react-dom/test-utils';
+
+import { Table, Column, Plugins } from '../../src/index';
+import {
+  getGrid,
+  getRow,
+  renderTable,
+  setupTableTest,
+  tableProps,
+} from '../helpers/tableTestHelper';
+
+describe('data source', function () {
+  setupTableTest();
+
+  const renderDataSourceTable = (dataSource, props = {}) =>
+    renderTable(
+      <Table
+        {...tableProps}
+        // the rows come from the data source
+        rowsCount={undefined}
+        rowHeight={50}
+        dataSource={dataSource}
+        {...props}
+      >
+        <Column
+          columnKey="name"
+          width={200}
+          header="Name"
+          cell={({ row }) => row.name}
+        />
+      </Table>
+    );
+  const getCellText = (rowIndex) => getRow(rowIndex).textContent;
+
+  it('should render the row objects of the data source', function () {
+    const dataSource = new Plugins.ArrayDataSource([
+      { name: 'Ada' },
+      { name: 'Grace' },
+    ]);
+    const table = renderDataSourceTable(dataSource);
+
+    expect(getCellText(0)).toBe('Ada');
+    expect(getCellText(1)).toBe('Grace');
+    expect(table.getApi().rowsCount).toBe(undefined);
+    expect(getGrid().getAttribute('aria-rowcount')).toBe('3');
+  });
+
+  it('should update itself when the data source changes', function () {
+    const dataSource = new Plugins.ArrayDataSource([
+      { name: 'Ada' },
+      { name: 'Grace' },
+    ]);
+    const view = new Plugins.DataSourceView(dataSource, {
+      compare: (rowA, rowB) => rowB.name.localeCompare(rowA.name),
+    });
+    renderDataSourceTable(view);
+    expect(getCellText(0)).toBe('Grace');
+
+    act(() => dataSource.splice(2, 0, { name: 'Linus' }));
+    expect(getCellText(0)).toBe('Linus');
+    expect(getCellText(2)).toBe('Ada');
+    expect(getGrid().getAttribute('aria-rowcount')).toBe('4');
+
+    act(() => dataSource.updateRow(0, { name: 'Zed' }));
+    expect(getCellText(0)).toBe('Zed');
+  });
+
+  it('should splice the rows published by the data source', function () {
+    const dataSource = new Plugins.ArrayDataSource([
+      { name: 'Ada' },
+      { name: 'Grace' },
+    ]);
+    renderDataSourceTable(dataSource);
+
+    act(() => dataSource.splice(1, 0, { name: 'Linus' }));
+    expect(getCellText(1)).toBe('Linus');
+    expect(getCellText(2)).toBe('Grace');
+
+    act(() => dataSource.splice(0, 1));
+    expect(getCellText(0)).toBe('Linus');
+    expect(getGrid().getAttribute('aria-rowcount')).toBe('3');
+  });
+
+  it('should keep the row keys apart from the recycled rows', function () {
+    const consoleError = jest.spyOn(console, 'error');
+    const dataSource = new Plugins.ArrayDataSource(
+      [{ id: 1, name: 'Ada' }, { name: 'Grace' }],
+      (row) => row.id
+    );
+    renderDataSourceTable(dataSource);
+
+    expect(getCellText(0)).toBe('Ada');
+    expect(getCellText(1)).toBe('Grace');
+    // React complains about duplicate keys
+    expect(consoleError).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect } from '@jest/globals';
+import React from 'react';
+import ReactDOM from 'react-dom';
+import { act, Simulate } from 'react-dom/test-utils';
+
+import { Column, Table, Plugins } from '../../src/index';
+
+describe('ColumnChooser', function () {
+  let node;
+  let tableNode;
+
+  beforeEach(function () {
+    node = document.createElement('div');
+    tableNode = document.createElement('div');
+  });
+
+  const renderTable = () =>
+    ReactDOM.render(
+      <Table
+        width={600}
+        height={400}
+        rowsCount={10}
+        rowHeight={50}
+        headerHeight={50}
+      >
+        <Column columnKey="id" width={50} fixed={true} />
+        <Column columnKey="name" width={200} />
+        <Column columnKey="age" width={100} hidden={true} />
+        <Column columnKey="city" width={150} />
+      </Table>,
+      tableNode
+    );
+
+  const renderChooser = (api) =>
+    ReactDOM.render(
+      <Plugins.ColumnChooser api={api} labels={{ name: 'Full Name' }} />,
+      node
+    );
+
+  const getItems = () => Array.from(node.querySelectorAll('li'));
+  const getLabels = () => getItems().map((item) => item.textContent);
+
+  it('should list the columns along with their visibility', function () {
+    renderChooser(renderTable().getApi());
+
+    expect(getLabels()).toEqual(['id', 'Full Name', 'age', 'city']);
+    expect(
+      getItems().map((item) => item.querySelector('input').checked)
+    ).toEqual([true, true, false, true]);
+  });
+
+  it('should show and hide the columns', function () {
+    const table = renderTable();
+    renderChooser(table.getApi());
+
+    act(() => {
+      Simulate.change(getItems()[2].querySelector('input'));
+    });
+    act(() => {
+      Simulate.change(getItems()[1].querySelector('input'));
+    });
+
+    expect(table.getApi().getHiddenColumns()).toEqual(['name']);
+    expect(
+      getItems().map((item) => item.querySelector('input').checked)
+    ).toEqual([true, false, true, true]);
+  });
+
+  it('should search the columns by their labels', function () {
+    renderChooser(renderTable().getApi());
+
+    Simulate.change(node.querySelector('input[type="search"]'), {
+      target: { value: 'FULL' },
+    });
+
+    expect(getLabels()).toEqual(['Full Name']);
+  });
+
+  it('should reorder the columns by dragging them', function () {
+    const table = renderTable();
+    renderChooser(table.getApi());
+
+    act(() => {
+      Simulate.dragStart(getItems()[3]);
+    });
+    // columns can't be dragged among the columns fixed to another side
+    act(() => {
+      Simulate.drop(getItems()[0]);
+    });
+    act(() => {
+      Simulate.drop(getItems()[1]);
+    });
+
+    expect(getLabels()).toEqual(['id', 'city', 'Full Name', 'age']);
+    const api = table.getApi();
+    expect(api.getColumn(1).columnKey).toBe('city');
+    expect(api.getColumn(2).columnKey).toBe('name');
+  });
+
+  it('should render within the table', function () {
+    ReactDOM.render(
+      <Table
+        width={600}
+        height={400}
+        rowsCount={10}
+        rowHeight={50}
+        headerHeight={200}
+      >
+        <Column
+          columnKey="name"
+          width={300}
+          header={<Plugins.ColumnChooser />}
+        />
+        <Column columnKey="age" width={300} />
+      </Table>,
+      node
+    );
+
+    expect(getLabels()).toEqual(['name', 'age']);
+  });
+});
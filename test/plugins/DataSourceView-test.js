@@ -0,0 +1,77 @@
+import { expect, jest } from '@jest/globals';
+import ArrayDataSource from '../../src/plugins/DataSource/ArrayDataSource';
+import DataSourceView from '../../src/plugins/DataSource/DataSourceView';
+
+describe('DataSourceView', function () {
+  const people = [
+    { id: 'a', name: 'Zoe', age: 31 },
+    { id: 'b', name: 'Adam', age: 12 },
+    { id: 'c', name: 'Mia', age: 45 },
+    { id: 'd', name: 'Ben', age: 31 },
+  ];
+  const getRowIds = (dataSource) => {
+    const ids = [];
+    for (let idx = 0; idx < dataSource.getRowCount(); idx++) {
+      ids.push(dataSource.getRow(idx).id);
+    }
+    return ids;
+  };
+
+  let dataSource;
+  beforeEach(function () {
+    dataSource = new ArrayDataSource(people, (person) => person.id);
+  });
+
+  it('should list the rows of the wrapped data source by default', function () {
+    const view = new DataSourceView(dataSource);
+
+    expect(getRowIds(view)).toEqual(['a', 'b', 'c', 'd']);
+    expect(view.getDataIndex(2)).toBe(2);
+    expect(view.getRowKey(3)).toBe('d');
+  });
+
+  it('should filter and sort the rows', function () {
+    const view = new DataSourceView(dataSource, {
+      filter: (person) => person.age >= 18,
+      compare: (personA, personB) => personA.age - personB.age,
+    });
+
+    expect(getRowIds(view)).toEqual(['a', 'd', 'c']);
+    expect(view.getDataIndex(1)).toBe(3);
+    expect(view.getRowKey(1)).toBe('d');
+
+    const listener = jest.fn();
+    view.subscribe(listener);
+    view.setFilter(undefined);
+
+    expect(listener).toHaveBeenCalledWith(undefined);
+    expect(getRowIds(view)).toEqual(['b', 'a', 'd', 'c']);
+  });
+
+  it('should follow the changes of the wrapped data source', function () {
+    const view = new DataSourceView(dataSource);
+    const sortedView = new DataSourceView(view, {
+      compare: (personA, personB) => personA.name.localeCompare(personB.name),
+    });
+    const listener = jest.fn();
+    const sortedListener = jest.fn();
+    view.subscribe(listener);
+    sortedView.subscribe(sortedListener);
+
+    dataSource.splice(1, 1, { id: 'e', name: 'Eve', age: 20 });
+
+    expect(listener).toHaveBeenCalledWith({
+      startIndex: 1,
+      removeCount: 1,
+      insertCount: 1,
+    });
+    expect(sortedListener).toHaveBeenCalledWith(undefined);
+    expect(getRowIds(sortedView)).toEqual(['d', 'e', 'c', 'a']);
+    expect(people[1].id).toBe('b');
+
+    sortedView.destroy();
+    dataSource.updateRow(0, { id: 'a', name: 'Al', age: 31 });
+    expect(getRowIds(view)).toEqual(['a', 'e', 'c', 'd']);
+    expect(sortedListener).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,46 @@
+import { expect } from '@jest/globals';
+import FilteredDataAdapter from '../../src/plugins/Filter/FilteredDataAdapter';
+
+describe('FilteredDataAdapter', function () {
+  const people = [
+    { id: 'a', name: 'Ann', age: 31 },
+    { id: 'b', name: 'Bob', age: 17 },
+    { id: 'c', name: 'Dan', age: 45 },
+    { id: 'd', name: 'Eve', age: 22 },
+  ];
+  let filteredData;
+  beforeEach(function () {
+    filteredData = new FilteredDataAdapter({
+      rowsCount: people.length,
+      getValue: (dataIndex, columnKey) => people[dataIndex][columnKey],
+      getRowKey: (dataIndex) => people[dataIndex].id,
+    });
+  });
+
+  it('should keep all the rows without filters', function () {
+    expect(filteredData.getSize()).toBe(4);
+    expect(filteredData.getDataIndex(3)).toBe(3);
+  });
+
+  it('should map the rows matching all the filters to the data', function () {
+    filteredData.setFilterModel({
+      name: { type: 'text', value: 'n' },
+      age: { type: 'range', min: 18 },
+    });
+
+    expect(filteredData.getSize()).toBe(2);
+    expect(filteredData.getDataIndex(1)).toBe(2);
+    expect(filteredData.getRowIndex(2)).toBe(1);
+    expect(filteredData.getRowIndex(1)).toBe(-1);
+    expect(filteredData.getRowKey(1)).toBe('c');
+  });
+
+  it('should filter the data again after its size changed', function () {
+    filteredData.setFilterModel({ age: { type: 'range', max: 30 } });
+    expect(filteredData.getSize()).toBe(2);
+
+    filteredData.setRowsCount(2);
+    expect(filteredData.getSize()).toBe(1);
+    expect(filteredData.getRowKey(0)).toBe('b');
+  });
+});
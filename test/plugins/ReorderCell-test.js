@@ -11,6 +11,7 @@ import {
 } from 'react-dom/test-utils';
 import FakeObjectDataListStore from '../../examples/helpers/FakeObjectDataListStore';
 import { Column, Table, Plugins, DataCell } from '../../src/index';
+import { CellGroupType } from '../../src/enums/CellGroup';
 import ReorderCell from '../../src/plugins/ResizeReorder/ReorderCell';
 import cx from '../../src/vendor_upstream/stubs/cx';
 import * as FixedDataTableEventHelper from '../../src/FixedDataTableEventHelper';
@@ -62,9 +63,22 @@ class ReorderCellTest extends React.Component {
         'sentence',
         'companyName',
       ],
+      // sides of the columns pinned through `onColumnPin`, by column key
+      pinnedSides: {},
     };
   }
 
+  _onColumnPin = (columnKey, side) => {
+    if (this.props.onColumnPin) {
+      this.props.onColumnPin(columnKey, side);
+    }
+    if (!this.props.ignorePins) {
+      this.setState(({ pinnedSides }) => ({
+        pinnedSides: { ...pinnedSides, [columnKey]: side },
+      }));
+    }
+  };
+
   _onColumnReorderEndCallback = (event) => {
     let columnOrder = this.state.columnOrder.filter((columnKey) => {
       return columnKey !== event.reorderColumn;
@@ -87,8 +101,30 @@ class ReorderCellTest extends React.Component {
   };
 
   render() {
-    const { dataList } = this.state;
-    const onColumnReorderEndCallback = this._onColumnReorderEndCallback;
+    const { dataList, pinnedSides } = this.state;
+    const {
+      allowPinning,
+      ignorePins,
+      ignoreReorders,
+      onColumnPin,
+      onColumnReorderEnd,
+      ...props
+    } = this.props;
+    const onColumnPinCallback = this._onColumnPin;
+    const getSide = (columnKey) =>
+      columnKey in pinnedSides
+        ? pinnedSides[columnKey]
+        : fixedColumns.indexOf(columnKey) !== -1
+        ? 'left'
+        : null;
+    const onColumnReorderEndCallback = (event) => {
+      if (onColumnReorderEnd) {
+        onColumnReorderEnd(event);
+      }
+      if (!ignoreReorders) {
+        this._onColumnReorderEndCallback(event);
+      }
+    };
     return (
       <Table
         rowHeight={30}
@@ -96,7 +132,7 @@ class ReorderCellTest extends React.Component {
         rowsCount={dataList.getSize()}
         width={1000}
         height={500}
-        {...this.props}
+        {...props}
       >
         {this.state.columnOrder.map(function (columnKey, i) {
           return (
@@ -106,13 +142,16 @@ class ReorderCellTest extends React.Component {
               key={i}
               header={
                 <Plugins.ReorderCell
+                  allowPinning={allowPinning}
+                  onColumnPin={onColumnPinCallback}
                   onColumnReorderEnd={onColumnReorderEndCallback}
                 >
                   {columnTitles[columnKey]}
                 </Plugins.ReorderCell>
               }
               cell={<TextCell data={dataList} />}
-              fixed={fixedColumns.indexOf(columnKey) !== -1}
+              fixed={getSide(columnKey) === 'left'}
+              fixedRight={getSide(columnKey) === 'right'}
               width={columnWidths[columnKey]}
             />
           );
@@ -225,5 +264,335 @@ describe('ReorderCell', () => {
       const actualOrder = newOrderCells.map((cell) => cell.props.children);
       expect(actualOrder).toEqual(expectedOrder);
     });
+
+    it('should pin the columns dragged within another cell group', function () {
+      const onColumnReorderEnd = jest.fn();
+      const reorderCells = renderTable({
+        allowPinning: true,
+        onColumnReorderEnd,
+      });
+      const cityCell = reorderCells[2];
+      const reorderDiv = findRenderedDOMComponentWithClass(
+        cityCell,
+        cx('fixedDataTableCellLayout/columnReorderContainer')
+      );
+
+      // start dragging the first scrollable column
+      reorderDiv.dispatchEvent(
+        new window.MouseEvent('mousedown', {
+          bubbles: true,
+          cancelable: false,
+          clientX: 310,
+          clientY: 25,
+        })
+      );
+
+      // drag it over the right half of the first fixed column
+      jest
+        .spyOn(FixedDataTableEventHelper.default, 'getCoordinatesFromEvent')
+        .mockImplementation(() => ({ x: 100, y: 25 }));
+      document.body.dispatchEvent(
+        new window.MouseEvent('mousemove', { bubbles: true, cancelable: true })
+      );
+      act(() => {
+        document.body.dispatchEvent(
+          new window.MouseEvent('mouseup', { bubbles: true, cancelable: true })
+        );
+      });
+
+      expect(onColumnReorderEnd).toHaveBeenCalledWith({
+        columnBefore: 'firstName',
+        columnAfter: 'lastName',
+        reorderColumn: 'city',
+        cellGroupType: CellGroupType.FIXED,
+      });
+      const actualOrder = scryRenderedComponentsWithType(
+        renderedTree,
+        ReorderCell
+      ).map((cell) => [cell.props.children, cell.props.cellGroupType]);
+      expect(actualOrder.slice(0, 4)).toEqual([
+        ['First Name', CellGroupType.FIXED],
+        ['City', CellGroupType.FIXED],
+        ['Last Name', CellGroupType.FIXED],
+        ['Street', CellGroupType.SCROLLABLE],
+      ]);
+    });
+
+    it('should leave the pins of controlled column layouts to onColumnPin', function () {
+      const onColumnPin = jest.fn();
+      const reorderCells = renderTable({
+        allowPinning: true,
+        ignorePins: true,
+        onColumnPin,
+      });
+      const reorderDiv = findRenderedDOMComponentWithClass(
+        reorderCells[2],
+        cx('fixedDataTableCellLayout/columnReorderContainer')
+      );
+
+      reorderDiv.dispatchEvent(
+        new window.MouseEvent('mousedown', {
+          bubbles: true,
+          cancelable: false,
+          clientX: 310,
+          clientY: 25,
+        })
+      );
+      jest
+        .spyOn(FixedDataTableEventHelper.default, 'getCoordinatesFromEvent')
+        .mockImplementation(() => ({ x: 100, y: 25 }));
+      document.body.dispatchEvent(
+        new window.MouseEvent('mousemove', { bubbles: true, cancelable: true })
+      );
+      act(() => {
+        document.body.dispatchEvent(
+          new window.MouseEvent('mouseup', { bubbles: true, cancelable: true })
+        );
+      });
+
+      expect(onColumnPin).toHaveBeenCalledWith('city', 'left');
+      const cityCell = scryRenderedComponentsWithType(
+        renderedTree,
+        ReorderCell
+      ).find((cell) => cell.props.children === 'City');
+      expect(cityCell.props.cellGroupType).toBe(CellGroupType.SCROLLABLE);
+    });
+
+    it('should keep the columns within their cell group without pinning', function () {
+      const onColumnReorderEnd = jest.fn();
+      const reorderCells = renderTable({ onColumnReorderEnd });
+      const reorderDiv = findRenderedDOMComponentWithClass(
+        reorderCells[2],
+        cx('fixedDataTableCellLayout/columnReorderContainer')
+      );
+
+      reorderDiv.dispatchEvent(
+        new window.MouseEvent('mousedown', {
+          bubbles: true,
+          cancelable: false,
+          clientX: 310,
+          clientY: 25,
+        })
+      );
+      jest
+        .spyOn(FixedDataTableEventHelper.default, 'getCoordinatesFromEvent')
+        .mockImplementation(() => ({ x: 100, y: 25 }));
+      document.body.dispatchEvent(
+        new window.MouseEvent('mousemove', { bubbles: true, cancelable: true })
+      );
+      act(() => {
+        document.body.dispatchEvent(
+          new window.MouseEvent('mouseup', { bubbles: true, cancelable: true })
+        );
+      });
+
+      expect(onColumnReorderEnd).toHaveBeenCalledWith(
+        expect.objectContaining({
+          reorderColumn: 'city',
+          cellGroupType: CellGroupType.SCROLLABLE,
+        })
+      );
+    });
+
+    it('should reorder the columns by itself with uncontrolledColumnLayout', function () {
+      act(() => {
+        renderedTree = ReactDOM.render(
+          <Table
+            rowHeight={30}
+            headerHeight={50}
+            rowsCount={10}
+            width={1000}
+            height={500}
+            uncontrolledColumnLayout={true}
+          >
+            {['firstName', 'lastName', 'city'].map((columnKey) => (
+              <Column
+                columnKey={columnKey}
+                key={columnKey}
+                header={
+                  <Plugins.ReorderCell>
+                    {columnTitles[columnKey]}
+                  </Plugins.ReorderCell>
+                }
+                width={columnWidths[columnKey]}
+              />
+            ))}
+          </Table>,
+          container
+        );
+      });
+      const reorderDiv = findRenderedDOMComponentWithClass(
+        scryRenderedComponentsWithType(renderedTree, ReorderCell)[0],
+        cx('fixedDataTableCellLayout/columnReorderContainer')
+      );
+
+      reorderDiv.dispatchEvent(
+        new window.MouseEvent('mousedown', { bubbles: true, cancelable: false })
+      );
+      jest
+        .spyOn(FixedDataTableEventHelper.default, 'getCoordinatesFromEvent')
+        .mockImplementation(() => ({ x: 76, y: 0 }));
+      document.body.dispatchEvent(
+        new window.MouseEvent('mousemove', { bubbles: true, cancelable: true })
+      );
+      act(() => {
+        document.body.dispatchEvent(
+          new window.MouseEvent('mouseup', { bubbles: true, cancelable: true })
+        );
+      });
+
+      const actualOrder = scryRenderedComponentsWithType(
+        renderedTree,
+        ReorderCell
+      ).map((cell) => cell.props.children);
+      expect(actualOrder).toEqual(['Last Name', 'First Name', 'City']);
+      expect(renderedTree.getApi().getViewState().columns[0].columnKey).toBe(
+        'lastName'
+      );
+    });
+  });
+
+  describe('keyboard reordering', () => {
+    const getReorderHandle = (columnKey) =>
+      findRenderedDOMComponentWithClass(
+        scryRenderedComponentsWithType(renderedTree, ReorderCell).find(
+          (cell) => cell.props.columnKey === columnKey
+        ),
+        cx('fixedDataTableCellLayout/columnReorderContainer')
+      );
+    const pressKey = (columnKey, key) =>
+      act(() => {
+        getReorderHandle(columnKey).dispatchEvent(
+          new window.KeyboardEvent('keydown', {
+            bubbles: true,
+            cancelable: true,
+            ctrlKey: true,
+            shiftKey: true,
+            key,
+          })
+        );
+      });
+    const getOrder = () =>
+      scryRenderedComponentsWithType(renderedTree, ReorderCell).map(
+        (cell) => cell.props.columnKey
+      );
+    const getAnnouncement = () =>
+      container.querySelector('[aria-live]').textContent;
+    const getKeyboardMovedColumn = () =>
+      scryRenderedComponentsWithType(
+        renderedTree,
+        ReorderCell
+      )[0].internalContext.getKeyboardMovedColumn();
+
+    it('should move the column on Ctrl + Shift + Left/Right arrow', function () {
+      const onColumnReorderEnd = jest.fn();
+      renderTable({ onColumnReorderEnd });
+
+      pressKey('city', 'ArrowRight');
+      expect(onColumnReorderEnd).toHaveBeenLastCalledWith({
+        columnBefore: 'street',
+        columnAfter: 'zipCode',
+        reorderColumn: 'city',
+        cellGroupType: CellGroupType.SCROLLABLE,
+      });
+      expect(getOrder().slice(0, 5)).toEqual([
+        'firstName',
+        'lastName',
+        'street',
+        'city',
+        'zipCode',
+      ]);
+      expect(getAnnouncement()).toBe('city column moved to position 4');
+      // the handle of the moved column keeps the focus
+      expect(document.activeElement).toBe(getReorderHandle('city'));
+      expect(getKeyboardMovedColumn()).toBe(null);
+
+      pressKey('city', 'ArrowLeft');
+      expect(onColumnReorderEnd).toHaveBeenLastCalledWith({
+        columnBefore: 'lastName',
+        columnAfter: 'street',
+        reorderColumn: 'city',
+        cellGroupType: CellGroupType.SCROLLABLE,
+      });
+      expect(getOrder().slice(0, 4)).toEqual([
+        'firstName',
+        'lastName',
+        'city',
+        'street',
+      ]);
+    });
+
+    it('should forget the moved column when the table leaves the order unchanged', function () {
+      const frames = [];
+      jest
+        .spyOn(requestAnimationFramePolyfill, 'default')
+        .mockImplementation((callback) => frames.push(callback));
+      renderTable({ ignoreReorders: true });
+      getReorderHandle('city').focus();
+
+      pressKey('city', 'ArrowRight');
+      expect(getKeyboardMovedColumn()).toBe('city');
+      expect(document.activeElement).toBe(getReorderHandle('city'));
+
+      act(() => frames.forEach((callback) => callback()));
+      expect(getKeyboardMovedColumn()).toBe(null);
+    });
+
+    it('should keep the column within its cell group without pinning', function () {
+      const onColumnReorderEnd = jest.fn();
+      renderTable({ onColumnReorderEnd });
+
+      pressKey('city', 'ArrowLeft');
+      pressKey('firstName', 'ArrowLeft');
+      expect(onColumnReorderEnd).not.toHaveBeenCalled();
+    });
+
+    it('should pin the column moved past the edge of its cell group', function () {
+      const onColumnReorderEnd = jest.fn();
+      renderTable({ allowPinning: true, onColumnReorderEnd });
+
+      pressKey('city', 'ArrowLeft');
+      expect(onColumnReorderEnd).toHaveBeenLastCalledWith({
+        columnBefore: 'lastName',
+        columnAfter: 'street',
+        reorderColumn: 'city',
+        cellGroupType: CellGroupType.FIXED,
+      });
+      const cityCell = scryRenderedComponentsWithType(
+        renderedTree,
+        ReorderCell
+      ).find((cell) => cell.props.columnKey === 'city');
+      expect(cityCell.props.cellGroupType).toBe(CellGroupType.FIXED);
+      expect(getAnnouncement()).toBe('city column moved to position 3');
+    });
+
+    it('should cancel dragging on Escape', function () {
+      const onColumnReorderEnd = jest.fn();
+      renderTable({ onColumnReorderEnd });
+
+      getReorderHandle('firstName').dispatchEvent(
+        new window.MouseEvent('mousedown', { bubbles: true, cancelable: false })
+      );
+      jest
+        .spyOn(FixedDataTableEventHelper.default, 'getCoordinatesFromEvent')
+        .mockImplementation(() => ({ x: 76, y: 0 }));
+      document.body.dispatchEvent(
+        new window.MouseEvent('mousemove', { bubbles: true, cancelable: true })
+      );
+      act(() => {
+        document.dispatchEvent(
+          new window.KeyboardEvent('keydown', { bubbles: true, key: 'Escape' })
+        );
+      });
+      act(() => {
+        document.body.dispatchEvent(
+          new window.MouseEvent('mouseup', { bubbles: true, cancelable: true })
+        );
+      });
+
+      expect(onColumnReorderEnd).not.toHaveBeenCalled();
+      expect(getOrder().slice(0, 2)).toEqual(['firstName', 'lastName']);
+      expect(container.querySelector('[data-column-key]')).toBe(null);
+    });
   });
 });
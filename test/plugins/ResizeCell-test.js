@@ -2,18 +2,17 @@ import { expect, jest } from '@jest/globals';
 import React from 'react';
 import ReactDOM from 'react-dom';
 import noop from 'lodash/noop';
-import { createRenderer } from 'react-test-renderer/shallow';
 import {
   act,
   findRenderedComponentWithType,
   findRenderedDOMComponentWithTag,
-  isElement,
   scryRenderedComponentsWithType,
 } from 'react-dom/test-utils';
 import ResizeCell from '../../src/plugins/ResizeReorder/ResizeCell';
 import FakeObjectDataListStore from '../../examples/helpers/FakeObjectDataListStore';
 import { Column, Table, Plugins, DataCell } from '../../src/index';
 import ResizerKnob from '../../src/plugins/ResizeReorder/ResizerKnob';
+import { FixedDataTableContext } from '../../src/FixedDataTableContext';
 
 class TextCell extends React.PureComponent {
   render() {
@@ -119,11 +118,26 @@ class ResizeCellTest extends React.Component {
 describe('ResizeCell', () => {
   describe('render', () => {
     it('should not crash and burn', () => {
-      const reorderCell = <ResizeCell onColumnResizeEnd={noop} />;
-      const renderer = createRenderer();
-      renderer.render(reorderCell);
-      const reorderCellRender = renderer.getRenderOutput();
-      expect(isElement(reorderCellRender)).toBe(true);
+      let resizeCell;
+      act(() => {
+        ReactDOM.render(
+          <FixedDataTableContext.Provider value={{ tableHeight: 400 }}>
+            <ResizeCell
+              ref={(ref) => (resizeCell = ref)}
+              columnKey="name"
+              height={50}
+              width={100}
+              onColumnResizeEnd={noop}
+            />
+          </FixedDataTableContext.Provider>,
+          container
+        );
+      });
+      const resizerKnob = findRenderedComponentWithType(
+        resizeCell,
+        ResizerKnob
+      );
+      expect(resizerKnob.props.resizerLineHeight).toBe(400);
     });
   });
 
@@ -137,6 +151,7 @@ describe('ResizeCell', () => {
   afterEach(() => {
     document.body.removeChild(container);
     container = null;
+    jest.restoreAllMocks();
   });
 
   const renderTable = (optionalProps = {}) => {
@@ -181,5 +196,220 @@ describe('ResizeCell', () => {
       const actualWidth = newResizeCells[0].props.width;
       expect(actualWidth).toBe(expectedWidth);
     });
+
+    it('should resize the columns by itself with uncontrolledColumnLayout', function () {
+      act(() => {
+        renderedTree = ReactDOM.render(
+          <Table
+            rowHeight={30}
+            headerHeight={50}
+            rowsCount={10}
+            width={1000}
+            height={500}
+            uncontrolledColumnLayout={true}
+          >
+            <Column
+              columnKey="firstName"
+              header={<Plugins.ResizeCell>First Name</Plugins.ResizeCell>}
+              width={240}
+            />
+          </Table>,
+          container
+        );
+      });
+      const resizerKnob = findRenderedComponentWithType(
+        renderedTree,
+        ResizerKnob
+      );
+      findRenderedDOMComponentWithTag(resizerKnob, 'div').dispatchEvent(
+        new window.MouseEvent('mousedown', { bubbles: true, cancelable: false })
+      );
+      resizerKnob.onMouseMove(10);
+      act(() => {
+        resizerKnob.onMouseUp();
+      });
+
+      expect(
+        findRenderedComponentWithType(renderedTree, ResizeCell).props.width
+      ).toBe(250);
+
+      act(() => {
+        renderedTree.getApi().resetColumnWidths();
+      });
+      expect(
+        findRenderedComponentWithType(renderedTree, ResizeCell).props.width
+      ).toBe(240);
+    });
+
+    it('should fit the column to its content on double click', function () {
+      // JSDOM doesn't lay out elements, so cells are given 10 pixels per character of their content
+      jest
+        .spyOn(Element.prototype, 'getBoundingClientRect')
+        .mockImplementation(function () {
+          return { top: 0, left: 0, width: this.textContent.length * 10 };
+        });
+      const onColumnResizeEnd = jest.fn();
+      act(() => {
+        renderedTree = ReactDOM.render(
+          <Table
+            rowHeight={30}
+            headerHeight={50}
+            rowsCount={10}
+            width={1000}
+            height={500}
+          >
+            <Column
+              columnKey="firstName"
+              header={
+                <Plugins.ResizeCell
+                  minWidth={70}
+                  onColumnResizeEnd={onColumnResizeEnd}
+                >
+                  First Name
+                </Plugins.ResizeCell>
+              }
+              cell="Bob"
+              width={240}
+            />
+          </Table>,
+          container
+        );
+      });
+      const resizerKnob = findRenderedComponentWithType(
+        renderedTree,
+        ResizerKnob
+      );
+      const resizeDiv = findRenderedDOMComponentWithTag(resizerKnob, 'div');
+
+      resizeDiv.dispatchEvent(
+        new window.MouseEvent('dblclick', { bubbles: true, cancelable: true })
+      );
+      expect(onColumnResizeEnd).toHaveBeenLastCalledWith(100, 'firstName');
+
+      // the width is kept within the minWidth of the resize cell
+      act(() => {
+        ReactDOM.render(
+          <Table
+            rowHeight={30}
+            headerHeight={50}
+            rowsCount={10}
+            width={1000}
+            height={500}
+          >
+            <Column
+              columnKey="firstName"
+              header={
+                <Plugins.ResizeCell
+                  minWidth={70}
+                  onColumnResizeEnd={onColumnResizeEnd}
+                >
+                  Name
+                </Plugins.ResizeCell>
+              }
+              cell="Bob"
+              width={240}
+            />
+          </Table>,
+          container
+        );
+      });
+      resizeDiv.dispatchEvent(
+        new window.MouseEvent('dblclick', { bubbles: true, cancelable: true })
+      );
+      expect(onColumnResizeEnd).toHaveBeenLastCalledWith(70, 'firstName');
+    });
+
+    it('should resize the column by a step on Alt + Left/Right arrow', function () {
+      renderTable();
+      const resizerKnob = scryRenderedComponentsWithType(
+        renderedTree,
+        ResizerKnob
+      )[1];
+      const resizeDiv = findRenderedDOMComponentWithTag(resizerKnob, 'div');
+      const pressKey = (key) =>
+        act(() => {
+          resizeDiv.dispatchEvent(
+            new window.KeyboardEvent('keydown', {
+              bubbles: true,
+              cancelable: true,
+              altKey: true,
+              key,
+            })
+          );
+        });
+      const getWidth = () =>
+        scryRenderedComponentsWithType(renderedTree, ResizeCell)[1].props.width;
+      const getAnnouncement = () =>
+        container.querySelector('[aria-live]').textContent;
+
+      pressKey('ArrowRight');
+      expect(getWidth()).toBe(160);
+      expect(getAnnouncement()).toBe('lastName column width 160 pixels');
+
+      // the width is kept within the maxWidth of the resize cell
+      pressKey('ArrowRight');
+      pressKey('ArrowRight');
+      expect(getWidth()).toBe(170);
+      expect(getAnnouncement()).toBe('lastName column width 170 pixels');
+
+      pressKey('ArrowLeft');
+      expect(getWidth()).toBe(160);
+    });
+
+    it('should cancel resizing on Escape', function () {
+      const resizeCells = renderTable();
+      const resizerKnob = findRenderedComponentWithType(
+        resizeCells[0],
+        ResizerKnob
+      );
+      findRenderedDOMComponentWithTag(resizerKnob, 'div').dispatchEvent(
+        new window.MouseEvent('mousedown', { bubbles: true, cancelable: false })
+      );
+      resizerKnob.onMouseMove(10);
+      act(() => {
+        document.dispatchEvent(
+          new window.KeyboardEvent('keydown', { bubbles: true, key: 'Escape' })
+        );
+      });
+      expect(resizerKnob.state.isColumnResizing).toBe(false);
+
+      // the mouse isn't tracked anymore
+      act(() => {
+        document.body.dispatchEvent(
+          new window.MouseEvent('mouseup', { bubbles: true, cancelable: true })
+        );
+      });
+      expect(
+        scryRenderedComponentsWithType(renderedTree, ResizeCell)[0].props.width
+      ).toBe(240);
+    });
+
+    it('should keep the selection of the table when Escape cancels resizing', function () {
+      const onSelectionChange = jest.fn();
+      const resizeCells = renderTable({
+        selectionMode: 'multiple',
+        selection: [{ startRowIndex: 1, endRowIndex: 3 }],
+        onSelectionChange,
+      });
+      const resizerKnob = findRenderedComponentWithType(
+        resizeCells[0],
+        ResizerKnob
+      );
+      const resizeDiv = findRenderedDOMComponentWithTag(resizerKnob, 'div');
+      resizeDiv.dispatchEvent(
+        new window.MouseEvent('mousedown', { bubbles: true, cancelable: false })
+      );
+      resizerKnob.onMouseMove(10);
+
+      // pressed within the table, which clears its selection on Escape otherwise
+      act(() => {
+        resizeDiv.dispatchEvent(
+          new window.KeyboardEvent('keydown', { bubbles: true, key: 'Escape' })
+        );
+      });
+
+      expect(resizerKnob.state.isColumnResizing).toBe(false);
+      expect(onSelectionChange).not.toHaveBeenCalled();
+    });
   });
 });
@@ -0,0 +1,88 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect } from '@jest/globals';
+import React from 'react';
+
+import { Table, Column, Plugins } from '../../src/index';
+import {
+  getRow,
+  getTableNode,
+  renderTable,
+  setupTableTest,
+  tableProps,
+} from '../helpers/tableTestHelper';
+
+describe('row groups', function () {
+  setupTableTest();
+
+  const data = Array.from({ length: 40 }, (_, idx) => ({
+    team: idx < 20 ? 'red' : 'blue',
+    score: idx,
+  }));
+
+  const renderGroupedTable = (props = {}) => {
+    const groupData = new Plugins.RowGroupingAdapter({
+      rowsCount: data.length,
+      getValue: (dataIndex, columnKey) => data[dataIndex][columnKey],
+      groupBy: ['team'],
+      aggregates: { score: 'sum' },
+    });
+    const table = renderTable(
+      <Table
+        {...tableProps}
+        rowsCount={groupData.getSize()}
+        rowHeight={50}
+        rowGroupPathGetter={(rowIndex) => groupData.getGroupPath(rowIndex)}
+        rowGroupHeader={(headerProps) => (
+          <Plugins.RowGroupHeaderCell {...headerProps} groupData={groupData} />
+        )}
+        {...props}
+      >
+        <Column
+          columnKey="score"
+          width={300}
+          cell={({ rowIndex }) =>
+            String(data[groupData.getDataIndex(rowIndex)].score)
+          }
+        />
+        <Column columnKey="other" width={300} fixed={true} />
+      </Table>
+    );
+    return { table, groupData };
+  };
+
+  it('should render group header rows across all the columns', function () {
+    renderGroupedTable();
+
+    const headerCell = getRow(0).querySelector('[role="gridcell"]');
+    expect(headerCell.getAttribute('aria-colspan')).toBe('2');
+    // the whole width of the table, except for the vertical scrollbar
+    expect(headerCell.style.width).toBe('585px');
+    expect(headerCell.textContent).toBe('red (20)sum(score): 190');
+    expect(getRow(1).textContent).toBe('0');
+  });
+
+  it('should stick the header of the group being scrolled', function () {
+    const { table } = renderGroupedTable({ scrollTop: 120 });
+    const api = table.getApi();
+
+    expect(api.getStickyRowGroupHeaders()).toEqual([0]);
+    const stickyRows = getTableNode().querySelector(
+      '.fixedDataTableLayout_stickyRows'
+    );
+    expect(stickyRows.textContent).toBe('red (20)sum(score): 190');
+    expect(
+      stickyRows.querySelector('[role="row"]').getAttribute('aria-hidden')
+    ).toBe('true');
+  });
+
+  it('should expose the row groups through the API', function () {
+    const api = renderGroupedTable().table.getApi();
+
+    expect(api.isRowGroupHeader(21)).toBe(true);
+    expect(api.isRowGroupHeader(22)).toBe(false);
+    expect(api.getRowGroupPath(22)).toEqual([21]);
+    expect(api.getStickyRowGroupHeaders()).toEqual([]);
+  });
+});
@@ -0,0 +1,113 @@
+import { expect } from '@jest/globals';
+import RowGroupingAdapter from '../../src/plugins/RowGrouping/RowGroupingAdapter';
+
+describe('RowGroupingAdapter', function () {
+  const data = [
+    { region: 'EU', country: 'FR', amount: 10 },
+    { region: 'US', country: 'US', amount: 5 },
+    { region: 'EU', country: 'DE', amount: 20 },
+    { region: 'EU', country: 'FR', amount: null },
+    { region: 'US', country: 'US', amount: 7 },
+  ];
+  const makeGroupData = (options = {}) =>
+    new RowGroupingAdapter({
+      rowsCount: data.length,
+      getValue: (dataIndex, columnKey) => data[dataIndex][columnKey],
+      groupBy: ['region', 'country'],
+      aggregates: { amount: ['count', 'sum', 'avg', 'min', 'max'] },
+      ...options,
+    });
+  const describeRows = (groupData) => {
+    const rows = [];
+    for (let idx = 0; idx < groupData.getSize(); idx++) {
+      rows.push(
+        groupData.isGroupHeader(idx)
+          ? groupData.getGroup(idx).value
+          : groupData.getDataIndex(idx)
+      );
+    }
+    return rows;
+  };
+
+  it('should list each group header row before the rows of its group', function () {
+    const groupData = makeGroupData();
+
+    expect(describeRows(groupData)).toEqual([
+      'EU',
+      'FR',
+      0,
+      3,
+      'DE',
+      2,
+      'US',
+      'US',
+      1,
+      4,
+    ]);
+    expect(groupData.getGroup(0)).toMatchObject({
+      columnKey: 'region',
+      depth: 0,
+      count: 3,
+    });
+    expect(groupData.getGroup(1)).toMatchObject({
+      columnKey: 'country',
+      depth: 1,
+      count: 2,
+    });
+    expect(groupData.getDataIndex(0)).toBe(null);
+  });
+
+  it('should compute the aggregates of each group', function () {
+    const groupData = makeGroupData();
+
+    expect(groupData.getGroup(0).aggregates).toEqual({
+      amount: { count: 3, sum: 30, avg: 15, min: 10, max: 20 },
+    });
+    expect(groupData.getGroup(1).aggregates.amount).toMatchObject({
+      sum: 10,
+      avg: 10,
+    });
+  });
+
+  it('should support custom aggregates', function () {
+    const groupData = makeGroupData({
+      aggregates: { country: 'distinct' },
+      aggregateFunctions: { distinct: (values) => new Set(values).size },
+    });
+
+    expect(groupData.getGroup(0).aggregates).toEqual({
+      country: { distinct: 2 },
+    });
+    expect(() => makeGroupData({ aggregates: { amount: 'median' } })).toThrow(
+      'Unknown aggregate "median"'
+    );
+  });
+
+  it('should list the group header rows enclosing a row', function () {
+    const groupData = makeGroupData();
+
+    expect(groupData.getGroupPath(0)).toEqual([0]);
+    expect(groupData.getGroupPath(3)).toEqual([0, 1]);
+    expect(groupData.getGroupPath(4)).toEqual([0, 4]);
+    expect(groupData.getGroupPath(9)).toEqual([6, 7]);
+  });
+
+  it('should collapse and expand groups', function () {
+    const groupData = makeGroupData({ collapsed: true });
+    expect(describeRows(groupData)).toEqual(['EU', 'US']);
+
+    expect(groupData.toggle(0)).toEqual({
+      startIndex: 1,
+      removeCount: 0,
+      insertCount: 2,
+    });
+    expect(describeRows(groupData)).toEqual(['EU', 'FR', 'DE', 'US']);
+    expect(groupData.getGroupPath(3)).toEqual([3]);
+
+    expect(groupData.toggle(0)).toEqual({
+      startIndex: 1,
+      removeCount: 2,
+      insertCount: 0,
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect, jest } from '@jest/globals';
+import React from 'react';
+import { act } from 'react-dom/test-utils';
+
+import { Table, Column, Plugins } from '../../src/index';
+import {
+  getTableNode,
+  pressKey,
+  renderTable,
+  setupTableTest,
+  tableProps,
+} from '../helpers/tableTestHelper';
+
+describe('sorting', function () {
+  setupTableTest();
+
+  const renderSortableTable = (props = {}) =>
+    renderTable(
+      <Table {...tableProps} rowsCount={10} rowHeight={50} {...props}>
+        <Column columnKey="name" width={200} header="Name" sortable={true} />
+        <Column columnKey="age" width={200} header="Age" sortable={true} />
+        <Column columnKey="city" width={200} header="City" />
+      </Table>
+    );
+  const getHeaderCells = () =>
+    getTableNode().querySelectorAll('[role="columnheader"]');
+  const getSortHeaderCell = (columnIndex) =>
+    getHeaderCells()[columnIndex].querySelector(
+      '.fixedDataTableCellLayout_sortHeaderCell'
+    );
+  const clickHeader = (columnIndex, eventInit = {}) => {
+    getSortHeaderCell(columnIndex).dispatchEvent(
+      new MouseEvent('click', Object.assign({ bubbles: true }, eventInit))
+    );
+  };
+
+  it('should only make the headers of sortable columns sortable', function () {
+    renderSortableTable({
+      defaultSortState: [{ columnKey: 'age', direction: 'DESC' }],
+    });
+
+    const headerCells = getHeaderCells();
+    expect(headerCells[0].getAttribute('aria-sort')).toBe('none');
+    expect(headerCells[1].getAttribute('aria-sort')).toBe('descending');
+    expect(headerCells[2].hasAttribute('aria-sort')).toBe(false);
+    expect(getSortHeaderCell(2)).toBe(null);
+  });
+
+  it('should cycle the sort direction on click', function () {
+    const onSortChange = jest.fn();
+    const table = renderSortableTable({ onSortChange });
+
+    act(() => clickHeader(0));
+    expect(onSortChange).toHaveBeenLastCalledWith([
+      { columnKey: 'name', direction: 'ASC' },
+    ]);
+    expect(getHeaderCells()[0].getAttribute('aria-sort')).toBe('ascending');
+
+    act(() => clickHeader(0));
+    expect(table.getApi().getSortState()).toEqual([
+      { columnKey: 'name', direction: 'DESC' },
+    ]);
+
+    act(() => clickHeader(0));
+    expect(table.getApi().getSortState()).toEqual([]);
+    expect(getHeaderCells()[0].getAttribute('aria-sort')).toBe('none');
+  });
+
+  it('should sort by several columns with Shift + click', function () {
+    const table = renderSortableTable();
+
+    act(() => clickHeader(1));
+    act(() => clickHeader(0, { shiftKey: true }));
+
+    expect(table.getApi().sortState).toEqual([
+      { columnKey: 'age', direction: 'ASC' },
+      { columnKey: 'name', direction: 'ASC' },
+    ]);
+    const priorities = getTableNode().querySelectorAll(
+      '.public_fixedDataTableCell_sortPriority'
+    );
+    expect(Array.from(priorities, (badge) => badge.textContent)).toEqual([
+      '2',
+      '1',
+    ]);
+  });
+
+  it('should sort with Enter and Space', function () {
+    const table = renderSortableTable();
+    expect(getSortHeaderCell(0).tabIndex).toBe(0);
+
+    let event;
+    act(() => {
+      event = pressKey(getSortHeaderCell(0), 'Enter');
+    });
+    expect(event.defaultPrevented).toBe(true);
+    act(() => {
+      pressKey(getSortHeaderCell(1), ' ', { shiftKey: true });
+    });
+
+    expect(table.getApi().getSortState()).toEqual([
+      { columnKey: 'name', direction: 'ASC' },
+      { columnKey: 'age', direction: 'ASC' },
+    ]);
+  });
+
+  it('should announce the sort direction of custom sort headers', function () {
+    renderTable(
+      <Table
+        {...tableProps}
+        defaultSortState={[{ columnKey: 'name', direction: 'ASC' }]}
+      >
+        <Column
+          columnKey="name"
+          width={200}
+          header={
+            <Plugins.SortHeaderCell sortDirection="ASC">
+              Name
+            </Plugins.SortHeaderCell>
+          }
+        />
+      </Table>
+    );
+
+    expect(getHeaderCells()[0].getAttribute('aria-sort')).toBe('ascending');
+  });
+
+  it('should keep a controlled sort state', function () {
+    const onSortChange = jest.fn();
+    const sortState = [{ columnKey: 'name', direction: 'ASC' }];
+    const table = renderSortableTable({ onSortChange, sortState });
+
+    act(() => table.getApi().toggleSort('age', true));
+
+    expect(onSortChange).toHaveBeenCalledWith([
+      ...sortState,
+      { columnKey: 'age', direction: 'ASC' },
+    ]);
+    expect(table.getApi().getSortState()).toEqual(sortState);
+  });
+});
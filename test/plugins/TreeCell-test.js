@@ -0,0 +1,134 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect, jest } from '@jest/globals';
+import React from 'react';
+import { act } from 'react-dom/test-utils';
+
+import { Table, Column, Plugins } from '../../src/index';
+import {
+  getRow,
+  getTableNode,
+  renderTable,
+  setupTableTest,
+  tableProps,
+} from '../helpers/tableTestHelper';
+
+describe('tree rows', function () {
+  setupTableTest();
+
+  const makeNodes = (prefix, count) =>
+    Array.from({ length: count }, (_, idx) => ({
+      id: `${prefix}${idx}`,
+      children: prefix.length < 2 ? makeNodes(`${prefix}${idx}.`, 3) : null,
+    }));
+
+  class TreeTable extends React.Component {
+    treeData = new Plugins.TreeDataAdapter({
+      roots: makeNodes('', 50),
+      getChildren: (node) => node.children,
+      getKey: (node) => node.id,
+    });
+    state = { rowsCount: this.treeData.getSize() };
+    tableRef = React.createRef();
+
+    componentDidMount() {
+      this.treeData.subscribe(({ startIndex, removeCount, insertCount }) => {
+        this.tableRef.current
+          .getApi()
+          .spliceRows(startIndex, removeCount, insertCount);
+        this.setState({ rowsCount: this.treeData.getSize() });
+      });
+    }
+
+    render() {
+      const { treeData } = this;
+      return (
+        <Table
+          {...tableProps}
+          ref={this.tableRef}
+          rowsCount={this.state.rowsCount}
+          onRowToggle={(rowIndex) => treeData.toggle(rowIndex)}
+          {...this.props}
+        >
+          <Column
+            columnKey="id"
+            width={300}
+            cell={({ rowIndex, ...props }) => (
+              <Plugins.TreeCell
+                {...props}
+                rowIndex={rowIndex}
+                treeData={treeData}
+              >
+                {treeData.getNode(rowIndex).id}
+              </Plugins.TreeCell>
+            )}
+          />
+        </Table>
+      );
+    }
+  }
+
+  const renderTreeTable = (props = {}) => renderTable(<TreeTable {...props} />);
+  const getRowTexts = (count) =>
+    Array.from(
+      { length: count },
+      (_, rowIndex) => getRow(rowIndex).textContent
+    );
+
+  it('should insert and remove the rows of a subtree when toggled', function () {
+    const treeTable = renderTreeTable();
+    const toggle = getTableNode().querySelector('button[aria-label="Expand"]');
+
+    act(() => {
+      toggle.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    });
+
+    expect(treeTable.state.rowsCount).toBe(53);
+    expect(getRowTexts(5)).toEqual(['0', '0.0', '0.1', '0.2', '1']);
+    expect(
+      getTableNode()
+        .querySelector('button[aria-expanded="true"]')
+        .getAttribute('aria-label')
+    ).toBe('Collapse');
+
+    act(() => {
+      treeTable.tableRef.current.getApi().toggleRow(0);
+    });
+
+    expect(treeTable.state.rowsCount).toBe(50);
+    expect(getRowTexts(2)).toEqual(['0', '1']);
+  });
+
+  it('should only initialize the heights of the inserted rows', function () {
+    const rowHeightGetter = jest.fn(() => 100);
+    const treeTable = renderTreeTable({
+      rowHeightGetter,
+      isVerticalScrollExact: true,
+    });
+    rowHeightGetter.mockClear();
+
+    act(() => {
+      treeTable.treeData.expand(1);
+    });
+
+    const calledRows = new Set(
+      rowHeightGetter.mock.calls.map(([rowIndex]) => rowIndex)
+    );
+    expect(calledRows.has(2)).toBe(true);
+    expect(calledRows.has(40)).toBe(false);
+  });
+
+  it('should keep the rows in the viewport in place', function () {
+    const treeTable = renderTreeTable({ scrollTop: 1000 });
+    const reduxStore = treeTable.tableRef.current.reduxStore;
+    expect(reduxStore.getState().firstRowIndex).toBe(10);
+
+    act(() => {
+      treeTable.treeData.expand(2);
+    });
+
+    expect(reduxStore.getState().firstRowIndex).toBe(13);
+    expect(reduxStore.getState().scrollY).toBe(1300);
+  });
+});
@@ -0,0 +1,166 @@
+import { expect, jest } from '@jest/globals';
+import TreeDataAdapter from '../../src/plugins/Tree/TreeDataAdapter';
+
+describe('TreeDataAdapter', function () {
+  const tree = [
+    {
+      id: 'a',
+      children: [
+        { id: 'a1', children: [{ id: 'a1x' }, { id: 'a1y' }] },
+        { id: 'a2' },
+      ],
+    },
+    { id: 'b', children: [{ id: 'b1' }] },
+    { id: 'c' },
+  ];
+  const getRowIds = (treeData) => {
+    const ids = [];
+    for (let idx = 0; idx < treeData.getSize(); idx++) {
+      ids.push(treeData.getNode(idx).id);
+    }
+    return ids;
+  };
+
+  let treeData;
+  beforeEach(function () {
+    treeData = new TreeDataAdapter({
+      roots: tree,
+      getChildren: (node) => node.children,
+      getKey: (node) => node.id,
+    });
+  });
+
+  it('should only list the roots initially', function () {
+    expect(getRowIds(treeData)).toEqual(['a', 'b', 'c']);
+    expect(treeData.getDepth(0)).toBe(0);
+    expect(treeData.hasChildren(0)).toBe(true);
+    expect(treeData.isExpanded(0)).toBe(false);
+  });
+
+  it('should only find out about leaves once they are expanded', function () {
+    const getChildren = jest.fn((node) => node.children);
+    treeData = new TreeDataAdapter({
+      roots: tree,
+      getChildren,
+      getKey: (node) => node.id,
+    });
+
+    expect(treeData.hasChildren(2)).toBe(true);
+    expect(getChildren).not.toHaveBeenCalled();
+
+    expect(treeData.expand(2)).toEqual({
+      startIndex: 3,
+      removeCount: 0,
+      insertCount: 0,
+    });
+    expect(treeData.hasChildren(2)).toBe(false);
+  });
+
+  it('should tell whether nodes have children through hasChildren', function () {
+    const getChildren = jest.fn((node) => node.children);
+    treeData = new TreeDataAdapter({
+      roots: tree,
+      getChildren,
+      hasChildren: (node) => !!node.children,
+      getKey: (node) => node.id,
+    });
+
+    expect(treeData.hasChildren(0)).toBe(true);
+    expect(treeData.hasChildren(2)).toBe(false);
+    expect(getChildren).not.toHaveBeenCalled();
+  });
+
+  it('should insert the children of an expanded node', function () {
+    const listener = jest.fn();
+    treeData.subscribe(listener);
+
+    const splice = treeData.expand(0);
+
+    expect(splice).toEqual({ startIndex: 1, removeCount: 0, insertCount: 2 });
+    expect(listener).toHaveBeenCalledWith(splice);
+    expect(getRowIds(treeData)).toEqual(['a', 'a1', 'a2', 'b', 'c']);
+    expect(treeData.getDepth(1)).toBe(1);
+    expect(treeData.isExpanded(0)).toBe(true);
+  });
+
+  it('should remove the whole subtree of a collapsed node', function () {
+    treeData.expand(0);
+    treeData.expand(1);
+    expect(getRowIds(treeData)).toEqual([
+      'a',
+      'a1',
+      'a1x',
+      'a1y',
+      'a2',
+      'b',
+      'c',
+    ]);
+
+    expect(treeData.toggle(0)).toEqual({
+      startIndex: 1,
+      removeCount: 4,
+      insertCount: 0,
+    });
+    expect(getRowIds(treeData)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('should restore expanded descendants when expanding again', function () {
+    treeData.expand(0);
+    treeData.expand(1);
+    treeData.collapse(0);
+
+    expect(treeData.expand(0)).toEqual({
+      startIndex: 1,
+      removeCount: 0,
+      insertCount: 4,
+    });
+    expect(treeData.getDepth(2)).toBe(2);
+  });
+
+  it('should list the ancestors of a row', function () {
+    treeData.expand(0);
+    treeData.expand(1);
+
+    expect(treeData.getAncestors(0)).toEqual([]);
+    expect(treeData.getAncestors(3)).toEqual([0, 1]);
+    expect(treeData.getAncestors(4)).toEqual([0]);
+
+    treeData.collapse(1);
+    expect(treeData.getAncestors(2)).toEqual([0]);
+  });
+
+  it('should load children lazily', async function () {
+    let resolveChildren;
+    treeData = new TreeDataAdapter({
+      roots: [{ id: 'lazy' }, { id: 'other' }],
+      getChildren: () =>
+        new Promise((resolve) => {
+          resolveChildren = resolve;
+        }),
+      getKey: (node) => node.id,
+    });
+    const listener = jest.fn();
+    treeData.subscribe(listener);
+
+    expect(treeData.expand(0)).toBe(null);
+    expect(treeData.isLoading(0)).toBe(true);
+    expect(treeData.isExpanded(0)).toBe(false);
+    expect(listener).toHaveBeenLastCalledWith({
+      startIndex: 0,
+      removeCount: 0,
+      insertCount: 0,
+    });
+
+    resolveChildren([{ id: 'child1' }, { id: 'child2' }]);
+    await Promise.resolve();
+
+    expect(treeData.isLoading(0)).toBe(false);
+    expect(treeData.isExpanded(0)).toBe(true);
+    expect(listener).toHaveBeenLastCalledWith({
+      startIndex: 1,
+      removeCount: 0,
+      insertCount: 2,
+    });
+    expect(getRowIds(treeData)).toEqual(['lazy', 'child1', 'child2', 'other']);
+  });
+});
@@ -174,4 +174,43 @@ describe('columnStateHelper', function () {
       );
     });
   });
+
+  describe('scrollToColumn', function () {
+    beforeEach(function () {
+      jest.spyOn(columnWidths, 'default').mockImplementation(() => ({
+        availableScrollWidth: 200,
+        fixedColumns: [{ id: 1, width: 150 }],
+        maxScrollX: 250,
+        scrollableColumns: [
+          { id: 2, width: 150 },
+          { id: 3, width: 150 },
+          { id: 4, width: 150 },
+        ],
+      }));
+    });
+
+    afterEach(function () {
+      jest.restoreAllMocks();
+    });
+
+    it('should scroll forward until the column is visible', function () {
+      const state = { scrollX: 0 };
+      columnStateHelper.scrollToColumn(state, 3);
+      expect(state.scrollX).toBe(250);
+    });
+
+    it('should scroll back until the column is visible', function () {
+      const state = { scrollX: 250 };
+      columnStateHelper.scrollToColumn(state, 1);
+      expect(state.scrollX).toBe(0);
+    });
+
+    it('should not scroll for visible or fixed columns', function () {
+      const state = { scrollX: 100 };
+      columnStateHelper.scrollToColumn(state, 2);
+      expect(state.scrollX).toBe(100);
+      columnStateHelper.scrollToColumn(state, 0);
+      expect(state.scrollX).toBe(100);
+    });
+  });
 });
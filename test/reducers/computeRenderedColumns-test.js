@@ -0,0 +1,111 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect, jest } from '@jest/globals';
+import IntegerBufferSet from '../../src/vendor_upstream/struct/IntegerBufferSet';
+
+import computeRenderedColumns, {
+  calculateRenderedColumnRange,
+} from '../../src/reducers/computeRenderedColumns';
+import * as columnWidthsSelector from '../../src/selectors/columnWidths';
+
+describe('computeRenderedColumns', function () {
+  let scrollableColumns;
+
+  beforeEach(function () {
+    scrollableColumns = [];
+    for (let columnIdx = 0; columnIdx < 40; columnIdx++) {
+      scrollableColumns.push({
+        index: columnIdx,
+        offset: columnIdx * 100,
+        width: 100,
+      });
+    }
+    jest.spyOn(columnWidthsSelector, 'default').mockImplementation(() => ({
+      availableScrollWidth: 450,
+      scrollableColumns,
+    }));
+  });
+
+  afterEach(function () {
+    jest.restoreAllMocks();
+  });
+
+  const getState = (columnSettings, scrollX = 0) => {
+    const internalState = {
+      columnBufferSet: new IntegerBufferSet(),
+    };
+    return {
+      columnSettings,
+      getInternal: () => internalState,
+      scrollX,
+    };
+  };
+
+  describe('calculateRenderedColumnRange', function () {
+    it('should include the columns intersecting the viewport', function () {
+      expect(
+        calculateRenderedColumnRange(scrollableColumns, 0, 450, 0)
+      ).toEqual({
+        endBufferIdx: 5,
+        endViewportIdx: 5,
+        firstBufferIdx: 0,
+        firstViewportIdx: 0,
+      });
+    });
+
+    it('should include partially visible columns on both edges', function () {
+      expect(
+        calculateRenderedColumnRange(scrollableColumns, 250, 450, 0)
+      ).toEqual({
+        endBufferIdx: 7,
+        endViewportIdx: 7,
+        firstBufferIdx: 2,
+        firstViewportIdx: 2,
+      });
+    });
+
+    it('should add buffer columns within bounds', function () {
+      expect(
+        calculateRenderedColumnRange(scrollableColumns, 3550, 450, 3)
+      ).toEqual({
+        endBufferIdx: 40,
+        endViewportIdx: 40,
+        firstBufferIdx: 32,
+        firstViewportIdx: 35,
+      });
+    });
+
+    it('should handle no scrollable columns', function () {
+      expect(calculateRenderedColumnRange([], 0, 450, 2)).toEqual({
+        endBufferIdx: 0,
+        endViewportIdx: 0,
+        firstBufferIdx: 0,
+        firstViewportIdx: 0,
+      });
+    });
+  });
+
+  it('should not compute columns when virtualization is disabled', function () {
+    const state = getState({ isColumnVirtualized: false });
+    computeRenderedColumns(state);
+    expect(state.columnsToRender).toBeUndefined();
+  });
+
+  it('should compute columns to render with default buffer', function () {
+    const state = getState({ isColumnVirtualized: true });
+    computeRenderedColumns(state);
+    expect(state.columnsToRender).toEqual([0, 1, 2, 3, 4, 5, 6]);
+  });
+
+  it('should recycle buffer positions when scrolling', function () {
+    const state = getState({ bufferColumnCount: 0, isColumnVirtualized: true });
+    computeRenderedColumns(state);
+    expect(state.columnsToRender).toEqual([0, 1, 2, 3, 4]);
+
+    // scrolling by two columns should reuse the positions of the columns which went out of the viewport
+    state.scrollX = 200;
+    computeRenderedColumns(state);
+    expect(state.columnsToRender).toEqual([5, 6, 2, 3, 4]);
+  });
+});
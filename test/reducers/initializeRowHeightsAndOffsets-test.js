@@ -48,4 +48,42 @@ describe('initializeRowHeightsAndOffsets', function () {
     }
     expect(newState.scrollContentHeight).toBe(12000);
   });
+
+  it('fixed rows should not contribute to the scrollable content', function () {
+    newState.rowSettings = Object.assign({}, newState.rowSettings, {
+      fixedBottomRowsCount: 3,
+      fixedRowsCount: 2,
+    });
+    initializeRowHeightsAndOffsets(newState);
+    for (let rowIdx = 0; rowIdx < 80; rowIdx++) {
+      const expectedRowHeight = rowIdx < 2 || rowIdx >= 77 ? 0 : 125;
+      expect(newState.getInternal().storedHeights[rowIdx]).toBe(
+        expectedRowHeight
+      );
+      expect(newState.getInternal().rowOffsetIntervalTree.get(rowIdx)).toBe(
+        expectedRowHeight
+      );
+    }
+    expect(newState.scrollContentHeight).toBe(9375);
+  });
+
+  it('sparse row heights should only store the heights of the fixed rows', function () {
+    newState.sparseRowHeights = true;
+    newState.isVerticalScrollExact = true;
+    newState.rowSettings = Object.assign({}, newState.rowSettings, {
+      rowsCount: 10000000,
+      fixedBottomRowsCount: 3,
+      fixedRowsCount: 2,
+    });
+    initializeRowHeightsAndOffsets(newState);
+
+    const { rowOffsetIntervalTree, storedHeights } = newState.getInternal();
+    expect(storedHeights).toBe(null);
+    expect(rowOffsetIntervalTree.get(1)).toBe(0);
+    expect(rowOffsetIntervalTree.get(2)).toBe(125);
+    expect(rowOffsetIntervalTree.get(9999997)).toBe(0);
+    expect(rowOffsetIntervalTree.sumUntil(1000)).toBe(998 * 125);
+    expect(rowOffsetIntervalTree.greatestLowerBound(998 * 125)).toBe(1000);
+    expect(newState.scrollContentHeight).toBe(9999995 * 125);
+  });
 });
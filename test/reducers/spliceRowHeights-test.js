@@ -0,0 +1,93 @@
+import { expect, jest } from '@jest/globals';
+import { initializeRowHeightsAndOffsets } from '../../src/reducers';
+import spliceRowHeights from '../../src/reducers/spliceRowHeights';
+
+describe('spliceRowHeights', function () {
+  let state;
+  beforeEach(function () {
+    const internalState = {};
+    state = {
+      getInternal: () => internalState,
+      isVerticalScrollExact: true,
+      rowSettings: {
+        rowsCount: 10,
+        rowHeight: 100,
+        subRowHeight: 0,
+        rowHeightGetter: () => 100,
+        subRowHeightGetter: () => 0,
+        fixedRowsCount: 0,
+        fixedBottomRowsCount: 0,
+      },
+    };
+    initializeRowHeightsAndOffsets(state);
+
+    // pretend the first rows got rendered with their actual heights
+    const { storedHeights, rowOffsetIntervalTree } = state.getInternal();
+    for (let rowIdx = 0; rowIdx < 5; rowIdx++) {
+      storedHeights[rowIdx] = 50 + rowIdx;
+      rowOffsetIntervalTree.set(rowIdx, 50 + rowIdx);
+    }
+    state.scrollContentHeight = 760;
+    state.getInternal().rowUntilOffsetsAreExact = 5;
+  });
+
+  it('should keep the heights of the rows outside of the spliced range', function () {
+    const rowHeightGetter = jest.fn(() => 30);
+    state.rowSettings.rowHeightGetter = rowHeightGetter;
+
+    spliceRowHeights(state, 2, 1, 3);
+
+    const { storedHeights, rowOffsetIntervalTree, rowUntilOffsetsAreExact } =
+      state.getInternal();
+    expect(state.rowSettings.rowsCount).toBe(12);
+    expect(storedHeights).toEqual([
+      50, 51, 30, 30, 30, 53, 54, 100, 100, 100, 100, 100,
+    ]);
+    expect(rowOffsetIntervalTree.sumUntil(5)).toBe(191);
+    expect(rowHeightGetter.mock.calls).toEqual([[2], [3], [4]]);
+    expect(state.scrollContentHeight).toBe(760 - 52 + 90);
+    expect(rowUntilOffsetsAreExact).toBe(2);
+  });
+
+  it('should use the default row height if the vertical scroll is not exact', function () {
+    state.isVerticalScrollExact = false;
+
+    spliceRowHeights(state, 10, 0, 2);
+
+    expect(state.getInternal().storedHeights.slice(8)).toEqual([
+      100, 100, 100, 100,
+    ]);
+    expect(state.scrollContentHeight).toBe(960);
+  });
+
+  it('should keep fixed rows out of the scrollable content', function () {
+    state.rowSettings.fixedBottomRowsCount = 1;
+    state.getInternal().storedHeights[9] = 0;
+    state.getInternal().rowOffsetIntervalTree.set(9, 0);
+    state.scrollContentHeight = 660;
+
+    spliceRowHeights(state, 1, 4, 0);
+
+    const { storedHeights } = state.getInternal();
+    expect(storedHeights).toEqual([50, 100, 100, 100, 100, 0]);
+    expect(state.scrollContentHeight).toBe(450);
+  });
+
+  it('should keep the measured heights of sparse row heights', function () {
+    state.sparseRowHeights = true;
+    initializeRowHeightsAndOffsets(state);
+    const { rowOffsetIntervalTree } = state.getInternal();
+    rowOffsetIntervalTree.set(1, 50);
+    rowOffsetIntervalTree.set(5, 60);
+
+    spliceRowHeights(state, 2, 2, 1);
+
+    expect(state.getInternal().storedHeights).toBe(null);
+    expect(state.rowSettings.rowsCount).toBe(9);
+    expect(rowOffsetIntervalTree.get(1)).toBe(50);
+    expect(rowOffsetIntervalTree.get(2)).toBe(100);
+    expect(rowOffsetIntervalTree.get(4)).toBe(60);
+    expect(rowOffsetIntervalTree.sumUntil(5)).toBe(410);
+    expect(state.scrollContentHeight).toBe(810);
+  });
+});
@@ -39,6 +39,7 @@ describe('columnTemplates', function () {
 
     const templates = {
       cell: [{ id: 'c1' }, { id: 'c2' }, { id: 'c3' }],
+      filter: [{ id: 'fi1' }, { id: 'fi2' }, { id: 'fi3' }],
       footer: [{ id: 'f1' }, { id: 'f2' }, { id: 'f3' }],
       groupHeader: [{ id: 'g10' }, { id: 'g20' }],
       header: [{ id: 'h1' }, { id: 'h2' }, { id: 'h3' }],
@@ -75,6 +76,16 @@ describe('columnTemplates', function () {
           template: { id: 'c2' },
         },
       ],
+      filter: [
+        {
+          props: { id: 1, fixed: true },
+          template: { id: 'fi1' },
+        },
+        {
+          props: { id: 2, fixed: true },
+          template: { id: 'fi2' },
+        },
+      ],
       footer: [
         {
           props: { id: 1, fixed: true },
@@ -103,6 +114,12 @@ describe('columnTemplates', function () {
           template: { id: 'c3' },
         },
       ],
+      filter: [
+        {
+          props: { id: 3, fixed: false },
+          template: { id: 'fi3' },
+        },
+      ],
       footer: [
         {
           props: { id: 3, fixed: false },
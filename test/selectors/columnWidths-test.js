@@ -238,4 +238,37 @@ describe('columnWidths', function () {
     expect(availableScrollWidth).toBe(90);
     expect(maxScrollX).toBe(80);
   });
+
+  it('should compute widths and offsets of outer column groups', function () {
+    columnGroupElementsIn.fixed.forEach((columnGroup) => {
+      columnGroup.groupIdx = 0;
+    });
+    columnGroupElementsIn.scrollable.forEach((columnGroup) => {
+      columnGroup.groupIdx = 1;
+    });
+    const outerColumnGroupElementsIn = [
+      {
+        fixed: [{ fixed: true, index: 0 }],
+        scrollable: [{ fixed: false, index: 1 }],
+        fixedRight: [],
+      },
+    ];
+
+    const { outerColumnGroups } = columnWidths.resultFunc(
+      columnGroupElementsIn,
+      columnElementsIn,
+      scrollEnabledY,
+      width,
+      Scrollbar.SIZE,
+      outerColumnGroupElementsIn
+    );
+
+    expect(outerColumnGroups).toEqual([
+      {
+        fixed: [{ fixed: true, index: 0, width: 110 + 100, offset: 0 }],
+        scrollable: [{ fixed: false, index: 1, width: 70 + 100, offset: 0 }],
+        fixedRight: [],
+      },
+    ]);
+  });
 });
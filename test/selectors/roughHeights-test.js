@@ -79,6 +79,29 @@ describe('roughHeights', function () {
       });
     });
 
+    it('should reserve height for fixed rows', function () {
+      elementHeights.fixedRowsHeight = 100;
+      elementHeights.fixedBottomRowsHeight = 50;
+
+      const result = roughHeights.resultFunc(
+        columnElements,
+        elementHeights,
+        rowSettings,
+        scrollFlags,
+        tableSize,
+        Scrollbar.SIZE,
+        Scrollbar.SIZE
+      );
+
+      expect(result).toEqual({
+        bufferRowCount: 6,
+        minAvailableHeight: 563,
+        maxAvailableHeight: 563,
+        reservedHeight: 237,
+        scrollStateX: ScrollbarState.HIDDEN,
+      });
+    });
+
     it('should adjust to scrollbar visibility', function () {
       tableSize.width = 500;
 
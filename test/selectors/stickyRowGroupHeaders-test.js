@@ -0,0 +1,90 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect } from '@jest/globals';
+
+import stickyRowGroupHeaders from '../../src/selectors/stickyRowGroupHeaders';
+
+describe('stickyRowGroupHeaders', function () {
+  let rowSettings;
+  let rowOffsets;
+
+  beforeEach(function () {
+    // group 0 holds the groups 1 (rows 2-5) and 6 (rows 7-9), and group 10 holds the rows 11-19
+    const paths = {};
+    for (let rowIndex = 0; rowIndex < 20; rowIndex++) {
+      if (rowIndex >= 10) {
+        paths[rowIndex] = [10];
+      } else if (rowIndex === 0) {
+        paths[rowIndex] = [0];
+      } else {
+        paths[rowIndex] = [0, rowIndex < 6 ? 1 : 6];
+      }
+    }
+    rowSettings = {
+      rowGroupPathGetter: (rowIndex) => paths[rowIndex],
+      rowHeightGetter: () => 50,
+    };
+
+    rowOffsets = {};
+    for (let rowIndex = 0; rowIndex < 20; rowIndex++) {
+      rowOffsets[rowIndex] = rowIndex * 50;
+    }
+  });
+
+  it('should stack the headers of the groups being scrolled', function () {
+    const result = stickyRowGroupHeaders.resultFunc(
+      rowSettings,
+      2,
+      rowOffsets,
+      120
+    );
+
+    expect(result).toEqual({
+      rowIndexes: [0, 1],
+      offsets: { 0: 0, 1: 50 },
+      height: 100,
+    });
+  });
+
+  it('should stick a header partially scrolled below the enclosing header', function () {
+    const result = stickyRowGroupHeaders.resultFunc(
+      rowSettings,
+      5,
+      rowOffsets,
+      270
+    );
+
+    expect(result).toEqual({
+      rowIndexes: [0, 6],
+      offsets: { 0: 0, 6: 50 },
+      height: 100,
+    });
+  });
+
+  it('should push a header up by the end of its group', function () {
+    const result = stickyRowGroupHeaders.resultFunc(
+      rowSettings,
+      9,
+      rowOffsets,
+      470
+    );
+
+    expect(result).toEqual({
+      rowIndexes: [0],
+      offsets: { 0: -20 },
+      height: 30,
+    });
+  });
+
+  it('should not stick a header already at the top of the body', function () {
+    expect(
+      stickyRowGroupHeaders.resultFunc(rowSettings, 10, rowOffsets, 500)
+    ).toEqual({ rowIndexes: [], offsets: {}, height: 0 });
+
+    rowSettings.rowGroupPathGetter = undefined;
+    expect(
+      stickyRowGroupHeaders.resultFunc(rowSettings, 2, rowOffsets, 120)
+    ).toEqual({ rowIndexes: [], offsets: {}, height: 0 });
+  });
+});
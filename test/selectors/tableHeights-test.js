@@ -207,4 +207,35 @@ describe('tableHeights', function () {
       visibleRowsHeight: 100,
     });
   });
+
+  it('should place the body between the fixed rows', function () {
+    elementHeights.fixedRowsHeight = 100;
+    elementHeights.fixedBottomRowsHeight = 50;
+    reservedHeight = 237;
+    scrollbarsVisible = {
+      availableHeight: 563,
+      scrollEnabledX: false,
+    };
+
+    const result = tableHeights.resultFunc(
+      elementHeights,
+      ownerHeight,
+      reservedHeight,
+      scrollContentHeight,
+      scrollbarsVisible,
+      useMaxHeight,
+      Scrollbar.SIZE
+    );
+
+    expect(result).toEqual({
+      bodyHeight: 563,
+      bodyOffsetTop: 175,
+      componentHeight: 800,
+      contentHeight: 2237,
+      footOffsetTop: 788,
+      scrollbarXOffsetTop: 798,
+      scrollbarYHeight: 563,
+      visibleRowsHeight: 563,
+    });
+  });
 });
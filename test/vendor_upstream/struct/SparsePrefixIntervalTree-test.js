@@ -0,0 +1,100 @@
+/**
+ * Copyright Schrodinger, LLC
+ */
+import { expect } from '@jest/globals';
+import SparsePrefixIntervalTree from '../../../src/vendor_upstream/struct/SparsePrefixIntervalTree';
+
+describe('SparsePrefixIntervalTree', function () {
+  const defaultValue = 10;
+
+  // the naive sums of the given values, to compare the tree against
+  const sumUntil = (values, end) =>
+    values.slice(0, end).reduce((sum, value) => sum + value, 0);
+  const greatestLowerBound = (values, t) => {
+    let index = -1;
+    for (let i = 0; i <= values.length; i++) {
+      if (sumUntil(values, i) <= t) {
+        index = i;
+      }
+    }
+    return index;
+  };
+
+  // sets a few values apart from the default one, leaving gaps of default values between them
+  const createTree = (size) => {
+    const tree = new SparsePrefixIntervalTree(size, defaultValue);
+    const values = new Array(size).fill(defaultValue);
+    for (let index = 0; index < size; index += 3) {
+      const value = (index * 7) % 25; // includes zeros
+      tree.set(index, value);
+      values[index] = value;
+    }
+    return { tree, values };
+  };
+
+  const expectTreeToMatch = (tree, values) => {
+    expect(tree.getSize()).toBe(values.length);
+    for (let index = 0; index < values.length; index++) {
+      expect(tree.get(index)).toBe(values[index]);
+    }
+    for (let end = 0; end <= values.length; end++) {
+      expect(tree.sumUntil(end)).toBe(sumUntil(values, end));
+    }
+    const total = sumUntil(values, values.length);
+    for (let t = -1; t <= total + 1; t++) {
+      expect(tree.greatestLowerBound(t)).toBe(greatestLowerBound(values, t));
+    }
+  };
+
+  it('should sum the default values', function () {
+    const tree = new SparsePrefixIntervalTree(5, defaultValue);
+
+    expectTreeToMatch(tree, new Array(5).fill(defaultValue));
+    expect(tree.sumTo(4)).toBe(50);
+    expect(tree.sum(1, 3)).toBe(20);
+    expect(tree.greatestLowerBound(10000)).toBe(5);
+    expect(tree.leastStrictUpperBound(10000)).toBe(6);
+  });
+
+  [1, 7, 8, 33].forEach((size) => {
+    it(`should match a naive array of ${size} values`, function () {
+      const { tree, values } = createTree(size);
+      expectTreeToMatch(tree, values);
+    });
+  });
+
+  it('should match a naive array once values are reset to the default', function () {
+    const { tree, values } = createTree(20);
+    [0, 9, 18].forEach((index) => {
+      tree.set(index, defaultValue);
+      values[index] = defaultValue;
+    });
+
+    expectTreeToMatch(tree, values);
+  });
+
+  it('should match a naive array once spliced and resized', function () {
+    const { tree, values } = createTree(20);
+
+    tree.splice(4, 5, 2);
+    values.splice(4, 5, defaultValue, defaultValue);
+    expectTreeToMatch(tree, values);
+
+    tree.resize(25);
+    values.push(...new Array(8).fill(defaultValue));
+    expectTreeToMatch(tree, values);
+
+    tree.resize(6);
+    values.length = 6;
+    expectTreeToMatch(tree, values);
+  });
+
+  it('should throw for indexes out of range', function () {
+    const tree = new SparsePrefixIntervalTree(5, defaultValue);
+
+    expect(() => tree.get(5)).toThrow();
+    expect(() => tree.set(-1, 0)).toThrow();
+    expect(() => tree.sumUntil(6)).toThrow();
+    expect(() => tree.sumTo(5)).toThrow();
+  });
+});